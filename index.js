@@ -1,4 +1,36 @@
 'use strict'
 
+exports.CommandCatalog = require('./lib/command-catalog')
+exports.EpoAbortError = require('./lib/epo-abort-error')
+exports.EpoAmbiguousServiceError =
+  require('./lib/epo-ambiguous-service-error')
 exports.EpoClient = require('./lib/epo-client')
+exports.EpoClientGroup = require('./lib/epo-client-group')
+exports.EpoCommandError = require('./lib/epo-command-error')
+exports.EpoError = require('./lib/epo-error')
+exports.EpoEventTopic = require('./lib/epo-event-topic')
+exports.EpoResponseParseError = require('./lib/epo-response-parse-error')
+exports.EpoServiceNotFoundError =
+  require('./lib/epo-service-not-found-error')
+exports.EpoServiceType = require('./lib/epo-service-type')
+exports.EpoServiceWatcher = require('./lib/epo-service-watcher')
+exports.EpoThreatEventForwarder =
+  require('./lib/epo-threat-event-forwarder')
+exports.EpoTimeoutError = require('./lib/epo-timeout-error')
+exports.FileThreatEventSink = require('./lib/file-threat-event-sink')
+exports.MockDxlFabric = require('./lib/mock-dxl-fabric')
 exports.OutputFormat = require('./lib/output-format')
+exports.QueryBuilder = require('./lib/query-builder')
+exports.QueryStream = require('./lib/query-stream')
+exports.SiemFormat = require('./lib/siem-format')
+exports.StreamThreatEventSink = require('./lib/stream-threat-event-sink')
+exports.SyslogThreatEventSink = require('./lib/syslog-threat-event-sink')
+exports.ThreatEvent = require('./lib/threat-event')
+exports.ThreatEventAggregator = require('./lib/threat-event-aggregator')
+exports.ThreatEventFilter = require('./lib/threat-event-filter')
+exports.ThreatEventFormatter = require('./lib/threat-event-formatter')
+exports.ThreatEventPlaybook = require('./lib/threat-event-playbook')
+exports.ThreatEventRecorder = require('./lib/threat-event-recorder')
+exports.ThreatEventReplayer = require('./lib/threat-event-replayer')
+exports.ThreatEventSink = require('./lib/threat-event-sink')
+exports.ThreatEventStream = require('./lib/threat-event-stream')
@@ -0,0 +1,270 @@
+'use strict'
+
+// The separator between the usage and description in a line of `core.help`
+// output
+const DESCRIPTION_SEPARATOR = ' - '
+
+/**
+ * A parameter for an ePO remote command.
+ * @typedef {Object} CommandCatalog~Parameter
+ * @property {String} name - The name of the parameter.
+ * @property {Boolean} optional - Whether the parameter is optional. Parameters
+ *   which are listed as alternatives to each other (for example,
+ *   `queryId | target` for `core.executeQuery`) are treated as optional.
+ */
+
+/**
+ * An ePO remote command, as listed in the `core.help` output.
+ * @typedef {Object} CommandCatalog~Command
+ * @property {String} name - The full name of the command, for example,
+ *   `system.find`.
+ * @property {String} plugin - The plugin prefix of the command, for example,
+ *   `system`.
+ * @property {Array<CommandCatalog~Parameter>} parameters - The parameters for
+ *   the command, in the order listed.
+ * @property {String} description - The description of the command.
+ * @property {String} usage - The usage text for the command, as listed in
+ *   the `core.help` output.
+ */
+
+/**
+ * Parses the parameters from the usage portion of a line of `core.help`
+ * output. Optional parameters are enclosed in square brackets. A parameter may
+ * include a value placeholder - `target=<>` - which is stripped from the name.
+ * @param {Array<String>} tokens - The usage tokens which follow the command
+ *   name.
+ * @returns {Array<CommandCatalog~Parameter>} The parameters.
+ * @private
+ */
+function parseParameters (tokens) {
+  const parameters = []
+  let alternative = false
+  let lastRequired = null
+  tokens.forEach(function (token) {
+    if (token === '|') {
+      // The required parameter before the separator is an alternative to
+      // the one after it, so neither is required on its own
+      alternative = true
+      if (lastRequired) {
+        lastRequired.optional = true
+      }
+      return
+    }
+    const optional = /^\[.*\]$/.test(token)
+    if (optional) {
+      token = token.substring(1, token.length - 1)
+    }
+    token.split('|').forEach(function (name, index, names) {
+      name = name.replace(/=.*$/, '').replace(/\.\.\.$/, '')
+      if (name && !parameters.some(function (parameter) {
+        return parameter.name === name
+      })) {
+        const parameter = {
+          name,
+          optional: optional || alternative || names.length > 1
+        }
+        if (!parameter.optional) {
+          lastRequired = parameter
+        }
+        parameters.push(parameter)
+      }
+    })
+    alternative = false
+  })
+  return parameters
+}
+
+/**
+ * Parses a line of `core.help` output.
+ * @param {String} line - The line.
+ * @returns {CommandCatalog~Command} The command, `null` if the line does not
+ *   describe a command.
+ * @private
+ */
+function parseCommand (line) {
+  line = line.trim()
+  let usage = line
+  let description = ''
+  const separatorIndex = line.indexOf(DESCRIPTION_SEPARATOR)
+  if (separatorIndex >= 0) {
+    usage = line.substring(0, separatorIndex).trim()
+    description = line.substring(separatorIndex +
+      DESCRIPTION_SEPARATOR.length).trim()
+  }
+  // Brackets may enclose spaces, for example, "[param1 param2]". Collapse
+  // them so that the usage can be split into tokens on whitespace.
+  const tokens = usage.replace(/\[\s*([^\]]*?)\s*\]/g, function (match, inner) {
+    return inner.split(/\s+/).map(function (name) {
+      return '[' + name + ']'
+    }).join(' ')
+  }).split(/\s+/)
+  const name = tokens.shift()
+  const dotIndex = name ? name.indexOf('.') : -1
+  if (dotIndex < 1) {
+    return null
+  }
+  return {
+    name,
+    plugin: name.substring(0, dotIndex),
+    parameters: parseParameters(tokens),
+    description,
+    usage
+  }
+}
+
+/**
+ * @classdesc The remote commands which are supported by an ePO server, parsed
+ * from the output of the `core.help` remote command. Instances are normally
+ * obtained through {@link EpoClient#getCommandCatalog}.
+ * @param {Array<String>} helpLines - The lines of `core.help` output. Lines
+ *   which do not describe a command are ignored.
+ * @constructor
+ */
+function CommandCatalog (helpLines) {
+  const commands = {}
+  helpLines.forEach(function (line) {
+    const command = parseCommand(line)
+    if (command) {
+      commands[command.name] = command
+    }
+  })
+
+  /**
+   * The commands in the catalog, keyed by command name.
+   * @type {Object<String, CommandCatalog~Command>}
+   * @private
+   */
+  this._commands = commands
+}
+
+/**
+ * Returns the names of the commands in the catalog.
+ * @param {String} [plugin] - If specified, only commands with this plugin
+ *   prefix are returned.
+ * @returns {Array<String>} The command names, sorted.
+ */
+CommandCatalog.prototype.getCommandNames = function (plugin) {
+  const commands = this._commands
+  return Object.keys(commands).filter(function (name) {
+    return !plugin || commands[name].plugin === plugin
+  }).sort()
+}
+
+/**
+ * Returns the commands in the catalog.
+ * @param {String} [plugin] - If specified, only commands with this plugin
+ *   prefix are returned.
+ * @returns {Array<CommandCatalog~Command>} The commands, sorted by name.
+ */
+CommandCatalog.prototype.getCommands = function (plugin) {
+  const catalog = this
+  return this.getCommandNames(plugin).map(function (name) {
+    return catalog.getCommand(name)
+  })
+}
+
+/**
+ * Returns the plugin prefixes of the commands in the catalog.
+ * @returns {Array<String>} The plugin prefixes, sorted.
+ */
+CommandCatalog.prototype.getPlugins = function () {
+  const commands = this._commands
+  const plugins = []
+  Object.keys(commands).forEach(function (name) {
+    if (plugins.indexOf(commands[name].plugin) < 0) {
+      plugins.push(commands[name].plugin)
+    }
+  })
+  return plugins.sort()
+}
+
+/**
+ * Returns whether a command is in the catalog.
+ * @param {String} commandName - The name of the command.
+ * @returns {Boolean} `true` if the command is in the catalog.
+ */
+CommandCatalog.prototype.hasCommand = function (commandName) {
+  return Object.prototype.hasOwnProperty.call(this._commands, commandName)
+}
+
+/**
+ * Returns a command in the catalog.
+ * @param {String} commandName - The name of the command.
+ * @returns {CommandCatalog~Command} The command, `null` if the command is not
+ *   in the catalog.
+ */
+CommandCatalog.prototype.getCommand = function (commandName) {
+  if (!this.hasCommand(commandName)) {
+    return null
+  }
+  const command = this._commands[commandName]
+  return Object.assign({}, command, {
+    parameters: command.parameters.map(function (parameter) {
+      return Object.assign({}, parameter)
+    })
+  })
+}
+
+/**
+ * Returns the usage text for a command, in the same form as the `core.help`
+ * output.
+ * @param {String} commandName - The name of the command.
+ * @returns {String} The usage text, `null` if the command is not in the
+ *   catalog.
+ */
+CommandCatalog.prototype.getUsage = function (commandName) {
+  if (!this.hasCommand(commandName)) {
+    return null
+  }
+  const command = this._commands[commandName]
+  let usage = command.usage
+  if (command.description) {
+    usage += DESCRIPTION_SEPARATOR + command.description
+  }
+  return usage
+}
+
+/**
+ * Validates the parameters for a command against the catalog before the
+ * command is sent to the ePO server.
+ * @param {String} commandName - The name of the command.
+ * @param {Object} [params] - An object containing the parameters for the
+ *   command.
+ * @throws {TypeError} If the command is not in the catalog, if any of the
+ *   parameter names are not known for the command, or if any required
+ *   parameters are missing.
+ */
+CommandCatalog.prototype.validateParams = function (commandName, params) {
+  if (!this.hasCommand(commandName)) {
+    throw new TypeError('Unknown ePO remote command: ' + commandName)
+  }
+  params = params || {}
+  const parameters = this._commands[commandName].parameters
+  const names = parameters.map(function (parameter) {
+    return parameter.name
+  })
+  const problems = []
+  const unknown = Object.keys(params).filter(function (name) {
+    return names.indexOf(name) < 0
+  })
+  if (unknown.length) {
+    problems.push('unknown parameters (' + unknown.join(', ') + ')')
+  }
+  const missing = parameters.filter(function (parameter) {
+    return !parameter.optional &&
+      (typeof params[parameter.name] === 'undefined' ||
+        params[parameter.name] === null)
+  }).map(function (parameter) {
+    return parameter.name
+  })
+  if (missing.length) {
+    problems.push('missing required parameters (' + missing.join(', ') + ')')
+  }
+  if (problems.length) {
+    throw new TypeError('Invalid parameters for ePO remote command ' +
+      commandName + ': ' + problems.join('; ') + '. Usage: ' +
+      this.getUsage(commandName))
+  }
+}
+
+module.exports = CommandCatalog
@@ -0,0 +1,76 @@
+'use strict'
+
+/**
+ * @module Csv
+ * @private
+ */
+
+// The separator between records, as specified by RFC 4180
+const RECORD_SEPARATOR = '\r\n'
+
+/**
+ * Formats a value as a CSV field. Fields which contain a comma, a double
+ * quote, a line break or leading or trailing whitespace are enclosed in
+ * double quotes, with any double quotes doubled.
+ * @param {*} value - The value. `null` and `undefined` produce an empty field
+ *   and objects are formatted as JSON.
+ * @returns {String} The field.
+ */
+function formatField (value) {
+  if (typeof value === 'undefined' || value === null) {
+    return ''
+  }
+  if (typeof value === 'object') {
+    value = JSON.stringify(value)
+  } else {
+    value = String(value)
+  }
+  if (/[",\r\n]/.test(value) || value.trim() !== value) {
+    value = '"' + value.replace(/"/g, '""') + '"'
+  }
+  return value
+}
+
+/**
+ * Converts a remote command result into comma-separated values.
+ * @param {*} result - The result, as decoded from the JSON output of the
+ *   remote command. An array of objects produces a header row - containing
+ *   each property name, in the order first seen - followed by a row per
+ *   object. A single object is treated as an array of one object. Any other
+ *   array produces a single `value` column and any other value produces a
+ *   single field.
+ * @returns {String} The comma-separated values.
+ */
+function stringify (result) {
+  if (result !== null && typeof result === 'object' && !Array.isArray(result)) {
+    result = [result]
+  }
+  if (!Array.isArray(result)) {
+    return formatField(result)
+  }
+  const tabular = result.every(function (row) {
+    return row !== null && typeof row === 'object' && !Array.isArray(row)
+  })
+  if (!tabular) {
+    return ['value'].concat(result.map(formatField)).join(RECORD_SEPARATOR)
+  }
+  const columns = []
+  result.forEach(function (row) {
+    Object.keys(row).forEach(function (column) {
+      if (columns.indexOf(column) < 0) {
+        columns.push(column)
+      }
+    })
+  })
+  const records = [columns.map(formatField).join(',')]
+  result.forEach(function (row) {
+    records.push(columns.map(function (column) {
+      return formatField(row[column])
+    }).join(','))
+  })
+  return records.join(RECORD_SEPARATOR)
+}
+
+module.exports = {
+  stringify
+}
@@ -0,0 +1,27 @@
+'use strict'
+
+const inherits = require('inherits')
+const EpoError = require('./epo-error')
+
+/**
+ * @classdesc An error which is delivered when an ePO remote command is
+ * cancelled through the `AbortSignal` supplied for the request.
+ * @param {String} message - The error message.
+ * @param {*} [reason] - The abort reason reported by the `AbortSignal`.
+ * @param {EpoError~Details} [details] - Details of the request which the
+ *   error relates to.
+ * @augments EpoError
+ * @constructor
+ */
+function EpoAbortError (message, reason, details) {
+  EpoError.call(this, message, details)
+  /**
+   * The abort reason reported by the `AbortSignal`, if any.
+   * @name EpoAbortError#reason
+   */
+  this.reason = reason
+}
+
+inherits(EpoAbortError, EpoError)
+
+module.exports = EpoAbortError
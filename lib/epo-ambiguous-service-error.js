@@ -0,0 +1,30 @@
+'use strict'
+
+const inherits = require('inherits')
+const EpoError = require('./epo-error')
+
+/**
+ * @classdesc An error which is delivered when no ePO unique identifier was
+ * supplied to the client and more than one ePO server is exposed to the DXL
+ * fabric, so the client cannot determine which server to use.
+ * @param {String} message - The error message.
+ * @param {Array<String>} epoUniqueIds - The unique identifiers of the ePO
+ *   servers which were found.
+ * @param {EpoError~Details} [details] - Details of the request which the
+ *   error relates to.
+ * @augments EpoError
+ * @constructor
+ */
+function EpoAmbiguousServiceError (message, epoUniqueIds, details) {
+  EpoError.call(this, message, details)
+  /**
+   * The unique identifiers of the ePO servers which were found.
+   * @type {Array<String>}
+   * @name EpoAmbiguousServiceError#epoUniqueIds
+   */
+  this.epoUniqueIds = epoUniqueIds
+}
+
+inherits(EpoAmbiguousServiceError, EpoError)
+
+module.exports = EpoAmbiguousServiceError
@@ -0,0 +1,240 @@
+'use strict'
+
+const EpoClient = require('./epo-client')
+const util = require('./util')
+
+// The default maximum number of ePO servers to run a command on at once
+const DEFAULT_CONCURRENCY = 4
+
+/**
+ * The result of running a remote command on a group of ePO servers.
+ * @typedef {Object} EpoClientGroup~GroupResult
+ * @property {Array<String>} epoUniqueIds - The unique identifiers of the ePO
+ *   servers which the command was run on.
+ * @property {Object<String, *>} results - The remote command output for each
+ *   ePO server on which the command succeeded, keyed by ePO unique
+ *   identifier.
+ * @property {Object<String, Error>} errors - The `Error` object for each ePO
+ *   server on which the command failed, keyed by ePO unique identifier.
+ */
+
+/**
+ * @classdesc Runs ePO remote commands on multiple ePO servers which are
+ * exposed to the Data Exchange Layer (DXL) fabric.
+ *
+ * An {@link EpoClient} can only communicate with a single ePO server. This
+ * group runs the same command on several servers in parallel - by default,
+ * on every ePO server which is currently exposed to the fabric - and reports
+ * the result or failure for each server separately.
+ * @param {external:DxlClient} dxlClient - The DXL client to use for
+ *   communication with the ePO DXL services.
+ * @param {Object} [options] - Additional options for the group.
+ * @param {Array<String>} [options.epoUniqueIds] - The unique identifiers of
+ *   the ePO servers to run commands on. If not specified, the ePO servers
+ *   which are exposed to the fabric are looked up each time a command is run.
+ * @param {Number} [options.concurrency=4] - Maximum number of ePO servers to
+ *   run a command on at once.
+ * @param {Object} [options.clientOptions] - Options to supply when
+ *   constructing the {@link EpoClient} for each ePO server - for example,
+ *   `timeout` and `retry`.
+ * @throws {TypeError} If the `concurrency` is not a positive integer.
+ * @example
+ * const group = new EpoClientGroup(dxlClient, {concurrency: 2})
+ * const groupResult = await group.runCommand('system.find',
+ *   {params: {searchText: 'mySystem'}})
+ * Object.keys(groupResult.errors).forEach(function (epoUniqueId) {
+ *   console.log(epoUniqueId + ' failed: ' +
+ *     groupResult.errors[epoUniqueId].message)
+ * })
+ * @constructor
+ */
+function EpoClientGroup (dxlClient, options) {
+  options = options || {}
+
+  let concurrency = DEFAULT_CONCURRENCY
+  if (typeof options.concurrency !== 'undefined') {
+    concurrency = options.concurrency
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new TypeError('Invalid concurrency: ' + concurrency)
+  }
+
+  /**
+   * The DXL client to use for communication with the ePO DXL services.
+   * @type {external:DxlClient}
+   * @private
+   */
+  this._dxlClient = dxlClient
+
+  /**
+   * The unique identifiers of the ePO servers to run commands on, `null` to
+   * look up the ePO servers each time a command is run.
+   * @type {Array<String>}
+   * @private
+   */
+  this._epoUniqueIds = null
+  if (options.epoUniqueIds) {
+    this._epoUniqueIds = options.epoUniqueIds.slice()
+  }
+
+  /**
+   * Maximum number of ePO servers to run a command on at once.
+   * @type {Number}
+   * @private
+   */
+  this._concurrency = concurrency
+
+  /**
+   * Options to supply when constructing each {@link EpoClient}.
+   * @type {Object}
+   * @private
+   */
+  this._clientOptions = options.clientOptions
+
+  /**
+   * The {@link EpoClient} for each ePO server, keyed by ePO unique identifier.
+   * @type {Object<String, EpoClient>}
+   * @private
+   */
+  this._clients = {}
+}
+
+/**
+ * Returns the {@link EpoClient} which the group uses for an ePO server,
+ * creating it if necessary.
+ * @param {String} epoUniqueId - The unique identifier of the ePO server.
+ * @returns {EpoClient} The client.
+ */
+EpoClientGroup.prototype.getClient = function (epoUniqueId) {
+  let client = this._clients[epoUniqueId]
+  if (!client) {
+    client = new EpoClient(this._dxlClient, epoUniqueId, this._clientOptions)
+    this._clients[epoUniqueId] = client
+  }
+  return client
+}
+
+/**
+ * Invokes an ePO remote command on each ePO server in the group.
+ * @param {String} commandName - The name of the remote command to invoke.
+ * @param {Object} [options] - Additional options to supply for the remote
+ *   command. The `params`, `outputFormat`, `timeout`, `retry`, `signal` and
+ *   `normalize` options are supplied to {@link EpoClient#runCommand} for each
+ *   ePO server.
+ * @param {Function} [options.responseCallback] - Callback function to invoke
+ *   once the command has completed on every ePO server. If the ePO servers
+ *   cannot be looked up, the first parameter supplied to the callback
+ *   contains an `Error` object with failure details. Otherwise, the second
+ *   parameter supplied to the callback is an
+ *   {@link EpoClientGroup~GroupResult} object - a failure on an individual
+ *   ePO server is reported in its `errors` rather than failing the call.
+ *
+ *   If no callback is supplied, a `Promise` is returned instead.
+ * @param {Array<String>} [options.epoUniqueIds] - The unique identifiers of
+ *   the ePO servers to run the command on, overriding the servers for the
+ *   group.
+ * @returns {Promise<EpoClientGroup~GroupResult>|undefined} If no
+ *   `options.responseCallback` is supplied, a `Promise` which is settled with
+ *   the result of the command.
+ */
+EpoClientGroup.prototype.runCommand = function (commandName, options) {
+  const group = this
+
+  options = options || {}
+  const commandOptions = {
+    params: options.params,
+    outputFormat: options.outputFormat,
+    timeout: options.timeout,
+    retry: options.retry,
+    signal: options.signal,
+    normalize: options.normalize
+  }
+
+  return util.callbackOrPromise(options.responseCallback, function (done) {
+    group._getEpoUniqueIds(options.epoUniqueIds,
+      function (error, epoUniqueIds) {
+        if (error) {
+          done(error)
+        } else {
+          group._runOnEach(commandName, commandOptions, epoUniqueIds, done)
+        }
+      })
+  })
+}
+
+/**
+ * Determines the ePO servers to run a command on.
+ * @param {Array<String>} [epoUniqueIds] - The unique identifiers supplied for
+ *   the command, if any.
+ * @param {Function} callback - Callback function to invoke with the unique
+ *   identifiers.
+ * @private
+ */
+EpoClientGroup.prototype._getEpoUniqueIds = function (epoUniqueIds,
+  callback) {
+  epoUniqueIds = epoUniqueIds || this._epoUniqueIds
+  if (epoUniqueIds) {
+    callback(null, epoUniqueIds.slice())
+  } else {
+    EpoClient.lookupEpoUniqueIdentifiers(this._dxlClient, callback)
+  }
+}
+
+/**
+ * Runs a command on each of the supplied ePO servers, running at most the
+ * group's concurrency limit at once.
+ * @param {String} commandName - The name of the remote command to invoke.
+ * @param {Object} commandOptions - Options to supply to
+ *   {@link EpoClient#runCommand}.
+ * @param {Array<String>} epoUniqueIds - The unique identifiers of the ePO
+ *   servers.
+ * @param {Function} callback - Callback function to invoke with the
+ *   {@link EpoClientGroup~GroupResult}.
+ * @private
+ */
+EpoClientGroup.prototype._runOnEach = function (commandName, commandOptions,
+  epoUniqueIds, callback) {
+  const group = this
+  const groupResult = { epoUniqueIds, results: {}, errors: {} }
+  let nextIndex = 0
+  let running = 0
+
+  const runNext = function () {
+    if (nextIndex >= epoUniqueIds.length) {
+      if (!running) {
+        callback(null, groupResult)
+      }
+      return
+    }
+    const epoUniqueId = epoUniqueIds[nextIndex++]
+    const responseCallback = function (error, response) {
+      if (error) {
+        groupResult.errors[epoUniqueId] = error
+      } else {
+        groupResult.results[epoUniqueId] = response
+      }
+      running--
+      runNext()
+    }
+    running++
+    try {
+      group.getClient(epoUniqueId).runCommand(commandName,
+        Object.assign({}, commandOptions, { responseCallback }))
+    } catch (err) {
+      // Invalid command options are reported in the same way as any other
+      // failure on the ePO server
+      process.nextTick(responseCallback, err)
+    }
+  }
+
+  if (epoUniqueIds.length) {
+    const initialCount = Math.min(this._concurrency, epoUniqueIds.length)
+    for (let i = 0; i < initialCount; i++) {
+      runNext()
+    }
+  } else {
+    callback(null, groupResult)
+  }
+}
+
+module.exports = EpoClientGroup
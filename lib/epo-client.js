@@ -7,29 +7,58 @@ const Request = dxl.Request
 const bootstrap = require('@opendxl/dxl-bootstrap')
 const Client = bootstrap.Client
 const MessageUtils = bootstrap.MessageUtils
+const CommandCatalog = require('./command-catalog')
+const csv = require('./csv')
+const EpoAbortError = require('./epo-abort-error')
+const EpoAmbiguousServiceError = require('./epo-ambiguous-service-error')
+const EpoCommandError = require('./epo-command-error')
+const EpoError = require('./epo-error')
+const EpoEventTopic = require('./epo-event-topic')
+const EpoResponseParseError = require('./epo-response-parse-error')
+const EpoServiceNotFoundError = require('./epo-service-not-found-error')
+const EpoServiceType = require('./epo-service-type')
+const EpoTimeoutError = require('./epo-timeout-error')
+const EventSchema = require('./event-schema')
+const EventSubscriptionManager = require('./event-subscription-manager')
+const epoServiceRegistry = require('./epo-service-registry')
 const OutputFormat = require('./output-format')
+const QueryBuilder = require('./query-builder')
+const QueryStream = require('./query-stream')
+const ThreatEvent = require('./threat-event')
+const ThreatEventAggregator = require('./threat-event-aggregator')
+const ThreatEventFilter = require('./threat-event-filter')
+const ThreatEventStream = require('./threat-event-stream')
+const util = require('./util')
 
-// The type of the ePO DXL "remote" service that is registered with the fabric
-const DXL_EPO_REMOTE_SERVICE_TYPE = '/mcafee/service/epo/remote'
+const lookupEpoCommandsServiceUniqueIds =
+  epoServiceRegistry.lookupEpoCommandsServiceUniqueIds
+const lookupEpoRemoteServiceUniqueIds =
+  epoServiceRegistry.lookupEpoRemoteServiceUniqueIds
+const lookupEpoUniqueIdentifiers =
+  epoServiceRegistry.lookupEpoUniqueIdentifiers
 
 // The prefix for ePO DXL "remote" service request topics
-const DXL_EPO_REMOTE_REQUEST_PREFIX = DXL_EPO_REMOTE_SERVICE_TYPE + '/'
-
-// The type of the ePO DXL "commands" service that is registered with the fabric
-const DXL_EPO_COMMANDS_SERVICE_TYPE = '/mcafee/service/epo/commands'
+const DXL_EPO_REMOTE_REQUEST_PREFIX =
+  epoServiceRegistry.DXL_EPO_REMOTE_REQUEST_PREFIX
 
 // The prefix for ePO DXL "commands" service request topics
-const DXL_EPO_COMMANDS_REQUEST_PREFIX = '/mcafee/service/epo/command/'
+const DXL_EPO_COMMANDS_REQUEST_PREFIX =
+  epoServiceRegistry.DXL_EPO_COMMANDS_REQUEST_PREFIX
+
+// The DXL topic for querying the service registry
+const DXL_SERVICE_REGISTRY_QUERY_TOPIC =
+  epoServiceRegistry.DXL_SERVICE_REGISTRY_QUERY_TOPIC
 
 // The prefix which appears before the remote command name in a request to
 // the ePO DXL "commands" service.
 const DXL_EPO_COMMANDS_REQUEST_COMMAND_PREFIX = '/remote/'
 
-// The DXL topic to query for registered ePO service instances
-const DXL_SERVICE_REGISTRY_QUERY_TOPIC = '/mcafee/service/dxl/svcregistry/query'
+// The DXL error code which the fabric delivers when no service is registered
+// for a request topic
+const DXL_SERVICE_UNAVAILABLE_ERROR_CODE = 0x80000001
 
 // The default DXL topic to listen to for ePO threat event messages
-const EPO_THREAT_EVENT_TOPIC = '/mcafee/event/epo/threat/response'
+const EPO_THREAT_EVENT_TOPIC = EpoEventTopic.THREAT_RESPONSE
 
 // The name of the ePO 'help' remote command
 const EPO_HELP_COMMAND = 'core.help'
@@ -37,6 +66,36 @@ const EPO_HELP_COMMAND = 'core.help'
 // JSON output format for ePO remote command
 const OUTPUT_FORMAT_JSON = 'json'
 
+// The name of the parameter through which the ePO output type is requested
+// from the ePO DXL "commands" service
+const COMMANDS_SERVICE_OUTPUT_PARAM = ':output'
+
+// The output formats which ePO produces itself rather than the client decoding
+// them from JSON output
+const EPO_NATIVE_OUTPUT_FORMATS = [OutputFormat.XML, OutputFormat.TERSE,
+  OutputFormat.VERBOSE]
+
+// Pattern which matches the status line which ePO places before the output
+// of a successful remote command
+const EPO_OK_STATUS_PATTERN = /^OK:[ \t]*\r?\n?/
+
+// Pattern which matches an error returned by ePO in place of the output of a
+// remote command, capturing the error code and message
+const EPO_ERROR_PATTERN = /^\s*Error\s+(-?\d+)\s*:\s*([\s\S]*)$/
+
+// The longest timeout, in milliseconds, which a timer supports
+const MAX_TIMEOUT = 2147483647
+
+// The default policy for retrying failed remote commands. By default, a
+// command is only attempted once.
+const DEFAULT_RETRY_POLICY = {
+  attempts: 1,
+  initialDelay: 100,
+  multiplier: 2,
+  maxDelay: 10000,
+  isRetryable: null
+}
+
 /**
  * @classdesc Responsible for all communication with the
  * Data Exchange Layer (DXL) fabric.
@@ -82,13 +141,68 @@ const OUTPUT_FORMAT_JSON = 'json'
  *   communication with the ePO DXL service
  * @param {String} [epoUniqueId] - The unique identifier used to specify the ePO
  *   server that this client will communicate with.
+ * @param {Object} [options] - Additional options for the client.
+ * @param {Number} [options.timeout=0] - Default timeout, in milliseconds, for
+ *   each remote command invocation, up to `2147483647`. A value of `0` means
+ *   that commands never time out. The default can be overridden for an
+ *   individual command via the `timeout` option of
+ *   {@link EpoClient#runCommand}.
+ * @param {Object} [options.retry] - Default policy for retrying failed remote
+ *   commands. The default can be overridden for an individual command via the
+ *   `retry` option of {@link EpoClient#runCommand}.
+ * @param {Number} [options.retry.attempts=1] - Maximum number of times to
+ *   attempt a command, including the first attempt.
+ * @param {Number} [options.retry.initialDelay=100] - Delay, in milliseconds,
+ *   before the first retry.
+ * @param {Number} [options.retry.multiplier=2] - Factor by which the delay is
+ *   multiplied after each retry.
+ * @param {Number} [options.retry.maxDelay=10000] - Upper bound, in
+ *   milliseconds, for the delay between retries.
+ * @param {Function} [options.retry.isRetryable] - Function which is invoked
+ *   with the `Error` from a failed attempt and returns `true` if the command
+ *   should be retried. Defaults to {@link EpoClient.isRetryableError}.
+ * @param {Boolean} [options.normalize=false] - Whether to normalize the
+ *   result of each remote command by default. The default can be overridden
+ *   for an individual command via the `normalize` option of
+ *   {@link EpoClient#runCommand}.
+ * @throws {TypeError} If the `timeout` or `retry` options are not valid.
  * @constructor
  */
-function EpoClient (dxlClient, epoUniqueId) {
+function EpoClient (dxlClient, epoUniqueId, options) {
   const that = this
 
   Client.call(this, dxlClient)
 
+  options = options || {}
+
+  /**
+   * Default timeout, in milliseconds, for each remote command invocation.
+   * @type {Number}
+   * @private
+   */
+  this._timeout = validateTimeout(options.timeout)
+
+  /**
+   * Default policy for retrying failed remote commands.
+   * @type {Object}
+   * @private
+   */
+  this._retryPolicy = createRetryPolicy(DEFAULT_RETRY_POLICY, options.retry)
+
+  /**
+   * Whether to normalize the result of each remote command by default.
+   * @type {Boolean}
+   * @private
+   */
+  this._normalize = !!options.normalize
+
+  /**
+   * The callbacks which have been registered for ePO events.
+   * @type {EventSubscriptionManager}
+   * @private
+   */
+  this._eventSubscriptions = new EventSubscriptionManager(dxlClient)
+
   /**
    * Text string used for displaying the status of an asynchronous attempt
    * to obtain the unique id of an ePO server.
@@ -105,6 +219,14 @@ function EpoClient (dxlClient, epoUniqueId) {
    */
   this._epoUniqueId = epoUniqueId
 
+  /**
+   * Whether or not the ePO unique identifier was supplied during client
+   * construction (as opposed to being determined from the DXL fabric).
+   * @type {Boolean}
+   * @private
+   */
+  this._epoUniqueIdSpecified = !!epoUniqueId
+
   /**
    * Controls whether the built-in ePO "commands" (true) or standalone "remote"
    * service {@link https://github.com/opendxl/opendxl-epo-service-python}
@@ -122,6 +244,21 @@ function EpoClient (dxlClient, epoUniqueId) {
    */
   this._epoServiceDetermined = false
 
+  /**
+   * Command catalogs which have been retrieved, keyed by ePO unique identifier.
+   * @type {Object<String, CommandCatalog>}
+   * @private
+   */
+  this._commandCatalogs = {}
+
+  /**
+   * Callbacks waiting on an in-progress attempt to determine the ePO service.
+   * `null` if no attempt is in progress.
+   * @type {Array<Function>}
+   * @private
+   */
+  this._determineServiceCallbacks = null
+
   /**
    * Determines the ePO service to which commands should be sent the DXL fabric.
    * If an empty `epoUniqueId` was provided during client construction, an
@@ -143,20 +280,34 @@ function EpoClient (dxlClient, epoUniqueId) {
    *     fabric.
    *   * An error occurs when trying to make DXL requests to the broker to
    *     query for available ePO services.
+   *
+   *   If an attempt to determine the service is already in progress, the
+   *   callback is queued and invoked with the result of that attempt rather
+   *   than starting another lookup.
    * @private
    */
   this._determineService = function (callback) {
     const client = this
     const epoUniqueId = client._epoUniqueId
 
+    if (client._determineServiceCallbacks) {
+      client._determineServiceCallbacks.push(callback)
+      return
+    }
+    client._determineServiceCallbacks = [callback]
+
     const setServiceInfoFunction = function (error, useEpoCommandsService) {
+      const callbacks = client._determineServiceCallbacks
+      client._determineServiceCallbacks = null
       if (!error) {
         client._epoServiceDetermined = true
         client._useEpoCommandsService = useEpoCommandsService
       }
-      if (callback) {
-        callback(error)
-      }
+      callbacks.forEach(function (pendingCallback) {
+        if (pendingCallback) {
+          pendingCallback(error)
+        }
+      })
     }
 
     if (epoUniqueId) {
@@ -182,17 +333,20 @@ function EpoClient (dxlClient, epoUniqueId) {
         if (epoUniqueIds) {
           switch (epoUniqueIds.length) {
             case 0:
-              error = new Error(
-                'No ePO DXL services are registered with the DXL fabric')
+              error = new EpoServiceNotFoundError(
+                'No ePO DXL services are registered with the DXL fabric',
+                { requestTopic: DXL_SERVICE_REGISTRY_QUERY_TOPIC })
               break
             case 1:
               that._epoUniqueId = epoUniqueIds[0]
               break
             default:
-              error = new Error(
+              error = new EpoAmbiguousServiceError(
                 'Multiple ePO DXL services are registered with the DXL fabric' +
                 ' (' + epoUniqueIds + ').' +
-                ' A specific ePO unique identifier must be specified.'
+                ' A specific ePO unique identifier must be specified.',
+                epoUniqueIds,
+                { requestTopic: DXL_SERVICE_REGISTRY_QUERY_TOPIC }
               )
           }
         }
@@ -228,8 +382,13 @@ function EpoClient (dxlClient, epoUniqueId) {
                 let idForCommandsService = false
                 if (!error) {
                   if (epoIds.indexOf(epoUniqueId) < 0) {
-                    error = new Error('No ePO DXL services are registered ' +
-                      'with the DXL fabric for id: ' + epoUniqueId)
+                    error = new EpoServiceNotFoundError(
+                      'No ePO DXL services are registered with the DXL ' +
+                      'fabric for id: ' + epoUniqueId,
+                      {
+                        requestTopic: DXL_SERVICE_REGISTRY_QUERY_TOPIC,
+                        epoUniqueId
+                      })
                   } else {
                     idForCommandsService = true
                   }
@@ -269,19 +428,20 @@ function EpoClient (dxlClient, epoUniqueId) {
       this._dxlClient.asyncRequest(request, function (error, response) {
         let responsePayload = null
         if (response) {
-          try {
-            switch (outputFormat) {
-              case OutputFormat.BINARY:
-                responsePayload = response.payload
-                break
-              case OutputFormat.STRING:
-                responsePayload = MessageUtils.decodePayload(response)
-                break
-              default:
-                responsePayload = MessageUtils.jsonPayloadToObject(response)
+          if (outputFormat === OutputFormat.BINARY) {
+            responsePayload = response.payload
+          } else {
+            const text = MessageUtils.decodePayload(response)
+            error = parseEpoError(text, { requestTopic })
+            if (!error) {
+              try {
+                responsePayload = decodeResponseText(text, outputFormat)
+              } catch (err) {
+                error = new EpoResponseParseError(
+                  'Unable to decode ePO response as ' + outputFormat + ': ' +
+                  err.message, { requestTopic, cause: err })
+              }
             }
-          } catch (err) {
-            error = err
           }
         }
         if (callback) {
@@ -290,7 +450,8 @@ function EpoClient (dxlClient, epoUniqueId) {
       })
     } else {
       if (callback) {
-        callback(new Error(this._epoIdSearchStatus))
+        callback(new EpoServiceNotFoundError(this._epoIdSearchStatus,
+          { requestTopic }))
       }
     }
   }
@@ -313,12 +474,15 @@ function EpoClient (dxlClient, epoUniqueId) {
    */
   this._invokeEpoCommandsService = function (commandName, outputFormat,
     params, callback) {
-    this._invokeEpoService(DXL_EPO_COMMANDS_REQUEST_PREFIX +
-      this._epoUniqueId + DXL_EPO_COMMANDS_REQUEST_COMMAND_PREFIX +
-      commandName.replace('.', '/'),
-    params,
-    outputFormat,
-    callback
+    if (EPO_NATIVE_OUTPUT_FORMATS.indexOf(outputFormat) >= 0) {
+      params = Object.assign({}, params)
+      params[COMMANDS_SERVICE_OUTPUT_PARAM] = outputFormat
+    }
+    this._invokeEpoService(
+      commandsServiceRequestTopic(this._epoUniqueId, commandName),
+      params,
+      outputFormat,
+      callback
     )
   }
 
@@ -340,10 +504,10 @@ function EpoClient (dxlClient, epoUniqueId) {
    */
   this._invokeEpoRemoteService = function (commandName, outputFormat, params,
     callback) {
-    this._invokeEpoService(DXL_EPO_REMOTE_REQUEST_PREFIX + this._epoUniqueId,
+    this._invokeEpoService(remoteServiceRequestTopic(this._epoUniqueId),
       {
         command: commandName,
-        output: OUTPUT_FORMAT_JSON,
+        output: epoOutputType(outputFormat),
         params
       },
       outputFormat,
@@ -351,13 +515,159 @@ function EpoClient (dxlClient, epoUniqueId) {
     )
   }
 
+  /**
+   * Invokes a remote command through the ePO DXL service which has been
+   * determined for the client.
+   * @param {String} commandName - The name of the remote command to invoke.
+   * @param {String} outputFormat - The output format for ePO to use when
+   *   returning the response.
+   * @param {Object} params - An object containing the parameters for the
+   *   command.
+   * @param {Function} callback - Callback function to invoke with the result
+   *   of the remote command execution. The third parameter supplied to the
+   *   callback is an {@link EpoClient~ResponseMetadata} object describing the
+   *   service which handled the command.
+   * @private
+   */
   this._runCommand = function (commandName, outputFormat, params, callback) {
+    const metadata = this._getResponseMetadata(commandName)
+    const responseCallback = function (error, result) {
+      callback(toEpoError(error, metadata), result, metadata)
+    }
     if (this._useEpoCommandsService) {
       this._invokeEpoCommandsService(commandName, outputFormat, params,
-        callback)
+        responseCallback)
     } else {
       this._invokeEpoRemoteService(commandName, outputFormat, params,
-        callback)
+        responseCallback)
+    }
+  }
+
+  /**
+   * Describes the ePO DXL service which a remote command would currently be
+   * sent to.
+   * @param {String} commandName - The name of the remote command.
+   * @returns {EpoClient~ResponseMetadata} The service details.
+   * @private
+   */
+  this._getResponseMetadata = function (commandName) {
+    if (this._useEpoCommandsService) {
+      return {
+        serviceType: EpoServiceType.COMMANDS,
+        requestTopic: commandsServiceRequestTopic(this._epoUniqueId,
+          commandName),
+        epoUniqueId: this._epoUniqueId,
+        commandName
+      }
+    }
+    return {
+      serviceType: EpoServiceType.REMOTE,
+      requestTopic: remoteServiceRequestTopic(this._epoUniqueId),
+      epoUniqueId: this._epoUniqueId,
+      commandName
+    }
+  }
+
+  /**
+   * Discards the cached ePO service type - "commands" or "remote" - so that
+   * it is determined again on the next remote command invocation. If the ePO
+   * unique identifier was not supplied during client construction, it is
+   * discarded as well.
+   * @private
+   */
+  this._resetService = function () {
+    this._epoServiceDetermined = false
+    if (!this._epoUniqueIdSpecified) {
+      this._epoUniqueId = null
+      this._epoIdSearchStatus = 'ePO unique identifier not yet determined'
+    }
+  }
+
+  /**
+   * Invokes a remote command, determining the ePO service first if necessary
+   * and retrying failed attempts per the supplied retry policy.
+   * @param {String} commandName - The name of the remote command to invoke.
+   * @param {String} outputFormat - The output format for ePO to use when
+   *   returning the response.
+   * @param {Object} params - An object containing the parameters for the
+   *   command.
+   * @param {Number} timeout - Timeout, in milliseconds, for each attempt.
+   * @param {Object} retryPolicy - Policy for retrying failed attempts.
+   * @param {AbortSignal} [signal] - Signal through which the command can be
+   *   cancelled.
+   * @param {Function} callback - Callback function to invoke with the result
+   *   of the remote command execution. If the command was sent to an ePO DXL
+   *   service, the third parameter supplied to the callback is an
+   *   {@link EpoClient~ResponseMetadata} object for the last attempt.
+   * @private
+   */
+  this._executeCommand = function (commandName, outputFormat, params, timeout,
+    retryPolicy, signal, callback) {
+    const client = this
+    let attempt = 0
+    let retryTimer = null
+    // Details of the request for any timeout or abort error, updated with
+    // the service which each attempt is sent to
+    const details = { commandName }
+
+    const done = settleOnce(details, 0, signal,
+      function (error, result, metadata) {
+        if (retryTimer) {
+          clearTimeout(retryTimer)
+          retryTimer = null
+        }
+        callback(error, result, metadata)
+      })
+
+    const runAttempt = function () {
+      retryTimer = null
+      attempt++
+      const attemptDone = settleOnce(details, timeout, null,
+        function (error, result, metadata) {
+          if (error && isServiceUnavailableError(error)) {
+            // The ePO service which the client was using is no longer
+            // registered with the fabric. Determine the service again
+            // before the next command is sent.
+            client._resetService()
+          }
+          if (error && attempt < retryPolicy.attempts &&
+            !(signal && signal.aborted) && retryPolicy.isRetryable(error)) {
+            retryTimer = setTimeout(runAttempt,
+              retryDelay(retryPolicy, attempt))
+          } else {
+            done(error, result, metadata)
+          }
+        })
+      const sendAttempt = function () {
+        Object.assign(details, client._getResponseMetadata(commandName))
+        client._runCommand(commandName, outputFormat, params, attemptDone)
+      }
+      if (client._epoServiceDetermined) {
+        sendAttempt()
+      } else {
+        client._determineService(function (error) {
+          if (error) {
+            // A registry failure is delivered as-is, but an error for a
+            // missing or ambiguous service carries the command details. The
+            // error is shared by every command which waited for the service
+            // to be determined, so each command fills in a copy.
+            if (error instanceof EpoError) {
+              error = toEpoError(copyError(error), {
+                requestTopic: DXL_SERVICE_REGISTRY_QUERY_TOPIC,
+                commandName,
+                epoUniqueId: client._epoUniqueId
+              })
+            }
+            attemptDone(error)
+          } else {
+            sendAttempt()
+          }
+        })
+      }
+    }
+
+    if (!(signal && signal.aborted)) {
+      runAttempt()
     }
   }
 }
@@ -365,116 +675,339 @@ function EpoClient (dxlClient, epoUniqueId) {
 inherits(EpoClient, Client)
 
 /**
- * Looks up the ePO unique ids for a matching ePO service type.
- * @param {external:DxlClient} dxlClient - The DXL client to use for
- *   communication with the ePO DXL service
- * @param {String} serviceType - The service type to return data for.
- * @param {Function} processServiceCallback - Callback function which is
- *   invoked for each service which is found. The first parameter supplied to
- *   the callback is an array of ePO unique id strings found so far. The
- *   callback can append additional unique ids that it finds in the service info
- *   onto the id array. The second parameter supplied to the callback is an
- *   object containing information for the registered service.
- * @param {Function} doneCallback - Callback function which is invoked with
- *   the result of the unique id lookup. If an error occurs when performing the
- *   lookup, the first parameter supplied to the callback contains an `Error`
- *   object with failure details. On successful execution of the lookup, the
- *   second parameter supplied to the callback is an array of strings whose
- *   values are the ePO unique ids found in the lookup.
+ * Returns the DXL request topic for a remote command on the ePO DXL
+ * "commands" service.
+ * @param {String} epoUniqueId - The unique identifier of the ePO server.
+ * @param {String} commandName - The name of the remote command.
+ * @returns {String} The request topic.
  * @private
  */
-function lookupEpoUniqueIdsForServiceType (dxlClient, serviceType,
-  processServiceCallback,
-  doneCallback) {
-  // Query the DXL broker registry for info on services matching the service
-  // type
-  const request = new Request(DXL_SERVICE_REGISTRY_QUERY_TOPIC)
-  MessageUtils.objectToJsonPayload(request, { serviceType })
-  dxlClient.asyncRequest(request,
-    function (error, response) {
-      let epoIds = null
-      if (response) {
-        try {
-          epoIds = []
-          const responseObj = MessageUtils.jsonPayloadToObject(response)
-          const services = responseObj.services
-          if (services) {
-            Object.keys(services).forEach(
-              function (serviceId) {
-                const epoId = processServiceCallback(epoIds, services[serviceId])
-                if (epoId && epoId.indexOf(epoId) < 0) {
-                  epoIds.push(epoId)
-                }
-              })
-          }
-        } catch (err) {
-          error = err
-        }
+function commandsServiceRequestTopic (epoUniqueId, commandName) {
+  return DXL_EPO_COMMANDS_REQUEST_PREFIX + epoUniqueId +
+    DXL_EPO_COMMANDS_REQUEST_COMMAND_PREFIX + commandName.replace('.', '/')
+}
+
+/**
+ * Returns the DXL request topic for the ePO DXL "remote" service.
+ * @param {String} epoUniqueId - The unique identifier of the ePO server.
+ * @returns {String} The request topic.
+ * @private
+ */
+function remoteServiceRequestTopic (epoUniqueId) {
+  return DXL_EPO_REMOTE_REQUEST_PREFIX + epoUniqueId
+}
+
+/**
+ * Returns the output format in which to decode the response to a remote
+ * command which is to be normalized. The `object` and `csv` formats are
+ * decoded as a `string` so that {@link normalizeResult} can remove any status
+ * line before decoding the JSON.
+ * @param {String} outputFormat - The output format requested by the caller.
+ * @returns {String} The output format to decode the response in.
+ * @private
+ */
+function normalizedResponseFormat (outputFormat) {
+  if (outputFormat === OutputFormat.OBJECT ||
+    outputFormat === OutputFormat.CSV) {
+    return OutputFormat.STRING
+  }
+  return outputFormat
+}
+
+/**
+ * Decodes JSON text returned by a remote command. The text may be preceded by
+ * the `OK:` status line from the ePO remote command API, and the JSON may
+ * itself be a string which contains JSON.
+ * @param {String} text - The text.
+ * @returns {*} The decoded value, or the text without the status line if it
+ *   does not contain JSON.
+ * @private
+ */
+function decodeJsonText (text) {
+  text = text.replace(EPO_OK_STATUS_PATTERN, '')
+  let value
+  try {
+    value = JSON.parse(text)
+  } catch (err) {
+    return text.trim()
+  }
+  if (typeof value === 'string' && value !== text) {
+    return decodeJsonText(value)
+  }
+  return value
+}
+
+/**
+ * Normalizes the output of a remote command so that it has the same structure
+ * whichever ePO DXL service returned it.
+ * @param {*} result - The output of the remote command, decoded in the format
+ *   returned by {@link normalizedResponseFormat}.
+ * @param {String} outputFormat - The output format requested by the caller.
+ * @returns {*} The normalized output.
+ * @private
+ */
+function normalizeResult (result, outputFormat) {
+  if (typeof result !== 'string') {
+    return result
+  }
+  switch (outputFormat) {
+    case OutputFormat.OBJECT:
+      return decodeJsonText(result)
+    case OutputFormat.CSV:
+      return csv.stringify(decodeJsonText(result))
+    default:
+      return result.replace(EPO_OK_STATUS_PATTERN, '')
+  }
+}
+
+/**
+ * Decodes the text of a response to a remote command in an output format.
+ * @param {String} text - The text of the response.
+ * @param {String} outputFormat - The output format.
+ * @returns {*} The decoded response.
+ * @throws {Error} If the text cannot be decoded in the output format.
+ * @private
+ */
+function decodeResponseText (text, outputFormat) {
+  switch (outputFormat) {
+    case OutputFormat.STRING:
+    case OutputFormat.XML:
+    case OutputFormat.TERSE:
+    case OutputFormat.VERBOSE:
+      return text
+    case OutputFormat.CSV:
+      return csv.stringify(MessageUtils.jsonToObject(text))
+    default:
+      return MessageUtils.jsonToObject(text)
+  }
+}
+
+/**
+ * Creates an {@link EpoCommandError} from text returned by ePO, if the text
+ * is an ePO error.
+ * @param {String} text - The text, for example, the payload of a response or
+ *   the message from a DXL error response.
+ * @param {EpoError~Details} details - Details of the request.
+ * @param {Boolean} [always=false] - Whether to create an error even if the
+ *   text is not in the form of an ePO error.
+ * @returns {EpoCommandError} The error, `null` if the text is not an ePO
+ *   error and `always` is not set.
+ * @private
+ */
+function parseEpoError (text, details, always) {
+  text = text || ''
+  const match = EPO_ERROR_PATTERN.exec(text)
+  if (match) {
+    return new EpoCommandError(text.trim(), parseInt(match[1], 10),
+      match[2].trim(), details)
+  }
+  if (always) {
+    return new EpoCommandError(text, null, text, details)
+  }
+  return null
+}
+
+/**
+ * Copies an error, so that details can be added to the copy without changing
+ * the original.
+ * @param {Error} error - The error.
+ * @returns {Error} The copy, which has the same prototype, properties and
+ *   stack trace as the original.
+ * @private
+ */
+function copyError (error) {
+  const copy = Object.assign(Object.create(Object.getPrototypeOf(error)),
+    error)
+  Object.defineProperty(copy, 'stack', {
+    value: error.stack,
+    writable: true,
+    configurable: true
+  })
+  return copy
+}
+
+/**
+ * Converts an error from a remote command invocation into an
+ * {@link EpoError}, filling in any details of the request which the error
+ * does not already carry. DXL error responses are delivered as an
+ * {@link EpoServiceNotFoundError} if the fabric reported that no service is
+ * registered for the request topic, else as an {@link EpoCommandError}. Other
+ * errors - for example, a failure to send the request - are returned as-is.
+ * @param {Error} error - The error, if any.
+ * @param {EpoClient~ResponseMetadata} metadata - Details of the request.
+ * @returns {Error} The converted error, `null` if no error was supplied.
+ * @private
+ */
+function toEpoError (error, metadata) {
+  if (!error) {
+    return null
+  }
+  const details = {
+    requestTopic: metadata.requestTopic,
+    commandName: metadata.commandName,
+    epoUniqueId: metadata.epoUniqueId,
+    cause: error
+  }
+  if (error instanceof EpoError) {
+    ['requestTopic', 'commandName', 'epoUniqueId'].forEach(function (name) {
+      if (!error[name]) {
+        error[name] = details[name]
       }
-      doneCallback(error, epoIds)
     })
+    return error
+  }
+  if (error instanceof dxl.MessageError) {
+    if ((error.code >>> 0) === DXL_SERVICE_UNAVAILABLE_ERROR_CODE) {
+      return new EpoServiceNotFoundError(error.message, details)
+    }
+    return parseEpoError(error.message, details, true)
+  }
+  return error
 }
 
 /**
- * Looks up the unique identifiers for the ePO servers that are currently
- * exposed to the DXL fabric via an ePO "commands" service. "commands" services
- * are registered by version 5.0 and later of the ePO DXL extensions.
- * @param {external:DxlClient} dxlClient - The DXL client to use for
- *   communication with the ePO DXL service
- * @param {Function} callback - Callback function which is invoked with the
- *   result of the unique id lookup. If an error occurs when performing the
- *   lookup, the first parameter supplied to the callback contains an `Error`
- *   object with failure details. On successful execution of the lookup, the
- *   second parameter supplied to the callback is an array of strings whose
- *   values are the ePO unique ids found in the lookup.
+ * Returns the output type to request from ePO for an output format.
+ * @param {String} outputFormat - The output format.
+ * @returns {String} The ePO output type - the output format itself for the
+ *   formats which ePO produces, else `json`.
  * @private
  */
-function lookupEpoCommandsServiceUniqueIds (dxlClient, callback) {
-  lookupEpoUniqueIdsForServiceType(dxlClient,
-    DXL_EPO_COMMANDS_SERVICE_TYPE,
-    function (epoIds, service) {
-      if (service.metaData && service.metaData.epoGuid) {
-        const epoId = service.metaData.epoGuid
-        if (epoIds.indexOf(epoId) < 0) {
-          epoIds.push(epoId)
-        }
-      }
-    },
-    callback)
+function epoOutputType (outputFormat) {
+  if (EPO_NATIVE_OUTPUT_FORMATS.indexOf(outputFormat) >= 0) {
+    return outputFormat
+  }
+  return OUTPUT_FORMAT_JSON
 }
 
 /**
- * Looks up the unique identifiers for the ePO servers that are currently
- * exposed to the DXL fabric via an ePO "remote" service. "remote" services are
- * registered by the standalone
- * [ePO DXL Python Service](https://github.com/opendxl/opendxl-epo-service-python).
- * @param {external:DxlClient} dxlClient - The DXL client to use for
- *   communication with the ePO DXL service
- * @param {Function} callback - Callback function which is invoked with the
- *   result of the unique id lookup. If an error occurs when performing the
- *   lookup, the first parameter supplied to the callback contains an `Error`
- *   object with failure details. On successful execution of the lookup, the
- *   second parameter supplied to the callback is an array of strings whose
- *   values are the ePO unique ids found in the lookup.
+ * Validates a timeout option.
+ * @param {Number} [timeout] - Timeout, in milliseconds.
+ * @returns {Number} The timeout, `0` if no timeout was specified.
+ * @throws {TypeError} If the `timeout` is not a number from `0` to
+ *   `2147483647` - the longest delay which a timer supports.
  * @private
  */
-function lookupEpoRemoteServiceUniqueIds (dxlClient, callback) {
-  lookupEpoUniqueIdsForServiceType(dxlClient,
-    DXL_EPO_REMOTE_SERVICE_TYPE,
-    function (epoIds, service) {
-      const requestChannels = service.requestChannels
-      if (requestChannels) {
-        requestChannels.forEach(function (channel) {
-          if (channel.startsWith(DXL_EPO_REMOTE_REQUEST_PREFIX)) {
-            const epoId = channel.substring(DXL_EPO_REMOTE_REQUEST_PREFIX.length)
-            if (epoIds.indexOf(epoId) < 0) {
-              epoIds.push(epoId)
-            }
-          }
-        })
+function validateTimeout (timeout) {
+  if (typeof timeout === 'undefined' || timeout === null) {
+    return 0
+  }
+  if (typeof timeout !== 'number' || isNaN(timeout) || timeout < 0 ||
+    timeout > MAX_TIMEOUT) {
+    throw new TypeError('Invalid timeout: ' + timeout)
+  }
+  return timeout
+}
+
+/**
+ * Creates a retry policy by applying the supplied options over a base policy.
+ * @param {Object} basePolicy - The policy whose values are used for any
+ *   options which are not supplied.
+ * @param {Object} [options] - Retry options. See the `retry` option for the
+ *   {@link EpoClient} constructor.
+ * @returns {Object} The retry policy.
+ * @throws {TypeError} If any of the options are not valid.
+ * @private
+ */
+function createRetryPolicy (basePolicy, options) {
+  const policy = Object.assign({}, basePolicy, options)
+  if (!Number.isInteger(policy.attempts) || policy.attempts < 1) {
+    throw new TypeError('Invalid retry attempts: ' + policy.attempts)
+  }
+  const delayOptions = ['initialDelay', 'multiplier', 'maxDelay']
+  delayOptions.forEach(function (name) {
+    const value = policy[name]
+    if (typeof value !== 'number' || isNaN(value) || value < 0) {
+      throw new TypeError('Invalid retry ' + name + ': ' + value)
+    }
+  })
+  if (!policy.isRetryable) {
+    policy.isRetryable = EpoClient.isRetryableError
+  } else if (typeof policy.isRetryable !== 'function') {
+    throw new TypeError('Retry isRetryable must be a function')
+  }
+  return policy
+}
+
+/**
+ * Computes the delay before the next attempt of a remote command.
+ * @param {Object} retryPolicy - The retry policy.
+ * @param {Number} attempt - The number of attempts made so far.
+ * @returns {Number} The delay, in milliseconds.
+ * @private
+ */
+function retryDelay (retryPolicy, attempt) {
+  return Math.min(retryPolicy.maxDelay, retryPolicy.initialDelay *
+    Math.pow(retryPolicy.multiplier, attempt - 1))
+}
+
+/**
+ * Determines whether the supplied error was delivered by the DXL fabric
+ * because no service is registered for the request topic.
+ * @param {Error} error - The error - either the DXL `MessageError` or an
+ *   {@link EpoServiceNotFoundError} which wraps it.
+ * @returns {Boolean} `true` if no service is registered for the request topic.
+ * @private
+ */
+function isServiceUnavailableError (error) {
+  if (error instanceof EpoServiceNotFoundError) {
+    error = error.cause
+  }
+  return error instanceof dxl.MessageError &&
+    (error.code >>> 0) === DXL_SERVICE_UNAVAILABLE_ERROR_CODE
+}
+
+/**
+ * Wraps a callback so that it is invoked at most once for a remote command.
+ * The wrapped callback is invoked with an {@link EpoTimeoutError} if the
+ * `timeout` elapses, or with an {@link EpoAbortError} if the `signal` is
+ * aborted, before a result is delivered. Any result delivered after that point
+ * is ignored.
+ * @param {EpoError~Details} details - Details of the request, including the
+ *   name of the remote command, for any error which is delivered.
+ * @param {Number} timeout - Timeout, in milliseconds. `0` for no timeout.
+ * @param {AbortSignal} [signal] - Signal through which the command can be
+ *   cancelled.
+ * @param {Function} callback - Callback function to wrap.
+ * @returns {Function} The wrapped callback.
+ * @private
+ */
+function settleOnce (details, timeout, signal, callback) {
+  let settled = false
+  let timer = null
+
+  const settle = function (error, result, metadata) {
+    if (!settled) {
+      settled = true
+      if (timer) {
+        clearTimeout(timer)
       }
-    },
-    callback)
+      if (signal) {
+        signal.removeEventListener('abort', onAbort)
+      }
+      callback(error, result, metadata)
+    }
+  }
+
+  const onAbort = function () {
+    settle(new EpoAbortError('ePO remote command aborted: ' +
+      details.commandName, signal.reason, details))
+  }
+
+  if (timeout) {
+    timer = setTimeout(function () {
+      settle(new EpoTimeoutError('ePO remote command timed out after ' +
+        timeout + ' ms: ' + details.commandName, timeout, details))
+    }, timeout)
+  }
+  if (signal) {
+    if (signal.aborted) {
+      process.nextTick(onAbort)
+    } else {
+      signal.addEventListener('abort', onAbort)
+    }
+  }
+
+  return settle
 }
 
 /**
@@ -482,63 +1015,399 @@ function lookupEpoRemoteServiceUniqueIds (dxlClient, callback) {
  * servers that are currently exposed to the DXL fabric.
  * @param {external:DxlClient} dxlClient - The DXL client with which to perform
  *   the request
- * @param {Function} callback - Callback function to invoke with the unique
+ * @param {Function} [callback] - Callback function to invoke with the unique
  *   identifiers which are found. If an error occurs when performing the lookup,
  *   the first parameter supplied to the callback contains an `Error` object
  *   with failure details. On successful lookup, the array of unique identifier
- *   strings is provided as the second parameter to the callback and the
- *   third parameter to the callback is a boolean representing whether a
- *   "commands" (`true`) or a "remote" (`false`) should be used. If at least
- *   one "remote" service is available, a "remote" service should be used.
+ *   strings is provided as the second parameter to the callback.
+ * @returns {Promise<Array<String>>|undefined} If no `callback` is supplied, a
+ *   `Promise` which is resolved with the array of unique identifier strings
+ *   or rejected with an `Error` object if the lookup fails.
+ * @example <caption>Example Usage (Promise)</caption>
+ * const epoIds = await EpoClient.lookupEpoUniqueIdentifiers(dxlClient)
+ */
+EpoClient.lookupEpoUniqueIdentifiers = function (dxlClient, callback) {
+  return util.callbackOrPromise(callback, function (done) {
+    lookupEpoUniqueIdentifiers(dxlClient,
+      function (error, epoIds) {
+        done(error, epoIds)
+      })
+  })
+}
+
+/**
+ * Converts a value which identifies one or more systems by name into the
+ * comma-separated list expected by ePO remote commands.
+ * @param {(String|Array<String>)} names - A system name, comma-separated list
+ *   of names, or array of names.
+ * @param {String} paramName - The name of the command parameter, for error
+ *   messages.
+ * @returns {String} The comma-separated list of names.
+ * @throws {TypeError} If no names are supplied or any name is not a non-empty
+ *   string.
  * @private
  */
-function lookupEpoUniqueIdentifiers (dxlClient, callback) {
-  lookupEpoRemoteServiceUniqueIds(dxlClient,
-    function (error, epoRemoteServiceIds) {
-      if (epoRemoteServiceIds) {
-        lookupEpoCommandsServiceUniqueIds(dxlClient,
-          function (error, epoServiceIds) {
-            if (epoServiceIds) {
-              epoRemoteServiceIds.forEach(function (serviceId) {
-                if (epoServiceIds.indexOf(serviceId) < 0) {
-                  epoServiceIds.push(serviceId)
-                }
-              })
-              epoServiceIds.sort()
-              callback(error, epoServiceIds, !epoRemoteServiceIds.length)
-            } else {
-              callback(error)
-            }
-          })
+function toNameList (names, paramName) {
+  if (!Array.isArray(names)) {
+    names = [names]
+  }
+  if (!names.length || !names.every(function (name) {
+    return typeof name === 'string' && name.trim().length > 0
+  })) {
+    throw new TypeError('Invalid ' + paramName + ': ' + names)
+  }
+  return names.map(function (name) {
+    return name.trim()
+  }).join(',')
+}
+
+/**
+ * Converts a value which identifies one or more ePO objects by numeric id into
+ * the comma-separated list expected by ePO remote commands.
+ * @param {(Number|String|Array<(Number|String)>)} ids - An id, comma-separated
+ *   list of ids, or array of ids.
+ * @param {String} paramName - The name of the command parameter, for error
+ *   messages.
+ * @returns {String} The comma-separated list of ids.
+ * @throws {TypeError} If no ids are supplied or any id is not an integer.
+ * @private
+ */
+function toIdList (ids, paramName) {
+  if (typeof ids === 'string') {
+    ids = ids.split(',')
+  } else if (!Array.isArray(ids)) {
+    ids = [ids]
+  }
+  ids = ids.map(function (id) {
+    return typeof id === 'string' ? id.trim() : id
+  })
+  if (!ids.length || !ids.every(function (id) {
+    return /^-?\d+$/.test(String(id))
+  })) {
+    throw new TypeError('Invalid ' + paramName + ': ' + ids)
+  }
+  return ids.join(',')
+}
+
+/**
+ * Validates that a command parameter is a non-empty string or an integer, as
+ * is the case for ePO product, task and object identifiers.
+ * @param {(String|Number)} value - The parameter value.
+ * @param {String} paramName - The name of the command parameter, for error
+ *   messages.
+ * @returns {(String|Number)} The parameter value.
+ * @throws {TypeError} If the value is not valid.
+ * @private
+ */
+function requireParam (value, paramName) {
+  if (!(typeof value === 'string' && value.trim().length) &&
+    !Number.isInteger(value)) {
+    throw new TypeError('Invalid ' + paramName + ': ' + value)
+  }
+  return value
+}
+
+/**
+ * Copies optional command parameters from the options supplied to one of the
+ * command helper methods, validating their types.
+ * @param {Object} params - The parameters for the command, which the optional
+ *   parameters are copied onto.
+ * @param {Object} options - The options supplied to the helper method.
+ * @param {Object<String, String>} paramTypes - The type - `boolean` or
+ *   `number` - of each optional parameter, keyed by parameter name.
+ * @returns {Object} The parameters for the command.
+ * @throws {TypeError} If any of the optional parameters has the wrong type.
+ * @private
+ */
+function copyOptionalParams (params, options, paramTypes) {
+  Object.keys(paramTypes).forEach(function (paramName) {
+    const value = options[paramName]
+    const valueType = paramTypes[paramName]
+    if (typeof value !== 'undefined' && value !== null) {
+      if ((valueType === 'boolean' && typeof value !== 'boolean') ||
+        (valueType === 'number' &&
+          (typeof value !== 'number' || isNaN(value)))) {
+        throw new TypeError('Invalid ' + paramName + ': ' + value)
+      }
+      params[paramName] = value
+    }
+  })
+  return params
+}
+
+/**
+ * Normalizes the output of an ePO remote command which returns a list of
+ * objects, such as `system.find`, into an array.
+ * @param {*} response - The remote command output.
+ * @returns {Array<Object>} The objects.
+ * @private
+ */
+function toResultArray (response) {
+  if (response === null || typeof response === 'undefined' ||
+    response === '') {
+    return []
+  }
+  return Array.isArray(response) ? response : [response]
+}
+
+/**
+ * Normalizes the output of an ePO remote command which returns a count of
+ * the systems it acted on, such as `system.applyTag`.
+ * @param {*} response - The remote command output.
+ * @returns {Number} The count, `NaN` if the output is not numeric.
+ * @private
+ */
+function toResultCount (response) {
+  return typeof response === 'number' ? response : Number(response)
+}
+
+/**
+ * Normalizes the output of the `system.wakeupAgent` remote command, which is
+ * text of the form "completed: 1\nfailed: 0\nexpired: 0".
+ * @param {*} response - The remote command output.
+ * @returns {EpoClient~WakeupAgentResult} The normalized result.
+ * @private
+ */
+function toWakeupAgentResult (response) {
+  const result = { completed: 0, failed: 0, expired: 0, message: '' }
+  if (response && typeof response === 'object') {
+    Object.keys(result).forEach(function (key) {
+      if (typeof response[key] === 'undefined') {
+        return
+      }
+      if (key === 'message') {
+        result[key] = String(response[key])
       } else {
-        callback(error)
+        result[key] = Number(response[key])
       }
+    })
+  } else if (response !== null && typeof response !== 'undefined') {
+    result.message = String(response).trim()
+    const countPattern = /(completed|failed|expired)\s*:\s*(\d+)/gi
+    let match
+    while ((match = countPattern.exec(result.message)) !== null) {
+      result[match[1].toLowerCase()] = Number(match[2])
     }
-  )
+  }
+  return result
 }
 
 /**
- * Retrieves an array of strings containing the unique identifiers for the ePO
- * servers that are currently exposed to the DXL fabric.
+ * Normalizes the output of an ePO remote command which returns a status
+ * message, such as `clienttask.run`.
+ * @param {*} response - The remote command output.
+ * @returns {String} The status message.
+ * @private
+ */
+function toResultMessage (response) {
+  if (response === null || typeof response === 'undefined') {
+    return ''
+  }
+  if (typeof response === 'string') {
+    return response.trim()
+  }
+  return MessageUtils.objectToJson(response)
+}
+
+/**
+ * Checks that the output of the `core.help` remote command is an array of
+ * help lines.
+ * @param {*} response - The remote command output, decoded from JSON.
+ * @param {String} epoUniqueId - The unique identifier of the ePO server.
+ * @returns {EpoResponseParseError} The error to deliver, `null` if the output
+ *   is an array.
+ * @private
+ */
+function checkHelpLines (response, epoUniqueId) {
+  if (Array.isArray(response)) {
+    return null
+  }
+  return new EpoResponseParseError('Unable to decode ePO response to ' +
+    EPO_HELP_COMMAND + ': expected an array of help lines',
+  { commandName: EPO_HELP_COMMAND, epoUniqueId })
+}
+
+/**
+ * Runs a remote command on behalf of one of the command helper methods.
+ * @param {EpoClient} client - The client.
+ * @param {String} commandName - The name of the remote command to invoke.
+ * @param {Object} params - An object containing the parameters for the
+ *   command.
+ * @param {Object} options - The options supplied to the helper method. The
+ *   `timeout`, `retry` and `signal` options are passed through to
+ *   {@link EpoClient#runCommand}.
+ * @param {Function} normalize - Function which converts the remote command
+ *   output, decoded from JSON, into the result delivered by the helper
+ *   method.
+ * @param {Function} [responseCallback] - Callback function supplied to the
+ *   helper method.
+ * @returns {Promise|undefined} If no `responseCallback` is supplied, a
+ *   `Promise` which is settled with the result of the command.
+ * @private
+ */
+function runHelperCommand (client, commandName, params, options, normalize,
+  responseCallback) {
+  return util.callbackOrPromise(responseCallback, function (done) {
+    client.runCommand(commandName, {
+      params,
+      timeout: options.timeout,
+      retry: options.retry,
+      signal: options.signal,
+      normalize: false,
+      responseCallback: function (error, response) {
+        done(error, error ? null : normalize(response))
+      }
+    })
+  })
+}
+
+/**
+ * Splits the optional `options` and `responseCallback` arguments supplied to
+ * one of the command helper methods.
+ * @param {(Object|Function)} [options] - The options argument.
+ * @param {Function} [responseCallback] - The callback argument.
+ * @returns {Array} The options object and callback function.
+ * @private
+ */
+function helperArguments (options, responseCallback) {
+  if (typeof options === 'function') {
+    return [{}, options]
+  }
+  return [options || {}, responseCallback]
+}
+
+/**
+ * Runs one of the `find` remote commands which take an optional search text
+ * and return a list of objects.
+ * @param {EpoClient} client - The client.
+ * @param {String} commandName - The name of the remote command to invoke.
+ * @param {String} [searchText] - The text to search for.
+ * @param {(Object|Function)} [options] - The options argument supplied to
+ *   the helper method.
+ * @param {Function} [responseCallback] - The callback argument supplied to
+ *   the helper method.
+ * @returns {Promise|undefined} If no `responseCallback` is supplied, a
+ *   `Promise` which is settled with the result of the command.
+ * @throws {TypeError} If the `searchText` is not a string.
+ * @private
+ */
+function runFindCommand (client, commandName, searchText, options,
+  responseCallback) {
+  if (typeof searchText === 'function') {
+    responseCallback = searchText
+    searchText = null
+    options = null
+  }
+  const args = helperArguments(options, responseCallback)
+  const params = {}
+  if (typeof searchText !== 'undefined' && searchText !== null) {
+    if (typeof searchText !== 'string') {
+      throw new TypeError('Invalid searchText: ' + searchText)
+    }
+    params.searchText = searchText
+  }
+  return runHelperCommand(client, commandName, params, args[0],
+    toResultArray, args[1])
+}
+
+/**
+ * Information about an ePO DXL service which exposes an ePO server, as
+ * returned by the DXL service registry.
+ * @typedef {Object} EpoClient~EpoServiceDescriptor
+ * @property {String} serviceId - The identifier of the registered service.
+ * @property {String} serviceType - The type of the service. See the
+ *   [EpoServiceType]{@link module:EpoServiceType} constants module.
+ * @property {String} brokerGuid - The identifier of the broker which the
+ *   service is registered with, `null` if not reported.
+ * @property {String} clientGuid - The identifier of the DXL client which
+ *   registered the service, `null` if not reported.
+ * @property {Array<String>} requestTopics - The request topics of the service
+ *   which apply to the ePO server.
+ * @property {Object} metaData - The metadata registered for the service.
+ * @property {Number} ttlMins - The time-to-live, in minutes, of the service
+ *   registration, `null` if not reported.
+ */
+
+/**
+ * Information about an ePO server which is exposed to the DXL fabric.
+ * @typedef {Object} EpoClient~EpoServerDescriptor
+ * @property {String} epoUniqueId - The unique identifier of the ePO server.
+ * @property {Array<String>} serviceTypes - The types of the ePO DXL services
+ *   through which the ePO server is exposed, sorted. See the
+ *   [EpoServiceType]{@link module:EpoServiceType} constants module.
+ * @property {String} selectedServiceType - The type of the ePO DXL service
+ *   which an {@link EpoClient} for this ePO server sends commands to. A
+ *   "remote" service is used in preference to a "commands" service.
+ * @property {Array<String>} requestTopics - The request topics of all of the
+ *   services which apply to the ePO server.
+ * @property {Array<String>} brokerGuids - The identifiers of the brokers which
+ *   the services are registered with.
+ * @property {Object} metaData - The metadata registered for the services,
+ *   merged into one object.
+ * @property {Array<EpoClient~EpoServiceDescriptor>} services - The
+ *   individual services which expose the ePO server.
+ */
+
+/**
+ * Retrieves descriptors for the ePO servers which are currently exposed to the
+ * DXL fabric. Unlike {@link EpoClient.lookupEpoUniqueIdentifiers}, each
+ * descriptor includes the details of the registered services, which can help
+ * explain which service a client picks for an ePO server or why a client
+ * constructed without a unique identifier reports that multiple ePO DXL
+ * services are registered.
  * @param {external:DxlClient} dxlClient - The DXL client with which to perform
  *   the request
- * @param {Function} callback - Callback function to invoke with the unique
- *   identifiers which are found. If an error occurs when performing the lookup,
+ * @param {Function} [callback] - Callback function to invoke with the
+ *   descriptors which are found. If an error occurs when performing the lookup,
  *   the first parameter supplied to the callback contains an `Error` object
- *   with failure details. On successful lookup, the array of unique identifier
- *   strings is provided as the second parameter to the callback.
+ *   with failure details. On successful lookup, an array of
+ *   {@link EpoClient~EpoServerDescriptor} objects, sorted by unique identifier,
+ *   is provided as the second parameter to the callback.
+ * @returns {Promise<Array<EpoClient~EpoServerDescriptor>>|undefined} If no
+ *   `callback` is supplied, a `Promise` which is resolved with the descriptors
+ *   or rejected with an `Error` object if the lookup fails.
+ * @example
+ * const epoServers = await EpoClient.discoverEpoServers(dxlClient)
+ * epoServers.forEach(function (epoServer) {
+ *   console.log(epoServer.epoUniqueId + ' -> ' +
+ *     epoServer.selectedServiceType)
+ * })
  */
-EpoClient.lookupEpoUniqueIdentifiers = function (dxlClient, callback) {
-  lookupEpoUniqueIdentifiers(dxlClient,
-    function (error, epoIds) {
-      callback(error, epoIds)
-    })
+EpoClient.discoverEpoServers = function (dxlClient, callback) {
+  return util.callbackOrPromise(callback, function (done) {
+    epoServiceRegistry.discoverEpoServers(dxlClient, done)
+  })
+}
+
+/**
+ * Default test for whether a failed remote command should be retried. A
+ * command is retried if it timed out (see {@link EpoTimeoutError}) or if the
+ * DXL fabric reported that no service is registered for the request topic -
+ * for example, because the ePO server is re-registering its service or has
+ * moved between the "remote" and "commands" services.
+ *
+ * This function can be used to extend the default behavior in a custom
+ * `isRetryable` function supplied as part of a retry policy.
+ * @param {Error} error - The error from the failed attempt.
+ * @returns {Boolean} `true` if the command should be retried.
+ * @example
+ * const epoClient = new EpoClient(dxlClient, null, {
+ *   retry: {
+ *     attempts: 3,
+ *     isRetryable: function (error) {
+ *       return EpoClient.isRetryableError(error) || isTransient(error)
+ *     }
+ *   }
+ * })
+ */
+EpoClient.isRetryableError = function (error) {
+  return error instanceof EpoTimeoutError || isServiceUnavailableError(error)
 }
 
 /**
  * Returns the list of remote commands that are supported by the ePO server
  * this client is communicating with.
- * @param {Function} responseCallback - Callback function to invoke with the
+ * @param {Function} [responseCallback] - Callback function to invoke with the
  *   remote commands which are found. If an error occurs when performing the
  *   command, the first parameter supplied to the callback contains an `Error`
  *   object with failure details. On successful execution of the command, the
@@ -556,6 +1425,9 @@ EpoClient.lookupEpoUniqueIdentifiers = function (dxlClient, callback) {
  *     fabric.
  *   * An error occurs when trying to make DXL requests to the broker to
  *     query for available ePO services.
+ * @returns {Promise<String>|undefined} If no `responseCallback` is supplied,
+ *   a `Promise` which is resolved with the help text or rejected with an
+ *   `Error` object if the command fails.
  * @example <caption>Example Usage</caption>
  * epoClient.help(function (helpError, helpText) {
  *   if (helpError) {
@@ -564,6 +1436,8 @@ EpoClient.lookupEpoUniqueIdentifiers = function (dxlClient, callback) {
  *     console.log(helpText)
  *   }
  * })
+ * @example <caption>Example Usage (Promise)</caption>
+ * const helpText = await epoClient.help()
  * @example <caption>Example Response Text</caption>
  * ComputerMgmt.createAgentDeploymentUrlCmd deployPath groupId [edit] [ahId]
  * [fallBackAhId] [urlName] [agentVersionNumber] [agentHotFix] - Create Agent
@@ -577,19 +1451,102 @@ EpoClient.lookupEpoUniqueIdentifiers = function (dxlClient, callback) {
  * ComputerMgmt.deleteTag tagIds [forceDelete] - Delete one or more tags.
  */
 EpoClient.prototype.help = function (responseCallback) {
-  if (responseCallback) {
-    this.runCommand(EPO_HELP_COMMAND,
+  const client = this
+  return util.callbackOrPromise(responseCallback, function (done) {
+    client.runCommand(EPO_HELP_COMMAND,
       {
         responseCallback: function (error, response) {
-          responseCallback(error, response ? response.join(os.EOL) : null)
+          if (!error) {
+            error = checkHelpLines(response, client._epoUniqueId)
+          }
+          done(error, error ? null : response.join(os.EOL))
         },
-        outputFormat: OutputFormat.OBJECT
+        outputFormat: OutputFormat.OBJECT,
+        normalize: false
       })
-  } else {
-    throw new TypeError('No callback provided')
+  })
+}
+
+/**
+ * Returns a catalog of the remote commands that are supported by the ePO
+ * server this client is communicating with. The catalog is parsed from the
+ * output of the `core.help` remote command and cached for each ePO server, so
+ * that later calls do not send another request.
+ * @param {Object} [options] - Additional options.
+ * @param {Boolean} [options.refresh=false] - Whether to retrieve the catalog
+ *   from the ePO server even if it has been cached.
+ * @param {Function} [responseCallback] - Callback function to invoke with the
+ *   catalog. If an error occurs when performing the command, the first
+ *   parameter supplied to the callback contains an `Error` object with failure
+ *   details. On success, a {@link CommandCatalog} is provided as the second
+ *   parameter to the callback.
+ * @returns {Promise<CommandCatalog>|undefined} If no `responseCallback` is
+ *   supplied, a `Promise` which is resolved with the catalog or rejected with
+ *   an `Error` object if the command fails.
+ * @example
+ * const catalog = await epoClient.getCommandCatalog()
+ * console.log(catalog.getCommandNames('system'))
+ * catalog.validateParams('system.find', {searchText: 'mySystem'})
+ */
+EpoClient.prototype.getCommandCatalog = function (options, responseCallback) {
+  const client = this
+
+  if (typeof options === 'function') {
+    responseCallback = options
+    options = null
   }
+  options = options || {}
+
+  return util.callbackOrPromise(responseCallback, function (done) {
+    const epoUniqueId = client._epoUniqueId
+    if (epoUniqueId && !options.refresh &&
+      client._commandCatalogs[epoUniqueId]) {
+      const catalog = client._commandCatalogs[epoUniqueId]
+      process.nextTick(function () {
+        done(null, catalog)
+      })
+      return
+    }
+    client.runCommand(EPO_HELP_COMMAND,
+      {
+        responseCallback: function (error, response) {
+          let catalog = null
+          if (!error) {
+            error = checkHelpLines(response || [], client._epoUniqueId)
+          }
+          if (!error) {
+            catalog = new CommandCatalog(response || [])
+            client._commandCatalogs[client._epoUniqueId] = catalog
+          }
+          done(error, catalog)
+        },
+        outputFormat: OutputFormat.OBJECT,
+        normalize: false
+      })
+  })
 }
 
+/**
+ * Details of the ePO DXL service which handled a remote command.
+ * @typedef {Object} EpoClient~ResponseMetadata
+ * @property {String} serviceType - The type of the ePO DXL service, one of the
+ *   [EpoServiceType]{@link module:EpoServiceType} constants.
+ * @property {String} requestTopic - The DXL topic which the request was sent
+ *   to.
+ * @property {String} epoUniqueId - The unique identifier of the ePO server.
+ * @property {String} commandName - The name of the remote command.
+ */
+
+/**
+ * The result of a remote command which was invoked with the `normalize`
+ * option.
+ * @typedef {Object} EpoClient~NormalizedResult
+ * @property {*} data - The remote command output, in the same structure
+ *   whichever ePO DXL service handled the command.
+ * @property {EpoClient~ResponseMetadata} metadata - Details of the ePO DXL
+ *   service which handled the command.
+ */
+
 /**
  * Invokes an ePO remote command on the ePO server this client is communicating
  * with.
@@ -597,7 +1554,8 @@ EpoClient.prototype.help = function (responseCallback) {
  * @param {Object} [options] - Additional options to supply for the remote
  *   command.
  * @param {Function} [options.responseCallback] - Callback function to invoke
- *   with the results of the remote command.
+ *   with the results of the remote command. If no callback is supplied, a
+ *   `Promise` is returned instead.
  *
  *   If an error occurs when performing the command, the first parameter
  *   supplied to the callback contains an `Error` object with failure details.
@@ -618,12 +1576,59 @@ EpoClient.prototype.help = function (responseCallback) {
  *     fabric.
  *   * An error occurs when trying to make DXL requests to the broker to
  *     query for available ePO services.
+ *
+ *   Failures are delivered as subclasses of {@link EpoError} where possible:
+ *
+ *   * {@link EpoServiceNotFoundError} if no ePO DXL service is found for the
+ *     request.
+ *   * {@link EpoAmbiguousServiceError} if no `epoUniqueId` was supplied and
+ *     more than one ePO server is exposed to the fabric.
+ *   * {@link EpoCommandError} if ePO or the ePO DXL service reports that the
+ *     command failed.
+ *   * {@link EpoResponseParseError} if the response cannot be decoded in the
+ *     requested `outputFormat`.
+ *   * {@link EpoTimeoutError} or {@link EpoAbortError} if the command times
+ *     out or is aborted.
  * @param {Object} [options.params] - An object containing the parameters for
  *   the command.
  * @param {String} [options.outputFormat=object] - The output format for ePO
  *   to use when returning the response. The list of `output formats` can be
  *   found in the [OutputFormat]{@link module:OutputFormat} constants module.
- * @throws {TypeError} If the `outputFormat` is not valid.
+ *   The `xml`, `terse` and `verbose` formats are requested from ePO and
+ *   returned as a `string`. The `csv` format is converted by the client from
+ *   the `object` result.
+ * @param {Number} [options.timeout] - Timeout, in milliseconds, for the
+ *   command. If the command does not complete in time, the callback receives
+ *   an {@link EpoTimeoutError}. Defaults to the `timeout` supplied to the
+ *   {@link EpoClient} constructor. A value of `0` disables the timeout. The
+ *   timeout cannot be longer than `2147483647`.
+ * @param {AbortSignal} [options.signal] - Signal through which the command
+ *   can be cancelled. If the signal is aborted before the command completes,
+ *   the callback receives an {@link EpoAbortError}.
+ *
+ *   Any response which arrives after the command has timed out or been
+ *   aborted is ignored.
+ *
+ *   When the command is retried, the timeout applies to each attempt while
+ *   the signal applies to the command as a whole.
+ * @param {Object} [options.retry] - Policy for retrying the command if it
+ *   fails, applied over the `retry` policy supplied to the {@link EpoClient}
+ *   constructor. See the constructor for the available settings.
+ *
+ *   If the DXL fabric reports that the ePO service being used is no longer
+ *   registered, the client discards the service it has cached for the ePO
+ *   server and determines it again before the next attempt.
+ * @param {Boolean} [options.normalize] - Whether to normalize the result so
+ *   that it has the same structure whichever ePO DXL service - "commands" or
+ *   "remote" - handled the command. If `true`, the remote command output is
+ *   delivered as an {@link EpoClient~NormalizedResult} object, which also
+ *   identifies the service that handled the command. Defaults to the
+ *   `normalize` option supplied to the {@link EpoClient} constructor.
+ * @returns {Promise|undefined} If no `options.responseCallback` is
+ *   supplied, a `Promise` which is resolved with the remote command output or
+ *   rejected with an `Error` object if the command fails.
+ * @throws {TypeError} If the `outputFormat`, `timeout` or `retry` options are
+ *   not valid.
  * @example <caption>Example Usage</caption>
  * epoClient.runCommand('system.find',
  *   {
@@ -637,6 +1642,14 @@ EpoClient.prototype.help = function (responseCallback) {
  *     params: {searchText: 'mySystem'}
  *   }
  * )
+ * @example <caption>Example Usage (Promise)</caption>
+ * const responseObj = await epoClient.runCommand('system.find',
+ *   {params: {searchText: 'mySystem'}})
+ * @example <caption>Example Usage (Normalized)</caption>
+ * const result = await epoClient.runCommand('system.find',
+ *   {params: {searchText: 'mySystem'}, normalize: true})
+ * console.log('Handled by the ' + result.metadata.serviceType + ' service')
+ * console.log(JSON.stringify(result.data, null, 2))
  * @example <caption>Example Response Text</caption>
  * [
  *   {
@@ -653,7 +1666,7 @@ EpoClient.prototype.help = function (responseCallback) {
 EpoClient.prototype.runCommand = function (commandName, options) {
   const client = this
 
-  const responseCallback = options.responseCallback
+  options = options || {}
   const params = options.params || {}
 
   let outputFormat = options.outputFormat
@@ -663,19 +1676,432 @@ EpoClient.prototype.runCommand = function (commandName, options) {
     outputFormat = OutputFormat.OBJECT
   }
 
-  if (client._epoServiceDetermined) {
-    client._runCommand(commandName, outputFormat, params, responseCallback)
-  } else {
-    client._determineService(function (error) {
-      if (error) {
-        if (responseCallback) {
-          responseCallback(error)
+  let timeout = client._timeout
+  if (typeof options.timeout !== 'undefined') {
+    timeout = validateTimeout(options.timeout)
+  }
+  let retryPolicy = client._retryPolicy
+  if (options.retry) {
+    retryPolicy = createRetryPolicy(retryPolicy, options.retry)
+  }
+  let normalize = client._normalize
+  if (typeof options.normalize !== 'undefined') {
+    normalize = !!options.normalize
+  }
+
+  let responseFormat = outputFormat
+  if (normalize) {
+    responseFormat = normalizedResponseFormat(outputFormat)
+  }
+
+  return util.callbackOrPromise(options.responseCallback, function (callback) {
+    client._executeCommand(commandName, responseFormat, params, timeout,
+      retryPolicy, options.signal, function (error, result, metadata) {
+        if (error || !normalize) {
+          callback(error, result)
+          return
         }
-      } else {
-        client._runCommand(commandName, outputFormat, params, responseCallback)
-      }
+        let data
+        try {
+          data = normalizeResult(result, outputFormat)
+        } catch (err) {
+          callback(err)
+          return
+        }
+        callback(null, { data, metadata })
+      })
+  })
+}
+
+/**
+ * The result of the `system.wakeupAgent` remote command.
+ * @typedef {Object} EpoClient~WakeupAgentResult
+ * @property {Number} completed - The number of agents which were woken up.
+ * @property {Number} failed - The number of agents which could not be woken
+ *   up.
+ * @property {Number} expired - The number of wakeup calls which expired.
+ * @property {String} message - The text returned by the ePO server.
+ */
+
+/**
+ * Finds systems in the ePO System Tree (`system.find`).
+ * @param {String} searchText - The text to search for - for example, a system
+ *   name, IP address or MAC address.
+ * @param {Object} [options] - Additional options. The `timeout`, `retry` and
+ *   `signal` options are supplied to {@link EpoClient#runCommand}.
+ * @param {Boolean} [options.searchNameOnly=false] - Whether to only match the
+ *   search text against system names.
+ * @param {Function} [responseCallback] - Callback function to invoke with the
+ *   result. If the command fails, the first parameter supplied to the callback
+ *   contains an `Error` object with failure details. On success, an array of
+ *   system objects is provided as the second parameter to the callback.
+ * @returns {Promise<Array<Object>>|undefined} If no `responseCallback` is
+ *   supplied, a `Promise` which is settled with the result of the command.
+ * @throws {TypeError} If any of the parameters are not valid.
+ * @example
+ * const systems = await epoClient.findSystems('mySystem')
+ */
+EpoClient.prototype.findSystems = function (searchText, options,
+  responseCallback) {
+  const args = helperArguments(options, responseCallback)
+  if (typeof searchText !== 'string') {
+    throw new TypeError('Invalid searchText: ' + searchText)
+  }
+  const params = copyOptionalParams({ searchText }, args[0],
+    { searchNameOnly: 'boolean' })
+  return runHelperCommand(this, 'system.find', params, args[0],
+    toResultArray, args[1])
+}
+
+/**
+ * Applies a tag to systems (`system.applyTag`).
+ * @param {(String|Array<String>)} names - The names of the systems to tag,
+ *   as an array or comma-separated list.
+ * @param {String} tagName - The name of the tag to apply.
+ * @param {Object} [options] - Additional options. The `timeout`, `retry` and
+ *   `signal` options are supplied to {@link EpoClient#runCommand}.
+ * @param {Function} [responseCallback] - Callback function to invoke with the
+ *   result. If the command fails, the first parameter supplied to the callback
+ *   contains an `Error` object with failure details. On success, the number of
+ *   systems which were tagged is provided as the second parameter to the
+ *   callback.
+ * @returns {Promise<Number>|undefined} If no `responseCallback` is supplied, a
+ *   `Promise` which is settled with the result of the command.
+ * @throws {TypeError} If any of the parameters are not valid.
+ * @example
+ * const count = await epoClient.applyTag(['system1', 'system2'], 'Server')
+ */
+EpoClient.prototype.applyTag = function (names, tagName, options,
+  responseCallback) {
+  const args = helperArguments(options, responseCallback)
+  const params = {
+    names: toNameList(names, 'names'),
+    tagName: requireParam(tagName, 'tagName')
+  }
+  return runHelperCommand(this, 'system.applyTag', params, args[0],
+    toResultCount, args[1])
+}
+
+/**
+ * Clears a tag from systems (`system.clearTag`).
+ * @param {(String|Array<String>)} names - The names of the systems to clear
+ *   the tag from, as an array or comma-separated list.
+ * @param {String} tagName - The name of the tag to clear.
+ * @param {Object} [options] - Additional options. The `timeout`, `retry` and
+ *   `signal` options are supplied to {@link EpoClient#runCommand}.
+ * @param {Boolean} [options.all=false] - Whether to clear the tag from all
+ *   systems rather than only the systems in `names`.
+ * @param {Function} [responseCallback] - Callback function to invoke with the
+ *   result. If the command fails, the first parameter supplied to the callback
+ *   contains an `Error` object with failure details. On success, the number of
+ *   systems which the tag was cleared from is provided as the second parameter
+ *   to the callback.
+ * @returns {Promise<Number>|undefined} If no `responseCallback` is supplied, a
+ *   `Promise` which is settled with the result of the command.
+ * @throws {TypeError} If any of the parameters are not valid.
+ */
+EpoClient.prototype.clearTag = function (names, tagName, options,
+  responseCallback) {
+  const args = helperArguments(options, responseCallback)
+  const params = copyOptionalParams({
+    names: toNameList(names, 'names'),
+    tagName: requireParam(tagName, 'tagName')
+  }, args[0], { all: 'boolean' })
+  return runHelperCommand(this, 'system.clearTag', params, args[0],
+    toResultCount, args[1])
+}
+
+/**
+ * Wakes up the agents on systems (`system.wakeupAgent`).
+ * @param {(String|Array<String>)} names - The names of the systems whose
+ *   agents should be woken up, as an array or comma-separated list.
+ * @param {Object} [options] - Additional options. The `timeout`, `retry` and
+ *   `signal` options are supplied to {@link EpoClient#runCommand}.
+ * @param {Boolean} [options.fullProps] - Whether the agents should send their
+ *   full properties.
+ * @param {Boolean} [options.superAgent] - Whether to use super agent wakeup.
+ * @param {Number} [options.randomMinutes] - Randomization interval, in
+ *   minutes.
+ * @param {Boolean} [options.forceFullPolicyUpdate] - Whether to force a full
+ *   policy update.
+ * @param {Boolean} [options.useAllHandlers] - Whether to use all agent
+ *   handlers.
+ * @param {Number} [options.retryIntervalSeconds] - Interval, in seconds,
+ *   between wakeup attempts.
+ * @param {Number} [options.attempts] - Number of wakeup attempts.
+ * @param {Number} [options.abortAfterMinutes] - Minutes after which to abort
+ *   the wakeup.
+ * @param {Boolean} [options.includeSubgroups] - Whether to include systems in
+ *   subgroups.
+ * @param {Function} [responseCallback] - Callback function to invoke with the
+ *   result. If the command fails, the first parameter supplied to the callback
+ *   contains an `Error` object with failure details. On success, an
+ *   {@link EpoClient~WakeupAgentResult} is provided as the second parameter
+ *   to the callback.
+ * @returns {Promise<EpoClient~WakeupAgentResult>|undefined} If no
+ *   `responseCallback` is supplied, a `Promise` which is settled with the
+ *   result of the command.
+ * @throws {TypeError} If any of the parameters are not valid.
+ */
+EpoClient.prototype.wakeupAgent = function (names, options,
+  responseCallback) {
+  const args = helperArguments(options, responseCallback)
+  const params = copyOptionalParams({ names: toNameList(names, 'names') },
+    args[0], {
+      fullProps: 'boolean',
+      superAgent: 'boolean',
+      randomMinutes: 'number',
+      forceFullPolicyUpdate: 'boolean',
+      useAllHandlers: 'boolean',
+      retryIntervalSeconds: 'number',
+      attempts: 'number',
+      abortAfterMinutes: 'number',
+      includeSubgroups: 'boolean'
     })
+  return runHelperCommand(this, 'system.wakeupAgent', params, args[0],
+    toWakeupAgentResult, args[1])
+}
+
+/**
+ * Finds client tasks (`clienttask.find`).
+ * @param {String} [searchText] - The text to search for in the task names.
+ *   If not specified, all client tasks are returned.
+ * @param {Object} [options] - Additional options. The `timeout`, `retry` and
+ *   `signal` options are supplied to {@link EpoClient#runCommand}.
+ * @param {Function} [responseCallback] - Callback function to invoke with the
+ *   result. If the command fails, the first parameter supplied to the callback
+ *   contains an `Error` object with failure details. On success, an array of
+ *   client task objects is provided as the second parameter to the callback.
+ * @returns {Promise<Array<Object>>|undefined} If no `responseCallback` is
+ *   supplied, a `Promise` which is settled with the result of the command.
+ * @throws {TypeError} If any of the parameters are not valid.
+ */
+EpoClient.prototype.findClientTasks = function (searchText, options,
+  responseCallback) {
+  return runFindCommand(this, 'clienttask.find', searchText, options,
+    responseCallback)
+}
+
+/**
+ * Runs a client task on systems (`clienttask.run`).
+ * @param {(String|Array<String>)} names - The names of the systems to run the
+ *   task on, as an array or comma-separated list.
+ * @param {String} productId - The product id of the task - for example, as
+ *   returned in the `productId` property by {@link EpoClient#findClientTasks}.
+ * @param {(Number|String)} taskId - The id of the task.
+ * @param {Object} [options] - Additional options. The `timeout`, `retry` and
+ *   `signal` options are supplied to {@link EpoClient#runCommand}.
+ * @param {Number} [options.retryAttempts] - Number of retry attempts.
+ * @param {Number} [options.retryIntervalInSeconds] - Interval, in seconds,
+ *   between retries.
+ * @param {Number} [options.abortAfterMinutes] - Minutes after which to abort
+ *   the task.
+ * @param {Boolean} [options.useAllAgentHandlers] - Whether to use all agent
+ *   handlers.
+ * @param {Number} [options.stopAfterMinutes] - Minutes after which to stop
+ *   the task.
+ * @param {Number} [options.randomizationInterval] - Randomization interval,
+ *   in minutes.
+ * @param {Number} [options.timeoutInHours] - Timeout, in hours, for the task.
+ * @param {Function} [responseCallback] - Callback function to invoke with the
+ *   result. If the command fails, the first parameter supplied to the callback
+ *   contains an `Error` object with failure details. On success, the status
+ *   message returned by the ePO server is provided as the second parameter to
+ *   the callback.
+ * @returns {Promise<String>|undefined} If no `responseCallback` is supplied, a
+ *   `Promise` which is settled with the result of the command.
+ * @throws {TypeError} If any of the parameters are not valid.
+ */
+EpoClient.prototype.runClientTask = function (names, productId, taskId,
+  options, responseCallback) {
+  const args = helperArguments(options, responseCallback)
+  const params = copyOptionalParams({
+    names: toNameList(names, 'names'),
+    productId: requireParam(productId, 'productId'),
+    taskId: requireParam(taskId, 'taskId')
+  }, args[0], {
+    retryAttempts: 'number',
+    retryIntervalInSeconds: 'number',
+    abortAfterMinutes: 'number',
+    useAllAgentHandlers: 'boolean',
+    stopAfterMinutes: 'number',
+    randomizationInterval: 'number',
+    timeoutInHours: 'number'
+  })
+  return runHelperCommand(this, 'clienttask.run', params, args[0],
+    toResultMessage, args[1])
+}
+
+/**
+ * Finds policies (`policy.find`).
+ * @param {String} [searchText] - The text to search for in the policy names.
+ *   If not specified, all policies are returned.
+ * @param {Object} [options] - Additional options. The `timeout`, `retry` and
+ *   `signal` options are supplied to {@link EpoClient#runCommand}.
+ * @param {Function} [responseCallback] - Callback function to invoke with the
+ *   result. If the command fails, the first parameter supplied to the callback
+ *   contains an `Error` object with failure details. On success, an array of
+ *   policy objects is provided as the second parameter to the callback.
+ * @returns {Promise<Array<Object>>|undefined} If no `responseCallback` is
+ *   supplied, a `Promise` which is settled with the result of the command.
+ * @throws {TypeError} If any of the parameters are not valid.
+ */
+EpoClient.prototype.findPolicies = function (searchText, options,
+  responseCallback) {
+  return runFindCommand(this, 'policy.find', searchText, options,
+    responseCallback)
+}
+
+/**
+ * Assigns a policy to systems (`policy.assignToSystem`).
+ * @param {(Number|String|Array<(Number|String)>)} ids - The ids of the
+ *   systems to assign the policy to, as an array or comma-separated list.
+ * @param {String} productId - The product id of the policy - for example, as
+ *   returned in the `productId` property by {@link EpoClient#findPolicies}.
+ * @param {(Number|String)} typeId - The type id of the policy.
+ * @param {(Number|String)} objectId - The object id of the policy.
+ * @param {Object} [options] - Additional options. The `timeout`, `retry` and
+ *   `signal` options are supplied to {@link EpoClient#runCommand}.
+ * @param {Boolean} [options.resetInheritance] - Whether to reset the
+ *   inheritance of the policy on the systems.
+ * @param {Function} [responseCallback] - Callback function to invoke with the
+ *   result. If the command fails, the first parameter supplied to the callback
+ *   contains an `Error` object with failure details. On success, the status
+ *   message returned by the ePO server is provided as the second parameter to
+ *   the callback.
+ * @returns {Promise<String>|undefined} If no `responseCallback` is supplied, a
+ *   `Promise` which is settled with the result of the command.
+ * @throws {TypeError} If any of the parameters are not valid.
+ */
+EpoClient.prototype.assignPolicyToSystem = function (ids, productId, typeId,
+  objectId, options, responseCallback) {
+  const args = helperArguments(options, responseCallback)
+  const params = copyOptionalParams({
+    ids: toIdList(ids, 'ids'),
+    productId: requireParam(productId, 'productId'),
+    typeId: requireParam(typeId, 'typeId'),
+    objectId: requireParam(objectId, 'objectId')
+  }, args[0], { resetInheritance: 'boolean' })
+  return runHelperCommand(this, 'policy.assignToSystem', params, args[0],
+    toResultMessage, args[1])
+}
+
+/**
+ * Finds repositories (`repository.find`).
+ * @param {String} [searchText] - The text to search for in the repository
+ *   names. If not specified, all repositories are returned.
+ * @param {Object} [options] - Additional options. The `timeout`, `retry` and
+ *   `signal` options are supplied to {@link EpoClient#runCommand}.
+ * @param {Function} [responseCallback] - Callback function to invoke with the
+ *   result. If the command fails, the first parameter supplied to the callback
+ *   contains an `Error` object with failure details. On success, an array of
+ *   repository objects is provided as the second parameter to the callback.
+ * @returns {Promise<Array<Object>>|undefined} If no `responseCallback` is
+ *   supplied, a `Promise` which is settled with the result of the command.
+ * @throws {TypeError} If any of the parameters are not valid.
+ */
+EpoClient.prototype.findRepositories = function (searchText, options,
+  responseCallback) {
+  return runFindCommand(this, 'repository.find', searchText, options,
+    responseCallback)
+}
+
+/**
+ * Executes an ePO query (`core.executeQuery`). Either a `queryId` for a saved
+ * query or a `target` for an ad-hoc query must be supplied.
+ * @param {Object} query - The query parameters.
+ * @param {(Number|String)} [query.queryId] - The id of a saved query to run.
+ * @param {String} [query.target] - The target table of an ad-hoc query, for
+ *   example, `EPOLeafNode`.
+ * @param {String} [query.select] - The select clause, for example,
+ *   `(select EPOLeafNode.NodeName)`.
+ * @param {String} [query.where] - The where clause.
+ * @param {String} [query.order] - The order clause.
+ * @param {String} [query.group] - The group clause.
+ * @param {String} [query.joinTables] - Comma-separated list of tables to
+ *   join.
+ * @param {String} [query.database] - The name of the database to query.
+ * @param {Number} [query.depth] - The depth of the query.
+ * @param {Object} [options] - Additional options. The `timeout`, `retry` and
+ *   `signal` options are supplied to {@link EpoClient#runCommand}.
+ * @param {Function} [responseCallback] - Callback function to invoke with the
+ *   result. If the command fails, the first parameter supplied to the callback
+ *   contains an `Error` object with failure details. On success, an array of
+ *   row objects is provided as the second parameter to the callback.
+ * @returns {Promise<Array<Object>>|undefined} If no `responseCallback` is
+ *   supplied, a `Promise` which is settled with the result of the command.
+ * @throws {TypeError} If any of the parameters are not valid.
+ * @example
+ * const rows = await epoClient.executeQuery({
+ *   target: 'EPOLeafNode',
+ *   select: '(select EPOLeafNode.NodeName EPOLeafNode.Tags)',
+ *   where: '(where (hasTag EPOLeafNode.AppliedTags 4))'
+ * })
+ */
+EpoClient.prototype.executeQuery = function (query, options,
+  responseCallback) {
+  const args = helperArguments(options, responseCallback)
+  query = query || {}
+  const params = {}
+  if (typeof query.queryId !== 'undefined' && query.queryId !== null) {
+    params.queryId = requireParam(query.queryId, 'queryId')
+  } else if (query.target) {
+    params.target = requireParam(query.target, 'target')
+  } else {
+    throw new TypeError('Either a queryId or a target must be specified')
   }
+  const clauses = ['select', 'where', 'order', 'group', 'joinTables',
+    'database']
+  clauses.forEach(function (clause) {
+    if (typeof query[clause] !== 'undefined' && query[clause] !== null) {
+      params[clause] = requireParam(query[clause], clause)
+    }
+  })
+  copyOptionalParams(params, query, { depth: 'number' })
+  return runHelperCommand(this, 'core.executeQuery', params, args[0],
+    toResultArray, args[1])
+}
+
+/**
+ * Executes an ePO query (`core.executeQuery`) a page at a time, returning a
+ * stream of the rows. Use this rather than {@link EpoClient#executeQuery} for
+ * queries which may return a large number of rows - see {@link QueryStream}
+ * for how the results are paged.
+ * @param {Object} query - The query parameters, as for
+ *   {@link EpoClient#executeQuery}. A `target` must be supplied and, as the
+ *   rows are returned in id order, an `order` must not be.
+ * @param {Object} [options] - Additional options for the stream - see
+ *   {@link QueryStream}.
+ * @returns {QueryStream} The stream of row objects.
+ * @throws {TypeError} If the query or any of the options are not valid.
+ * @example
+ * const rows = epoClient.streamQuery({
+ *   target: 'EPOLeafNode',
+ *   select: '(select EPOLeafNode.NodeName)'
+ * }, {pageSize: 500})
+ * for await (const row of rows) {
+ *   console.log(row['EPOLeafNode.NodeName'])
+ * }
+ */
+EpoClient.prototype.streamQuery = function (query, options) {
+  return new QueryStream(this, query, options)
+}
+
+/**
+ * Creates a {@link QueryBuilder} for an ad-hoc ePO query which is run through
+ * this client.
+ * @param {String} target - The target table of the query, for example,
+ *   `EPOLeafNode`.
+ * @returns {QueryBuilder} The query builder.
+ * @throws {TypeError} If the `target` is not a valid table name.
+ * @example
+ * const rows = await epoClient.query('EPOLeafNode')
+ *   .select('EPOLeafNode.NodeName')
+ *   .where(QueryBuilder.contains('EPOLeafNode.NodeName', 'web'))
+ *   .run()
+ */
+EpoClient.prototype.query = function (target) {
+  return new QueryBuilder(target, this)
 }
 
 /**
@@ -686,33 +2112,318 @@ EpoClient.prototype.runCommand = function (commandName, options) {
  *   The second argument passed to the callback function is the full DXL
  *   [Event]{@link external:Event} object.
  * @param {String} [topic=/mcafee/event/epo/threat/response] - The topic that
- *   ePO threat events are published to.
+ *   ePO threat events are published to. An options object may be supplied in
+ *   place of the topic.
+ * @param {Object} [options] - Additional options for the callback.
+ * @param {String} [options.topic] - The topic that ePO threat events are
+ *   published to, if not supplied as the `topic` parameter.
+ * @param {(Object|Array|Function|ThreatEventFilter)} [options.filter] - A
+ *   filter which selects the events to deliver to the callback. See
+ *   {@link ThreatEventFilter} for the forms which the filter can take. The
+ *   filter is applied to the decoded payload.
+ * @param {Boolean} [options.threatEvent=false] - Whether to deliver a
+ *   {@link ThreatEvent} - which provides typed, normalized access to the
+ *   payload - as the first argument to the callback, instead of the object
+ *   decoded from the payload.
+ * @param {Function} [options.errorCallback] - Function which is invoked if
+ *   the payload of an event is not valid JSON, or a function in the filter or
+ *   the callback throws an error. The first argument passed to the function
+ *   is the `Error` and the second is the DXL [Event]{@link external:Event}
+ *   object. If not specified, such events are ignored.
+ * @returns {Function} Function which unregisters the callback when invoked.
+ *   Other registrations of the same function are not affected.
+ * @throws {TypeError} If the `filter` is not valid.
  * @example
- * epoClient.addThreatEventCallback(function (threatEventObj, originalEvent) {
- *   console.log('Threat event on topic: ' + originalEvent.destinationTopic)
- *   console.log(threatEventObj)
- * })
+ * const unsubscribe = epoClient.addThreatEventCallback(
+ *   function (threatEventObj, originalEvent) {
+ *     console.log('Threat event on topic: ' + originalEvent.destinationTopic)
+ *     console.log(threatEventObj)
+ *   },
+ *   {
+ *     filter: {'events.threatSeverity': {lte: 2}},
+ *     errorCallback: function (error) {
+ *       console.log('Invalid threat event: ' + error.message)
+ *     }
+ *   })
+ * // ...
+ * unsubscribe()
  */
 EpoClient.prototype.addThreatEventCallback =
-  function (threatEventResponseCallback, topic) {
-    this._dxlClient.addEventCallback(topic || EPO_THREAT_EVENT_TOPIC,
-      function (event) {
-        const payload = MessageUtils.jsonPayloadToObject(event)
-        threatEventResponseCallback(payload, event)
-      })
+  function (threatEventResponseCallback, topic, options) {
+    if (topic && typeof topic === 'object') {
+      options = topic
+      topic = null
+    }
+    options = options || {}
+    const subscriptionOptions = { errorCallback: options.errorCallback }
+    let filter = null
+    if (options.filter) {
+      filter = new ThreatEventFilter(options.filter)
+      subscriptionOptions.filter = function (payload, event) {
+        return filter.matches(payload, event)
+      }
+    }
+    if (options.threatEvent) {
+      subscriptionOptions.decode = function (event) {
+        return new ThreatEvent(MessageUtils.jsonPayloadToObject(event), event)
+      }
+      if (filter) {
+        subscriptionOptions.filter = function (threatEvent, event) {
+          return filter.matches(threatEvent.getPayload(), event)
+        }
+      }
+    }
+    return this._eventSubscriptions.add(
+      topic || options.topic || EPO_THREAT_EVENT_TOPIC,
+      threatEventResponseCallback, subscriptionOptions)
   }
 
+/**
+ * Returns a stream of ePO threat events, for consumers which pull events
+ * rather than receiving them through a callback. The stream is an object-mode
+ * `Readable` of {@link ThreatEvent} objects and can also be consumed with
+ * `for await...of`. See {@link ThreatEventStream} for how events are buffered.
+ * @param {Object} [options] - Additional options for the stream - see
+ *   {@link ThreatEventStream}.
+ * @returns {ThreatEventStream} The stream.
+ * @throws {TypeError} If any of the options are not valid.
+ * @example <caption>Async Iteration</caption>
+ * for await (const threatEvent of epoClient.threatEvents({
+ *   filter: {'events.threatSeverity': {lte: 2}},
+ *   bufferSize: 100,
+ *   overflow: 'dropOldest'
+ * })) {
+ *   console.log(threatEvent.getThreatName())
+ * }
+ * @example <caption>Stream Pipeline</caption>
+ * pipeline(epoClient.threatEvents(), toJsonLines, process.stdout,
+ *   function (error) {
+ *     if (error) {
+ *       console.log('Threat event pipeline failed: ' + error.message)
+ *     }
+ *   })
+ */
+EpoClient.prototype.threatEvents = function (options) {
+  return new ThreatEventStream(this, options)
+}
+
+/**
+ * Registers an aggregator which deduplicates the ePO threat events received
+ * by the client. Events which share a key - by default, the agent GUID and
+ * threat name - are counted within a time window, and a single summary is
+ * delivered for each window. See {@link ThreatEventAggregator} for how
+ * windows are opened and closed.
+ * @param {Function} summaryCallback - The function to invoke with the
+ *   {@link ThreatEventAggregator~Summary} for each window as it closes.
+ * @param {Object} [options] - Additional options for the aggregator - see
+ *   {@link ThreatEventAggregator}.
+ * @param {String} [options.topic=/mcafee/event/epo/threat/response] - The
+ *   topic that ePO threat events are published to.
+ * @param {(Object|Array|Function|ThreatEventFilter)} [options.filter] - A
+ *   filter which selects the events to aggregate. See
+ *   {@link ThreatEventFilter}.
+ * @returns {ThreatEventAggregator} The aggregator. Invoke its
+ *   {@link ThreatEventAggregator#stop} method to stop receiving events and
+ *   deliver the summaries for any windows which are still open.
+ * @throws {TypeError} If any of the options are not valid.
+ * @example
+ * const aggregator = epoClient.aggregateThreatEvents(function (summary) {
+ *   console.log(summary.firstEvent.getHostName() + ': ' +
+ *     summary.firstEvent.getThreatName() + ' detected ' + summary.count +
+ *     ' time(s) since ' + summary.firstSeen.toISOString())
+ * }, {window: 5 * 60 * 1000})
+ */
+EpoClient.prototype.aggregateThreatEvents = function (summaryCallback,
+  options) {
+  options = options || {}
+  let aggregator = null
+  const unsubscribe = this.addThreatEventCallback(
+    function (threatEvent) {
+      aggregator.add(threatEvent)
+    },
+    {
+      topic: options.topic,
+      filter: options.filter,
+      threatEvent: true
+    })
+  try {
+    aggregator = new ThreatEventAggregator(summaryCallback,
+      Object.assign({}, options, { unsubscribe }))
+  } catch (err) {
+    unsubscribe()
+    throw err
+  }
+  return aggregator
+}
+
+/**
+ * Registers a sink which writes the ePO threat events received by the client
+ * to a SIEM or log destination - for example, a
+ * {@link SyslogThreatEventSink}, {@link FileThreatEventSink} or
+ * {@link StreamThreatEventSink}. Failures to decode, format or write an event
+ * are reported to the sink's `errorCallback` and do not affect other
+ * callbacks registered for threat events.
+ * @param {ThreatEventSink} sink - The sink.
+ * @param {Object} [options] - Additional options for the registration.
+ * @param {String} [options.topic=/mcafee/event/epo/threat/response] - The
+ *   topic that ePO threat events are published to.
+ * @param {(Object|Array|Function|ThreatEventFilter)} [options.filter] - A
+ *   filter which selects the events to write to the sink. See
+ *   {@link ThreatEventFilter}.
+ * @returns {Function} Function which unregisters the sink from the client
+ *   when invoked. The sink is not closed.
+ * @throws {TypeError} If the filter is not valid.
+ * @example
+ * const removeSink = epoClient.addThreatEventSink(
+ *   new SyslogThreatEventSink({host: 'siem.example.com', format: 'cef'}),
+ *   {filter: {'events.threatSeverity': {lte: 3}}})
+ */
+EpoClient.prototype.addThreatEventSink = function (sink, options) {
+  options = options || {}
+  return this.addThreatEventCallback(
+    function (threatEvent) {
+      sink.handle(threatEvent)
+    },
+    {
+      topic: options.topic,
+      filter: options.filter,
+      threatEvent: true,
+      errorCallback: function (error, event) {
+        sink.reportError(error, event)
+      }
+    })
+}
+
 /**
  * Unregisters an event callback from the client so that it will no longer
  * receive ePO threat events.
  * @param {Function} threatEventResponseCallback - The function to unregister.
+ *   If the function was registered more than once for the topic, every
+ *   registration is removed.
  * @param {String} [topic=/mcafee/event/epo/threat/response] - The topic that
  *   ePO threat events are published to.
+ * @returns {Boolean} `true` if the function was registered for the topic.
  */
 EpoClient.prototype.removeThreatEventCallback =
   function (threatEventResponseCallback, topic) {
-    this._dxlClient.removeEventCallback(
-      topic || EPO_THREAT_EVENT_TOPIC, threatEventResponseCallback)
+    return this._eventSubscriptions.remove(
+      topic || EPO_THREAT_EVENT_TOPIC, threatEventResponseCallback) > 0
+  }
+
+/**
+ * Registers an event callback with the client to receive events on any DXL
+ * topic - for example, one of the {@link module:EpoEventTopic} topics. As for
+ * {@link EpoClient#addThreatEventCallback}, the payload of each event is
+ * decoded from JSON, and an event which cannot be decoded or does not match
+ * the `schema` is delivered to the `errorCallback` rather than to the
+ * callback, without affecting other callbacks registered for the topic.
+ * @param {String} topic - The topic to receive events on.
+ * @param {Function} callback - The function that will receive the events.
+ *   The first argument passed to the callback function is the decoded
+ *   payload of the event. The second argument passed to the callback
+ *   function is the full DXL [Event]{@link external:Event} object.
+ * @param {Object} [options] - Additional options for the callback.
+ * @param {(Boolean|Function)} [options.decode=true] - How to decode the
+ *   payload of each event: `true` to decode it from JSON, `false` to deliver
+ *   it as a `string`, or a function which is invoked with the DXL event and
+ *   returns the decoded payload.
+ * @param {Object} [options.schema] - A JSON Schema which the decoded payload
+ *   must match. The `type`, `enum`, `const`, `required`, `properties`,
+ *   `additionalProperties`, `items`, `minItems`, `maxItems`, `minimum`,
+ *   `maximum`, `minLength`, `maxLength` and `pattern` validation keywords
+ *   are supported. Annotations such as `$schema`, `title` and `description`
+ *   are ignored.
+ * @param {Function} [options.errorCallback] - Function which is invoked if
+ *   the payload of an event cannot be decoded or does not match the
+ *   `schema`, or the callback throws an error. The first argument passed to
+ *   the function is the `Error` and the second is the DXL
+ *   [Event]{@link external:Event} object. If not specified, such events are
+ *   ignored.
+ * @returns {Function} Function which unregisters the callback when invoked.
+ *   Other registrations of the same function are not affected.
+ * @throws {TypeError} If the `topic`, `decode` option or `schema` is not
+ *   valid.
+ * @example
+ * const unsubscribe = epoClient.addEventCallback(
+ *   EpoEventTopic.TIE_FILE_REPUTATION_CHANGE,
+ *   function (reputationChange) {
+ *     console.log(reputationChange.hashes)
+ *   },
+ *   {
+ *     schema: {type: 'object', required: ['hashes']},
+ *     errorCallback: function (error) {
+ *       console.log('Invalid reputation change event: ' + error.message)
+ *     }
+ *   })
+ */
+EpoClient.prototype.addEventCallback = function (topic, callback, options) {
+  options = options || {}
+  if (!topic || typeof topic !== 'string') {
+    throw new TypeError('Invalid topic: ' + topic)
+  }
+  const subscriptionOptions = { errorCallback: options.errorCallback }
+  let decode = options.decode
+  if (decode === false) {
+    decode = function (event) {
+      return MessageUtils.decodePayload(event)
+    }
+  } else if (typeof decode !== 'undefined' && decode !== true &&
+    typeof decode !== 'function') {
+    throw new TypeError('Invalid decode: ' + decode)
+  }
+  if (options.schema) {
+    const schema = EventSchema.compile(options.schema)
+    let decodePayload = decode
+    if (typeof decodePayload !== 'function') {
+      decodePayload = function (event) {
+        return MessageUtils.jsonPayloadToObject(event)
+      }
+    }
+    decode = function (event) {
+      const payload = decodePayload(event)
+      EventSchema.validate(payload, schema)
+      return payload
+    }
   }
+  if (typeof decode === 'function') {
+    subscriptionOptions.decode = decode
+  }
+  return this._eventSubscriptions.add(topic, callback, subscriptionOptions)
+}
+
+/**
+ * Unregisters an event callback from the client so that it will no longer
+ * receive events on a topic.
+ * @param {String} topic - The topic which the callback was registered for.
+ * @param {Function} callback - The function to unregister. If the function
+ *   was registered more than once for the topic, every registration is
+ *   removed.
+ * @returns {Boolean} `true` if the function was registered for the topic.
+ */
+EpoClient.prototype.removeEventCallback = function (topic, callback) {
+  return this._eventSubscriptions.remove(topic, callback) > 0
+}
+
+/**
+ * Delivers a DXL event to the event callbacks registered with the client for
+ * its `destinationTopic`, as if it had been received from the fabric - for
+ * example, to replay recorded events with a {@link ThreatEventReplayer}, or to
+ * test event callbacks without a DXL broker. The event is decoded and
+ * filtered separately for each callback, exactly as for a live event.
+ * @param {external:Event} event - The event. As for an event received from
+ *   the fabric, the payload may be a `Buffer` or a `string`.
+ * @throws {TypeError} If the event has no `destinationTopic`.
+ * @example
+ * const event = new dxl.Event(EpoEventTopic.THREAT_RESPONSE)
+ * MessageUtils.objectToJsonPayload(event, threatEventPayload)
+ * epoClient.deliverEvent(event)
+ */
+EpoClient.prototype.deliverEvent = function (event) {
+  if (!event || !event.destinationTopic ||
+    typeof event.destinationTopic !== 'string') {
+    throw new TypeError('Invalid event: the event has no destinationTopic')
+  }
+  this._eventSubscriptions.dispatch(event.destinationTopic, event)
+}
 
 module.exports = EpoClient
@@ -0,0 +1,41 @@
+'use strict'
+
+const inherits = require('inherits')
+const EpoError = require('./epo-error')
+
+/**
+ * @classdesc An error which is delivered when an ePO remote command fails -
+ * either because the ePO DXL service returned a DXL error response or because
+ * ePO returned an error in place of the command output.
+ *
+ * ePO reports errors in the form `Error <code> : <message>`. When the error
+ * is in this form, the code and message are available through the
+ * `epoErrorCode` and `epoErrorMessage` properties.
+ * @param {String} message - The error message.
+ * @param {Number} epoErrorCode - The error code reported by ePO, `null` if
+ *   none was reported.
+ * @param {String} epoErrorMessage - The error message reported by ePO.
+ * @param {EpoError~Details} [details] - Details of the request which the
+ *   error relates to.
+ * @augments EpoError
+ * @constructor
+ */
+function EpoCommandError (message, epoErrorCode, epoErrorMessage, details) {
+  EpoError.call(this, message, details)
+  /**
+   * The error code reported by ePO, `null` if none was reported.
+   * @type {Number}
+   * @name EpoCommandError#epoErrorCode
+   */
+  this.epoErrorCode = epoErrorCode
+  /**
+   * The error message reported by ePO.
+   * @type {String}
+   * @name EpoCommandError#epoErrorMessage
+   */
+  this.epoErrorMessage = epoErrorMessage
+}
+
+inherits(EpoCommandError, EpoError)
+
+module.exports = EpoCommandError
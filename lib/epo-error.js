@@ -0,0 +1,58 @@
+'use strict'
+
+const inherits = require('inherits')
+const util = require('./util')
+
+/**
+ * Details of the request which an {@link EpoError} relates to.
+ * @typedef {Object} EpoError~Details
+ * @property {String} [requestTopic] - The DXL topic which the request was
+ *   sent to.
+ * @property {String} [commandName] - The name of the ePO remote command.
+ * @property {String} [epoUniqueId] - The unique identifier of the ePO server.
+ * @property {Error} [cause] - The underlying error, for example, the
+ *   `MessageError` for a DXL error response.
+ */
+
+/**
+ * @classdesc The base class for errors which are delivered by the ePO client.
+ * Each error carries the details of the request which it relates to, where
+ * they are known.
+ * @param {String} message - The error message.
+ * @param {EpoError~Details} [details] - Details of the request which the
+ *   error relates to.
+ * @constructor
+ */
+function EpoError (message, details) {
+  util.initializeError(this, message)
+  details = details || {}
+  /**
+   * The DXL topic which the request was sent to, `null` if not known.
+   * @type {String}
+   * @name EpoError#requestTopic
+   */
+  this.requestTopic = details.requestTopic || null
+  /**
+   * The name of the ePO remote command, `null` if the error does not relate
+   * to a single command.
+   * @type {String}
+   * @name EpoError#commandName
+   */
+  this.commandName = details.commandName || null
+  /**
+   * The unique identifier of the ePO server, `null` if not known.
+   * @type {String}
+   * @name EpoError#epoUniqueId
+   */
+  this.epoUniqueId = details.epoUniqueId || null
+  /**
+   * The underlying error, `null` if none.
+   * @type {Error}
+   * @name EpoError#cause
+   */
+  this.cause = details.cause || null
+}
+
+inherits(EpoError, Error)
+
+module.exports = EpoError
@@ -0,0 +1,42 @@
+/**
+ * @module EpoEventTopic
+ * @description Constants for the DXL topics of events which are published by
+ * ePO and by products which are managed through ePO extensions. Any of these
+ * topics can be supplied to {@link EpoClient#addEventCallback}.
+ */
+
+'use strict'
+
+module.exports = {
+  /**
+   * Threat events which are forwarded by ePO as they are received from
+   * managed systems. See {@link EpoClient#addThreatEventCallback}.
+   */
+  THREAT_RESPONSE: '/mcafee/event/epo/threat/response',
+  /**
+   * Changes to the reputation of a file, which are broadcast by the Threat
+   * Intelligence Exchange (TIE) server.
+   */
+  TIE_FILE_REPUTATION_CHANGE: '/mcafee/event/tie/file/repchange/broadcast',
+  /**
+   * Changes to the reputation of a certificate, which are broadcast by the
+   * Threat Intelligence Exchange (TIE) server.
+   */
+  TIE_CERTIFICATE_REPUTATION_CHANGE:
+    '/mcafee/event/tie/cert/repchange/broadcast',
+  /**
+   * Detections of a file on a managed system, which are published by the
+   * Threat Intelligence Exchange (TIE) server.
+   */
+  TIE_FILE_DETECTION: '/mcafee/event/tie/file/detection',
+  /**
+   * The first occurrence of a file in the environment, which is published by
+   * the Threat Intelligence Exchange (TIE) server.
+   */
+  TIE_FILE_FIRST_INSTANCE: '/mcafee/event/tie/file/firstinstance',
+  /**
+   * Reports of files which have been analyzed by Advanced Threat Defense
+   * (ATD).
+   */
+  ATD_FILE_REPORT: '/mcafee/event/atd/file/report'
+}
@@ -0,0 +1,22 @@
+'use strict'
+
+const inherits = require('inherits')
+const EpoError = require('./epo-error')
+
+/**
+ * @classdesc An error which is delivered when the response to an ePO remote
+ * command cannot be decoded in the requested output format - for example,
+ * because the payload is not valid JSON.
+ * @param {String} message - The error message.
+ * @param {EpoError~Details} [details] - Details of the request which the
+ *   error relates to. The `cause` is the error raised by the decoder.
+ * @augments EpoError
+ * @constructor
+ */
+function EpoResponseParseError (message, details) {
+  EpoError.call(this, message, details)
+}
+
+inherits(EpoResponseParseError, EpoError)
+
+module.exports = EpoResponseParseError
@@ -0,0 +1,24 @@
+'use strict'
+
+const inherits = require('inherits')
+const EpoError = require('./epo-error')
+
+/**
+ * @classdesc An error which is delivered when no ePO DXL service can be found
+ * for a request - for example, because no ePO DXL services are registered with
+ * the fabric, because none is registered for the requested ePO unique
+ * identifier, or because the DXL fabric reported that the service for the
+ * request topic is no longer registered.
+ * @param {String} message - The error message.
+ * @param {EpoError~Details} [details] - Details of the request which the
+ *   error relates to.
+ * @augments EpoError
+ * @constructor
+ */
+function EpoServiceNotFoundError (message, details) {
+  EpoError.call(this, message, details)
+}
+
+inherits(EpoServiceNotFoundError, EpoError)
+
+module.exports = EpoServiceNotFoundError
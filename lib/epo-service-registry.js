@@ -0,0 +1,391 @@
+/**
+ * @module EpoServiceRegistry
+ * @description Functions for looking up the ePO DXL services which are
+ * registered with the DXL fabric.
+ * @private
+ */
+
+'use strict'
+
+const dxl = require('@opendxl/dxl-client')
+const Request = dxl.Request
+const MessageUtils = require('@opendxl/dxl-bootstrap').MessageUtils
+const EpoServiceType = require('./epo-service-type')
+
+// The type of the ePO DXL "remote" service that is registered with the fabric
+const DXL_EPO_REMOTE_SERVICE_TYPE = EpoServiceType.REMOTE
+
+// The prefix for ePO DXL "remote" service request topics
+const DXL_EPO_REMOTE_REQUEST_PREFIX = DXL_EPO_REMOTE_SERVICE_TYPE + '/'
+
+// The type of the ePO DXL "commands" service that is registered with the fabric
+const DXL_EPO_COMMANDS_SERVICE_TYPE = EpoServiceType.COMMANDS
+
+// The prefix for ePO DXL "commands" service request topics
+const DXL_EPO_COMMANDS_REQUEST_PREFIX = '/mcafee/service/epo/command/'
+
+// The DXL topic to query for registered ePO service instances
+const DXL_SERVICE_REGISTRY_QUERY_TOPIC = '/mcafee/service/dxl/svcregistry/query'
+
+/**
+ * Returns the unique identifiers of the ePO servers which are exposed by an
+ * ePO DXL "commands" service. The identifier is carried in the `epoGuid`
+ * metadata of the service.
+ * @param {Object} service - Information for the registered service, as
+ *   returned by the DXL service registry.
+ * @returns {Array<String>} The ePO unique identifiers.
+ * @private
+ */
+function getCommandsServiceEpoIds (service) {
+  const epoIds = []
+  if (service.metaData && service.metaData.epoGuid) {
+    epoIds.push(service.metaData.epoGuid)
+  }
+  return epoIds
+}
+
+/**
+ * Returns the unique identifiers of the ePO servers which are exposed by an
+ * ePO DXL "remote" service. The identifier is the suffix of each request
+ * channel which follows the "remote" request prefix.
+ * @param {Object} service - Information for the registered service, as
+ *   returned by the DXL service registry.
+ * @returns {Array<String>} The ePO unique identifiers.
+ * @private
+ */
+function getRemoteServiceEpoIds (service) {
+  const epoIds = []
+  if (service.requestChannels) {
+    service.requestChannels.forEach(function (channel) {
+      if (channel.startsWith(DXL_EPO_REMOTE_REQUEST_PREFIX)) {
+        const epoId = channel.substring(DXL_EPO_REMOTE_REQUEST_PREFIX.length)
+        if (epoIds.indexOf(epoId) < 0) {
+          epoIds.push(epoId)
+        }
+      }
+    })
+  }
+  return epoIds
+}
+
+/**
+ * Looks up the ePO unique ids for a matching ePO service type.
+ * @param {external:DxlClient} dxlClient - The DXL client to use for
+ *   communication with the ePO DXL service
+ * @param {String} serviceType - The service type to return data for.
+ * @param {Function} processServiceCallback - Callback function which is
+ *   invoked for each service which is found. The first parameter supplied to
+ *   the callback is an array of ePO unique id strings found so far. The
+ *   callback can append additional unique ids that it finds in the service info
+ *   onto the id array, or return a single unique id to be appended if it is
+ *   not already in the array. The second parameter supplied to the callback
+ *   is an object containing information for the registered service.
+ * @param {Function} doneCallback - Callback function which is invoked with
+ *   the result of the unique id lookup. If an error occurs when performing the
+ *   lookup, the first parameter supplied to the callback contains an `Error`
+ *   object with failure details. On successful execution of the lookup, the
+ *   second parameter supplied to the callback is an array of strings whose
+ *   values are the ePO unique ids found in the lookup.
+ * @private
+ */
+function lookupEpoUniqueIdsForServiceType (dxlClient, serviceType,
+  processServiceCallback,
+  doneCallback) {
+  // Query the DXL broker registry for info on services matching the service
+  // type
+  const request = new Request(DXL_SERVICE_REGISTRY_QUERY_TOPIC)
+  MessageUtils.objectToJsonPayload(request, { serviceType })
+  dxlClient.asyncRequest(request,
+    function (error, response) {
+      let epoIds = null
+      if (response) {
+        try {
+          epoIds = []
+          const responseObj = MessageUtils.jsonPayloadToObject(response)
+          const services = responseObj.services
+          if (services) {
+            Object.keys(services).forEach(
+              function (serviceId) {
+                const epoId = processServiceCallback(epoIds, services[serviceId])
+                if (epoId && epoIds.indexOf(epoId) < 0) {
+                  epoIds.push(epoId)
+                }
+              })
+          }
+        } catch (err) {
+          error = err
+        }
+      }
+      doneCallback(error, epoIds)
+    })
+}
+
+/**
+ * Looks up the unique identifiers for the ePO servers that are currently
+ * exposed to the DXL fabric via an ePO "commands" service. "commands" services
+ * are registered by version 5.0 and later of the ePO DXL extensions.
+ * @param {external:DxlClient} dxlClient - The DXL client to use for
+ *   communication with the ePO DXL service
+ * @param {Function} callback - Callback function which is invoked with the
+ *   result of the unique id lookup. If an error occurs when performing the
+ *   lookup, the first parameter supplied to the callback contains an `Error`
+ *   object with failure details. On successful execution of the lookup, the
+ *   second parameter supplied to the callback is an array of strings whose
+ *   values are the ePO unique ids found in the lookup.
+ * @private
+ */
+function lookupEpoCommandsServiceUniqueIds (dxlClient, callback) {
+  lookupEpoUniqueIdsForServiceType(dxlClient,
+    DXL_EPO_COMMANDS_SERVICE_TYPE,
+    function (epoIds, service) {
+      getCommandsServiceEpoIds(service).forEach(function (epoId) {
+        if (epoIds.indexOf(epoId) < 0) {
+          epoIds.push(epoId)
+        }
+      })
+    },
+    callback)
+}
+
+/**
+ * Looks up the unique identifiers for the ePO servers that are currently
+ * exposed to the DXL fabric via an ePO "remote" service. "remote" services are
+ * registered by the standalone
+ * [ePO DXL Python Service](https://github.com/opendxl/opendxl-epo-service-python).
+ * @param {external:DxlClient} dxlClient - The DXL client to use for
+ *   communication with the ePO DXL service
+ * @param {Function} callback - Callback function which is invoked with the
+ *   result of the unique id lookup. If an error occurs when performing the
+ *   lookup, the first parameter supplied to the callback contains an `Error`
+ *   object with failure details. On successful execution of the lookup, the
+ *   second parameter supplied to the callback is an array of strings whose
+ *   values are the ePO unique ids found in the lookup.
+ * @private
+ */
+function lookupEpoRemoteServiceUniqueIds (dxlClient, callback) {
+  lookupEpoUniqueIdsForServiceType(dxlClient,
+    DXL_EPO_REMOTE_SERVICE_TYPE,
+    function (epoIds, service) {
+      getRemoteServiceEpoIds(service).forEach(function (epoId) {
+        if (epoIds.indexOf(epoId) < 0) {
+          epoIds.push(epoId)
+        }
+      })
+    },
+    callback)
+}
+
+/**
+ * Retrieves an array of strings containing the unique identifiers for the ePO
+ * servers that are currently exposed to the DXL fabric.
+ * @param {external:DxlClient} dxlClient - The DXL client with which to perform
+ *   the request
+ * @param {Function} callback - Callback function to invoke with the unique
+ *   identifiers which are found. If an error occurs when performing the lookup,
+ *   the first parameter supplied to the callback contains an `Error` object
+ *   with failure details. On successful lookup, the array of unique identifier
+ *   strings is provided as the second parameter to the callback and the
+ *   third parameter to the callback is a boolean representing whether a
+ *   "commands" (`true`) or a "remote" (`false`) should be used. If at least
+ *   one "remote" service is available, a "remote" service should be used.
+ * @private
+ */
+function lookupEpoUniqueIdentifiers (dxlClient, callback) {
+  lookupEpoRemoteServiceUniqueIds(dxlClient,
+    function (error, epoRemoteServiceIds) {
+      if (epoRemoteServiceIds) {
+        lookupEpoCommandsServiceUniqueIds(dxlClient,
+          function (error, epoServiceIds) {
+            if (epoServiceIds) {
+              epoRemoteServiceIds.forEach(function (serviceId) {
+                if (epoServiceIds.indexOf(serviceId) < 0) {
+                  epoServiceIds.push(serviceId)
+                }
+              })
+              epoServiceIds.sort()
+              callback(error, epoServiceIds, !epoRemoteServiceIds.length)
+            } else {
+              callback(error)
+            }
+          })
+      } else {
+        callback(error)
+      }
+    }
+  )
+}
+
+/**
+ * Looks up the services registered with the DXL fabric for a service type.
+ * @param {external:DxlClient} dxlClient - The DXL client to use for
+ *   communication with the DXL service registry.
+ * @param {String} serviceType - The service type to return data for.
+ * @param {Function} callback - Callback function which is invoked with the
+ *   result of the lookup. If an error occurs when performing the lookup, the
+ *   first parameter supplied to the callback contains an `Error` object with
+ *   failure details. On successful execution of the lookup, the second
+ *   parameter supplied to the callback is an array of objects containing the
+ *   information for each registered service, as returned by the registry.
+ * @private
+ */
+function lookupServicesForServiceType (dxlClient, serviceType, callback) {
+  const request = new Request(DXL_SERVICE_REGISTRY_QUERY_TOPIC)
+  MessageUtils.objectToJsonPayload(request, { serviceType })
+  dxlClient.asyncRequest(request,
+    function (error, response) {
+      let services = null
+      if (response) {
+        try {
+          services = []
+          const registeredServices =
+            MessageUtils.jsonPayloadToObject(response).services || {}
+          Object.keys(registeredServices).sort().forEach(
+            function (serviceId) {
+              const service = registeredServices[serviceId]
+              if (!service.serviceGuid) {
+                service.serviceGuid = serviceId
+              }
+              services.push(service)
+            })
+        } catch (err) {
+          error = err
+        }
+      }
+      callback(error, services)
+    })
+}
+
+/**
+ * Builds the descriptor for a service which exposes an ePO server.
+ * @param {String} serviceType - The type of the service.
+ * @param {Object} service - Information for the registered service, as
+ *   returned by the DXL service registry.
+ * @param {Array<String>} requestTopics - The request topics of the service
+ *   which apply to the ePO server.
+ * @returns {EpoClient~EpoServiceDescriptor} The service descriptor.
+ * @private
+ */
+function describeService (serviceType, service, requestTopics) {
+  return {
+    serviceId: service.serviceGuid,
+    serviceType,
+    brokerGuid: service.brokerGuid || null,
+    clientGuid: service.clientGuid || null,
+    requestTopics,
+    metaData: service.metaData || {},
+    ttlMins: typeof service.ttlMins === 'number' ? service.ttlMins : null
+  }
+}
+
+/**
+ * Builds descriptors for the ePO servers which are exposed by the supplied
+ * ePO DXL services.
+ * @param {Array<Object>} remoteServices - The registered "remote" services.
+ * @param {Array<Object>} commandsServices - The registered "commands"
+ *   services.
+ * @returns {Array<EpoClient~EpoServerDescriptor>} The ePO server descriptors,
+ *   sorted by unique identifier.
+ * @private
+ */
+function describeEpoServers (remoteServices, commandsServices) {
+  const epoServers = {}
+
+  const addService = function (epoId, serviceDescriptor) {
+    let epoServer = epoServers[epoId]
+    if (!epoServer) {
+      epoServer = {
+        epoUniqueId: epoId,
+        serviceTypes: [],
+        selectedServiceType: null,
+        requestTopics: [],
+        brokerGuids: [],
+        metaData: {},
+        services: []
+      }
+      epoServers[epoId] = epoServer
+    }
+    if (epoServer.serviceTypes.indexOf(serviceDescriptor.serviceType) < 0) {
+      epoServer.serviceTypes.push(serviceDescriptor.serviceType)
+    }
+    serviceDescriptor.requestTopics.forEach(function (topic) {
+      if (epoServer.requestTopics.indexOf(topic) < 0) {
+        epoServer.requestTopics.push(topic)
+      }
+    })
+    if (serviceDescriptor.brokerGuid &&
+      epoServer.brokerGuids.indexOf(serviceDescriptor.brokerGuid) < 0) {
+      epoServer.brokerGuids.push(serviceDescriptor.brokerGuid)
+    }
+    Object.assign(epoServer.metaData, serviceDescriptor.metaData)
+    epoServer.services.push(serviceDescriptor)
+  }
+
+  remoteServices.forEach(function (service) {
+    getRemoteServiceEpoIds(service).forEach(function (epoId) {
+      addService(epoId, describeService(DXL_EPO_REMOTE_SERVICE_TYPE, service,
+        [DXL_EPO_REMOTE_REQUEST_PREFIX + epoId]))
+    })
+  })
+  commandsServices.forEach(function (service) {
+    getCommandsServiceEpoIds(service).forEach(function (epoId) {
+      addService(epoId, describeService(DXL_EPO_COMMANDS_SERVICE_TYPE,
+        service, (service.requestChannels || []).slice()))
+    })
+  })
+
+  return Object.keys(epoServers).sort().map(function (epoId) {
+    const epoServer = epoServers[epoId]
+    epoServer.serviceTypes.sort()
+    // As with the client, a "remote" service is used in preference to a
+    // "commands" service for the same ePO server.
+    if (epoServer.serviceTypes.indexOf(DXL_EPO_REMOTE_SERVICE_TYPE) < 0) {
+      epoServer.selectedServiceType = DXL_EPO_COMMANDS_SERVICE_TYPE
+    } else {
+      epoServer.selectedServiceType = DXL_EPO_REMOTE_SERVICE_TYPE
+    }
+    return epoServer
+  })
+}
+
+/**
+ * Retrieves descriptors for the ePO servers which are currently exposed to
+ * the DXL fabric.
+ * @param {external:DxlClient} dxlClient - The DXL client to use for
+ *   communication with the DXL service registry.
+ * @param {Function} callback - Callback function which is invoked with the
+ *   result of the lookup. If an error occurs when performing the lookup, the
+ *   first parameter supplied to the callback contains an `Error` object with
+ *   failure details. On successful execution of the lookup, the second
+ *   parameter supplied to the callback is an array of
+ *   {@link EpoClient~EpoServerDescriptor} objects.
+ * @private
+ */
+function discoverEpoServers (dxlClient, callback) {
+  lookupServicesForServiceType(dxlClient, DXL_EPO_REMOTE_SERVICE_TYPE,
+    function (error, remoteServices) {
+      if (remoteServices) {
+        lookupServicesForServiceType(dxlClient, DXL_EPO_COMMANDS_SERVICE_TYPE,
+          function (error, commandsServices) {
+            if (commandsServices) {
+              callback(error,
+                describeEpoServers(remoteServices, commandsServices))
+            } else {
+              callback(error)
+            }
+          })
+      } else {
+        callback(error)
+      }
+    })
+}
+
+module.exports = {
+  DXL_EPO_REMOTE_REQUEST_PREFIX,
+  DXL_EPO_COMMANDS_REQUEST_PREFIX,
+  DXL_SERVICE_REGISTRY_QUERY_TOPIC,
+  lookupEpoUniqueIdsForServiceType,
+  lookupEpoCommandsServiceUniqueIds,
+  lookupEpoRemoteServiceUniqueIds,
+  lookupEpoUniqueIdentifiers,
+  discoverEpoServers
+}
@@ -0,0 +1,20 @@
+/**
+ * @module EpoServiceType
+ * @description Constants for the types of ePO DXL services which can be
+ * registered with the DXL fabric.
+ */
+
+'use strict'
+
+module.exports = {
+  /**
+   * The ePO DXL "remote" service, which is registered by the standalone
+   * [ePO DXL Python Service](https://github.com/opendxl/opendxl-epo-service-python).
+   */
+  REMOTE: '/mcafee/service/epo/remote',
+  /**
+   * The ePO DXL "commands" service, which is registered by version 5.0 and
+   * later of the ePO DXL extensions.
+   */
+  COMMANDS: '/mcafee/service/epo/commands'
+}
@@ -0,0 +1,449 @@
+'use strict'
+
+const EventEmitter = require('events').EventEmitter
+const inherits = require('inherits')
+const MessageUtils = require('@opendxl/dxl-bootstrap').MessageUtils
+const epoServiceRegistry = require('./epo-service-registry')
+const EpoServiceType = require('./epo-service-type')
+const util = require('./util')
+
+// The DXL topic on which the broker announces that a service has been
+// registered with the fabric
+const DXL_SERVICE_REGISTER_EVENT_TOPIC =
+  '/mcafee/event/dxl/svcregistry/register'
+
+// The DXL topic on which the broker announces that a service has been
+// unregistered from the fabric
+const DXL_SERVICE_UNREGISTER_EVENT_TOPIC =
+  '/mcafee/event/dxl/svcregistry/unregister'
+
+// The default interval, in milliseconds, at which the registry is queried
+const DEFAULT_POLL_INTERVAL = 60000
+
+// The default delay, in milliseconds, between a service registry event being
+// received and the registry being queried
+const DEFAULT_EVENT_REFRESH_DELAY = 500
+
+// The longest delay, in milliseconds, which a timer supports
+const MAX_DELAY = 2147483647
+
+/**
+ * Reads a delay option.
+ * @param {Object} options - The options.
+ * @param {String} name - The name of the option.
+ * @param {Number} defaultValue - The value to use if the option is not set.
+ * @returns {Number} The value.
+ * @throws {TypeError} If the option is not a number from `0` to
+ *   `2147483647`.
+ * @private
+ */
+function delayOption (options, name, defaultValue) {
+  let value = defaultValue
+  if (typeof options[name] !== 'undefined') {
+    value = options[name]
+  }
+  if (typeof value !== 'number' || isNaN(value) || value < 0 ||
+    value > MAX_DELAY) {
+    throw new TypeError('Invalid ' + name + ': ' + value)
+  }
+  return value
+}
+
+/**
+ * @classdesc Keeps an up-to-date view of the ePO servers which are exposed
+ * to the DXL fabric.
+ *
+ * The watcher queries the DXL service registry when started, at a regular
+ * interval, and - unless disabled - shortly after the broker announces that a
+ * service has been registered with or unregistered from the fabric. The
+ * watcher emits events as ePO servers come and go:
+ *
+ * * `added` - An ePO server was found. The listener receives an
+ *   {@link EpoClient~EpoServerDescriptor} object.
+ * * `removed` - An ePO server is no longer exposed to the fabric. The listener
+ *   receives the last known {@link EpoClient~EpoServerDescriptor} object.
+ * * `changed` - The services through which an ePO server is exposed
+ *   changed - for example, the server moved from the "remote" to the
+ *   "commands" service or re-registered its service. The listener receives
+ *   the current and previous
+ *   {@link EpoClient~EpoServerDescriptor} objects.
+ * * `error` - A registry query failed, or a listener for one of the other
+ *   events threw. The listener receives an `Error` object. This event is only
+ *   emitted if a listener has been registered for it; otherwise, failed
+ *   queries are ignored and retried on the next refresh, and an error thrown
+ *   by a listener is rethrown once the watcher has finished handling the
+ *   query.
+ * @param {external:DxlClient} dxlClient - The DXL client to use for
+ *   communication with the fabric.
+ * @param {Object} [options] - Additional options for the watcher.
+ * @param {Number} [options.pollInterval=60000] - Interval, in milliseconds,
+ *   at which to query the registry, up to `2147483647`. A value of `0`
+ *   disables polling.
+ * @param {Boolean} [options.subscribe=true] - Whether to query the registry
+ *   when the broker announces that a service has been registered or
+ *   unregistered.
+ * @param {Number} [options.eventRefreshDelay=500] - Delay, in milliseconds,
+ *   between a service registry event being received and the registry being
+ *   queried, up to `2147483647`. Events received during the delay are handled
+ *   by a single query.
+ * @throws {TypeError} If any of the options are not valid.
+ * @example
+ * const watcher = new EpoServiceWatcher(dxlClient)
+ * watcher.on('added', function (epoServer) {
+ *   console.log('ePO server added: ' + epoServer.epoUniqueId)
+ * })
+ * watcher.on('removed', function (epoServer) {
+ *   console.log('ePO server removed: ' + epoServer.epoUniqueId)
+ * })
+ * watcher.start()
+ * @constructor
+ */
+function EpoServiceWatcher (dxlClient, options) {
+  EventEmitter.call(this)
+
+  options = options || {}
+
+  /**
+   * The DXL client to use for communication with the fabric.
+   * @type {external:DxlClient}
+   * @private
+   */
+  this._dxlClient = dxlClient
+
+  /**
+   * Interval, in milliseconds, at which to query the registry.
+   * @type {Number}
+   * @private
+   */
+  this._pollInterval = delayOption(options, 'pollInterval',
+    DEFAULT_POLL_INTERVAL)
+
+  /**
+   * Whether to query the registry on service registry events.
+   * @type {Boolean}
+   * @private
+   */
+  this._subscribe = options.subscribe !== false
+
+  /**
+   * Delay, in milliseconds, between a service registry event being received
+   * and the registry being queried.
+   * @type {Number}
+   * @private
+   */
+  this._eventRefreshDelay = delayOption(options, 'eventRefreshDelay',
+    DEFAULT_EVENT_REFRESH_DELAY)
+
+  /**
+   * The ePO servers found by the last successful query, keyed by ePO unique
+   * identifier.
+   * @type {Object<String, EpoClient~EpoServerDescriptor>}
+   * @private
+   */
+  this._epoServers = {}
+
+  /**
+   * Whether the watcher has been started.
+   * @type {Boolean}
+   * @private
+   */
+  this._started = false
+
+  /**
+   * Timer for the next scheduled poll of the registry.
+   * @private
+   */
+  this._pollTimer = null
+
+  /**
+   * Timer for a registry query triggered by a service registry event.
+   * @private
+   */
+  this._eventTimer = null
+
+  /**
+   * Callbacks waiting on an in-progress query. `null` if no query is in
+   * progress.
+   * @type {Array<Function>}
+   * @private
+   */
+  this._refreshCallbacks = null
+
+  /**
+   * Callbacks waiting on a query which is to be performed once the
+   * in-progress query completes.
+   * @type {Array<Function>}
+   * @private
+   */
+  this._queuedRefreshCallbacks = null
+
+  /**
+   * Callback registered with the DXL client for service registry events.
+   * @type {Function}
+   * @private
+   */
+  this._onServiceRegistryEvent = this._handleServiceRegistryEvent.bind(this)
+}
+
+inherits(EpoServiceWatcher, EventEmitter)
+
+/**
+ * Starts watching the DXL service registry. The registry is queried
+ * immediately.
+ * @param {Function} [callback] - Callback function which is invoked after the
+ *   initial query completes. If the query fails, the first parameter supplied
+ *   to the callback contains an `Error` object with failure details. On
+ *   success, the second parameter supplied to the callback is an array of
+ *   {@link EpoClient~EpoServerDescriptor} objects.
+ * @returns {Promise<Array<EpoClient~EpoServerDescriptor>>|undefined} If no
+ *   `callback` is supplied, a `Promise` which is settled with the result of
+ *   the initial query.
+ */
+EpoServiceWatcher.prototype.start = function (callback) {
+  if (!this._started) {
+    this._started = true
+    if (this._subscribe) {
+      this._dxlClient.addEventCallback(DXL_SERVICE_REGISTER_EVENT_TOPIC,
+        this._onServiceRegistryEvent)
+      this._dxlClient.addEventCallback(DXL_SERVICE_UNREGISTER_EVENT_TOPIC,
+        this._onServiceRegistryEvent)
+    }
+  }
+  return this.refresh(callback)
+}
+
+/**
+ * Stops watching the DXL service registry. The last known set of ePO servers
+ * remains available from {@link EpoServiceWatcher#getEpoServers}.
+ */
+EpoServiceWatcher.prototype.stop = function () {
+  if (this._started) {
+    this._started = false
+    if (this._subscribe) {
+      this._dxlClient.removeEventCallback(DXL_SERVICE_REGISTER_EVENT_TOPIC,
+        this._onServiceRegistryEvent)
+      this._dxlClient.removeEventCallback(DXL_SERVICE_UNREGISTER_EVENT_TOPIC,
+        this._onServiceRegistryEvent)
+    }
+    clearTimeout(this._pollTimer)
+    this._pollTimer = null
+    clearTimeout(this._eventTimer)
+    this._eventTimer = null
+  }
+}
+
+/**
+ * Returns the ePO servers found by the last successful registry query.
+ * @returns {Array<EpoClient~EpoServerDescriptor>} The ePO servers, sorted by
+ *   unique identifier.
+ */
+EpoServiceWatcher.prototype.getEpoServers = function () {
+  const epoServers = this._epoServers
+  return Object.keys(epoServers).sort().map(function (epoUniqueId) {
+    return copyEpoServer(epoServers[epoUniqueId])
+  })
+}
+
+/**
+ * Queries the DXL service registry and emits events for any changes since the
+ * last query. If a query is already in progress, another query is performed
+ * once it completes.
+ * @param {Function} [callback] - Callback function which is invoked after the
+ *   query completes. If the query fails, the first parameter supplied to the
+ *   callback contains an `Error` object with failure details. On success, the
+ *   second parameter supplied to the callback is an array of
+ *   {@link EpoClient~EpoServerDescriptor} objects.
+ * @returns {Promise<Array<EpoClient~EpoServerDescriptor>>|undefined} If no
+ *   `callback` is supplied, a `Promise` which is settled with the result of
+ *   the query.
+ */
+EpoServiceWatcher.prototype.refresh = function (callback) {
+  const watcher = this
+  return util.callbackOrPromise(callback, function (done) {
+    if (watcher._refreshCallbacks) {
+      if (!watcher._queuedRefreshCallbacks) {
+        watcher._queuedRefreshCallbacks = []
+      }
+      watcher._queuedRefreshCallbacks.push(done)
+    } else {
+      watcher._refreshCallbacks = [done]
+      watcher._queryRegistry()
+    }
+  })
+}
+
+/**
+ * Queries the DXL service registry and delivers the result to the callbacks
+ * waiting on the query.
+ * @private
+ */
+EpoServiceWatcher.prototype._queryRegistry = function () {
+  const watcher = this
+
+  clearTimeout(this._pollTimer)
+  this._pollTimer = null
+
+  epoServiceRegistry.discoverEpoServers(this._dxlClient,
+    function (error, epoServers) {
+      watcher._completeQuery(error, epoServers)
+    })
+}
+
+/**
+ * Applies the result of a registry query, schedules the next query, emits the
+ * events for the changes which the query found and notifies the callbacks
+ * waiting on the query.
+ * @param {Error} [error] - The error which occurred during the query, if any.
+ * @param {Array<EpoClient~EpoServerDescriptor>} [epoServers] - The ePO
+ *   servers found by the query.
+ * @throws {Error} If a listener throws and no `error` listener has been
+ *   registered, once the callbacks have been notified.
+ * @private
+ */
+EpoServiceWatcher.prototype._completeQuery = function (error, epoServers) {
+  const watcher = this
+  const callbacks = this._refreshCallbacks
+  this._refreshCallbacks = null
+
+  let changes = []
+  if (error) {
+    epoServers = null
+    if (this.listenerCount('error')) {
+      this.emit('error', error)
+    }
+  } else if (epoServers) {
+    changes = this._update(epoServers)
+    epoServers = this.getEpoServers()
+  } else {
+    error = new Error('Unable to query the DXL service registry')
+  }
+
+  if (this._queuedRefreshCallbacks) {
+    this._refreshCallbacks = this._queuedRefreshCallbacks
+    this._queuedRefreshCallbacks = null
+    this._queryRegistry()
+  } else if (this._started && this._pollInterval) {
+    this._pollTimer = setTimeout(this.refresh.bind(this, function () {}),
+      this._pollInterval)
+  }
+
+  // An error thrown by a listener does not stop the other events or the
+  // callbacks. It is emitted as an error event, or rethrown once the
+  // callbacks have been notified.
+  let listenerError = null
+  changes.forEach(function (change) {
+    try {
+      watcher.emit.apply(watcher, change)
+    } catch (err) {
+      if (watcher.listenerCount('error')) {
+        watcher.emit('error', err)
+      } else if (!listenerError) {
+        listenerError = err
+      }
+    }
+  })
+
+  callbacks.forEach(function (callback) {
+    callback(error, epoServers)
+  })
+
+  if (listenerError) {
+    throw listenerError
+  }
+}
+
+/**
+ * Replaces the known set of ePO servers with the result of a registry query.
+ * @param {Array<EpoClient~EpoServerDescriptor>} epoServerList - The ePO
+ *   servers found by the query.
+ * @returns {Array<Array>} The events to emit for the ePO servers which were
+ *   added, removed or changed: the name of each event followed by its
+ *   arguments.
+ * @private
+ */
+EpoServiceWatcher.prototype._update = function (epoServerList) {
+  const changes = []
+  const previousEpoServers = this._epoServers
+  const epoServers = {}
+
+  epoServerList.forEach(function (epoServer) {
+    epoServers[epoServer.epoUniqueId] = epoServer
+  })
+
+  this._epoServers = epoServers
+
+  Object.keys(previousEpoServers).sort().forEach(function (epoUniqueId) {
+    if (!epoServers[epoUniqueId]) {
+      changes.push(['removed',
+        copyEpoServer(previousEpoServers[epoUniqueId])])
+    }
+  })
+  Object.keys(epoServers).sort().forEach(function (epoUniqueId) {
+    const epoServer = epoServers[epoUniqueId]
+    const previousEpoServer = previousEpoServers[epoUniqueId]
+    if (!previousEpoServer) {
+      changes.push(['added', copyEpoServer(epoServer)])
+    } else if (getServiceIds(previousEpoServer) !==
+      getServiceIds(epoServer)) {
+      changes.push(['changed', copyEpoServer(epoServer),
+        copyEpoServer(previousEpoServer)])
+    }
+  })
+  return changes
+}
+
+/**
+ * Invoked when the broker announces that a service has been registered with
+ * or unregistered from the fabric. Schedules a registry query. Registration
+ * events for non-ePO service types are ignored. Unregistration events do not
+ * carry the service type, so they always schedule a query.
+ * @param {external:Event} event - The service registry event.
+ * @private
+ */
+EpoServiceWatcher.prototype._handleServiceRegistryEvent = function (event) {
+  const watcher = this
+  if (event.destinationTopic === DXL_SERVICE_REGISTER_EVENT_TOPIC) {
+    let serviceType = null
+    try {
+      serviceType = MessageUtils.jsonPayloadToObject(event).serviceType
+    } catch (err) {
+      // Query the registry anyway if the event payload cannot be decoded
+    }
+    if (serviceType && serviceType !== EpoServiceType.REMOTE &&
+      serviceType !== EpoServiceType.COMMANDS) {
+      return
+    }
+  }
+  if (this._started && !this._eventTimer) {
+    this._eventTimer = setTimeout(function () {
+      watcher._eventTimer = null
+      watcher.refresh(function () {})
+    }, this._eventRefreshDelay)
+  }
+}
+
+/**
+ * Returns a string which identifies the set of services exposing an ePO
+ * server, for detecting changes between registry queries.
+ * @param {EpoClient~EpoServerDescriptor} epoServer - The ePO server.
+ * @returns {String} The service identifiers and types.
+ * @private
+ */
+function getServiceIds (epoServer) {
+  return epoServer.services.map(function (service) {
+    return service.serviceType + ':' + service.serviceId
+  }).sort().join()
+}
+
+/**
+ * Returns a copy of an ePO server descriptor so that listeners cannot modify
+ * the watcher's state.
+ * @param {EpoClient~EpoServerDescriptor} epoServer - The ePO server.
+ * @returns {EpoClient~EpoServerDescriptor} The copy.
+ * @private
+ */
+function copyEpoServer (epoServer) {
+  return JSON.parse(JSON.stringify(epoServer))
+}
+
+module.exports = EpoServiceWatcher
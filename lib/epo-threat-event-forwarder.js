@@ -0,0 +1,764 @@
+'use strict'
+
+const crypto = require('crypto')
+const EventEmitter = require('events').EventEmitter
+const fs = require('fs')
+const http = require('http')
+const https = require('https')
+const inherits = require('inherits')
+const path = require('path')
+const URL = require('url').URL
+const util = require('./util')
+
+// The default maximum number of events in a batch
+const DEFAULT_BATCH_SIZE = 100
+
+// The default time, in milliseconds, to wait for a batch to fill before it
+// is sent
+const DEFAULT_BATCH_INTERVAL = 1000
+
+// The default number of times to retry sending a batch
+const DEFAULT_MAX_RETRIES = 10
+
+// The default delay, in milliseconds, before the first retry
+const DEFAULT_RETRY_DELAY = 1000
+
+// The default maximum delay, in milliseconds, between retries
+const DEFAULT_MAX_RETRY_DELAY = 60000
+
+// The default time, in milliseconds, to wait for a webhook to respond
+const DEFAULT_REQUEST_TIMEOUT = 30000
+
+// The default maximum number of batches to queue for each webhook
+const DEFAULT_MAX_QUEUE_SIZE = 10000
+
+// The default header which carries the HMAC signature of the request body
+const DEFAULT_SIGNATURE_HEADER = 'X-Signature-256'
+
+// The extension of the files in the on-disk queue
+const QUEUE_FILE_EXTENSION = '.json'
+
+// HTTP status codes other than 5xx which indicate that a request may
+// succeed if it is retried
+const RETRYABLE_STATUS_CODES = [408, 429]
+
+/**
+ * Builds the state for delivering batches to a webhook.
+ * @param {(String|Object)} webhook - The URL of the webhook, or an object
+ *   with the `url` and, optionally, the `headers` and `secret` for it.
+ * @param {Object} options - The options supplied to the forwarder.
+ * @returns {Object} The delivery state.
+ * @throws {TypeError} If the webhook is not valid.
+ * @private
+ */
+function createDelivery (webhook, options) {
+  if (typeof webhook === 'string') {
+    webhook = { url: webhook }
+  }
+  if (!webhook || typeof webhook.url !== 'string') {
+    throw new TypeError('Invalid webhook: ' + webhook)
+  }
+  let url
+  try {
+    url = new URL(webhook.url)
+  } catch (err) {
+    throw new TypeError('Invalid webhook URL: ' + webhook.url)
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new TypeError('Unsupported webhook protocol: ' + url.protocol)
+  }
+  let secret = options.secret || null
+  if (typeof webhook.secret !== 'undefined') {
+    secret = webhook.secret
+  }
+  // Each webhook has its own directory in the on-disk queue, named from its
+  // URL so that it is found again after a restart
+  let queueDirectory = null
+  if (options.queueDirectory) {
+    queueDirectory = path.join(options.queueDirectory,
+      crypto.createHash('sha256').update(webhook.url).digest('hex')
+        .substring(0, 16))
+  }
+  return {
+    url: webhook.url,
+    headers: Object.assign({}, options.headers, webhook.headers),
+    secret,
+    queueDirectory,
+    queue: [],
+    attempt: 0,
+    request: null,
+    retryTimer: null
+  }
+}
+
+/**
+ * Determines the delay requested by the `Retry-After` header of a response.
+ * @param {http.IncomingMessage} response - The response.
+ * @returns {Number} The delay, in milliseconds, `0` if none was requested.
+ * @private
+ */
+function retryAfterDelay (response) {
+  const value = response.headers['retry-after']
+  if (!value) {
+    return 0
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000
+  }
+  const time = Date.parse(value)
+  return isNaN(time) ? 0 : Math.max(time - Date.now(), 0)
+}
+
+/**
+ * @classdesc Forwards ePO threat events to one or more HTTP(S) webhooks.
+ *
+ * Events are collected into batches of up to `batchSize` events. A batch is
+ * sent once it is full or `batchInterval` milliseconds after its first event
+ * arrived, as a `POST` request with a JSON body of the form
+ * `{"events": [...]}`. Each event is the payload decoded from the DXL event,
+ * unless a `transform` function is supplied.
+ *
+ * Batches are sent to each webhook in order, one at a time. If a request
+ * fails, times out or receives a `408`, `429` or `5xx` response, it is
+ * retried after a delay which doubles after each attempt - or the delay
+ * requested by a `Retry-After` header, if longer - up to `maxRetryDelay`.
+ * A batch which still fails after `maxRetries` retries, or which receives any
+ * other non-`2xx` response, is discarded.
+ *
+ * If a `secret` is supplied, each request carries an HMAC-SHA256 signature
+ * of its body in the `signatureHeader` header, in the form `sha256=<hex>`.
+ *
+ * If a `queueDirectory` is supplied, each batch is written to a file in the
+ * directory before it is sent and removed once it has been delivered or
+ * discarded. Batches which are still queued when the process exits are sent
+ * when the forwarder is next started. Events which have not yet been
+ * collected into a batch when the process exits are lost; stopping the
+ * forwarder collects them into a final batch.
+ *
+ * The forwarder emits the following events:
+ *
+ * * `delivered` - A batch was delivered. The listener receives the webhook
+ *   URL and the number of events in the batch.
+ * * `retry` - Sending a batch failed and will be retried. The listener
+ *   receives the `Error`, the webhook URL, the number of the attempt which
+ *   failed and the delay, in milliseconds, before the next attempt.
+ * * `discarded` - A batch was discarded. The listener receives the `Error`,
+ *   the webhook URL and the number of events in the batch.
+ * * `error` - The `transform` function failed for an event, or the on-disk
+ *   queue could not be updated. The listener receives the `Error`. This event
+ *   is only emitted if a listener has been registered for it.
+ *
+ * An `Error` for a response with an unsuccessful status has a `statusCode`
+ * property containing the status.
+ * @param {EpoClient} epoClient - The client to receive threat events with.
+ * @param {Object} options - Options for the forwarder.
+ * @param {Array<(String|Object)>} options.webhooks - The webhooks to forward
+ *   events to. Each is the URL of the webhook, or an object with the `url`
+ *   and, optionally, the `headers` and `secret` to use for it in place of
+ *   the forwarder-wide options.
+ * @param {Object<String, String>} [options.headers] - Headers to send with
+ *   each request.
+ * @param {String} [options.secret] - The key with which to sign each
+ *   request.
+ * @param {String} [options.signatureHeader=X-Signature-256] - The header
+ *   which carries the signature.
+ * @param {String} [options.topic=/mcafee/event/epo/threat/response] - The
+ *   topic that ePO threat events are published to.
+ * @param {(Object|Array|Function|ThreatEventFilter)} [options.filter] - A
+ *   filter which selects the events to forward. See
+ *   {@link ThreatEventFilter}.
+ * @param {Function} [options.transform] - Function which is invoked with each
+ *   {@link ThreatEvent} and returns the value to send for it.
+ * @param {Number} [options.batchSize=100] - Maximum number of events in a
+ *   batch.
+ * @param {Number} [options.batchInterval=1000] - Maximum time, in
+ *   milliseconds, to wait for a batch to fill before it is sent.
+ * @param {Number} [options.maxRetries=10] - Number of times to retry sending
+ *   a batch before it is discarded.
+ * @param {Number} [options.retryDelay=1000] - Delay, in milliseconds, before
+ *   the first retry.
+ * @param {Number} [options.maxRetryDelay=60000] - Maximum delay, in
+ *   milliseconds, between retries.
+ * @param {Number} [options.requestTimeout=30000] - Time, in milliseconds, to
+ *   wait for a webhook to respond.
+ * @param {String} [options.queueDirectory] - Directory in which to keep the
+ *   queue of batches to send, so that it survives a restart. The directory is
+ *   created if it does not exist. If not specified, the queue is only held in
+ *   memory.
+ * @param {Number} [options.maxQueueSize=10000] - Maximum number of batches to
+ *   queue for each webhook. If a batch is queued when this many are waiting,
+ *   the oldest is discarded.
+ * @throws {TypeError} If any of the options are not valid.
+ * @example
+ * const forwarder = new EpoThreatEventForwarder(epoClient, {
+ *   webhooks: ['https://hooks.example.com/epo-threats'],
+ *   secret: process.env.WEBHOOK_SECRET,
+ *   queueDirectory: '/var/lib/epo-forwarder'
+ * })
+ * forwarder.on('discarded', function (error, url, count) {
+ *   console.log('Discarded ' + count + ' events for ' + url + ': ' +
+ *     error.message)
+ * })
+ * forwarder.start()
+ * @constructor
+ */
+function EpoThreatEventForwarder (epoClient, options) {
+  EventEmitter.call(this)
+
+  options = options || {}
+  if (!Array.isArray(options.webhooks) || !options.webhooks.length) {
+    throw new TypeError('At least one webhook must be specified')
+  }
+  const settings = {
+    batchSize: DEFAULT_BATCH_SIZE,
+    batchInterval: DEFAULT_BATCH_INTERVAL,
+    maxRetries: DEFAULT_MAX_RETRIES,
+    retryDelay: DEFAULT_RETRY_DELAY,
+    maxRetryDelay: DEFAULT_MAX_RETRY_DELAY,
+    requestTimeout: DEFAULT_REQUEST_TIMEOUT,
+    maxQueueSize: DEFAULT_MAX_QUEUE_SIZE
+  }
+  Object.keys(settings).forEach(function (name) {
+    if (typeof options[name] !== 'undefined') {
+      settings[name] = options[name]
+    }
+    const value = settings[name]
+    const minimum = name === 'maxRetries' ? 0 : 1
+    if (!Number.isInteger(value) || value < minimum) {
+      throw new TypeError('Invalid ' + name + ': ' + value)
+    }
+  })
+
+  /**
+   * The client to receive threat events with.
+   * @type {EpoClient}
+   * @private
+   */
+  this._epoClient = epoClient
+
+  /**
+   * The options for receiving threat events.
+   * @type {Object}
+   * @private
+   */
+  this._subscriptionOptions = {
+    topic: options.topic,
+    filter: options.filter,
+    threatEvent: true
+  }
+
+  /**
+   * Function which returns the value to send for a threat event.
+   * @type {Function}
+   * @private
+   */
+  this._transform = options.transform || function (threatEvent) {
+    return threatEvent.getPayload()
+  }
+
+  /**
+   * The header which carries the signature.
+   * @type {String}
+   * @private
+   */
+  this._signatureHeader = options.signatureHeader || DEFAULT_SIGNATURE_HEADER
+
+  /**
+   * The batching, retry and queue settings.
+   * @type {Object<String, Number>}
+   * @private
+   */
+  this._settings = settings
+
+  /**
+   * The delivery state for each webhook.
+   * @type {Array<Object>}
+   * @private
+   */
+  this._deliveries = options.webhooks.map(function (webhook) {
+    return createDelivery(webhook, options)
+  })
+
+  /**
+   * The events which have not yet been collected into a batch.
+   * @type {Array}
+   * @private
+   */
+  this._pendingEvents = []
+
+  /**
+   * Timer which sends the pending events as a batch.
+   * @private
+   */
+  this._batchTimer = null
+
+  /**
+   * The sequence number of the last batch, used to order batches which are
+   * created in the same millisecond.
+   * @type {Number}
+   * @private
+   */
+  this._batchSequence = 0
+
+  /**
+   * Whether the forwarder has been started.
+   * @type {Boolean}
+   * @private
+   */
+  this._started = false
+
+  /**
+   * Function which stops the forwarder receiving threat events.
+   * @type {Function}
+   * @private
+   */
+  this._unsubscribe = null
+
+  /**
+   * The number of requests and queue file writes in progress.
+   * @type {Number}
+   * @private
+   */
+  this._pendingOperations = 0
+
+  /**
+   * Callbacks waiting for the operations in progress to complete after the
+   * forwarder has been stopped.
+   * @type {Array<Function>}
+   * @private
+   */
+  this._stopCallbacks = []
+}
+
+inherits(EpoThreatEventForwarder, EventEmitter)
+
+/**
+ * Starts forwarding threat events. If a `queueDirectory` was supplied, the
+ * batches left in it by a previous run are loaded and sent first.
+ * @param {Function} [callback] - Callback function which is invoked once the
+ *   forwarder has started. If the queue cannot be loaded, the first parameter
+ *   supplied to the callback contains an `Error` object with failure details
+ *   and the forwarder is not started.
+ * @returns {Promise|undefined} If no `callback` is supplied, a `Promise`
+ *   which is settled once the forwarder has started.
+ */
+EpoThreatEventForwarder.prototype.start = function (callback) {
+  const forwarder = this
+  return util.callbackOrPromise(callback, function (done) {
+    if (forwarder._started) {
+      done(null)
+      return
+    }
+    forwarder._started = true
+    forwarder._stopCallbacks = []
+    util.forEachSeries(forwarder._deliveries, function (delivery, next) {
+      forwarder._loadQueue(delivery, next)
+    }, function (error) {
+      if (error) {
+        forwarder._started = false
+        done(error)
+        return
+      }
+      forwarder._unsubscribe = forwarder._epoClient.addThreatEventCallback(
+        function (threatEvent) {
+          forwarder._addEvent(threatEvent)
+        }, forwarder._subscriptionOptions)
+      forwarder._deliveries.forEach(function (delivery) {
+        forwarder._deliverNext(delivery)
+      })
+      done(null)
+    })
+  })
+}
+
+/**
+ * Stops forwarding threat events. Events which have not yet been collected
+ * into a batch are collected into a final batch, and pending retries are
+ * cancelled. Batches which have not been delivered remain in the on-disk
+ * queue, if one is used, and are sent when the forwarder is next started.
+ * @param {Function} [callback] - Callback function which is invoked once the
+ *   requests and queue updates in progress have completed.
+ * @returns {Promise|undefined} If no `callback` is supplied, a `Promise`
+ *   which is settled once the forwarder has stopped.
+ */
+EpoThreatEventForwarder.prototype.stop = function (callback) {
+  const forwarder = this
+  return util.callbackOrPromise(callback, function (done) {
+    if (forwarder._started) {
+      forwarder._unsubscribe()
+      forwarder._unsubscribe = null
+      forwarder._started = false
+      forwarder._flushBatch()
+      forwarder._deliveries.forEach(function (delivery) {
+        clearTimeout(delivery.retryTimer)
+        delivery.retryTimer = null
+      })
+    }
+    forwarder._stopCallbacks.push(done)
+    forwarder._completeStop()
+  })
+}
+
+/**
+ * Returns the number of batches waiting to be delivered to each webhook.
+ * @returns {Object<String, Number>} The number of batches, keyed by webhook
+ *   URL.
+ */
+EpoThreatEventForwarder.prototype.getQueueLengths = function () {
+  return this._deliveries.reduce(function (lengths, delivery) {
+    lengths[delivery.url] = delivery.queue.length
+    return lengths
+  }, {})
+}
+
+/**
+ * Adds a threat event to the pending batch.
+ * @param {ThreatEvent} threatEvent - The threat event.
+ * @private
+ */
+EpoThreatEventForwarder.prototype._addEvent = function (threatEvent) {
+  const forwarder = this
+  let value
+  try {
+    value = this._transform(threatEvent)
+  } catch (err) {
+    this._emitError(err)
+    return
+  }
+  this._pendingEvents.push(value)
+  if (this._pendingEvents.length >= this._settings.batchSize) {
+    this._flushBatch()
+  } else if (!this._batchTimer) {
+    this._batchTimer = setTimeout(function () {
+      forwarder._flushBatch()
+    }, this._settings.batchInterval)
+  }
+}
+
+/**
+ * Collects the pending events into a batch and queues it for each webhook.
+ * @private
+ */
+EpoThreatEventForwarder.prototype._flushBatch = function () {
+  const forwarder = this
+  clearTimeout(this._batchTimer)
+  this._batchTimer = null
+  if (!this._pendingEvents.length) {
+    return
+  }
+  const count = this._pendingEvents.length
+  const body = JSON.stringify({ events: this._pendingEvents })
+  this._pendingEvents = []
+  this._batchSequence = (this._batchSequence + 1) % 1000000
+  const id = ('000000000000000' + Date.now()).slice(-15) + '-' +
+    ('00000' + this._batchSequence).slice(-6)
+  this._deliveries.forEach(function (delivery) {
+    forwarder._enqueue(delivery, { id, body, count })
+  })
+}
+
+/**
+ * Queues a batch for a webhook, writing it to the on-disk queue first if
+ * one is used.
+ * @param {Object} delivery - The delivery state for the webhook.
+ * @param {Object} batch - The batch.
+ * @private
+ */
+EpoThreatEventForwarder.prototype._enqueue = function (delivery, batch) {
+  const forwarder = this
+  const add = function () {
+    // Writes may complete out of order, so insert the batch by its id
+    let index = delivery.queue.length
+    while (index > 0 && delivery.queue[index - 1].id > batch.id) {
+      index--
+    }
+    delivery.queue.splice(index, 0, batch)
+    if (delivery.queue.length > forwarder._settings.maxQueueSize) {
+      const discarded = delivery.queue.shift()
+      forwarder._removeBatch(delivery, discarded)
+      forwarder.emit('discarded', new Error('Webhook queue is full'),
+        delivery.url, discarded.count)
+    }
+    forwarder._deliverNext(delivery)
+  }
+
+  if (!delivery.queueDirectory) {
+    add()
+    return
+  }
+  const file = path.join(delivery.queueDirectory, batch.id +
+    QUEUE_FILE_EXTENSION)
+  // Write to a temporary file first, so that a partly written batch is not
+  // loaded after a restart
+  const tempFile = file + '.tmp'
+  this._pendingOperations++
+  fs.writeFile(tempFile, batch.body, function (error) {
+    const written = function (error) {
+      if (error) {
+        forwarder._emitError(error)
+      }
+      add()
+      forwarder._pendingOperations--
+      forwarder._completeStop()
+    }
+    if (error) {
+      written(error)
+    } else {
+      fs.rename(tempFile, file, written)
+    }
+  })
+}
+
+/**
+ * Loads the batches in the on-disk queue for a webhook.
+ * @param {Object} delivery - The delivery state for the webhook.
+ * @param {Function} callback - Callback function to invoke once the queue has
+ *   been loaded.
+ * @private
+ */
+EpoThreatEventForwarder.prototype._loadQueue = function (delivery, callback) {
+  const directory = delivery.queueDirectory
+  if (!directory) {
+    callback(null)
+    return
+  }
+  fs.mkdir(directory, { recursive: true }, function (error) {
+    if (error) {
+      callback(error)
+      return
+    }
+    fs.readdir(directory, function (error, names) {
+      if (error) {
+        callback(error)
+        return
+      }
+      const queued = {}
+      delivery.queue.forEach(function (batch) {
+        queued[batch.id] = true
+      })
+      const ids = names.filter(function (name) {
+        return path.extname(name) === QUEUE_FILE_EXTENSION
+      }).map(function (name) {
+        return path.basename(name, QUEUE_FILE_EXTENSION)
+      }).filter(function (id) {
+        return !queued[id]
+      })
+      const loaded = []
+      util.forEachSeries(ids, function (id, next) {
+        fs.readFile(path.join(directory, id + QUEUE_FILE_EXTENSION), 'utf8',
+          function (error, body) {
+            if (error) {
+              next(error)
+              return
+            }
+            let count = 0
+            try {
+              count = JSON.parse(body).events.length
+            } catch (err) {
+              // The batch is sent as it is; the webhook decides whether
+              // it is usable
+            }
+            loaded.push({ id, body, count })
+            next(null)
+          })
+      }, function (error) {
+        if (!error) {
+          delivery.queue = delivery.queue.concat(loaded).sort(function (a, b) {
+            return a.id < b.id ? -1 : (a.id > b.id ? 1 : 0)
+          })
+        }
+        callback(error)
+      })
+    })
+  })
+}
+
+/**
+ * Sends the next queued batch to a webhook, unless a request is already in
+ * progress or waiting to be retried.
+ * @param {Object} delivery - The delivery state for the webhook.
+ * @private
+ */
+EpoThreatEventForwarder.prototype._deliverNext = function (delivery) {
+  const forwarder = this
+  if (!this._started || delivery.request || delivery.retryTimer ||
+    !delivery.queue.length) {
+    return
+  }
+  const batch = delivery.queue[0]
+  this._pendingOperations++
+  this._send(delivery, batch, function (error, response) {
+    delivery.request = null
+    forwarder._pendingOperations--
+    // The batch may have been discarded because the queue was full
+    if (delivery.queue[0] === batch) {
+      forwarder._handleResult(delivery, batch, error, response)
+    }
+    forwarder._completeStop()
+    forwarder._deliverNext(delivery)
+  })
+}
+
+/**
+ * Handles the result of sending a batch to a webhook, removing the batch
+ * from the queue or scheduling a retry.
+ * @param {Object} delivery - The delivery state for the webhook.
+ * @param {Object} batch - The batch.
+ * @param {Error} error - The error, if the batch was not delivered.
+ * @param {http.IncomingMessage} response - The response, if one was
+ *   received.
+ * @private
+ */
+EpoThreatEventForwarder.prototype._handleResult = function (delivery, batch,
+  error, response) {
+  const forwarder = this
+  const settings = this._settings
+  if (!error) {
+    delivery.attempt = 0
+    delivery.queue.shift()
+    this._removeBatch(delivery, batch)
+    this.emit('delivered', delivery.url, batch.count)
+    return
+  }
+
+  const retryable = !response || response.statusCode >= 500 ||
+    RETRYABLE_STATUS_CODES.indexOf(response.statusCode) >= 0
+  delivery.attempt++
+  if (!retryable || delivery.attempt > settings.maxRetries) {
+    delivery.attempt = 0
+    delivery.queue.shift()
+    this._removeBatch(delivery, batch)
+    this.emit('discarded', error, delivery.url, batch.count)
+    return
+  }
+  if (!this._started) {
+    return
+  }
+  let delay = Math.min(
+    settings.retryDelay * Math.pow(2, delivery.attempt - 1),
+    settings.maxRetryDelay)
+  if (response) {
+    delay = Math.min(Math.max(delay, retryAfterDelay(response)),
+      settings.maxRetryDelay)
+  }
+  this.emit('retry', error, delivery.url, delivery.attempt, delay)
+  delivery.retryTimer = setTimeout(function () {
+    delivery.retryTimer = null
+    forwarder._deliverNext(delivery)
+  }, delay)
+}
+
+/**
+ * Sends a batch to a webhook.
+ * @param {Object} delivery - The delivery state for the webhook.
+ * @param {Object} batch - The batch.
+ * @param {Function} callback - Callback function to invoke with an `Error` if
+ *   the batch was not delivered, and the response if one was received.
+ * @private
+ */
+EpoThreatEventForwarder.prototype._send = function (delivery, batch,
+  callback) {
+  const timeout = this._settings.requestTimeout
+  let completed = false
+  const complete = function (error, response) {
+    if (!completed) {
+      completed = true
+      callback(error, response)
+    }
+  }
+
+  const body = Buffer.from(batch.body)
+  const headers = Object.assign({
+    'Content-Type': 'application/json',
+    'Content-Length': body.length
+  }, delivery.headers)
+  if (delivery.secret) {
+    headers[this._signatureHeader] = 'sha256=' +
+      crypto.createHmac('sha256', delivery.secret).update(body).digest('hex')
+  }
+
+  const transport = delivery.url.startsWith('https:') ? https : http
+  let request
+  try {
+    request = transport.request(delivery.url, { method: 'POST', headers })
+  } catch (err) {
+    complete(err)
+    return
+  }
+  delivery.request = request
+  request.setTimeout(timeout, function () {
+    request.destroy(new Error('Webhook did not respond within ' + timeout +
+      ' ms'))
+  })
+  request.on('error', function (error) {
+    complete(error)
+  })
+  request.on('response', function (response) {
+    // Discard the body of the response
+    response.resume()
+    response.on('end', function () {
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        complete(null, response)
+      } else {
+        const error = new Error('Webhook responded with HTTP status ' +
+          response.statusCode)
+        error.statusCode = response.statusCode
+        complete(error, response)
+      }
+    })
+    response.on('error', function (error) {
+      complete(error, response)
+    })
+  })
+  request.end(body)
+}
+
+/**
+ * Removes a batch from the on-disk queue for a webhook.
+ * @param {Object} delivery - The delivery state for the webhook.
+ * @param {Object} batch - The batch.
+ * @private
+ */
+EpoThreatEventForwarder.prototype._removeBatch = function (delivery, batch) {
+  const forwarder = this
+  if (!delivery.queueDirectory) {
+    return
+  }
+  this._pendingOperations++
+  fs.unlink(path.join(delivery.queueDirectory, batch.id +
+    QUEUE_FILE_EXTENSION), function (error) {
+    if (error && error.code !== 'ENOENT') {
+      forwarder._emitError(error)
+    }
+    forwarder._pendingOperations--
+    forwarder._completeStop()
+  })
+}
+
+/**
+ * Invokes the callbacks waiting for the forwarder to stop, if it has been
+ * stopped and no operations are in progress.
+ * @private
+ */
+EpoThreatEventForwarder.prototype._completeStop = function () {
+  if (!this._started && !this._pendingOperations) {
+    const stopCallbacks = this._stopCallbacks
+    this._stopCallbacks = []
+    stopCallbacks.forEach(function (callback) {
+      callback(null)
+    })
+  }
+}
+
+/**
+ * Emits an `error` event, if a listener has been registered for it.
+ * @param {Error} error - The error.
+ * @private
+ */
+EpoThreatEventForwarder.prototype._emitError = function (error) {
+  if (this.listenerCount('error')) {
+    this.emit('error', error)
+  }
+}
+
+module.exports = EpoThreatEventForwarder
@@ -0,0 +1,28 @@
+'use strict'
+
+const inherits = require('inherits')
+const EpoError = require('./epo-error')
+
+/**
+ * @classdesc An error which is delivered when an ePO remote command does not
+ * complete within the timeout configured for the request.
+ * @param {String} message - The error message.
+ * @param {Number} timeout - The timeout, in milliseconds, which elapsed.
+ * @param {EpoError~Details} [details] - Details of the request which the
+ *   error relates to.
+ * @augments EpoError
+ * @constructor
+ */
+function EpoTimeoutError (message, timeout, details) {
+  EpoError.call(this, message, details)
+  /**
+   * The timeout, in milliseconds, which elapsed.
+   * @type {Number}
+   * @name EpoTimeoutError#timeout
+   */
+  this.timeout = timeout
+}
+
+inherits(EpoTimeoutError, EpoError)
+
+module.exports = EpoTimeoutError
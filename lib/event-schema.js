@@ -0,0 +1,231 @@
+'use strict'
+
+/**
+ * @module EventSchema
+ * @private
+ */
+
+// The types which can appear in the `type` keyword of a schema
+const TYPES = ['null', 'boolean', 'object', 'array', 'number', 'integer',
+  'string']
+
+// The validation keywords which are not supported in a schema. Any other
+// keyword which is not supported - for example, an annotation such as
+// `title` or `description` - does not affect validation and is ignored.
+const UNSUPPORTED_KEYWORDS = ['$ref', '$dynamicRef', '$recursiveRef', 'allOf',
+  'anyOf', 'oneOf', 'not', 'if', 'then', 'else', 'dependencies',
+  'dependentRequired', 'dependentSchemas', 'patternProperties',
+  'propertyNames', 'minProperties', 'maxProperties', 'unevaluatedProperties',
+  'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf', 'uniqueItems',
+  'contains', 'minContains', 'maxContains', 'prefixItems', 'additionalItems',
+  'unevaluatedItems']
+
+/**
+ * Returns the JSON Schema type of a value.
+ * @param {*} value - The value.
+ * @returns {String} The type.
+ */
+function typeOf (value) {
+  if (value === null) {
+    return 'null'
+  }
+  if (Array.isArray(value)) {
+    return 'array'
+  }
+  return typeof value
+}
+
+/**
+ * Determines whether a value is of a JSON Schema type.
+ * @param {*} value - The value.
+ * @param {String} type - The type.
+ * @returns {Boolean} `true` if the value is of the type.
+ */
+function isOfType (value, type) {
+  if (type === 'integer') {
+    return Number.isInteger(value)
+  }
+  return typeOf(value) === type
+}
+
+/**
+ * Checks that a schema only uses the supported validation keywords and types,
+ * so that a mistake in the schema is reported when it is registered rather
+ * than when the first event arrives, and compiles it for
+ * {@link module:EventSchema.validate}.
+ * @param {Object} schema - The schema.
+ * @param {String} [path=schema] - The path of the schema, for error messages.
+ * @returns {Object} The compiled schema. It has the supported keywords of the
+ *   schema, with each `pattern` compiled to a `RegExp`.
+ * @throws {TypeError} If the schema is not valid.
+ */
+function compile (schema, path) {
+  path = path || 'schema'
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new TypeError('Invalid ' + path + ': ' + schema)
+  }
+  Object.keys(schema).forEach(function (keyword) {
+    if (UNSUPPORTED_KEYWORDS.indexOf(keyword) >= 0) {
+      throw new TypeError('Unsupported keyword in ' + path + ': ' + keyword)
+    }
+  })
+  const compiled = {}
+  if (typeof schema.type !== 'undefined') {
+    const types = [].concat(schema.type)
+    compiled.type = types
+    types.forEach(function (type) {
+      if (TYPES.indexOf(type) < 0) {
+        throw new TypeError('Invalid type in ' + path + ': ' + type)
+      }
+    })
+  }
+  if (typeof schema.enum !== 'undefined' && !Array.isArray(schema.enum)) {
+    throw new TypeError('Invalid enum in ' + path + ': ' + schema.enum)
+  }
+  if (typeof schema.required !== 'undefined' &&
+    !Array.isArray(schema.required)) {
+    throw new TypeError('Invalid required in ' + path + ': ' +
+      schema.required)
+  }
+  ['enum', 'const', 'required', 'minItems', 'maxItems', 'minimum', 'maximum',
+    'minLength', 'maxLength'].forEach(function (keyword) {
+    if (typeof schema[keyword] !== 'undefined') {
+      compiled[keyword] = schema[keyword]
+    }
+  })
+  if (typeof schema.pattern !== 'undefined') {
+    // Throws a SyntaxError if the pattern is not a valid regular expression
+    compiled.pattern = new RegExp(schema.pattern)
+  }
+  if (schema.properties) {
+    compiled.properties = {}
+    Object.keys(schema.properties).forEach(function (name) {
+      compiled.properties[name] = compile(schema.properties[name],
+        path + '.properties.' + name)
+    })
+  }
+  if (schema.additionalProperties &&
+    typeof schema.additionalProperties === 'object') {
+    compiled.additionalProperties = compile(schema.additionalProperties,
+      path + '.additionalProperties')
+  } else if (typeof schema.additionalProperties !== 'undefined') {
+    compiled.additionalProperties = schema.additionalProperties
+  }
+  if (schema.items) {
+    compiled.items = compile(schema.items, path + '.items')
+  }
+  return compiled
+}
+
+/**
+ * Validates a value against a compiled schema.
+ * @param {*} value - The value.
+ * @param {Object} schema - The compiled schema.
+ * @param {String} path - The path of the value, for error messages.
+ * @throws {TypeError} If the value does not match the schema.
+ */
+function validateValue (value, schema, path) {
+  const fail = function (reason) {
+    throw new TypeError('Invalid event payload: ' + path + ' ' + reason)
+  }
+
+  if (schema.type) {
+    if (!schema.type.some(function (type) { return isOfType(value, type) })) {
+      fail('must be of type ' + schema.type.join(' or '))
+    }
+  }
+  if (typeof schema.const !== 'undefined' && value !== schema.const) {
+    fail('must be ' + JSON.stringify(schema.const))
+  }
+  if (schema.enum && schema.enum.indexOf(value) < 0) {
+    fail('must be one of ' + JSON.stringify(schema.enum))
+  }
+
+  switch (typeOf(value)) {
+    case 'number':
+      if (typeof schema.minimum !== 'undefined' && value < schema.minimum) {
+        fail('must be at least ' + schema.minimum)
+      }
+      if (typeof schema.maximum !== 'undefined' && value > schema.maximum) {
+        fail('must be at most ' + schema.maximum)
+      }
+      break
+    case 'string':
+      if (typeof schema.minLength !== 'undefined' &&
+        value.length < schema.minLength) {
+        fail('must be at least ' + schema.minLength + ' characters long')
+      }
+      if (typeof schema.maxLength !== 'undefined' &&
+        value.length > schema.maxLength) {
+        fail('must be at most ' + schema.maxLength + ' characters long')
+      }
+      if (schema.pattern && !schema.pattern.test(value)) {
+        fail('must match ' + schema.pattern.source)
+      }
+      break
+    case 'array':
+      if (typeof schema.minItems !== 'undefined' &&
+        value.length < schema.minItems) {
+        fail('must have at least ' + schema.minItems + ' items')
+      }
+      if (typeof schema.maxItems !== 'undefined' &&
+        value.length > schema.maxItems) {
+        fail('must have at most ' + schema.maxItems + ' items')
+      }
+      if (schema.items) {
+        value.forEach(function (item, index) {
+          validateValue(item, schema.items, path + '[' + index + ']')
+        })
+      }
+      break
+    case 'object':
+      validateObject(value, schema, path, fail)
+      break
+  }
+}
+
+/**
+ * Validates the properties of an object against a compiled schema.
+ * @param {Object} value - The object.
+ * @param {Object} schema - The compiled schema.
+ * @param {String} path - The path of the object, for error messages.
+ * @param {Function} fail - Function which throws the error for a reason.
+ * @throws {TypeError} If the object does not match the schema.
+ */
+function validateObject (value, schema, path, fail) {
+  const properties = schema.properties || {}
+  const required = schema.required || []
+  required.forEach(function (name) {
+    if (!Object.prototype.hasOwnProperty.call(value, name)) {
+      fail('must have property ' + name)
+    }
+  })
+  Object.keys(value).forEach(function (name) {
+    const propertyPath = path + '.' + name
+    if (Object.prototype.hasOwnProperty.call(properties, name)) {
+      validateValue(value[name], properties[name], propertyPath)
+    } else if (schema.additionalProperties === false) {
+      fail('must not have property ' + name)
+    } else if (schema.additionalProperties &&
+      typeof schema.additionalProperties === 'object') {
+      validateValue(value[name], schema.additionalProperties, propertyPath)
+    }
+  })
+}
+
+/**
+ * Validates a decoded event payload against a schema.
+ * @param {*} payload - The payload.
+ * @param {Object} schema - The schema, as returned by
+ *   {@link module:EventSchema.compile}.
+ * @throws {TypeError} If the payload does not match the schema. The message
+ *   names the first part of the payload which does not match.
+ */
+function validate (payload, schema) {
+  validateValue(payload, schema, 'payload')
+}
+
+module.exports = {
+  compile,
+  validate
+}
@@ -0,0 +1,185 @@
+'use strict'
+
+const MessageUtils = require('@opendxl/dxl-bootstrap').MessageUtils
+
+/**
+ * Decodes the payload of a DXL event from JSON.
+ * @param {external:Event} event - The event.
+ * @returns {Object} The decoded payload.
+ * @private
+ */
+function decodeJsonPayload (event) {
+  return MessageUtils.jsonPayloadToObject(event)
+}
+
+/**
+ * @classdesc Tracks the event callbacks which have been registered on behalf
+ * of the ePO client.
+ *
+ * A single dispatcher is registered with the DXL client for each topic. It is
+ * added when the first callback for the topic is registered and removed
+ * together with the last one, so callbacks can be removed reliably even
+ * though the DXL client only sees the dispatcher. Each registration gets its
+ * own decoded copy of the event payload, and may have a filter which selects
+ * the events to deliver to it. A payload which cannot be decoded, or an error
+ * thrown by a callback, is delivered to the registration's error callback
+ * rather than being thrown from the DXL client's message handling, so it does
+ * not prevent the event from reaching the other registrations.
+ * @param {external:DxlClient} dxlClient - The DXL client to register the
+ *   dispatchers with.
+ * @constructor
+ * @private
+ */
+function EventSubscriptionManager (dxlClient) {
+  /**
+   * The DXL client to register the dispatchers with.
+   * @type {external:DxlClient}
+   * @private
+   */
+  this._dxlClient = dxlClient
+
+  /**
+   * The registrations for each topic, keyed by topic.
+   * @type {Object<String, Array<Object>>}
+   * @private
+   */
+  this._subscriptions = {}
+
+  /**
+   * The dispatcher registered with the DXL client for each topic, keyed by
+   * topic.
+   * @type {Object<String, Function>}
+   * @private
+   */
+  this._dispatchers = {}
+}
+
+/**
+ * Registers a callback for events on a topic.
+ * @param {String} topic - The topic to receive events on.
+ * @param {Function} callback - The function to invoke for each event. The
+ *   first argument passed to the function is the decoded payload of the
+ *   event. The second argument is the DXL [Event]{@link external:Event}.
+ * @param {Object} [options] - Additional options for the registration.
+ * @param {Function} [options.decode] - Function which is invoked with the
+ *   DXL event and returns the decoded payload. Defaults to decoding the
+ *   payload from JSON.
+ * @param {Function} [options.filter] - Function which is invoked with the
+ *   decoded payload and the DXL event and returns `true` if the event should
+ *   be delivered to the callback.
+ * @param {Function} [options.errorCallback] - Function which is invoked with
+ *   the `Error` and the DXL event if the payload cannot be decoded, or the
+ *   filter or callback throws an error. If not specified, such errors are
+ *   ignored, as are errors thrown by the error callback itself.
+ * @returns {Function} Function which removes the registration when invoked.
+ *   Invoking it more than once has no further effect.
+ */
+EventSubscriptionManager.prototype.add = function (topic, callback, options) {
+  const manager = this
+  options = options || {}
+
+  const subscription = {
+    callback,
+    decode: options.decode || decodeJsonPayload,
+    filter: options.filter || null,
+    errorCallback: options.errorCallback || null,
+    active: true
+  }
+
+  let subscriptions = this._subscriptions[topic]
+  if (!subscriptions) {
+    subscriptions = []
+    this._subscriptions[topic] = subscriptions
+    const dispatcher = function (event) {
+      manager.dispatch(topic, event)
+    }
+    this._dispatchers[topic] = dispatcher
+    this._dxlClient.addEventCallback(topic, dispatcher)
+  }
+  subscriptions.push(subscription)
+
+  return function () {
+    manager._removeSubscriptions(topic, function (candidate) {
+      return candidate === subscription
+    })
+  }
+}
+
+/**
+ * Removes the registrations of a callback for events on a topic.
+ * @param {String} topic - The topic.
+ * @param {Function} callback - The callback to remove. Every registration of
+ *   the callback for the topic is removed.
+ * @returns {Number} The number of registrations which were removed.
+ */
+EventSubscriptionManager.prototype.remove = function (topic, callback) {
+  return this._removeSubscriptions(topic, function (subscription) {
+    return subscription.callback === callback
+  })
+}
+
+/**
+ * Removes the registrations for a topic which match a predicate, removing
+ * the dispatcher for the topic from the DXL client if none remain.
+ * @param {String} topic - The topic.
+ * @param {Function} predicate - Function which returns `true` for each
+ *   registration to remove.
+ * @returns {Number} The number of registrations which were removed.
+ * @private
+ */
+EventSubscriptionManager.prototype._removeSubscriptions = function (topic,
+  predicate) {
+  const subscriptions = this._subscriptions[topic]
+  if (!subscriptions) {
+    return 0
+  }
+  const remaining = subscriptions.filter(function (subscription) {
+    if (predicate(subscription)) {
+      subscription.active = false
+      return false
+    }
+    return true
+  })
+  const removedCount = subscriptions.length - remaining.length
+  if (remaining.length) {
+    this._subscriptions[topic] = remaining
+  } else {
+    delete this._subscriptions[topic]
+    this._dxlClient.removeEventCallback(topic, this._dispatchers[topic])
+    delete this._dispatchers[topic]
+  }
+  return removedCount
+}
+
+/**
+ * Delivers an event to each registration for a topic, as the dispatcher
+ * registered with the DXL client does for each event it receives.
+ * @param {String} topic - The topic.
+ * @param {external:Event} event - The event.
+ */
+EventSubscriptionManager.prototype.dispatch = function (topic, event) {
+  // Copy the registrations so that a registration added by a callback does
+  // not receive this event. A registration removed by a callback is skipped.
+  const subscriptions = (this._subscriptions[topic] || []).slice()
+  subscriptions.forEach(function (subscription) {
+    if (!subscription.active) {
+      return
+    }
+    try {
+      const payload = subscription.decode(event)
+      if (!subscription.filter || subscription.filter(payload, event)) {
+        subscription.callback(payload, event)
+      }
+    } catch (err) {
+      if (subscription.errorCallback) {
+        try {
+          subscription.errorCallback(err, event)
+        } catch (errorCallbackErr) {
+          // Ignored, so that the event still reaches the other registrations
+        }
+      }
+    }
+  })
+}
+
+module.exports = EventSubscriptionManager
@@ -0,0 +1,256 @@
+'use strict'
+
+const fs = require('fs')
+const inherits = require('inherits')
+const ThreatEventSink = require('./threat-event-sink')
+
+// The default size, in bytes, at which the file is rotated
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024
+
+// The default number of rotated files to keep
+const DEFAULT_MAX_FILES = 5
+
+/**
+ * Renames a file, ignoring a file which does not exist.
+ * @param {String} from - The current path of the file.
+ * @param {String} to - The new path of the file.
+ * @param {Function} callback - Callback function to invoke once the file has
+ *   been renamed.
+ * @private
+ */
+function renameIfExists (from, to, callback) {
+  fs.rename(from, to, function (error) {
+    callback(error && error.code !== 'ENOENT' ? error : null)
+  })
+}
+
+/**
+ * @classdesc A sink which appends each ePO threat event as a line of text to
+ * a file. With the default `json` format, the file is newline-delimited JSON
+ * (NDJSON).
+ *
+ * Before an event is written which would take the file past `maxSize` bytes,
+ * the file is rotated: `<path>` is renamed to `<path>.1`, `<path>.1` to
+ * `<path>.2` and so on, keeping at most `maxFiles` rotated files. Events are
+ * written in the order in which they are handled.
+ * @param {Object} options - Options for the sink. See
+ *   {@link ThreatEventSink} for the formatting and error handling options.
+ * @param {String} options.path - The path of the file to write to.
+ * @param {Number} [options.maxSize=10485760] - The size, in bytes, at which
+ *   the file is rotated.
+ * @param {Number} [options.maxFiles=5] - The number of rotated files to keep.
+ * @throws {TypeError} If any of the options are not valid.
+ * @example
+ * epoClient.addThreatEventSink(new FileThreatEventSink({
+ *   path: '/var/log/epo/threats.ndjson',
+ *   maxSize: 50 * 1024 * 1024,
+ *   maxFiles: 10
+ * }))
+ * @augments ThreatEventSink
+ * @constructor
+ */
+function FileThreatEventSink (options) {
+  options = options || {}
+  if (!options.path || typeof options.path !== 'string') {
+    throw new TypeError('A path must be specified for the file')
+  }
+  let maxSize = DEFAULT_MAX_SIZE
+  if (typeof options.maxSize !== 'undefined') {
+    maxSize = options.maxSize
+  }
+  if (!Number.isInteger(maxSize) || maxSize < 1) {
+    throw new TypeError('Invalid maxSize: ' + maxSize)
+  }
+  let maxFiles = DEFAULT_MAX_FILES
+  if (typeof options.maxFiles !== 'undefined') {
+    maxFiles = options.maxFiles
+  }
+  if (!Number.isInteger(maxFiles) || maxFiles < 1) {
+    throw new TypeError('Invalid maxFiles: ' + maxFiles)
+  }
+
+  ThreatEventSink.call(this, options)
+
+  /**
+   * The path of the file to write to.
+   * @type {String}
+   * @private
+   */
+  this._path = options.path
+
+  /**
+   * The size, in bytes, at which the file is rotated.
+   * @type {Number}
+   * @private
+   */
+  this._maxSize = maxSize
+
+  /**
+   * The number of rotated files to keep.
+   * @type {Number}
+   * @private
+   */
+  this._maxFiles = maxFiles
+
+  /**
+   * The current size of the file, `null` if it has not yet been determined.
+   * @type {Number}
+   * @private
+   */
+  this._size = null
+
+  /**
+   * The writes which are waiting for the current write to complete.
+   * @type {Array<Object>}
+   * @private
+   */
+  this._queue = []
+
+  /**
+   * Whether a write is in progress.
+   * @type {Boolean}
+   * @private
+   */
+  this._writing = false
+
+  /**
+   * The callbacks to invoke once the queued writes have completed, after the
+   * sink has been closed.
+   * @type {Array<Function>}
+   * @private
+   */
+  this._closeCallbacks = []
+}
+
+inherits(FileThreatEventSink, ThreatEventSink)
+
+/**
+ * Queues a formatted event to be appended to the file.
+ * @param {String} line - The formatted event.
+ * @param {ThreatEvent} threatEvent - The threat event.
+ * @param {Function} callback - Callback function to invoke once the event has
+ *   been written.
+ * @private
+ */
+FileThreatEventSink.prototype._write = function (line, threatEvent,
+  callback) {
+  this._queue.push({ data: line + '\n', callback })
+  this._writeNext()
+}
+
+/**
+ * Waits for the queued writes to complete.
+ * @param {Function} callback - Callback function to invoke once the queued
+ *   writes have completed.
+ * @private
+ */
+FileThreatEventSink.prototype._close = function (callback) {
+  this._closeCallbacks.push(callback)
+  this._writeNext()
+}
+
+/**
+ * Appends the next queued event to the file, rotating the file first if
+ * necessary.
+ * @private
+ */
+FileThreatEventSink.prototype._writeNext = function () {
+  const sink = this
+  if (this._writing) {
+    return
+  }
+  const write = this._queue.shift()
+  if (!write) {
+    const closeCallbacks = this._closeCallbacks
+    this._closeCallbacks = []
+    closeCallbacks.forEach(function (callback) {
+      callback(null)
+    })
+    return
+  }
+  this._writing = true
+  const length = Buffer.byteLength(write.data)
+
+  const done = function (error) {
+    sink._writing = false
+    write.callback(error)
+    sink._writeNext()
+  }
+
+  this._getSize(function (error, size) {
+    if (error) {
+      done(error)
+      return
+    }
+    const append = function (error) {
+      if (error) {
+        // Determine the size again, since the rotation may have partly
+        // completed
+        sink._size = null
+        done(error)
+        return
+      }
+      fs.appendFile(sink._path, write.data, function (error) {
+        if (error) {
+          sink._size = null
+        } else {
+          sink._size += length
+        }
+        done(error)
+      })
+    }
+    if (size > 0 && size + length > sink._maxSize) {
+      sink._rotate(append)
+    } else {
+      append(null)
+    }
+  })
+}
+
+/**
+ * Determines the current size of the file.
+ * @param {Function} callback - Callback function to invoke with the size.
+ * @private
+ */
+FileThreatEventSink.prototype._getSize = function (callback) {
+  const sink = this
+  if (this._size !== null) {
+    callback(null, this._size)
+    return
+  }
+  fs.stat(this._path, function (error, stats) {
+    if (error && error.code !== 'ENOENT') {
+      callback(error)
+      return
+    }
+    sink._size = error ? 0 : stats.size
+    callback(null, sink._size)
+  })
+}
+
+/**
+ * Rotates the file, discarding the oldest rotated file.
+ * @param {Function} callback - Callback function to invoke once the file has
+ *   been rotated.
+ * @private
+ */
+FileThreatEventSink.prototype._rotate = function (callback) {
+  const sink = this
+  const path = this._path
+  const renameFrom = function (index) {
+    const from = index > 0 ? path + '.' + index : path
+    renameIfExists(from, path + '.' + (index + 1), function (error) {
+      if (error) {
+        callback(error)
+      } else if (index > 0) {
+        renameFrom(index - 1)
+      } else {
+        sink._size = 0
+        callback(null)
+      }
+    })
+  }
+  renameFrom(this._maxFiles - 1)
+}
+
+module.exports = FileThreatEventSink
@@ -0,0 +1,158 @@
+'use strict'
+
+/**
+ * @classdesc A stand-in for a DXL [Client]{@link external:DxlClient} which
+ * communicates through a {@link MockDxlFabric} rather than a DXL broker.
+ * Instances are created by {@link MockDxlFabric#createClient}.
+ *
+ * The client implements the subset of the DXL client interface which is used
+ * by this library - `asyncRequest`, `addEventCallback`, `removeEventCallback`
+ * and `sendEvent` - together with `connect`, `disconnect` and `destroy`,
+ * which only track the {@link MockDxlClient#connected} state. As with a DXL
+ * client, responses and events are delivered asynchronously.
+ * @param {MockDxlFabric} fabric - The fabric which the client is connected
+ *   to.
+ * @constructor
+ */
+function MockDxlClient (fabric) {
+  /**
+   * The fabric which the client is connected to.
+   * @type {MockDxlFabric}
+   * @private
+   */
+  this._fabric = fabric
+
+  /**
+   * The event callbacks which have been registered with the client, keyed by
+   * topic.
+   * @type {Object<String, Array<Function>>}
+   * @private
+   */
+  this._eventCallbacks = {}
+
+  /**
+   * Whether the client is connected. Requests and events are delivered
+   * whether or not the client is connected.
+   * @type {Boolean}
+   */
+  this.connected = true
+}
+
+/**
+ * Sends a request to the service which is registered on the fabric for the
+ * request's topic. If no service handles the topic, the callback receives a
+ * DXL [MessageError]{@link external:MessageError} for the "service
+ * unavailable" error code, as from a DXL broker.
+ * @param {external:Request} request - The request.
+ * @param {Function} [responseCallback] - Callback function which is invoked
+ *   with the response. If the service responds with an error, the first
+ *   parameter supplied to the callback is a DXL
+ *   [MessageError]{@link external:MessageError}. Otherwise, the second
+ *   parameter is the [Response]{@link external:Response}.
+ */
+MockDxlClient.prototype.asyncRequest = function (request, responseCallback) {
+  this._fabric._request(request, responseCallback || function () {})
+}
+
+/**
+ * Adds an event callback to the client for a topic.
+ * @param {String} topic - The topic to receive events on.
+ * @param {Function} eventCallback - Function which is invoked with each DXL
+ *   [Event]{@link external:Event} received on the topic.
+ */
+MockDxlClient.prototype.addEventCallback = function (topic, eventCallback) {
+  if (!this._eventCallbacks[topic]) {
+    this._eventCallbacks[topic] = []
+  }
+  this._eventCallbacks[topic].push(eventCallback)
+}
+
+/**
+ * Removes an event callback from the client for a topic.
+ * @param {String} topic - The topic to remove the callback for.
+ * @param {Function} eventCallback - The event callback to remove.
+ */
+MockDxlClient.prototype.removeEventCallback = function (topic,
+  eventCallback) {
+  const eventCallbacks = this._eventCallbacks[topic]
+  if (eventCallbacks) {
+    const index = eventCallbacks.indexOf(eventCallback)
+    if (index >= 0) {
+      eventCallbacks.splice(index, 1)
+    }
+    if (!eventCallbacks.length) {
+      delete this._eventCallbacks[topic]
+    }
+  }
+}
+
+/**
+ * Sends an event to every client on the fabric - including this one - which
+ * has an event callback registered for its topic.
+ * @param {external:Event} event - The event.
+ */
+MockDxlClient.prototype.sendEvent = function (event) {
+  this._fabric._publish(event)
+}
+
+/**
+ * Returns the number of event callbacks which are registered with the client
+ * for a topic. Useful for checking that callbacks have been removed.
+ * @param {String} topic - The topic.
+ * @returns {Number} The number of event callbacks.
+ */
+MockDxlClient.prototype.getEventCallbackCount = function (topic) {
+  return (this._eventCallbacks[topic] || []).length
+}
+
+/**
+ * Marks the client as connected.
+ * @param {Function} [callback] - Callback function which is invoked once the
+ *   client is connected.
+ */
+MockDxlClient.prototype.connect = function (callback) {
+  this.connected = true
+  if (callback) {
+    setImmediate(callback)
+  }
+}
+
+/**
+ * Marks the client as disconnected.
+ * @param {Function} [callback] - Callback function which is invoked once the
+ *   client is disconnected.
+ */
+MockDxlClient.prototype.disconnect = function (callback) {
+  this.connected = false
+  if (callback) {
+    setImmediate(callback)
+  }
+}
+
+/**
+ * Marks the client as disconnected and removes its event callbacks.
+ * @param {Function} [callback] - Callback function which is invoked once the
+ *   client has been destroyed.
+ */
+MockDxlClient.prototype.destroy = function (callback) {
+  this._eventCallbacks = {}
+  this._fabric._removeClient(this)
+  this.disconnect(callback)
+}
+
+/**
+ * Delivers an event to the callbacks registered for its topic.
+ * @param {external:Event} event - The event.
+ * @private
+ */
+MockDxlClient.prototype._deliverEvent = function (event) {
+  // Copy the callbacks so that a callback which removes itself does not
+  // cause another to be skipped
+  const eventCallbacks = (this._eventCallbacks[event.destinationTopic] || [])
+    .slice()
+  eventCallbacks.forEach(function (eventCallback) {
+    eventCallback(event)
+  })
+}
+
+module.exports = MockDxlClient
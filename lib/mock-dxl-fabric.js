@@ -0,0 +1,458 @@
+'use strict'
+
+const dxl = require('@opendxl/dxl-client')
+const MessageUtils = require('@opendxl/dxl-bootstrap').MessageUtils
+const epoServiceRegistry = require('./epo-service-registry')
+const EpoServiceType = require('./epo-service-type')
+const MockDxlClient = require('./mock-dxl-client')
+const MockEpoService = require('./mock-epo-service')
+
+// The DXL topic for querying the service registry
+const DXL_SERVICE_REGISTRY_QUERY_TOPIC =
+  epoServiceRegistry.DXL_SERVICE_REGISTRY_QUERY_TOPIC
+
+// The DXL topic on which the broker announces that a service has been
+// registered with the fabric
+const DXL_SERVICE_REGISTER_EVENT_TOPIC =
+  '/mcafee/event/dxl/svcregistry/register'
+
+// The DXL topic on which the broker announces that a service has been
+// unregistered from the fabric
+const DXL_SERVICE_UNREGISTER_EVENT_TOPIC =
+  '/mcafee/event/dxl/svcregistry/unregister'
+
+// The DXL error code which the broker delivers when no service is registered
+// for a request topic
+const DXL_SERVICE_UNAVAILABLE_ERROR_CODE = 0x80000001
+
+// The default TTL, in minutes, of a registered service
+const DEFAULT_SERVICE_TTL_MINS = 60
+
+/**
+ * @classdesc Request messages are sent using the
+ * [asyncRequest]{@link https://opendxl.github.io/opendxl-client-javascript/jsdoc/Client.html#asyncRequest}
+ * method of a client instance.
+ * @external Request
+ * @see {@link https://opendxl.github.io/opendxl-client-javascript/jsdoc/Request.html}
+ */
+
+/**
+ * @classdesc Response messages are sent by services in response to a
+ * request.
+ * @external Response
+ * @see {@link https://opendxl.github.io/opendxl-client-javascript/jsdoc/Response.html}
+ */
+
+/**
+ * @classdesc An error which wraps a DXL error response.
+ * @external MessageError
+ * @see {@link https://opendxl.github.io/opendxl-client-javascript/jsdoc/MessageError.html}
+ */
+
+/**
+ * Information for a service which is registered with a
+ * {@link MockDxlFabric}, in the form returned by the DXL service registry.
+ * @typedef {Object} MockDxlFabric~ServiceInfo
+ * @property {String} serviceGuid - The unique identifier of the service.
+ * @property {String} serviceType - The type of the service.
+ * @property {Array<String>} requestChannels - The request topics of the
+ *   service.
+ * @property {Object} metaData - Metadata for the service.
+ * @property {String} brokerGuid - The broker which the service is connected
+ *   to.
+ * @property {String} clientGuid - The client which registered the service.
+ * @property {Number} ttlMins - The time-to-live of the registration, in
+ *   minutes.
+ */
+
+/**
+ * Creates the response to a request from the value supplied to a request
+ * callback's `respond` function.
+ * @param {external:Request} request - The request.
+ * @param {*} value - The value: a [Response]{@link external:Response} to
+ *   send as-is, an `Error` to send as a DXL error response with the error's
+ *   numeric `code` (if any) and message, or a payload to encode - objects
+ *   are encoded as JSON.
+ * @returns {external:Response} The response.
+ * @private
+ */
+function createResponse (request, value) {
+  if (value instanceof dxl.Response) {
+    return value
+  }
+  if (value instanceof Error) {
+    let code = 0
+    if (typeof value.code === 'number') {
+      code = value.code
+    }
+    return new dxl.ErrorResponse(request, code, value.message)
+  }
+  const response = new dxl.Response(request)
+  if (typeof value !== 'undefined' && value !== null) {
+    MessageUtils.encodePayload(response, value)
+  }
+  return response
+}
+
+/**
+ * Converts the payload of a message to a `Buffer`, as for a message which
+ * has been received from a DXL broker.
+ * @param {(external:Request|external:Response|external:Event)} message - The
+ *   message.
+ * @private
+ */
+function toReceivedPayload (message) {
+  if (!Buffer.isBuffer(message.payload)) {
+    message.payload = Buffer.from(message.payload || '')
+  }
+}
+
+/**
+ * @classdesc An in-memory DXL fabric for testing code which uses this
+ * library without a DXL broker or ePO server.
+ *
+ * The fabric creates {@link MockDxlClient} instances, which can be supplied
+ * wherever a DXL client is expected - for example, to an {@link EpoClient},
+ * {@link EpoClientGroup} or {@link EpoServiceWatcher}. Requests which are
+ * sent by a client are delivered to the request callback registered on the
+ * fabric for the request topic, and events are delivered to every client
+ * with an event callback for the event topic.
+ *
+ * The fabric includes a DXL service registry, which answers queries on the
+ * `/mcafee/service/dxl/svcregistry/query` topic from the services registered
+ * with {@link MockDxlFabric#registerService} and announces each registration
+ * and unregistration with an event, as a DXL broker does. ePO servers can be
+ * added to the fabric with {@link MockDxlFabric#addEpoService}, which
+ * registers an ePO DXL "remote" or "commands" service whose remote commands
+ * are scripted through the returned {@link MockEpoService}.
+ * @example
+ * const fabric = new MockDxlFabric()
+ * const epoService = fabric.addEpoService('epo1')
+ * epoService.setCommand('system.find', function (params) {
+ *   return [{'EPOComputerProperties.ComputerName': params.searchText}]
+ * })
+ * const epoClient = new EpoClient(fabric.createClient(), 'epo1')
+ * epoClient.findSystems('mySystem', function (error, systems) {
+ *   // ...
+ * })
+ * @constructor
+ */
+function MockDxlFabric () {
+  /**
+   * The clients which have been created for the fabric.
+   * @type {Array<MockDxlClient>}
+   * @private
+   */
+  this._clients = []
+
+  /**
+   * The request callbacks registered on the fabric, keyed by topic.
+   * @type {Object<String, Function>}
+   * @private
+   */
+  this._requestCallbacks = {}
+
+  /**
+   * The services registered with the service registry, keyed by service
+   * GUID.
+   * @type {Object<String, MockDxlFabric~ServiceInfo>}
+   * @private
+   */
+  this._services = {}
+
+  /**
+   * Counter used to generate unique identifiers.
+   * @type {Number}
+   * @private
+   */
+  this._nextId = 1
+
+  /**
+   * The requests which have been sent on the fabric, in the order in which
+   * they were sent.
+   * @type {Array<external:Request>}
+   */
+  this.requests = []
+
+  /**
+   * The events which have been sent on the fabric, in the order in which
+   * they were sent.
+   * @type {Array<external:Event>}
+   */
+  this.events = []
+
+  const fabric = this
+  this.addRequestCallback(DXL_SERVICE_REGISTRY_QUERY_TOPIC,
+    function (request, respond) {
+      fabric._queryRegistry(request, respond)
+    })
+}
+
+/**
+ * Creates a client which communicates through the fabric.
+ * @returns {MockDxlClient} The client.
+ */
+MockDxlFabric.prototype.createClient = function () {
+  const client = new MockDxlClient(this)
+  this._clients.push(client)
+  return client
+}
+
+/**
+ * Registers a callback which handles the requests sent on a topic, replacing
+ * any callback which is already registered for the topic - including the
+ * fabric's own service registry or ePO services, so that their responses
+ * can be scripted.
+ * @param {String} topic - The request topic.
+ * @param {Function} requestCallback - Function which is invoked for each
+ *   request. The first argument passed to the function is the
+ *   [Request]{@link external:Request}. The second is a function which sends
+ *   the response when invoked - with a [Response]{@link external:Response},
+ *   an `Error` to send as a DXL error response, or a payload, which is
+ *   encoded as JSON if it is an object. The response can be sent
+ *   asynchronously, or not at all to simulate a service which does not
+ *   respond.
+ */
+MockDxlFabric.prototype.addRequestCallback = function (topic,
+  requestCallback) {
+  this._requestCallbacks[topic] = requestCallback
+}
+
+/**
+ * Returns the callback which handles the requests sent on a topic - for
+ * example, so that a replacement registered with
+ * {@link MockDxlFabric#addRequestCallback} can delegate to it, or so that it
+ * can be restored later.
+ * @param {String} topic - The request topic.
+ * @returns {Function} The request callback, `null` if no callback is
+ *   registered for the topic.
+ */
+MockDxlFabric.prototype.getRequestCallback = function (topic) {
+  return this._requestCallbacks[topic] || null
+}
+
+/**
+ * Removes the callback which handles the requests sent on a topic. Requests
+ * sent on the topic then fail with the DXL "service unavailable" error.
+ * @param {String} topic - The request topic.
+ */
+MockDxlFabric.prototype.removeRequestCallback = function (topic) {
+  delete this._requestCallbacks[topic]
+}
+
+/**
+ * Registers a service with the fabric's service registry and sends the
+ * registration event. Registering a service does not handle its requests -
+ * see {@link MockDxlFabric#addRequestCallback}.
+ * @param {Object} service - Information for the service - see
+ *   {@link MockDxlFabric~ServiceInfo}. Only the `serviceType` is required. A
+ *   service with the same `serviceGuid` as a registered service replaces it.
+ * @returns {MockDxlFabric~ServiceInfo} The registered service information.
+ * @throws {TypeError} If no service type is supplied.
+ */
+MockDxlFabric.prototype.registerService = function (service) {
+  if (!service || typeof service.serviceType !== 'string') {
+    throw new TypeError('A serviceType must be specified for the service')
+  }
+  const serviceInfo = {
+    serviceGuid: service.serviceGuid || this._createId('service'),
+    serviceType: service.serviceType,
+    requestChannels: (service.requestChannels || []).slice(),
+    metaData: Object.assign({}, service.metaData),
+    brokerGuid: service.brokerGuid || 'mock-broker',
+    clientGuid: service.clientGuid || this._createId('client'),
+    ttlMins: service.ttlMins || DEFAULT_SERVICE_TTL_MINS
+  }
+  this._services[serviceInfo.serviceGuid] = serviceInfo
+  this.sendEvent(DXL_SERVICE_REGISTER_EVENT_TOPIC, serviceInfo)
+  return serviceInfo
+}
+
+/**
+ * Unregisters a service from the fabric's service registry and sends the
+ * unregistration event.
+ * @param {String} serviceGuid - The unique identifier of the service.
+ * @returns {Boolean} `true` if the service was registered.
+ */
+MockDxlFabric.prototype.unregisterService = function (serviceGuid) {
+  if (!this._services[serviceGuid]) {
+    return false
+  }
+  delete this._services[serviceGuid]
+  this.sendEvent(DXL_SERVICE_UNREGISTER_EVENT_TOPIC, { serviceGuid })
+  return true
+}
+
+/**
+ * Returns the services which are registered with the fabric's service
+ * registry.
+ * @param {String} [serviceType] - The type of service to return. If not
+ *   specified, all services are returned.
+ * @returns {Array<MockDxlFabric~ServiceInfo>} The services.
+ */
+MockDxlFabric.prototype.getServices = function (serviceType) {
+  const services = this._services
+  return Object.keys(services).map(function (serviceGuid) {
+    return services[serviceGuid]
+  }).filter(function (service) {
+    return !serviceType || service.serviceType === serviceType
+  })
+}
+
+/**
+ * Adds an ePO server to the fabric, exposed through an ePO DXL service which
+ * is registered with the service registry.
+ * @param {String} epoUniqueId - The unique identifier of the ePO server.
+ * @param {Object} [options] - Additional options for the service - see
+ *   {@link MockEpoService}.
+ * @param {String} [options.serviceType=/mcafee/service/epo/remote] - The
+ *   type of service, one of the {@link module:EpoServiceType} values.
+ * @returns {MockEpoService} The service, through which remote commands are
+ *   scripted.
+ * @throws {TypeError} If any of the options are not valid.
+ */
+MockDxlFabric.prototype.addEpoService = function (epoUniqueId, options) {
+  options = options || {}
+  const serviceType = options.serviceType || EpoServiceType.REMOTE
+  if (serviceType !== EpoServiceType.REMOTE &&
+    serviceType !== EpoServiceType.COMMANDS) {
+    throw new TypeError('Invalid serviceType: ' + serviceType)
+  }
+  const service = new MockEpoService(this, epoUniqueId,
+    Object.assign({}, options, { serviceType }))
+  service.register()
+  return service
+}
+
+/**
+ * Sends an event to every client with an event callback for the topic.
+ * @param {(String|external:Event)} topic - The topic of the event, or the
+ *   DXL [Event]{@link external:Event} to send.
+ * @param {*} [payload] - The payload of the event, if a topic is supplied.
+ *   Objects are encoded as JSON.
+ * @returns {external:Event} The event.
+ */
+MockDxlFabric.prototype.sendEvent = function (topic, payload) {
+  let event = topic
+  if (typeof topic === 'string') {
+    event = new dxl.Event(topic)
+    if (typeof payload !== 'undefined' && payload !== null) {
+      MessageUtils.encodePayload(event, payload)
+    }
+  }
+  this._publish(event)
+  return event
+}
+
+/**
+ * Returns the requests which have been sent on a topic.
+ * @param {String} topic - The topic.
+ * @returns {Array<external:Request>} The requests, in the order in which
+ *   they were sent.
+ */
+MockDxlFabric.prototype.getRequests = function (topic) {
+  return this.requests.filter(function (request) {
+    return request.destinationTopic === topic
+  })
+}
+
+/**
+ * Delivers a request to the callback registered for its topic.
+ * @param {external:Request} request - The request.
+ * @param {Function} responseCallback - Function to invoke with the response.
+ * @private
+ */
+MockDxlFabric.prototype._request = function (request, responseCallback) {
+  const fabric = this
+  this.requests.push(request)
+  setImmediate(function () {
+    toReceivedPayload(request)
+    const requestCallback = fabric._requestCallbacks[request.destinationTopic]
+    let responded = false
+    const respond = function (value) {
+      if (responded) {
+        return
+      }
+      responded = true
+      const response = createResponse(request, value)
+      toReceivedPayload(response)
+      setImmediate(function () {
+        if (response instanceof dxl.ErrorResponse) {
+          responseCallback(new dxl.MessageError(response), null)
+        } else {
+          responseCallback(null, response)
+        }
+      })
+    }
+    if (requestCallback) {
+      requestCallback(request, respond)
+    } else {
+      respond(new dxl.ErrorResponse(request,
+        DXL_SERVICE_UNAVAILABLE_ERROR_CODE,
+        'unable to locate service for request'))
+    }
+  })
+}
+
+/**
+ * Delivers an event to every client with an event callback for its topic.
+ * @param {external:Event} event - The event.
+ * @private
+ */
+MockDxlFabric.prototype._publish = function (event) {
+  const clients = this._clients.slice()
+  this.events.push(event)
+  setImmediate(function () {
+    toReceivedPayload(event)
+    clients.forEach(function (client) {
+      client._deliverEvent(event)
+    })
+  })
+}
+
+/**
+ * Answers a query of the service registry.
+ * @param {external:Request} request - The query.
+ * @param {Function} respond - Function to invoke with the response.
+ * @private
+ */
+MockDxlFabric.prototype._queryRegistry = function (request, respond) {
+  let query
+  try {
+    query = MessageUtils.jsonPayloadToObject(request) || {}
+  } catch (err) {
+    respond(err)
+    return
+  }
+  const services = {}
+  this.getServices(query.serviceType).forEach(function (service) {
+    if (!query.serviceGuid || service.serviceGuid === query.serviceGuid) {
+      services[service.serviceGuid] = Object.assign({}, service)
+    }
+  })
+  respond({ services })
+}
+
+/**
+ * Removes a client from the fabric.
+ * @param {MockDxlClient} client - The client.
+ * @private
+ */
+MockDxlFabric.prototype._removeClient = function (client) {
+  const index = this._clients.indexOf(client)
+  if (index >= 0) {
+    this._clients.splice(index, 1)
+  }
+}
+
+/**
+ * Generates an identifier which is unique within the fabric.
+ * @param {String} prefix - The prefix of the identifier.
+ * @returns {String} The identifier.
+ * @private
+ */
+MockDxlFabric.prototype._createId = function (prefix) {
+  return 'mock-' + prefix + '-' + this._nextId++
+}
+
+module.exports = MockDxlFabric
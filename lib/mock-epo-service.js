@@ -0,0 +1,401 @@
+'use strict'
+
+const MessageUtils = require('@opendxl/dxl-bootstrap').MessageUtils
+const epoServiceRegistry = require('./epo-service-registry')
+const EpoServiceType = require('./epo-service-type')
+
+// The prefix for ePO DXL "remote" service request topics
+const DXL_EPO_REMOTE_REQUEST_PREFIX =
+  epoServiceRegistry.DXL_EPO_REMOTE_REQUEST_PREFIX
+
+// The prefix for ePO DXL "commands" service request topics
+const DXL_EPO_COMMANDS_REQUEST_PREFIX =
+  epoServiceRegistry.DXL_EPO_COMMANDS_REQUEST_PREFIX
+
+// The prefix which appears before the remote command name in a request to
+// the ePO DXL "commands" service.
+const DXL_EPO_COMMANDS_REQUEST_COMMAND_PREFIX = '/remote/'
+
+// The name of the parameter through which the ePO output type is requested
+// from the ePO DXL "commands" service
+const COMMANDS_SERVICE_OUTPUT_PARAM = ':output'
+
+// JSON output format for ePO remote command
+const OUTPUT_FORMAT_JSON = 'json'
+
+// The ePO error code for a command which fails without supplying a code
+const DEFAULT_EPO_ERROR_CODE = 1
+
+/**
+ * A remote command invocation which was received by a
+ * {@link MockEpoService}.
+ * @typedef {Object} MockEpoService~Invocation
+ * @property {String} command - The name of the remote command.
+ * @property {Object} params - The parameters of the command.
+ * @property {String} output - The ePO output type which was requested:
+ *   `json`, `xml`, `terse` or `verbose`.
+ * @property {external:Request} request - The DXL request.
+ */
+
+/**
+ * Formats the result of a remote command as the text of an ePO response.
+ * @param {*} result - The result.
+ * @param {String} output - The ePO output type.
+ * @returns {String} The text.
+ * @private
+ */
+function formatResult (result, output) {
+  if (typeof result === 'undefined') {
+    result = null
+  }
+  if (output !== OUTPUT_FORMAT_JSON && typeof result === 'string') {
+    return result
+  }
+  return JSON.stringify(result)
+}
+
+/**
+ * Formats an error thrown by a remote command handler as the text of an ePO
+ * error response.
+ * @param {Error} error - The error. Its `code`, if numeric, is used as the
+ *   ePO error code.
+ * @returns {String} The text.
+ * @private
+ */
+function formatError (error) {
+  let code = DEFAULT_EPO_ERROR_CODE
+  if (typeof error.code === 'number') {
+    code = error.code
+  }
+  return 'Error ' + code + ' : ' + error.message
+}
+
+/**
+ * @classdesc A scriptable ePO DXL service on a {@link MockDxlFabric}, which
+ * answers remote command requests for an ePO server. Instances are created
+ * by {@link MockDxlFabric#addEpoService}.
+ *
+ * The service can be either of the {@link module:EpoServiceType} types. A
+ * "remote" service registers the `/mcafee/service/epo/remote/<epoUniqueId>`
+ * request topic, and a "commands" service registers a request topic for each
+ * command which has been set, with the ePO unique identifier in its
+ * `epoGuid` metadata - so that a command which has not been set is reported
+ * as unknown by a "remote" service but as unavailable by the fabric for a
+ * "commands" service.
+ *
+ * The result of each command is set with {@link MockEpoService#setCommand},
+ * either as a fixed value or as a function of the command parameters. A
+ * function which throws an `Error` produces an ePO error response, which the
+ * {@link EpoClient} delivers as an {@link EpoCommandError}.
+ * @param {MockDxlFabric} fabric - The fabric which the service is registered
+ *   with.
+ * @param {String} epoUniqueId - The unique identifier of the ePO server.
+ * @param {Object} options - Options for the service.
+ * @param {String} options.serviceType - The type of service, one of the
+ *   {@link module:EpoServiceType} values.
+ * @param {String} [options.serviceGuid] - The unique identifier of the
+ *   service registration. Generated if not specified.
+ * @param {String} [options.brokerGuid] - The broker which the service is
+ *   connected to.
+ * @param {Object} [options.metaData] - Additional metadata for the service
+ *   registration.
+ * @param {Object<String, *>} [options.commands] - The results of remote
+ *   commands, keyed by command name - see {@link MockEpoService#setCommand}.
+ * @param {Number} [options.delay=0] - Delay, in milliseconds, before each
+ *   response is sent.
+ * @constructor
+ */
+function MockEpoService (fabric, epoUniqueId, options) {
+  /**
+   * The fabric which the service is registered with.
+   * @type {MockDxlFabric}
+   * @private
+   */
+  this._fabric = fabric
+
+  /**
+   * The service information which is registered with the service registry,
+   * `null` if the service is not registered.
+   * @type {MockDxlFabric~ServiceInfo}
+   * @private
+   */
+  this._serviceInfo = null
+
+  /**
+   * The options for the service registration.
+   * @type {Object}
+   * @private
+   */
+  this._registration = {
+    serviceGuid: options.serviceGuid || fabric._createId('service'),
+    serviceType: options.serviceType,
+    brokerGuid: options.brokerGuid,
+    metaData: Object.assign({}, options.metaData)
+  }
+  if (options.serviceType === EpoServiceType.COMMANDS) {
+    this._registration.metaData.epoGuid = epoUniqueId
+  }
+
+  /**
+   * The handlers for remote commands, keyed by command name.
+   * @type {Object<String, Function>}
+   * @private
+   */
+  this._commands = {}
+
+  /**
+   * The unique identifier of the ePO server.
+   * @type {String}
+   */
+  this.epoUniqueId = epoUniqueId
+
+  /**
+   * The type of the service.
+   * @type {String}
+   */
+  this.serviceType = options.serviceType
+
+  /**
+   * Delay, in milliseconds, before each response is sent.
+   * @type {Number}
+   */
+  this.delay = options.delay || 0
+
+  /**
+   * The remote command invocations which the service has received, in the
+   * order in which they were received.
+   * @type {Array<MockEpoService~Invocation>}
+   */
+  this.invocations = []
+
+  const service = this
+  const commands = options.commands || {}
+  Object.keys(commands).forEach(function (commandName) {
+    service.setCommand(commandName, commands[commandName])
+  })
+}
+
+/**
+ * Sets the result of a remote command.
+ * @param {String} commandName - The name of the command, for example,
+ *   `system.find`.
+ * @param {*} result - The result of the command. If a function, it is
+ *   invoked with the command parameters and the
+ *   {@link MockEpoService~Invocation}, and returns the result or a `Promise`
+ *   for it. A function which throws an `Error` - or returns a `Promise` which
+ *   is rejected - produces an ePO error response with the error's numeric
+ *   `code` (`1` if it has none) and message. For the `json` output type the
+ *   result is encoded as JSON; for the other types, a `string` result is
+ *   returned as-is.
+ */
+MockEpoService.prototype.setCommand = function (commandName, result) {
+  if (typeof result === 'function') {
+    this._commands[commandName] = result
+  } else {
+    this._commands[commandName] = function () {
+      return result
+    }
+  }
+  if (this.serviceType === EpoServiceType.COMMANDS) {
+    this._addRequestCallback(this._getCommandTopic(commandName))
+  }
+}
+
+/**
+ * Removes a remote command which has been set.
+ * @param {String} commandName - The name of the command.
+ */
+MockEpoService.prototype.removeCommand = function (commandName) {
+  delete this._commands[commandName]
+  if (this.serviceType === EpoServiceType.COMMANDS) {
+    this._removeRequestCallback(this._getCommandTopic(commandName))
+  }
+}
+
+/**
+ * Registers the service with the fabric's service registry, if it is not
+ * already registered, so that the ePO server can be discovered and its
+ * commands invoked.
+ */
+MockEpoService.prototype.register = function () {
+  if (this._serviceInfo) {
+    return
+  }
+  const service = this
+  const requestTopics = this._getRequestTopics()
+  this._serviceInfo = this._fabric.registerService(
+    Object.assign({ requestChannels: requestTopics }, this._registration))
+  requestTopics.forEach(function (topic) {
+    service._fabric.addRequestCallback(topic, function (request, respond) {
+      service._handleRequest(request, respond)
+    })
+  })
+}
+
+/**
+ * Unregisters the service from the fabric's service registry. Requests to
+ * the service then fail as they would for a service which has gone away.
+ */
+MockEpoService.prototype.unregister = function () {
+  if (!this._serviceInfo) {
+    return
+  }
+  const fabric = this._fabric
+  this._getRequestTopics().forEach(function (topic) {
+    fabric.removeRequestCallback(topic)
+  })
+  fabric.unregisterService(this._serviceInfo.serviceGuid)
+  this._serviceInfo = null
+}
+
+/**
+ * Returns the invocations of a remote command which the service has
+ * received.
+ * @param {String} commandName - The name of the command.
+ * @returns {Array<MockEpoService~Invocation>} The invocations, in the order
+ *   in which they were received.
+ */
+MockEpoService.prototype.getInvocations = function (commandName) {
+  return this.invocations.filter(function (invocation) {
+    return invocation.command === commandName
+  })
+}
+
+/**
+ * Returns the request topics which the service registers.
+ * @returns {Array<String>} The request topics.
+ * @private
+ */
+MockEpoService.prototype._getRequestTopics = function () {
+  const service = this
+  if (this.serviceType === EpoServiceType.COMMANDS) {
+    return Object.keys(this._commands).map(function (commandName) {
+      return service._getCommandTopic(commandName)
+    })
+  }
+  return [DXL_EPO_REMOTE_REQUEST_PREFIX + this.epoUniqueId]
+}
+
+/**
+ * Returns the "commands" service request topic for a remote command.
+ * @param {String} commandName - The name of the command.
+ * @returns {String} The request topic.
+ * @private
+ */
+MockEpoService.prototype._getCommandTopic = function (commandName) {
+  return DXL_EPO_COMMANDS_REQUEST_PREFIX + this.epoUniqueId +
+    DXL_EPO_COMMANDS_REQUEST_COMMAND_PREFIX + commandName.replace('.', '/')
+}
+
+/**
+ * Adds a request topic to a registered "commands" service.
+ * @param {String} topic - The request topic.
+ * @private
+ */
+MockEpoService.prototype._addRequestCallback = function (topic) {
+  const service = this
+  if (this._serviceInfo) {
+    if (this._serviceInfo.requestChannels.indexOf(topic) < 0) {
+      this._serviceInfo.requestChannels.push(topic)
+    }
+    this._fabric.addRequestCallback(topic, function (request, respond) {
+      service._handleRequest(request, respond)
+    })
+  }
+}
+
+/**
+ * Removes a request topic from a registered "commands" service.
+ * @param {String} topic - The request topic.
+ * @private
+ */
+MockEpoService.prototype._removeRequestCallback = function (topic) {
+  if (this._serviceInfo) {
+    const requestChannels = this._serviceInfo.requestChannels
+    const index = requestChannels.indexOf(topic)
+    if (index >= 0) {
+      requestChannels.splice(index, 1)
+    }
+    this._fabric.removeRequestCallback(topic)
+  }
+}
+
+/**
+ * Handles a remote command request.
+ * @param {external:Request} request - The request.
+ * @param {Function} respond - Function to invoke with the response payload.
+ * @private
+ */
+MockEpoService.prototype._handleRequest = function (request, respond) {
+  const service = this
+  let invocation
+  try {
+    invocation = this._parseRequest(request)
+  } catch (err) {
+    respond(err)
+    return
+  }
+  this.invocations.push(invocation)
+
+  const sendResponse = function (text) {
+    if (service.delay) {
+      setTimeout(function () {
+        respond(text)
+      }, service.delay)
+    } else {
+      respond(text)
+    }
+  }
+
+  const handler = this._commands[invocation.command]
+  if (!handler) {
+    sendResponse(formatError(new Error('Unknown command: ' +
+      invocation.command)))
+    return
+  }
+  let result
+  try {
+    result = handler(invocation.params, invocation)
+  } catch (err) {
+    sendResponse(formatError(err))
+    return
+  }
+  Promise.resolve(result).then(function (value) {
+    sendResponse(formatResult(value, invocation.output))
+  }, function (err) {
+    sendResponse(formatError(err))
+  })
+}
+
+/**
+ * Extracts the remote command invocation from a request.
+ * @param {external:Request} request - The request.
+ * @returns {MockEpoService~Invocation} The invocation.
+ * @throws {Error} If the payload of the request is not valid JSON.
+ * @private
+ */
+MockEpoService.prototype._parseRequest = function (request) {
+  const payload = MessageUtils.jsonPayloadToObject(request) || {}
+  if (this.serviceType === EpoServiceType.COMMANDS) {
+    const params = Object.assign({}, payload)
+    const output = params[COMMANDS_SERVICE_OUTPUT_PARAM] || OUTPUT_FORMAT_JSON
+    delete params[COMMANDS_SERVICE_OUTPUT_PARAM]
+    const commandPath = request.destinationTopic.substring(
+      (DXL_EPO_COMMANDS_REQUEST_PREFIX + this.epoUniqueId +
+        DXL_EPO_COMMANDS_REQUEST_COMMAND_PREFIX).length)
+    return {
+      command: commandPath.replace('/', '.'),
+      params,
+      output,
+      request
+    }
+  }
+  return {
+    command: payload.command,
+    params: payload.params || {},
+    output: payload.output || OUTPUT_FORMAT_JSON,
+    request
+  }
+}
+
+module.exports = MockEpoService
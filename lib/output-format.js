@@ -2,6 +2,10 @@
  * @module OutputFormat
  * @description Constants that are used to indicate the `output format`
  * for ePO to use when responding to a remote command invocation.
+ *
+ * The `binary`, `string`, `object` and `csv` formats are decoded by the client
+ * from JSON output returned by ePO. The `xml`, `terse` and `verbose` formats
+ * are produced by ePO itself and are returned as a `string`.
  */
 
 'use strict'
@@ -21,14 +25,41 @@ module.exports = {
    */
   OBJECT: 'object',
   /**
-   * Validates that the specified format is valid (binary, string, object).
+   * Return response payload as a `string` of comma-separated values (RFC
+   * 4180), converted by the client from the JavaScript `object`. Each object
+   * in an array result becomes a row, with a header row containing the
+   * property names.
+   */
+  CSV: 'csv',
+  /**
+   * Return response payload as a `string` containing the XML output produced
+   * by ePO.
+   */
+  XML: 'xml',
+  /**
+   * Return response payload as a `string` containing the terse text output
+   * produced by ePO.
+   */
+  TERSE: 'terse',
+  /**
+   * Return response payload as a `string` containing the verbose text output
+   * produced by ePO.
+   */
+  VERBOSE: 'verbose',
+  /**
+   * Validates that the specified format is valid (binary, string, object, csv,
+   * xml, terse, verbose).
    * @param {String} outputFormat - The output format
    * @throws {TypeError} If the format is not valid.
    */
   validate: function (outputFormat) {
     if ([module.exports.BINARY,
       module.exports.STRING,
-      module.exports.OBJECT].indexOf(outputFormat) < 0) {
+      module.exports.OBJECT,
+      module.exports.CSV,
+      module.exports.XML,
+      module.exports.TERSE,
+      module.exports.VERBOSE].indexOf(outputFormat) < 0) {
       throw TypeError('Invalid output format: ' + outputFormat)
     }
   }
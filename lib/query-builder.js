@@ -0,0 +1,510 @@
+'use strict'
+
+// Pattern which column and table names must match. Names are written into the
+// query unquoted, so anything else is rejected rather than escaped.
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/
+
+/**
+ * @classdesc A condition for the where clause of an ePO query. Conditions are
+ * created with the static methods of {@link QueryBuilder} - for example,
+ * {@link QueryBuilder.eq} - and are combined with {@link QueryBuilder.and},
+ * {@link QueryBuilder.or} and {@link QueryBuilder.not}.
+ * @param {String} expression - The condition as an ePO query s-expression.
+ * @constructor
+ * @private
+ */
+function Condition (expression) {
+  /**
+   * The condition as an ePO query s-expression.
+   * @type {String}
+   */
+  this.expression = expression
+}
+
+/**
+ * Returns the condition as an ePO query s-expression.
+ * @returns {String} The s-expression.
+ */
+Condition.prototype.toString = function () {
+  return this.expression
+}
+
+/**
+ * Validates a column or table name.
+ * @param {String} name - The name.
+ * @param {String} kind - The kind of name, for error messages.
+ * @returns {String} The name.
+ * @throws {TypeError} If the name is not valid.
+ * @private
+ */
+function checkName (name, kind) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new TypeError('Invalid ' + kind + ' name: ' + name)
+  }
+  return name
+}
+
+/**
+ * Formats a value for use in an ePO query s-expression. Strings are enclosed
+ * in double quotes, with any double quote or backslash characters escaped.
+ * `Date` objects are formatted as quoted ISO 8601 strings.
+ * @param {(String|Number|Boolean|Date)} value - The value.
+ * @returns {String} The formatted value.
+ * @throws {TypeError} If the value cannot be used in a query.
+ * @private
+ */
+function formatValue (value) {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) {
+      throw new TypeError('Invalid date value in query')
+    }
+    value = value.toISOString()
+  }
+  switch (typeof value) {
+    case 'string':
+      return '"' + value.replace(/[\\"]/g, '\\$&') + '"'
+    case 'number':
+      if (!isFinite(value)) {
+        throw new TypeError('Invalid numeric value in query: ' + value)
+      }
+      return String(value)
+    case 'boolean':
+      return String(value)
+    default:
+      throw new TypeError('Invalid value in query: ' + value)
+  }
+}
+
+/**
+ * Creates a condition which applies an operator to a column and value.
+ * @param {String} operator - The ePO query operator.
+ * @param {String} column - The column name.
+ * @param {*} value - The value.
+ * @returns {QueryBuilder~Condition} The condition.
+ * @private
+ */
+function comparison (operator, column, value) {
+  return new Condition('(' + operator + ' ' + checkName(column, 'column') +
+    ' ' + formatValue(value) + ')')
+}
+
+/**
+ * Creates a condition which combines other conditions.
+ * @param {String} operator - The ePO query operator - `and` or `or`.
+ * @param {Array<QueryBuilder~Condition>} conditions - The conditions.
+ * @returns {QueryBuilder~Condition} The condition.
+ * @throws {TypeError} If no conditions are supplied or any is not a
+ *   condition.
+ * @private
+ */
+function combine (operator, conditions) {
+  if (!conditions.length) {
+    throw new TypeError('At least one condition is required for ' + operator)
+  }
+  conditions.forEach(checkCondition)
+  if (conditions.length === 1) {
+    return conditions[0]
+  }
+  return new Condition('(' + operator + ' ' + conditions.map(function (c) {
+    return c.expression
+  }).join(' ') + ')')
+}
+
+/**
+ * Validates that a value is a condition created by {@link QueryBuilder}.
+ * @param {*} condition - The value.
+ * @throws {TypeError} If the value is not a condition.
+ * @private
+ */
+function checkCondition (condition) {
+  if (!(condition instanceof Condition)) {
+    throw new TypeError('Invalid query condition: ' + condition)
+  }
+}
+
+/**
+ * @classdesc Builds the parameters for an ePO query (`core.executeQuery`)
+ * from JavaScript calls, so that the s-expressions for the `select`, `where`
+ * and `order` clauses do not have to be written - and quoted - by hand.
+ *
+ * Builders are normally created through {@link EpoClient#query}, which binds
+ * the builder to a client for {@link QueryBuilder#run}.
+ * @param {String} target - The target table of the query, for example,
+ *   `EPOLeafNode`.
+ * @param {EpoClient} [epoClient] - The client to run the query with.
+ * @throws {TypeError} If the `target` is not a valid table name.
+ * @example
+ * const Q = QueryBuilder
+ * const rows = await epoClient.query('EPOLeafNode')
+ *   .select('EPOLeafNode.NodeName', 'EPOComputerProperties.IPAddress')
+ *   .join('EPOComputerProperties')
+ *   .where(Q.and(
+ *     Q.contains('EPOLeafNode.NodeName', 'web'),
+ *     Q.newerThan('EPOLeafNode.LastUpdate', 24 * 60 * 60 * 1000)))
+ *   .orderBy('EPOLeafNode.NodeName')
+ *   .run()
+ * @constructor
+ */
+function QueryBuilder (target, epoClient) {
+  /**
+   * The target table of the query.
+   * @type {String}
+   * @private
+   */
+  this._target = checkName(target, 'table')
+
+  /**
+   * The client to run the query with.
+   * @type {EpoClient}
+   * @private
+   */
+  this._epoClient = epoClient || null
+
+  /**
+   * The columns to select.
+   * @type {Array<String>}
+   * @private
+   */
+  this._columns = []
+
+  /**
+   * The conditions for the where clause, combined with `and`.
+   * @type {Array<QueryBuilder~Condition>}
+   * @private
+   */
+  this._conditions = []
+
+  /**
+   * The s-expressions for the order clause.
+   * @type {Array<String>}
+   * @private
+   */
+  this._order = []
+
+  /**
+   * The tables to join.
+   * @type {Array<String>}
+   * @private
+   */
+  this._joinTables = []
+}
+
+/**
+ * Adds columns to select. If no columns are selected, ePO returns the default
+ * columns for the target table.
+ * @param {...String} columns - The column names.
+ * @returns {QueryBuilder} This builder.
+ * @throws {TypeError} If any column name is not valid.
+ */
+QueryBuilder.prototype.select = function () {
+  const builder = this
+  Array.prototype.slice.call(arguments).forEach(function (column) {
+    builder._columns.push(checkName(column, 'column'))
+  })
+  return this
+}
+
+/**
+ * Adds a condition to the where clause. If this method is called more than
+ * once, the conditions are combined with `and`.
+ * @param {QueryBuilder~Condition} condition - The condition.
+ * @returns {QueryBuilder} This builder.
+ * @throws {TypeError} If the condition was not created by
+ *   {@link QueryBuilder}.
+ */
+QueryBuilder.prototype.where = function (condition) {
+  checkCondition(condition)
+  this._conditions.push(condition)
+  return this
+}
+
+/**
+ * Adds a column to the order clause.
+ * @param {String} column - The column name.
+ * @param {String} [direction=asc] - The sort direction, `asc` or `desc`.
+ * @returns {QueryBuilder} This builder.
+ * @throws {TypeError} If the column name or direction is not valid.
+ */
+QueryBuilder.prototype.orderBy = function (column, direction) {
+  direction = (direction || 'asc').toLowerCase()
+  if (direction !== 'asc' && direction !== 'desc') {
+    throw new TypeError('Invalid sort direction: ' + direction)
+  }
+  this._order.push('(' + direction + ' ' + checkName(column, 'column') + ')')
+  return this
+}
+
+/**
+ * Adds tables to join to the target table.
+ * @param {...String} tables - The table names.
+ * @returns {QueryBuilder} This builder.
+ * @throws {TypeError} If any table name is not valid.
+ */
+QueryBuilder.prototype.join = function () {
+  const builder = this
+  Array.prototype.slice.call(arguments).forEach(function (table) {
+    checkName(table, 'table')
+    if (builder._joinTables.indexOf(table) < 0) {
+      builder._joinTables.push(table)
+    }
+  })
+  return this
+}
+
+/**
+ * Returns the parameters for the `core.executeQuery` remote command.
+ * @returns {Object} The parameters, which can be supplied to
+ *   {@link EpoClient#executeQuery} or as the `params` option of
+ *   {@link EpoClient#runCommand}.
+ * @example
+ * new QueryBuilder('EPOLeafNode')
+ *   .select('EPOLeafNode.NodeName')
+ *   .where(QueryBuilder.eq('EPOLeafNode.NodeName', 'my "system"'))
+ *   .toParams()
+ * // {
+ * //   target: 'EPOLeafNode',
+ * //   select: '(select EPOLeafNode.NodeName)',
+ * //   where: '(where (eq EPOLeafNode.NodeName "my \"system\""))'
+ * // }
+ */
+QueryBuilder.prototype.toParams = function () {
+  const params = { target: this._target }
+  if (this._columns.length) {
+    params.select = '(select ' + this._columns.join(' ') + ')'
+  }
+  if (this._conditions.length) {
+    params.where = '(where ' +
+      combine('and', this._conditions).expression + ')'
+  }
+  if (this._order.length) {
+    params.order = '(order ' + this._order.join(' ') + ')'
+  }
+  if (this._joinTables.length) {
+    params.joinTables = this._joinTables.join(',')
+  }
+  return params
+}
+
+/**
+ * Runs the query with the {@link EpoClient} which the builder is bound to.
+ * @param {Object} [options] - Additional options, supplied to
+ *   {@link EpoClient#executeQuery}.
+ * @param {Function} [responseCallback] - Callback function to invoke with the
+ *   result. If the query fails, the first parameter supplied to the callback
+ *   contains an `Error` object with failure details. On success, an array of
+ *   row objects is provided as the second parameter to the callback.
+ * @returns {Promise<Array<Object>>|undefined} If no `responseCallback` is
+ *   supplied, a `Promise` which is settled with the result of the query.
+ * @throws {Error} If the builder is not bound to a client.
+ */
+QueryBuilder.prototype.run = function (options, responseCallback) {
+  if (!this._epoClient) {
+    throw new Error('No EpoClient is associated with the query')
+  }
+  return this._epoClient.executeQuery(this.toParams(), options,
+    responseCallback)
+}
+
+/**
+ * Runs the query a page at a time with the {@link EpoClient} which the builder
+ * is bound to, returning a stream of the rows.
+ * @param {Object} [options] - Additional options for the stream - see
+ *   {@link QueryStream}.
+ * @returns {QueryStream} The stream of row objects.
+ * @throws {Error} If the builder is not bound to a client.
+ * @throws {TypeError} If the query has an order, as the rows of the stream
+ *   are returned in id order.
+ */
+QueryBuilder.prototype.stream = function (options) {
+  if (!this._epoClient) {
+    throw new Error('No EpoClient is associated with the query')
+  }
+  return this._epoClient.streamQuery(this.toParams(), options)
+}
+
+/**
+ * Creates a condition which matches rows where a column equals a value.
+ * @param {String} column - The column name.
+ * @param {(String|Number|Boolean|Date)} value - The value.
+ * @returns {QueryBuilder~Condition} The condition.
+ */
+QueryBuilder.eq = function (column, value) {
+  return comparison('eq', column, value)
+}
+
+/**
+ * Creates a condition which matches rows where a column does not equal a
+ * value.
+ * @param {String} column - The column name.
+ * @param {(String|Number|Boolean|Date)} value - The value.
+ * @returns {QueryBuilder~Condition} The condition.
+ */
+QueryBuilder.ne = function (column, value) {
+  return comparison('ne', column, value)
+}
+
+/**
+ * Creates a condition which matches rows where a column is less than a value.
+ * @param {String} column - The column name.
+ * @param {(Number|Date)} value - The value.
+ * @returns {QueryBuilder~Condition} The condition.
+ */
+QueryBuilder.lt = function (column, value) {
+  return comparison('lt', column, value)
+}
+
+/**
+ * Creates a condition which matches rows where a column is less than or equal
+ * to a value.
+ * @param {String} column - The column name.
+ * @param {(Number|Date)} value - The value.
+ * @returns {QueryBuilder~Condition} The condition.
+ */
+QueryBuilder.le = function (column, value) {
+  return comparison('le', column, value)
+}
+
+/**
+ * Creates a condition which matches rows where a column is greater than a
+ * value.
+ * @param {String} column - The column name.
+ * @param {(Number|Date)} value - The value.
+ * @returns {QueryBuilder~Condition} The condition.
+ */
+QueryBuilder.gt = function (column, value) {
+  return comparison('gt', column, value)
+}
+
+/**
+ * Creates a condition which matches rows where a column is greater than or
+ * equal to a value.
+ * @param {String} column - The column name.
+ * @param {(Number|Date)} value - The value.
+ * @returns {QueryBuilder~Condition} The condition.
+ */
+QueryBuilder.ge = function (column, value) {
+  return comparison('ge', column, value)
+}
+
+/**
+ * Creates a condition which matches rows where a column contains a string.
+ * @param {String} column - The column name.
+ * @param {String} value - The string.
+ * @returns {QueryBuilder~Condition} The condition.
+ */
+QueryBuilder.contains = function (column, value) {
+  return comparison('contains', column, String(value))
+}
+
+/**
+ * Creates a condition which matches rows where a column starts with a string.
+ * @param {String} column - The column name.
+ * @param {String} value - The string.
+ * @returns {QueryBuilder~Condition} The condition.
+ */
+QueryBuilder.startsWith = function (column, value) {
+  return comparison('startsWith', column, String(value))
+}
+
+/**
+ * Creates a condition which matches rows where a column ends with a string.
+ * @param {String} column - The column name.
+ * @param {String} value - The string.
+ * @returns {QueryBuilder~Condition} The condition.
+ */
+QueryBuilder.endsWith = function (column, value) {
+  return comparison('endsWith', column, String(value))
+}
+
+/**
+ * Creates a condition which matches rows where a date column is within a
+ * period before the time the query runs.
+ * @param {String} column - The column name.
+ * @param {Number} milliseconds - The length of the period, in milliseconds.
+ * @returns {QueryBuilder~Condition} The condition.
+ * @throws {TypeError} If the period is not a non-negative integer.
+ */
+QueryBuilder.newerThan = function (column, milliseconds) {
+  if (!Number.isInteger(milliseconds) || milliseconds < 0) {
+    throw new TypeError('Invalid period: ' + milliseconds)
+  }
+  return comparison('newerThan', column, milliseconds)
+}
+
+/**
+ * Creates a condition which matches rows where a date column is before a
+ * period before the time the query runs.
+ * @param {String} column - The column name.
+ * @param {Number} milliseconds - The length of the period, in milliseconds.
+ * @returns {QueryBuilder~Condition} The condition.
+ * @throws {TypeError} If the period is not a non-negative integer.
+ */
+QueryBuilder.olderThan = function (column, milliseconds) {
+  if (!Number.isInteger(milliseconds) || milliseconds < 0) {
+    throw new TypeError('Invalid period: ' + milliseconds)
+  }
+  return comparison('olderThan', column, milliseconds)
+}
+
+/**
+ * Creates a condition which matches rows where a column is blank.
+ * @param {String} column - The column name.
+ * @returns {QueryBuilder~Condition} The condition.
+ */
+QueryBuilder.isBlank = function (column) {
+  return new Condition('(isBlank ' + checkName(column, 'column') + ')')
+}
+
+/**
+ * Creates a condition which matches rows where a tags column includes a tag.
+ * @param {String} column - The column name, for example,
+ *   `EPOLeafNode.AppliedTags`.
+ * @param {Number} tagId - The id of the tag.
+ * @returns {QueryBuilder~Condition} The condition.
+ * @throws {TypeError} If the tag id is not an integer.
+ */
+QueryBuilder.hasTag = function (column, tagId) {
+  if (!Number.isInteger(tagId)) {
+    throw new TypeError('Invalid tag id: ' + tagId)
+  }
+  return comparison('hasTag', column, tagId)
+}
+
+/**
+ * Creates a condition which matches rows that match all of the supplied
+ * conditions.
+ * @param {...QueryBuilder~Condition} conditions - The conditions.
+ * @returns {QueryBuilder~Condition} The condition.
+ * @throws {TypeError} If no conditions are supplied or any was not created
+ *   by {@link QueryBuilder}.
+ */
+QueryBuilder.and = function () {
+  return combine('and', Array.prototype.slice.call(arguments))
+}
+
+/**
+ * Creates a condition which matches rows that match any of the supplied
+ * conditions.
+ * @param {...QueryBuilder~Condition} conditions - The conditions.
+ * @returns {QueryBuilder~Condition} The condition.
+ * @throws {TypeError} If no conditions are supplied or any was not created
+ *   by {@link QueryBuilder}.
+ */
+QueryBuilder.or = function () {
+  return combine('or', Array.prototype.slice.call(arguments))
+}
+
+/**
+ * Creates a condition which matches rows that do not match the supplied
+ * condition.
+ * @param {QueryBuilder~Condition} condition - The condition.
+ * @returns {QueryBuilder~Condition} The condition.
+ * @throws {TypeError} If the condition was not created by
+ *   {@link QueryBuilder}.
+ */
+QueryBuilder.not = function (condition) {
+  checkCondition(condition)
+  return new Condition('(not ' + condition.expression + ')')
+}
+
+module.exports = QueryBuilder
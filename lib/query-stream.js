@@ -0,0 +1,301 @@
+'use strict'
+
+const Readable = require('stream').Readable
+const inherits = require('inherits')
+
+// The default number of ids covered by each page of the query
+const DEFAULT_PAGE_SIZE = 1000
+
+// The default column, relative to the target table, which holds the id used
+// to page through the results
+const DEFAULT_ID_COLUMN = 'AutoID'
+
+// The default highest id to page up to: the largest value of the 32-bit
+// integer id columns in the ePO database
+const DEFAULT_MAX_ID = 2147483647
+
+// Pattern which matches a where clause, capturing the condition within it
+const WHERE_CLAUSE_PATTERN = /^\s*\(\s*where\s+([\s\S]*)\)\s*$/
+
+/**
+ * Extracts the condition from the where clause of a query.
+ * @param {String} [where] - The where clause, for example,
+ *   `(where (eq EPOLeafNode.NodeName "mySystem"))`.
+ * @returns {String} The condition, `null` if no where clause was supplied.
+ * @throws {TypeError} If the where clause is not valid.
+ * @private
+ */
+function whereCondition (where) {
+  if (typeof where === 'undefined' || where === null) {
+    return null
+  }
+  const match = WHERE_CLAUSE_PATTERN.exec(where)
+  if (!match) {
+    throw new TypeError('Invalid where clause: ' + where)
+  }
+  return match[1]
+}
+
+/**
+ * Reads an integer option.
+ * @param {Object} options - The options.
+ * @param {String} name - The name of the option.
+ * @param {Number} defaultValue - The value to use if the option is not set.
+ * @param {Number} minimum - The smallest allowed value.
+ * @returns {Number} The value.
+ * @throws {TypeError} If the option is not an integer of at least `minimum`.
+ * @private
+ */
+function integerOption (options, name, defaultValue, minimum) {
+  let value = defaultValue
+  if (typeof options[name] !== 'undefined' && options[name] !== null) {
+    value = options[name]
+  }
+  if (value !== null && (!Number.isInteger(value) || value < minimum)) {
+    throw new TypeError('Invalid ' + name + ': ' + value)
+  }
+  return value
+}
+
+/**
+ * @classdesc A readable stream of the rows returned by an ePO query
+ * (`core.executeQuery`), in object mode. As with any `Readable`, the rows can
+ * be consumed with `for await...of`.
+ *
+ * Rather than running the query once and decoding every row at the same time,
+ * the stream runs the query for successive ranges of an integer id column -
+ * by default, the `AutoID` column of the target table - so that at most one
+ * page of rows is held in memory at once. The next page is only requested
+ * once the rows from the previous page have been consumed. Rows are always
+ * returned in id order, so the query cannot have an `order` clause.
+ *
+ * Each query for rows covers `pageSize` ids, so it returns at most
+ * `pageSize` rows if the ids are unique. Ids need not be contiguous: after a
+ * range which contains no rows, the stream skips ahead by querying for just
+ * the ids in a range twice the size of the last, until an id is found, and
+ * then queries for rows a page at a time again from that id. Once the last
+ * row has been read, the stream ends after a few more queries for empty
+ * ranges - around twenty with the default `pageSize` and `maxId`. Supply the
+ * `maxId` if it is known to avoid these.
+ *
+ * Instances are normally obtained through {@link EpoClient#streamQuery}.
+ * @param {EpoClient} epoClient - The client to run the query with.
+ * @param {Object} query - The query parameters, as for
+ *   {@link EpoClient#executeQuery}. A `target` must be supplied - saved
+ *   queries cannot be paged - and an `order` must not be.
+ * @param {Object} [options] - Additional options for the stream.
+ * @param {String} [options.idColumn] - The integer column to page through the
+ *   results by. Defaults to the `AutoID` column of the target table, for
+ *   example, `EPOLeafNode.AutoID`.
+ * @param {Number} [options.pageSize=1000] - The range of ids covered by each
+ *   page.
+ * @param {Number} [options.minId=0] - The lowest id to return rows for.
+ * @param {Number} [options.maxId=2147483647] - The highest id to return rows
+ *   for.
+ * @param {Number} [options.timeout] - Timeout, in milliseconds, for each page
+ *   of the query.
+ * @param {Object} [options.retry] - Retry policy for each page of the query.
+ * @param {AbortSignal} [options.signal] - Signal which, when aborted, fails
+ *   the stream with an {@link EpoAbortError}.
+ * @throws {TypeError} If the query or any of the options are not valid.
+ * @constructor
+ */
+function QueryStream (epoClient, query, options) {
+  query = query || {}
+  options = options || {}
+
+  if (!query.target) {
+    throw new TypeError('A target must be specified to stream a query')
+  }
+  if (query.order) {
+    throw new TypeError('An order cannot be specified to stream a query: ' +
+      'rows are returned in id order')
+  }
+  if (typeof options.idColumn !== 'undefined' &&
+    (typeof options.idColumn !== 'string' || !options.idColumn)) {
+    throw new TypeError('Invalid idColumn: ' + options.idColumn)
+  }
+
+  Readable.call(this, { objectMode: true })
+
+  /**
+   * The client to run the query with.
+   * @type {EpoClient}
+   * @private
+   */
+  this._epoClient = epoClient
+
+  /**
+   * The query parameters, without the where clause.
+   * @type {Object}
+   * @private
+   */
+  this._query = Object.assign({}, query)
+  delete this._query.where
+
+  /**
+   * The condition from the where clause of the query, `null` if none.
+   * @type {String}
+   * @private
+   */
+  this._condition = whereCondition(query.where)
+
+  /**
+   * The column to page through the results by.
+   * @type {String}
+   * @private
+   */
+  this._idColumn = options.idColumn || query.target + '.' + DEFAULT_ID_COLUMN
+
+  /**
+   * The range of ids covered by each page.
+   * @type {Number}
+   * @private
+   */
+  this._pageSize = integerOption(options, 'pageSize', DEFAULT_PAGE_SIZE, 1)
+
+  /**
+   * The range of ids covered by the next query, which grows while ranges are
+   * empty.
+   * @type {Number}
+   * @private
+   */
+  this._rangeSize = this._pageSize
+
+  /**
+   * The lowest id of the next page.
+   * @type {Number}
+   * @private
+   */
+  this._nextId = integerOption(options, 'minId', 0, 0)
+
+  /**
+   * The highest id to return rows for.
+   * @type {Number}
+   * @private
+   */
+  this._maxId = integerOption(options, 'maxId', DEFAULT_MAX_ID, 0)
+
+  /**
+   * Options to supply for each query.
+   * @type {Object}
+   * @private
+   */
+  this._queryOptions = {
+    timeout: options.timeout,
+    retry: options.retry,
+    signal: options.signal
+  }
+
+  /**
+   * Whether a query is currently in progress.
+   * @type {Boolean}
+   * @private
+   */
+  this._querying = false
+}
+
+inherits(QueryStream, Readable)
+
+/**
+ * Requests the next page of rows, unless a request is already in progress.
+ * @private
+ */
+QueryStream.prototype._read = function () {
+  if (this._querying) {
+    return
+  }
+  this._readPage()
+}
+
+/**
+ * Runs the query for the next range of ids and pushes the rows which are
+ * returned. Ranges which contain no rows are skipped, doubling the range
+ * covered by each query, until an id is found or the highest id is passed.
+ * @private
+ */
+QueryStream.prototype._readPage = function () {
+  const stream = this
+  if (this._nextId > this._maxId) {
+    this.push(null)
+    return
+  }
+  const idColumn = this._idColumn
+  const lowId = this._nextId
+  const highId = Math.min(lowId + this._rangeSize, this._maxId + 1)
+  // A range larger than a page is only queried to skip a gap in the ids.
+  // Only its ids are requested, so that a gap which is followed by many rows
+  // does not return more than a page of rows.
+  const skipping = this._rangeSize > this._pageSize
+  let condition = '(ge ' + idColumn + ' ' + lowId + ') (lt ' + idColumn +
+    ' ' + highId + ')'
+  if (this._condition) {
+    condition = this._condition + ' ' + condition
+  }
+  const query = Object.assign({}, this._query, {
+    where: '(where (and ' + condition + '))',
+    order: '(order (asc ' + idColumn + '))'
+  })
+  if (skipping) {
+    query.select = '(select ' + idColumn + ')'
+  }
+  this._runQuery(query, function (rows) {
+    if (!rows.length) {
+      stream._nextId = highId
+      stream._rangeSize *= 2
+      stream._readPage()
+      return
+    }
+    stream._rangeSize = stream._pageSize
+    if (skipping) {
+      // Continue with a page of rows from the lowest id which was found. If
+      // the id cannot be read, the rows are queried from the start of the
+      // range, which still covers a page of ids at a time.
+      const firstId = Number(rows[0][idColumn])
+      if (Number.isInteger(firstId) && firstId > lowId && firstId < highId) {
+        stream._nextId = firstId
+      }
+      stream._readPage()
+      return
+    }
+    stream._nextId = highId
+    let wantsMore = true
+    rows.forEach(function (row) {
+      wantsMore = stream.push(row)
+    })
+    if (wantsMore) {
+      stream._read()
+    }
+  })
+}
+
+/**
+ * Runs a query through the client, destroying the stream if it fails.
+ * @param {Object} query - The query parameters.
+ * @param {Function} callback - Callback function to invoke with the rows if
+ *   the query succeeds.
+ * @private
+ */
+QueryStream.prototype._runQuery = function (query, callback) {
+  const stream = this
+  this._querying = true
+  try {
+    this._epoClient.executeQuery(query, this._queryOptions,
+      function (error, rows) {
+        stream._querying = false
+        if (stream.destroyed) {
+          return
+        }
+        if (error) {
+          stream.destroy(error)
+        } else {
+          callback(rows)
+        }
+      })
+  } catch (err) {
+    this._querying = false
+    this.destroy(err)
+  }
+}
+
+module.exports = QueryStream
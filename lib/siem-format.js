@@ -0,0 +1,34 @@
+/**
+ * @module SiemFormat
+ * @description Constants that are used to indicate the format in which a
+ * {@link ThreatEventFormatter} writes each threat event for a SIEM.
+ */
+
+'use strict'
+
+module.exports = {
+  /**
+   * ArcSight Common Event Format (CEF), version 0.
+   */
+  CEF: 'cef',
+  /**
+   * IBM QRadar Log Event Extended Format (LEEF), version 1.0.
+   */
+  LEEF: 'leef',
+  /**
+   * A JSON object on a single line.
+   */
+  JSON: 'json',
+  /**
+   * Validates that the specified format is valid (cef, leef, json).
+   * @param {String} siemFormat - The SIEM format
+   * @throws {TypeError} If the format is not valid.
+   */
+  validate: function (siemFormat) {
+    if ([module.exports.CEF,
+      module.exports.LEEF,
+      module.exports.JSON].indexOf(siemFormat) < 0) {
+      throw TypeError('Invalid SIEM format: ' + siemFormat)
+    }
+  }
+}
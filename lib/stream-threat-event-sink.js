@@ -0,0 +1,105 @@
+'use strict'
+
+const inherits = require('inherits')
+const ThreatEventSink = require('./threat-event-sink')
+
+// The number of open sinks which write to each stream. The error listener is
+// added to a stream once, however many sinks write to it, and removed when
+// the last of them is closed.
+const openSinkCounts = new WeakMap()
+
+/**
+ * Listener which keeps an error emitted by the destination stream from being
+ * thrown. The error is reported through the callback of the failed write.
+ * @private
+ */
+function ignoreStreamError () {}
+
+/**
+ * Adds the error listener to a stream, if no other open sink has added it.
+ * @param {stream.Writable} stream - The stream.
+ * @private
+ */
+function addErrorListener (stream) {
+  const count = openSinkCounts.get(stream) || 0
+  if (!count) {
+    stream.on('error', ignoreStreamError)
+  }
+  openSinkCounts.set(stream, count + 1)
+}
+
+/**
+ * Removes the error listener from a stream, if no other open sink needs it.
+ * @param {stream.Writable} stream - The stream.
+ * @private
+ */
+function removeErrorListener (stream) {
+  const count = openSinkCounts.get(stream) || 0
+  if (count <= 1) {
+    openSinkCounts.delete(stream)
+    stream.removeListener('error', ignoreStreamError)
+  } else {
+    openSinkCounts.set(stream, count - 1)
+  }
+}
+
+/**
+ * @classdesc A sink which writes each ePO threat event as a line of text to a
+ * writable stream - by default, standard output.
+ *
+ * The stream is not ended when the sink is closed. While any sink which writes
+ * to the stream is open, a single `'error'` listener is added to it, so that
+ * a failed write is reported to the `errorCallback` rather than thrown.
+ * @param {Object} [options] - Additional options for the sink. See
+ *   {@link ThreatEventSink} for the formatting and error handling options.
+ * @param {stream.Writable} [options.stream=process.stdout] - The stream to
+ *   write to.
+ * @throws {TypeError} If any of the options are not valid.
+ * @example
+ * epoClient.addThreatEventSink(new StreamThreatEventSink({format: 'cef'}))
+ * @augments ThreatEventSink
+ * @constructor
+ */
+function StreamThreatEventSink (options) {
+  options = options || {}
+  ThreatEventSink.call(this, options)
+
+  /**
+   * The stream to write to.
+   * @type {stream.Writable}
+   * @private
+   */
+  this._stream = options.stream || process.stdout
+  addErrorListener(this._stream)
+}
+
+inherits(StreamThreatEventSink, ThreatEventSink)
+
+/**
+ * Writes a formatted event to the stream.
+ * @param {String} line - The formatted event.
+ * @param {ThreatEvent} threatEvent - The threat event.
+ * @param {Function} callback - Callback function to invoke once the event has
+ *   been written.
+ * @private
+ */
+StreamThreatEventSink.prototype._write = function (line, threatEvent,
+  callback) {
+  this._stream.write(line + '\n', function (error) {
+    callback(error || null)
+  })
+}
+
+/**
+ * Removes the error listener from the stream, unless another open sink writes
+ * to it.
+ * @param {Function} callback - Callback function to invoke once the sink has
+ *   been closed.
+ * @private
+ */
+StreamThreatEventSink.prototype._close = function (callback) {
+  removeErrorListener(this._stream)
+  callback(null)
+}
+
+module.exports = StreamThreatEventSink
@@ -0,0 +1,285 @@
+'use strict'
+
+const dgram = require('dgram')
+const inherits = require('inherits')
+const net = require('net')
+const os = require('os')
+const ThreatEventSink = require('./threat-event-sink')
+
+// The transport protocols which the sink can send messages with
+const PROTOCOLS = ['udp', 'tcp']
+
+// The methods of framing messages sent over TCP (RFC 6587)
+const FRAMINGS = ['octetCounting', 'newline']
+
+// The default syslog facility (user-level messages)
+const DEFAULT_FACILITY = 1
+
+// The syslog severity for an event with no ePO severity (notice)
+const DEFAULT_SEVERITY = 5
+
+// The highest syslog severity (debug)
+const MAX_SEVERITY = 7
+
+// The maximum lengths of the HOSTNAME, APP-NAME and MSGID header fields
+// (RFC 5424)
+const MAX_HOSTNAME_LENGTH = 255
+const MAX_APP_NAME_LENGTH = 48
+const MAX_MSG_ID_LENGTH = 32
+
+/**
+ * Converts a value to a syslog header field, which may only contain printable
+ * US-ASCII characters other than space.
+ * @param {String} value - The value.
+ * @param {Number} maxLength - The maximum length of the field.
+ * @returns {String} The field, `-` if the value is empty.
+ * @private
+ */
+function headerField (value, maxLength) {
+  const field = String(value || '').replace(/[^\x21-\x7e]/g, '_')
+    .substring(0, maxLength)
+  return field || '-'
+}
+
+/**
+ * @classdesc A sink which sends each ePO threat event to a syslog receiver as
+ * an RFC 5424 message, over UDP or TCP. The formatted event is the MSG part of
+ * the message.
+ *
+ * ePO threat severities use the syslog scale, from `0` (most severe) to `6`
+ * (informational), so the severity of each message is the severity of the
+ * event. Events with no severity are sent as notices.
+ *
+ * For TCP, the connection is opened when the first event is sent and is
+ * opened again for the next event if it fails or is closed by the receiver.
+ * Messages are framed by octet counting (RFC 6587) unless `framing` is
+ * `newline`.
+ * @param {Object} [options] - Additional options for the sink. See
+ *   {@link ThreatEventSink} for the formatting and error handling options.
+ * @param {String} [options.host=localhost] - The host of the syslog receiver.
+ * @param {Number} [options.port=514] - The port of the syslog receiver.
+ * @param {String} [options.protocol=udp] - The transport protocol, `udp` or
+ *   `tcp`.
+ * @param {String} [options.framing=octetCounting] - The method of framing
+ *   messages sent over TCP, `octetCounting` or `newline`.
+ * @param {Number} [options.facility=1] - The syslog facility, from `0` to
+ *   `23`.
+ * @param {String} [options.appName=dxl-epo-client] - The APP-NAME to send in
+ *   each message.
+ * @param {String} [options.hostname] - The HOSTNAME to send in each message.
+ *   Defaults to the name of the local host.
+ * @param {String} [options.msgId=threat] - The MSGID to send in each message.
+ * @throws {TypeError} If any of the options are not valid.
+ * @example
+ * epoClient.addThreatEventSink(new SyslogThreatEventSink({
+ *   host: 'siem.example.com',
+ *   protocol: 'tcp',
+ *   format: 'leef',
+ *   errorCallback: function (error) {
+ *     console.log('Unable to send threat event: ' + error.message)
+ *   }
+ * }))
+ * @augments ThreatEventSink
+ * @constructor
+ */
+function SyslogThreatEventSink (options) {
+  options = options || {}
+  const protocol = options.protocol || 'udp'
+  if (PROTOCOLS.indexOf(protocol) < 0) {
+    throw new TypeError('Invalid protocol: ' + protocol)
+  }
+  const framing = options.framing || 'octetCounting'
+  if (FRAMINGS.indexOf(framing) < 0) {
+    throw new TypeError('Invalid framing: ' + framing)
+  }
+  let facility = DEFAULT_FACILITY
+  if (typeof options.facility !== 'undefined') {
+    facility = options.facility
+  }
+  if (!Number.isInteger(facility) || facility < 0 || facility > 23) {
+    throw new TypeError('Invalid facility: ' + facility)
+  }
+  const port = options.port || 514
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new TypeError('Invalid port: ' + port)
+  }
+
+  ThreatEventSink.call(this, options)
+
+  /**
+   * The host of the syslog receiver.
+   * @type {String}
+   * @private
+   */
+  this._host = options.host || 'localhost'
+
+  /**
+   * The port of the syslog receiver.
+   * @type {Number}
+   * @private
+   */
+  this._port = port
+
+  /**
+   * The transport protocol.
+   * @type {String}
+   * @private
+   */
+  this._protocol = protocol
+
+  /**
+   * The method of framing messages sent over TCP.
+   * @type {String}
+   * @private
+   */
+  this._framing = framing
+
+  /**
+   * The syslog facility.
+   * @type {Number}
+   * @private
+   */
+  this._facility = facility
+
+  /**
+   * The HOSTNAME, APP-NAME, PROCID and MSGID fields of the message header.
+   * @type {String}
+   * @private
+   */
+  this._headerFields = [
+    headerField(options.hostname || os.hostname(), MAX_HOSTNAME_LENGTH),
+    headerField(options.appName || 'dxl-epo-client', MAX_APP_NAME_LENGTH),
+    process.pid,
+    headerField(options.msgId || 'threat', MAX_MSG_ID_LENGTH)
+  ].join(' ')
+
+  /**
+   * The socket which messages are sent on, `null` if it has not been opened.
+   * @type {(dgram.Socket|net.Socket)}
+   * @private
+   */
+  this._socket = null
+}
+
+inherits(SyslogThreatEventSink, ThreatEventSink)
+
+/**
+ * Builds the syslog message for a formatted event.
+ * @param {String} line - The formatted event.
+ * @param {ThreatEvent} threatEvent - The threat event.
+ * @returns {Buffer} The message.
+ * @private
+ */
+SyslogThreatEventSink.prototype._buildMessage = function (line,
+  threatEvent) {
+  let severity = threatEvent.getSeverity()
+  if (severity === null) {
+    severity = DEFAULT_SEVERITY
+  }
+  severity = Math.min(Math.max(Math.round(severity), 0), MAX_SEVERITY)
+  const priority = this._facility * 8 + severity
+  return Buffer.from('<' + priority + '>1 ' + new Date().toISOString() + ' ' +
+    this._headerFields + ' - ' + line)
+}
+
+/**
+ * Sends a formatted event to the syslog receiver.
+ * @param {String} line - The formatted event.
+ * @param {ThreatEvent} threatEvent - The threat event.
+ * @param {Function} callback - Callback function to invoke once the event has
+ *   been sent.
+ * @private
+ */
+SyslogThreatEventSink.prototype._write = function (line, threatEvent,
+  callback) {
+  const message = this._buildMessage(line, threatEvent)
+  if (this._protocol === 'udp') {
+    this._getUdpSocket().send(message, this._port, this._host,
+      function (error) {
+        callback(error || null)
+      })
+  } else {
+    let frame
+    if (this._framing === 'newline') {
+      frame = Buffer.concat([message, Buffer.from('\n')])
+    } else {
+      frame = Buffer.concat([Buffer.from(message.length + ' '), message])
+    }
+    const socket = this._getTcpSocket()
+    socket.write(frame, function (error) {
+      // Report why the connection failed rather than that the write was
+      // abandoned because of it
+      callback(error ? socket.errored || error : null)
+    })
+  }
+}
+
+/**
+ * Returns the UDP socket, creating it if necessary.
+ * @returns {dgram.Socket} The socket.
+ * @private
+ */
+SyslogThreatEventSink.prototype._getUdpSocket = function () {
+  if (!this._socket) {
+    this._socket = dgram.createSocket(net.isIPv6(this._host) ? 'udp6' : 'udp4')
+    // Send failures are reported through the callback of each send
+    this._socket.on('error', function () {})
+  }
+  return this._socket
+}
+
+/**
+ * Returns the TCP connection to the syslog receiver, opening it if necessary.
+ * @returns {net.Socket} The socket.
+ * @private
+ */
+SyslogThreatEventSink.prototype._getTcpSocket = function () {
+  const sink = this
+  if (!this._socket) {
+    const socket = net.connect({ host: this._host, port: this._port })
+    socket.setKeepAlive(true)
+    const release = function () {
+      if (sink._socket === socket) {
+        sink._socket = null
+      }
+    }
+    // Failures are reported through the callback of each pending write. The
+    // connection is opened again for the next event.
+    socket.on('error', release)
+    socket.on('close', release)
+    this._socket = socket
+  }
+  return this._socket
+}
+
+/**
+ * Closes the socket.
+ * @param {Function} callback - Callback function to invoke once the socket
+ *   has been closed.
+ * @private
+ */
+SyslogThreatEventSink.prototype._close = function (callback) {
+  const socket = this._socket
+  this._socket = null
+  if (!socket) {
+    callback(null)
+  } else if (this._protocol === 'udp') {
+    socket.close(function () {
+      callback(null)
+    })
+  } else {
+    // The socket closes rather than finishing if the connection fails
+    let closed = false
+    const done = function () {
+      if (!closed) {
+        closed = true
+        callback(null)
+      }
+    }
+    socket.once('finish', done)
+    socket.once('close', done)
+    socket.end()
+  }
+}
+
+module.exports = SyslogThreatEventSink
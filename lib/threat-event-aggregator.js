@@ -0,0 +1,287 @@
+'use strict'
+
+const ThreatEvent = require('./threat-event')
+
+// The default length, in milliseconds, of an aggregation window
+const DEFAULT_WINDOW = 60000
+
+// The default fields of a threat event which identify duplicates
+const DEFAULT_KEY_FIELDS = ['agentGuid', 'threatName']
+
+// The default maximum number of windows which may be open at once
+const DEFAULT_MAX_KEYS = 10000
+
+/**
+ * The clock used when none is supplied to the aggregator.
+ * @private
+ */
+const SYSTEM_CLOCK = {
+  now: function () {
+    return Date.now()
+  },
+  setTimeout: function (callback, delay) {
+    // An open window should not keep the process running by itself
+    const timer = setTimeout(callback, delay)
+    timer.unref()
+    return timer
+  },
+  clearTimeout: function (timer) {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * A summary of the duplicate threat events which were received within an
+ * aggregation window.
+ * @typedef {Object} ThreatEventAggregator~Summary
+ * @property {String} key - The key which the events share.
+ * @property {Number} count - The number of events received in the window.
+ * @property {Date} firstSeen - The time at which the first event was
+ *   received.
+ * @property {Date} lastSeen - The time at which the last event was received.
+ * @property {ThreatEvent} firstEvent - The first event received.
+ * @property {ThreatEvent} lastEvent - The last event received.
+ */
+
+/**
+ * A clock which supplies the current time and timers to an aggregator, so
+ * that window expiry can be controlled in tests.
+ * @typedef {Object} ThreatEventAggregator~Clock
+ * @property {Function} now - Returns the current time, in milliseconds since
+ *   the epoch.
+ * @property {Function} setTimeout - Invokes a callback after a delay, in
+ *   milliseconds, and returns a timer handle.
+ * @property {Function} clearTimeout - Cancels a timer, given its handle.
+ */
+
+/**
+ * Creates a function which returns the deduplication key for a threat event.
+ * @param {(Array<String>|Function)} key - The names of the
+ *   {@link ThreatEvent#toJSON} fields which make up the key, or a function
+ *   which is invoked with the {@link ThreatEvent} and returns the key.
+ * @returns {Function} The key function.
+ * @throws {TypeError} If the key is not valid.
+ * @private
+ */
+function createKeyFunction (key) {
+  if (typeof key === 'function') {
+    return function (threatEvent) {
+      return String(key(threatEvent))
+    }
+  }
+  if (!Array.isArray(key) || !key.length) {
+    throw new TypeError('Invalid aggregation key: ' + key)
+  }
+  return function (threatEvent) {
+    const fields = threatEvent.toJSON()
+    return key.map(function (field) {
+      const value = fields[field]
+      return value === null || typeof value === 'undefined' ? '' : value
+    }).join('|')
+  }
+}
+
+/**
+ * @classdesc Deduplicates ePO threat events. The first event for a key opens
+ * a window of a fixed length. Events with the same key which arrive before
+ * the window closes are counted rather than delivered, and when the window
+ * closes a single {@link ThreatEventAggregator~Summary} for the window is
+ * delivered to the summary callback. The next event for the key opens a new
+ * window.
+ *
+ * Aggregators are normally created through
+ * {@link EpoClient#aggregateThreatEvents}, which feeds them the threat events
+ * received by the client. An aggregator can also be fed directly through
+ * {@link ThreatEventAggregator#add}.
+ * @param {Function} summaryCallback - The function to invoke with the
+ *   {@link ThreatEventAggregator~Summary} for each window as it closes.
+ * @param {Object} [options] - Additional options for the aggregator.
+ * @param {(Array<String>|Function)} [options.key=['agentGuid', 'threatName']]
+ *   - The names of the {@link ThreatEvent#toJSON} fields which identify
+ *   duplicate events, or a function which is invoked with the
+ *   {@link ThreatEvent} and returns its key.
+ * @param {Number} [options.window=60000] - The length of each window, in
+ *   milliseconds.
+ * @param {Number} [options.maxKeys=10000] - Maximum number of windows which
+ *   may be open at once. If a new key arrives when this many windows are
+ *   open, the window which was opened first is closed early.
+ * @param {ThreatEventAggregator~Clock} [options.clock] - The clock to use.
+ *   Defaults to the system clock, whose timers do not keep the process
+ *   running.
+ * @param {Function} [options.unsubscribe] - Function which stops the
+ *   aggregator receiving threat events - for example, the function returned
+ *   by {@link EpoClient#addThreatEventCallback}. It is invoked by
+ *   {@link ThreatEventAggregator#stop}.
+ * @throws {TypeError} If any of the options are not valid.
+ * @example
+ * const aggregator = new ThreatEventAggregator(function (summary) {
+ *   console.log(summary.key + ': ' + summary.count + ' events between ' +
+ *     summary.firstSeen.toISOString() + ' and ' +
+ *     summary.lastSeen.toISOString())
+ * }, {window: 5 * 60 * 1000})
+ * @constructor
+ */
+function ThreatEventAggregator (summaryCallback, options) {
+  options = options || {}
+
+  let window = DEFAULT_WINDOW
+  if (typeof options.window !== 'undefined') {
+    window = options.window
+  }
+  if (typeof window !== 'number' || isNaN(window) || window <= 0) {
+    throw new TypeError('Invalid window: ' + window)
+  }
+  let maxKeys = DEFAULT_MAX_KEYS
+  if (typeof options.maxKeys !== 'undefined') {
+    maxKeys = options.maxKeys
+  }
+  if (!Number.isInteger(maxKeys) || maxKeys < 1) {
+    throw new TypeError('Invalid maxKeys: ' + maxKeys)
+  }
+
+  /**
+   * The function to invoke with the summary for each window.
+   * @type {Function}
+   * @private
+   */
+  this._summaryCallback = summaryCallback
+
+  /**
+   * Function which returns the key for a threat event.
+   * @type {Function}
+   * @private
+   */
+  this._getKey = createKeyFunction(options.key || DEFAULT_KEY_FIELDS)
+
+  /**
+   * The length of each window, in milliseconds.
+   * @type {Number}
+   * @private
+   */
+  this._window = window
+
+  /**
+   * Maximum number of windows which may be open at once.
+   * @type {Number}
+   * @private
+   */
+  this._maxKeys = maxKeys
+
+  /**
+   * The clock to use.
+   * @type {ThreatEventAggregator~Clock}
+   * @private
+   */
+  this._clock = options.clock || SYSTEM_CLOCK
+
+  /**
+   * The open windows, keyed by event key. The `Map` preserves the order in
+   * which the windows were opened.
+   * @type {Map<String, Object>}
+   * @private
+   */
+  this._windows = new Map()
+
+  /**
+   * Function which stops the aggregator receiving threat events, `null` if
+   * none was supplied.
+   * @type {Function}
+   * @private
+   */
+  this._unsubscribe = options.unsubscribe || null
+}
+
+/**
+ * Adds a threat event to the aggregator.
+ * @param {(ThreatEvent|Object)} threatEvent - The threat event, or the
+ *   object decoded from its payload.
+ * @param {external:Event} [event] - The DXL event, if a payload object is
+ *   supplied.
+ */
+ThreatEventAggregator.prototype.add = function (threatEvent, event) {
+  const aggregator = this
+  if (!(threatEvent instanceof ThreatEvent)) {
+    threatEvent = new ThreatEvent(threatEvent, event)
+  }
+  const key = this._getKey(threatEvent)
+  const now = new Date(this._clock.now())
+
+  const existing = this._windows.get(key)
+  if (existing) {
+    existing.summary.count++
+    existing.summary.lastSeen = now
+    existing.summary.lastEvent = threatEvent
+    return
+  }
+
+  // The window which was opened first is closed once the window for the
+  // event has been opened, so that the event is counted even if the summary
+  // callback throws
+  let evictedKey = null
+  if (this._windows.size >= this._maxKeys) {
+    evictedKey = this._windows.keys().next().value
+  }
+  this._windows.set(key, {
+    summary: {
+      key,
+      count: 1,
+      firstSeen: now,
+      lastSeen: now,
+      firstEvent: threatEvent,
+      lastEvent: threatEvent
+    },
+    timer: this._clock.setTimeout(function () {
+      aggregator._close(key)
+    }, this._window)
+  })
+  if (evictedKey !== null) {
+    this._close(evictedKey)
+  }
+}
+
+/**
+ * Closes every open window, delivering its summary immediately.
+ */
+ThreatEventAggregator.prototype.flush = function () {
+  const aggregator = this
+  Array.from(this._windows.keys()).forEach(function (key) {
+    aggregator._close(key)
+  })
+}
+
+/**
+ * Stops the aggregator receiving threat events - if it was created through
+ * {@link EpoClient#aggregateThreatEvents} or supplied with an `unsubscribe`
+ * function - and closes every open window.
+ */
+ThreatEventAggregator.prototype.stop = function () {
+  if (this._unsubscribe) {
+    this._unsubscribe()
+    this._unsubscribe = null
+  }
+  this.flush()
+}
+
+/**
+ * Returns the number of windows which are currently open.
+ * @returns {Number} The number of open windows.
+ */
+ThreatEventAggregator.prototype.getOpenWindowCount = function () {
+  return this._windows.size
+}
+
+/**
+ * Closes the window for a key and delivers its summary.
+ * @param {String} key - The key.
+ * @private
+ */
+ThreatEventAggregator.prototype._close = function (key) {
+  const window = this._windows.get(key)
+  if (window) {
+    this._windows.delete(key)
+    this._clock.clearTimeout(window.timer)
+    this._summaryCallback(window.summary)
+  }
+}
+
+module.exports = ThreatEventAggregator
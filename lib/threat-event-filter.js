@@ -0,0 +1,296 @@
+'use strict'
+
+// The operators which can be used in a field condition
+const OPERATORS = ['eq', 'ne', 'in', 'gt', 'gte', 'lt', 'lte', 'match',
+  'exists']
+
+/**
+ * Returns the values at a field path in a payload. If the path passes
+ * through an array - for example, the `events` array of an ePO threat event -
+ * the values from each element of the array are returned.
+ * @param {*} payload - The payload.
+ * @param {Array<String>} path - The field names in the path.
+ * @returns {Array} The values which were found. Values which are `null` or
+ *   `undefined` are not included.
+ * @private
+ */
+function resolvePath (payload, path) {
+  let values = [payload]
+  path.forEach(function (name) {
+    const next = []
+    values.forEach(function (value) {
+      if (Array.isArray(value)) {
+        value.forEach(function (element) {
+          if (element !== null && typeof element === 'object' &&
+            typeof element[name] !== 'undefined' && element[name] !== null) {
+            next.push(element[name])
+          }
+        })
+      } else if (value !== null && typeof value === 'object' &&
+        typeof value[name] !== 'undefined' && value[name] !== null) {
+        next.push(value[name])
+      }
+    })
+    values = next
+  })
+  // A path which ends at an array matches against each of its elements
+  return values.reduce(function (flattened, value) {
+    return flattened.concat(value)
+  }, [])
+}
+
+/**
+ * Converts a payload value so that it can be compared with a value from a
+ * filter. Numeric strings are compared with numbers as numbers, and date
+ * strings are compared with `Date` objects as dates.
+ * @param {*} value - The payload value.
+ * @param {*} operand - The value from the filter.
+ * @returns {*} The converted value, `NaN` if it cannot be converted.
+ * @private
+ */
+function comparable (value, operand) {
+  if (operand instanceof Date) {
+    if (value instanceof Date) {
+      return value.getTime()
+    }
+    return typeof value === 'number' ? value : Date.parse(value)
+  }
+  if (typeof operand === 'number') {
+    return typeof value === 'string' && value.trim() ? Number(value) : value
+  }
+  return value
+}
+
+/**
+ * Determines whether a payload value equals a value from a filter.
+ * @param {*} value - The payload value.
+ * @param {*} operand - The value from the filter.
+ * @returns {Boolean} `true` if the values are equal.
+ * @private
+ */
+function equals (value, operand) {
+  if (operand instanceof Date) {
+    return comparable(value, operand) === operand.getTime()
+  }
+  return comparable(value, operand) === operand
+}
+
+/**
+ * Creates a test for a single payload value from an operator and its
+ * operand.
+ * @param {String} operator - The operator.
+ * @param {*} operand - The operand.
+ * @returns {Function} Function which returns `true` if a value satisfies the
+ *   operator.
+ * @private
+ */
+function operatorTest (operator, operand) {
+  const bound = operand instanceof Date ? operand.getTime() : operand
+  switch (operator) {
+    case 'eq':
+      return function (value) {
+        return equals(value, operand)
+      }
+    case 'in':
+      if (!Array.isArray(operand)) {
+        throw new TypeError('The in operator requires an array')
+      }
+      return function (value) {
+        return operand.some(function (candidate) {
+          return equals(value, candidate)
+        })
+      }
+    case 'gt':
+      return function (value) {
+        return comparable(value, operand) > bound
+      }
+    case 'gte':
+      return function (value) {
+        return comparable(value, operand) >= bound
+      }
+    case 'lt':
+      return function (value) {
+        return comparable(value, operand) < bound
+      }
+    case 'lte':
+      return function (value) {
+        return comparable(value, operand) <= bound
+      }
+    case 'match':
+      if (!(operand instanceof RegExp)) {
+        throw new TypeError('The match operator requires a RegExp')
+      }
+      return function (value) {
+        // Reset the position in case the expression has the global flag
+        operand.lastIndex = 0
+        return operand.test(String(value))
+      }
+  }
+}
+
+/**
+ * Compiles the condition for a field into a predicate.
+ * @param {String} field - The field path, for example,
+ *   `events.threatSeverity`.
+ * @param {*} condition - The condition.
+ * @returns {Function} Function which is invoked with the payload and the DXL
+ *   event and returns `true` if the condition is satisfied.
+ * @throws {TypeError} If the condition is not valid.
+ * @private
+ */
+function compileFieldCondition (field, condition) {
+  const path = field.split('.')
+  if (typeof condition === 'function') {
+    return function (payload) {
+      return resolvePath(payload, path).some(function (value) {
+        return condition(value, payload)
+      })
+    }
+  }
+  if (condition instanceof RegExp) {
+    condition = { match: condition }
+  } else if (Array.isArray(condition)) {
+    condition = { in: condition }
+  } else if (condition === null || typeof condition !== 'object' ||
+    condition instanceof Date) {
+    condition = { eq: condition }
+  }
+
+  const operators = Object.keys(condition)
+  if (!operators.length) {
+    throw new TypeError('No condition specified for field: ' + field)
+  }
+  const tests = []
+  let exists = null
+  let excluded = null
+  operators.forEach(function (operator) {
+    if (OPERATORS.indexOf(operator) < 0) {
+      throw new TypeError('Unknown operator for field ' + field + ': ' +
+        operator)
+    }
+    if (operator === 'exists') {
+      exists = !!condition.exists
+    } else if (operator === 'ne') {
+      excluded = operatorTest('eq', condition.ne)
+    } else {
+      tests.push(operatorTest(operator, condition[operator]))
+    }
+  })
+
+  return function (payload) {
+    const values = resolvePath(payload, path)
+    if (exists !== null && exists !== (values.length > 0)) {
+      return false
+    }
+    if (excluded && values.some(excluded)) {
+      return false
+    }
+    if (!tests.length) {
+      return true
+    }
+    return values.some(function (value) {
+      return tests.every(function (test) {
+        return test(value)
+      })
+    })
+  }
+}
+
+/**
+ * Compiles a filter specification into a predicate.
+ * @param {*} spec - The filter specification.
+ * @returns {Function} Function which is invoked with the payload and the DXL
+ *   event and returns `true` if the filter matches.
+ * @throws {TypeError} If the specification is not valid.
+ * @private
+ */
+function compile (spec) {
+  if (spec instanceof ThreatEventFilter) {
+    return function (payload, event) {
+      return spec.matches(payload, event)
+    }
+  }
+  if (typeof spec === 'function') {
+    return function (payload, event) {
+      return !!spec(payload, event)
+    }
+  }
+  let predicates
+  if (Array.isArray(spec)) {
+    predicates = spec.map(compile)
+  } else if (spec !== null && typeof spec === 'object') {
+    predicates = Object.keys(spec).map(function (field) {
+      return compileFieldCondition(field, spec[field])
+    })
+  } else {
+    throw new TypeError('Invalid threat event filter: ' + spec)
+  }
+  return function (payload, event) {
+    return predicates.every(function (predicate) {
+      return predicate(payload, event)
+    })
+  }
+}
+
+/**
+ * @classdesc A filter which selects ePO threat events by the content of their
+ * payload. Filters are normally supplied as the `filter` option of
+ * {@link EpoClient#addThreatEventCallback}, but can also be constructed and
+ * tested on their own.
+ *
+ * A filter specification is one of the following:
+ *
+ * * A function, which is invoked with the decoded payload and the DXL
+ *   [Event]{@link external:Event} and returns `true` for matching events.
+ * * An object which maps field paths to conditions. Every condition must be
+ *   satisfied for the event to match.
+ * * An array of specifications, all of which must match.
+ *
+ * A field path names a field in the payload, with `.` separating nested
+ * fields - for example, `events.threatName`. If the path passes through an
+ * array, the condition is satisfied if it is satisfied for any element.
+ *
+ * A condition is one of the following:
+ *
+ * * A `String`, `Number`, `Boolean` or `Date`, which the field must equal.
+ * * A `RegExp`, which the field must match.
+ * * An array of values, one of which the field must equal.
+ * * A function, which is invoked with the field value and the payload and
+ *   returns `true` if the condition is satisfied.
+ * * An object containing one or more of the operators `eq`, `ne`, `in`, `gt`,
+ *   `gte`, `lt`, `lte`, `match` (a `RegExp`) and `exists` (a `Boolean`).
+ *
+ * Numeric strings in the payload are compared as numbers with `Number`
+ * operands, and date strings are compared as dates with `Date` operands.
+ * @param {(Object|Array|Function)} spec - The filter specification.
+ * @throws {TypeError} If the specification is not valid.
+ * @example
+ * const filter = new ThreatEventFilter({
+ *   'events.threatSeverity': {lte: 2},
+ *   'events.threatType': ['virus', 'trojan'],
+ *   'events.threatName': /^EICAR/,
+ *   'events.sourceIPV4': function (ip) { return ip.startsWith('10.') }
+ * })
+ * filter.matches(threatEventObj)
+ * @constructor
+ */
+function ThreatEventFilter (spec) {
+  /**
+   * The compiled filter.
+   * @type {Function}
+   * @private
+   */
+  this._predicate = compile(spec)
+}
+
+/**
+ * Determines whether a threat event matches the filter.
+ * @param {Object} payload - The decoded payload of the threat event.
+ * @param {external:Event} [event] - The DXL event.
+ * @returns {Boolean} `true` if the threat event matches the filter.
+ */
+ThreatEventFilter.prototype.matches = function (payload, event) {
+  return this._predicate(payload, event)
+}
+
+module.exports = ThreatEventFilter
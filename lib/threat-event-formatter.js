@@ -0,0 +1,303 @@
+'use strict'
+
+const SiemFormat = require('./siem-format')
+
+// The default vendor, product and product version in CEF and LEEF headers
+const DEFAULT_VENDOR = 'McAfee'
+const DEFAULT_PRODUCT = 'ePolicy Orchestrator'
+const DEFAULT_PRODUCT_VERSION = '1.0'
+
+// The highest (least severe) ePO threat severity
+const EPO_MAX_SEVERITY = 6
+
+// The default mapping of output fields to threat event fields for each format
+const DEFAULT_FIELDS = {
+  cef: {
+    rt: 'detectedTime',
+    deviceExternalId: 'agentGuid',
+    dvchost: 'hostName',
+    dvc: 'analyzerIpAddress',
+    src: 'sourceIpAddress',
+    dst: 'targetIpAddress',
+    cat: 'threatCategory',
+    act: 'threatActionTaken',
+    cs1Label: function () {
+      return 'threatType'
+    },
+    cs1: 'threatType'
+  },
+  leef: {
+    devTime: 'detectedTime',
+    identHostName: 'hostName',
+    identSrc: 'analyzerIpAddress',
+    src: 'sourceIpAddress',
+    dst: 'targetIpAddress',
+    cat: 'threatCategory',
+    agentGuid: 'agentGuid',
+    threatName: 'threatName',
+    threatType: 'threatType',
+    action: 'threatActionTaken'
+  },
+  json: {
+    detectedTime: 'detectedTime',
+    receivedTime: 'receivedTime',
+    severity: 'severity',
+    agentGuid: 'agentGuid',
+    hostName: 'hostName',
+    analyzerIpAddress: 'analyzerIpAddress',
+    sourceIpAddress: 'sourceIpAddress',
+    targetIpAddress: 'targetIpAddress',
+    threatCategory: 'threatCategory',
+    threatName: 'threatName',
+    threatType: 'threatType',
+    threatActionTaken: 'threatActionTaken',
+    analyzerName: 'analyzerName'
+  }
+}
+
+/**
+ * Converts an ePO threat severity, from `0` (critical) to `6`
+ * (informational), to a scale from `0` (least severe) to `10`.
+ * @param {Number} severity - The ePO severity.
+ * @returns {Number} The converted severity, `null` if the ePO severity is not
+ *   known.
+ * @private
+ */
+function scaleSeverity (severity) {
+  if (severity === null) {
+    return null
+  }
+  const clamped = Math.min(Math.max(severity, 0), EPO_MAX_SEVERITY)
+  return Math.round((EPO_MAX_SEVERITY - clamped) * 10 / EPO_MAX_SEVERITY)
+}
+
+/**
+ * Escapes a field of a CEF or LEEF header.
+ * @param {*} value - The value.
+ * @returns {String} The escaped value.
+ * @private
+ */
+function escapeHeader (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|')
+    .replace(/[\r\n\t]+/g, ' ')
+}
+
+/**
+ * Escapes the value of a CEF extension field.
+ * @param {String} value - The value.
+ * @returns {String} The escaped value.
+ * @private
+ */
+function escapeCefValue (value) {
+  return value.replace(/\\/g, '\\\\').replace(/=/g, '\\=')
+    .replace(/\r\n|\n/g, '\\n').replace(/\r/g, '\\r')
+}
+
+/**
+ * Escapes the value of a LEEF attribute, which may not contain the tab that
+ * separates attributes or a line break.
+ * @param {String} value - The value.
+ * @returns {String} The escaped value.
+ * @private
+ */
+function escapeLeefValue (value) {
+  return value.replace(/[\r\n\t]+/g, ' ')
+}
+
+/**
+ * Converts a field value to the text to write in a CEF or LEEF event. Dates
+ * are written as milliseconds since the epoch.
+ * @param {*} value - The value.
+ * @returns {String} The text.
+ * @private
+ */
+function valueToText (value) {
+  if (value instanceof Date) {
+    return String(value.getTime())
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value)
+  }
+  return String(value)
+}
+
+/**
+ * @classdesc Formats ePO threat events as single lines of text for a SIEM,
+ * in one of the {@link module:SiemFormat} formats.
+ *
+ * The fields which are written for each event are determined by a mapping
+ * from output field names to sources. Each format has a default mapping,
+ * which the `fields` option is merged over. A source is one of the following:
+ *
+ * * The name of a value, as accepted by {@link ThreatEvent#getValue} - for
+ *   example, `hostName` or `events.threatHandled`.
+ * * A function, which is invoked with the {@link ThreatEvent} and returns the
+ *   value.
+ * * `null`, which removes the field from the default mapping.
+ *
+ * Fields with a value of `null` are not written. In CEF and LEEF events,
+ * dates are written as milliseconds since the epoch and the ePO severity
+ * is converted to a scale from `0` (or `1` for LEEF) to `10`, with `10` the
+ * most severe. In JSON events, dates are written in ISO 8601 format.
+ * @param {Object} [options] - Additional options for the formatter.
+ * @param {String} [options.format=json] - The format, one of the
+ *   {@link module:SiemFormat} values.
+ * @param {Object<String, (String|Function)>} [options.fields] - The mapping of
+ *   output field names to sources, merged over the default mapping for the
+ *   format.
+ * @param {String} [options.vendor=McAfee] - The vendor to write in CEF and
+ *   LEEF headers.
+ * @param {String} [options.product=ePolicy Orchestrator] - The product to
+ *   write in CEF and LEEF headers.
+ * @param {String} [options.productVersion=1.0] - The product version to write
+ *   in CEF and LEEF headers.
+ * @throws {TypeError} If any of the options are not valid.
+ * @example
+ * const formatter = new ThreatEventFormatter({
+ *   format: SiemFormat.CEF,
+ *   fields: {
+ *     duser: 'events.threatTargetUserName',
+ *     cs2Label: function () { return 'handled' },
+ *     cs2: 'events.threatHandled',
+ *     act: null
+ *   }
+ * })
+ * console.log(formatter.format(threatEvent))
+ * @constructor
+ */
+function ThreatEventFormatter (options) {
+  options = options || {}
+  const format = options.format || SiemFormat.JSON
+  SiemFormat.validate(format)
+
+  const fields = Object.assign({}, DEFAULT_FIELDS[format], options.fields)
+  Object.keys(fields).forEach(function (name) {
+    const source = fields[name]
+    if (source === null) {
+      delete fields[name]
+    } else if (typeof source !== 'string' && typeof source !== 'function') {
+      throw new TypeError('Invalid source for field ' + name + ': ' + source)
+    }
+  })
+
+  /**
+   * The format.
+   * @type {String}
+   * @private
+   */
+  this._format = format
+
+  /**
+   * The mapping of output field names to sources.
+   * @type {Object<String, (String|Function)>}
+   * @private
+   */
+  this._fields = fields
+
+  /**
+   * The vendor, product and product version for CEF and LEEF headers.
+   * @type {Array<String>}
+   * @private
+   */
+  this._headerProduct = [
+    options.vendor || DEFAULT_VENDOR,
+    options.product || DEFAULT_PRODUCT,
+    options.productVersion || DEFAULT_PRODUCT_VERSION
+  ].map(escapeHeader)
+}
+
+/**
+ * Returns the format which the formatter writes.
+ * @returns {String} The format, one of the {@link module:SiemFormat} values.
+ */
+ThreatEventFormatter.prototype.getFormat = function () {
+  return this._format
+}
+
+/**
+ * Formats a threat event.
+ * @param {ThreatEvent} threatEvent - The threat event.
+ * @returns {String} The formatted event, without a trailing line break.
+ */
+ThreatEventFormatter.prototype.format = function (threatEvent) {
+  const values = this._mapFields(threatEvent)
+  switch (this._format) {
+    case SiemFormat.CEF:
+      return this._formatCef(threatEvent, values)
+    case SiemFormat.LEEF:
+      return this._formatLeef(threatEvent, values)
+    default:
+      return JSON.stringify(values)
+  }
+}
+
+/**
+ * Returns the values of the output fields for a threat event.
+ * @param {ThreatEvent} threatEvent - The threat event.
+ * @returns {Object} The values, keyed by output field name. Fields with no
+ *   value are not included.
+ * @private
+ */
+ThreatEventFormatter.prototype._mapFields = function (threatEvent) {
+  const fields = this._fields
+  const values = {}
+  Object.keys(fields).forEach(function (name) {
+    const source = fields[name]
+    let value
+    if (typeof source === 'function') {
+      value = source(threatEvent)
+    } else {
+      value = threatEvent.getValue(source)
+    }
+    if (value !== null && typeof value !== 'undefined' && value !== '') {
+      values[name] = value
+    }
+  })
+  return values
+}
+
+/**
+ * Formats a threat event as CEF.
+ * @param {ThreatEvent} threatEvent - The threat event.
+ * @param {Object} values - The values of the output fields.
+ * @returns {String} The formatted event.
+ * @private
+ */
+ThreatEventFormatter.prototype._formatCef = function (threatEvent, values) {
+  let severity = scaleSeverity(threatEvent.getSeverity())
+  if (severity === null) {
+    severity = 'Unknown'
+  }
+  const header = ['CEF:0'].concat(this._headerProduct, [
+    escapeHeader(threatEvent.getThreatCategory() || 'threat'),
+    escapeHeader(threatEvent.getThreatName() || 'Threat event'),
+    severity
+  ]).join('|')
+  const extension = Object.keys(values).map(function (name) {
+    return name + '=' + escapeCefValue(valueToText(values[name]))
+  }).join(' ')
+  return header + '|' + extension
+}
+
+/**
+ * Formats a threat event as LEEF.
+ * @param {ThreatEvent} threatEvent - The threat event.
+ * @param {Object} values - The values of the output fields.
+ * @returns {String} The formatted event.
+ * @private
+ */
+ThreatEventFormatter.prototype._formatLeef = function (threatEvent, values) {
+  const severity = scaleSeverity(threatEvent.getSeverity())
+  if (severity !== null && typeof values.sev === 'undefined') {
+    values.sev = Math.max(severity, 1)
+  }
+  const header = ['LEEF:1.0'].concat(this._headerProduct, [
+    escapeHeader(threatEvent.getThreatCategory() || 'threat')
+  ]).join('|')
+  const attributes = Object.keys(values).map(function (name) {
+    return name + '=' + escapeLeefValue(valueToText(values[name]))
+  }).join('\t')
+  return header + '|' + attributes
+}
+
+module.exports = ThreatEventFormatter
@@ -0,0 +1,481 @@
+'use strict'
+
+const EventEmitter = require('events').EventEmitter
+const inherits = require('inherits')
+const ThreatEvent = require('./threat-event')
+const ThreatEventFilter = require('./threat-event-filter')
+const util = require('./util')
+
+// The outcomes of an action, as recorded in its audit record
+const OUTCOMES = {
+  // The command was run and succeeded
+  SUCCEEDED: 'succeeded',
+  // The command was run and failed, or its parameters could not be filled in
+  FAILED: 'failed',
+  // The command was not run because the playbook is in dry-run mode
+  DRY_RUN: 'dryRun',
+  // The command was not run because the host reached its rate limit
+  RATE_LIMITED: 'rateLimited',
+  // The command was not run because an earlier action of the rule failed
+  SKIPPED: 'skipped'
+}
+
+// Placeholders in action parameters which are filled in from the threat
+// event, for example, {{hostName}}
+const TEMPLATE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g
+
+// A parameter which consists of a single placeholder
+const SINGLE_TEMPLATE_PATTERN = /^\{\{\s*([\w.]+)\s*\}\}$/
+
+/**
+ * The clock used when none is supplied to the playbook.
+ * @private
+ */
+const SYSTEM_CLOCK = {
+  now: function () {
+    return Date.now()
+  }
+}
+
+/**
+ * An action of a {@link ThreatEventPlaybook~Rule}: a remote command to run
+ * with {@link EpoClient#runCommand}.
+ * @typedef {Object} ThreatEventPlaybook~Action
+ * @property {String} command - The name of the remote command, for example,
+ *   `system.applyTag`.
+ * @property {Object} [params] - The parameters for the command. Placeholders
+ *   of the form `{{name}}` in string values are filled in from the threat
+ *   event, where `name` is accepted by {@link ThreatEvent#getValue}. A value
+ *   which consists of a single placeholder takes the type of the event value.
+ * @property {String} [outputFormat] - The output format for the command.
+ * @property {Number} [timeout] - Timeout, in milliseconds, for the command.
+ */
+
+/**
+ * A rule of a {@link ThreatEventPlaybook}.
+ * @typedef {Object} ThreatEventPlaybook~Rule
+ * @property {String} [name] - The name of the rule, which appears in audit
+ *   records. Defaults to `rule <n>`, where `n` is the position of the rule.
+ * @property {(Object|Array|Function)} [match] - A
+ *   {@link ThreatEventFilter} specification which selects the threat events
+ *   that the rule applies to. If not specified, the rule applies to every
+ *   event.
+ * @property {Array<ThreatEventPlaybook~Action>} actions - The actions to take,
+ *   in order. If an action fails, the remaining actions of the rule are
+ *   skipped.
+ * @property {Boolean} [dryRun] - Whether to record the actions of the rule
+ *   without running them. Defaults to the `dryRun` option of the playbook.
+ */
+
+/**
+ * A record of an action which the playbook took, or decided not to take.
+ * @typedef {Object} ThreatEventPlaybook~AuditRecord
+ * @property {Date} time - The time at which the outcome was recorded.
+ * @property {String} rule - The name of the rule.
+ * @property {String} command - The name of the remote command.
+ * @property {Object} params - The parameters for the command, as filled in
+ *   from the threat event. `null` if they could not be filled in.
+ * @property {String} host - The host name, or the agent GUID if there is no
+ *   host name, from the threat event.
+ * @property {String} outcome - The outcome: one of the
+ *   {@link ThreatEventPlaybook.Outcome} values.
+ * @property {Error} error - The error, if the outcome is `failed`.
+ * @property {*} result - The result of the command, if the outcome is
+ *   `succeeded`.
+ * @property {ThreatEvent} threatEvent - The threat event.
+ */
+
+/**
+ * Fills in the placeholders in an action parameter from a threat event.
+ * @param {*} value - The parameter value. Objects and arrays are filled in
+ *   recursively.
+ * @param {ThreatEvent} threatEvent - The threat event.
+ * @returns {*} The filled in value.
+ * @throws {Error} If the threat event has no value for a placeholder.
+ * @private
+ */
+function fillTemplate (value, threatEvent) {
+  const lookup = function (name) {
+    let fieldValue = threatEvent.getValue(name)
+    if (fieldValue === null || fieldValue === '') {
+      throw new Error('The threat event has no value for {{' + name + '}}')
+    }
+    if (fieldValue instanceof Date) {
+      fieldValue = fieldValue.toISOString()
+    }
+    return fieldValue
+  }
+  if (typeof value === 'string') {
+    const single = SINGLE_TEMPLATE_PATTERN.exec(value)
+    if (single) {
+      return lookup(single[1])
+    }
+    return value.replace(TEMPLATE_PATTERN, function (placeholder, name) {
+      const fieldValue = lookup(name)
+      if (typeof fieldValue === 'object') {
+        return JSON.stringify(fieldValue)
+      }
+      return String(fieldValue)
+    })
+  }
+  if (Array.isArray(value)) {
+    return value.map(function (element) {
+      return fillTemplate(element, threatEvent)
+    })
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.keys(value).reduce(function (filled, key) {
+      filled[key] = fillTemplate(value[key], threatEvent)
+      return filled
+    }, {})
+  }
+  return value
+}
+
+/**
+ * Validates and compiles a rule.
+ * @param {ThreatEventPlaybook~Rule} rule - The rule.
+ * @param {Number} index - The position of the rule.
+ * @returns {Object} The compiled rule.
+ * @throws {TypeError} If the rule is not valid.
+ * @private
+ */
+function compileRule (rule, index) {
+  if (!rule || typeof rule !== 'object') {
+    throw new TypeError('Invalid playbook rule: ' + rule)
+  }
+  const name = rule.name || 'rule ' + (index + 1)
+  if (!Array.isArray(rule.actions) || !rule.actions.length) {
+    throw new TypeError('Playbook rule ' + name + ' has no actions')
+  }
+  rule.actions.forEach(function (action) {
+    if (!action || typeof action.command !== 'string' || !action.command) {
+      throw new TypeError('Playbook rule ' + name +
+        ' has an action with no command')
+    }
+    if (typeof action.params !== 'undefined' &&
+      (action.params === null || typeof action.params !== 'object')) {
+      throw new TypeError('Playbook rule ' + name +
+        ' has invalid params for command ' + action.command)
+    }
+  })
+  let filter = null
+  if (typeof rule.match !== 'undefined') {
+    filter = new ThreatEventFilter(rule.match)
+  }
+  return {
+    name,
+    filter,
+    actions: rule.actions,
+    dryRun: rule.dryRun
+  }
+}
+
+/**
+ * @classdesc Takes automated response actions in ePO when threat events
+ * arrive, according to a set of rules - for example, tagging the system
+ * which reported the threat and waking up its agent.
+ *
+ * Each rule is a plain object, which can be loaded from JSON: a `match`
+ * condition on the threat event and a list of remote commands to run, with
+ * parameters filled in from the event. See {@link ThreatEventPlaybook~Rule}.
+ * Every rule which matches an event is applied, in order, and the actions of
+ * a rule are run one at a time.
+ *
+ * A rate limit caps the number of times that rules are applied for each
+ * host - identified by host name, or by agent GUID if the event has no host
+ * name - within an interval, so that a burst of events from one system does
+ * not trigger a burst of commands. In dry-run mode, the actions are recorded
+ * without being run. Rate limits apply in dry-run mode too, so that a dry
+ * run shows what would happen.
+ *
+ * Every action is recorded in a {@link ThreatEventPlaybook~AuditRecord}, which
+ * is emitted as an `audit` event - including actions which were not run
+ * because of dry-run mode, a rate limit or an earlier failure. If a threat
+ * event cannot be decoded, an `error` event is emitted with the `Error`, if
+ * a listener has been registered for it.
+ * @param {EpoClient} epoClient - The client to receive threat events with and
+ *   run commands through.
+ * @param {Object} options - Options for the playbook.
+ * @param {Array<ThreatEventPlaybook~Rule>} options.rules - The rules.
+ * @param {Boolean} [options.dryRun=false] - Whether to record actions without
+ *   running them.
+ * @param {Object} [options.rateLimit] - The rate limit for each host. If not
+ *   specified, the number of times that rules are applied is not limited.
+ * @param {Number} options.rateLimit.limit - Maximum number of times that
+ *   rules may be applied for a host within the interval.
+ * @param {Number} options.rateLimit.interval - The interval, in milliseconds.
+ * @param {String} [options.topic=/mcafee/event/epo/threat/response] - The
+ *   topic that ePO threat events are published to.
+ * @param {Object} [options.clock] - The clock to use for rate limits: an
+ *   object with a `now` function which returns the current time, in
+ *   milliseconds since the epoch. Defaults to the system clock.
+ * @throws {TypeError} If any of the options are not valid.
+ * @example
+ * const playbook = new ThreatEventPlaybook(epoClient, {
+ *   rules: [{
+ *     name: 'Contain high-severity detections',
+ *     match: {'events.threatSeverity': {lte: 2}},
+ *     actions: [
+ *       {command: 'system.applyTag',
+ *         params: {names: '{{hostName}}', tagName: 'Infected'}},
+ *       {command: 'system.wakeupAgent', params: {names: '{{hostName}}'}}
+ *     ]
+ *   }],
+ *   rateLimit: {limit: 3, interval: 60 * 60 * 1000}
+ * })
+ * playbook.on('audit', function (record) {
+ *   console.log(record.rule + ': ' + record.command + ' for ' + record.host +
+ *     ' ' + record.outcome)
+ * })
+ * playbook.start()
+ * @constructor
+ */
+function ThreatEventPlaybook (epoClient, options) {
+  EventEmitter.call(this)
+
+  options = options || {}
+  if (!Array.isArray(options.rules) || !options.rules.length) {
+    throw new TypeError('At least one playbook rule must be specified')
+  }
+  const rateLimit = options.rateLimit || null
+  if (rateLimit && (!Number.isInteger(rateLimit.limit) ||
+    rateLimit.limit < 1 || !Number.isInteger(rateLimit.interval) ||
+    rateLimit.interval < 1)) {
+    throw new TypeError('Invalid rateLimit: ' + JSON.stringify(rateLimit))
+  }
+
+  /**
+   * The client to receive threat events with and run commands through.
+   * @type {EpoClient}
+   * @private
+   */
+  this._epoClient = epoClient
+
+  /**
+   * The compiled rules.
+   * @type {Array<Object>}
+   * @private
+   */
+  this._rules = options.rules.map(compileRule)
+
+  /**
+   * Whether to record actions without running them.
+   * @type {Boolean}
+   * @private
+   */
+  this._dryRun = !!options.dryRun
+
+  /**
+   * The rate limit for each host, `null` if there is none.
+   * @type {Object}
+   * @private
+   */
+  this._rateLimit = rateLimit
+
+  /**
+   * The times at which rules were applied for each host within the rate limit
+   * interval, keyed by host.
+   * @type {Map<String, Array<Number>>}
+   * @private
+   */
+  this._hostActivity = new Map()
+
+  /**
+   * The topic that ePO threat events are published to.
+   * @type {String}
+   * @private
+   */
+  this._topic = options.topic
+
+  /**
+   * The clock to use for rate limits.
+   * @type {Object}
+   * @private
+   */
+  this._clock = options.clock || SYSTEM_CLOCK
+
+  /**
+   * Function which stops the playbook receiving threat events, `null` if it
+   * is not started.
+   * @type {Function}
+   * @private
+   */
+  this._unsubscribe = null
+}
+
+inherits(ThreatEventPlaybook, EventEmitter)
+
+/**
+ * The outcomes of an action, as recorded in its
+ * {@link ThreatEventPlaybook~AuditRecord}: `succeeded`, `failed`, `dryRun`,
+ * `rateLimited` or `skipped`.
+ * @type {Object<String, String>}
+ */
+ThreatEventPlaybook.Outcome = OUTCOMES
+
+/**
+ * Starts applying the rules to the threat events received by the client.
+ */
+ThreatEventPlaybook.prototype.start = function () {
+  const playbook = this
+  if (!this._unsubscribe) {
+    this._unsubscribe = this._epoClient.addThreatEventCallback(
+      function (threatEvent) {
+        playbook.handle(threatEvent)
+      },
+      {
+        topic: this._topic,
+        threatEvent: true,
+        errorCallback: function (error) {
+          if (playbook.listenerCount('error')) {
+            playbook.emit('error', error)
+          }
+        }
+      })
+  }
+}
+
+/**
+ * Stops applying the rules to threat events. Actions which are already in
+ * progress are completed.
+ */
+ThreatEventPlaybook.prototype.stop = function () {
+  if (this._unsubscribe) {
+    this._unsubscribe()
+    this._unsubscribe = null
+  }
+}
+
+/**
+ * Applies the rules to a threat event. This is done automatically for the
+ * events received by the client once the playbook is started, but can also
+ * be used directly - for example, to test the rules.
+ * @param {(ThreatEvent|Object)} threatEvent - The threat event, or the
+ *   object decoded from its payload.
+ * @param {Function} [callback] - Callback function which is invoked once the
+ *   actions for the event have completed. The second parameter supplied to
+ *   the callback is an array of the {@link ThreatEventPlaybook~AuditRecord}
+ *   objects for the actions. The first parameter is always `null`; failed
+ *   actions are reported in their audit records.
+ * @returns {Promise<Array<ThreatEventPlaybook~AuditRecord>>|undefined} If no
+ *   `callback` is supplied, a `Promise` which is settled with the audit
+ *   records.
+ */
+ThreatEventPlaybook.prototype.handle = function (threatEvent, callback) {
+  const playbook = this
+  if (!(threatEvent instanceof ThreatEvent)) {
+    threatEvent = new ThreatEvent(threatEvent)
+  }
+  const payload = threatEvent.getPayload()
+  const event = threatEvent.getEvent()
+  const host = threatEvent.getHostName() || threatEvent.getAgentGuid()
+  return util.callbackOrPromise(callback, function (done) {
+    const records = []
+    const rules = playbook._rules.filter(function (rule) {
+      return !rule.filter || rule.filter.matches(payload, event)
+    })
+    util.forEachSeries(rules, function (rule, next) {
+      const record = function (action, params, outcome, error, result) {
+        const auditRecord = {
+          time: new Date(playbook._clock.now()),
+          rule: rule.name,
+          command: action.command,
+          params,
+          host,
+          outcome,
+          error: error || null,
+          result: typeof result === 'undefined' ? null : result,
+          threatEvent
+        }
+        records.push(auditRecord)
+        playbook.emit('audit', auditRecord)
+      }
+      if (!playbook._acquireRateLimit(host)) {
+        rule.actions.forEach(function (action) {
+          record(action, null, OUTCOMES.RATE_LIMITED)
+        })
+        next(null)
+        return
+      }
+      let dryRun = playbook._dryRun
+      if (typeof rule.dryRun !== 'undefined') {
+        dryRun = !!rule.dryRun
+      }
+      let failed = false
+      util.forEachSeries(rule.actions, function (action, nextAction) {
+        if (failed) {
+          record(action, null, OUTCOMES.SKIPPED)
+          nextAction(null)
+          return
+        }
+        let params
+        try {
+          params = fillTemplate(action.params || {}, threatEvent)
+        } catch (err) {
+          failed = true
+          record(action, null, OUTCOMES.FAILED, err)
+          nextAction(null)
+          return
+        }
+        if (dryRun) {
+          record(action, params, OUTCOMES.DRY_RUN)
+          nextAction(null)
+          return
+        }
+        playbook._epoClient.runCommand(action.command, {
+          params,
+          outputFormat: action.outputFormat,
+          timeout: action.timeout,
+          responseCallback: function (error, result) {
+            if (error) {
+              failed = true
+              record(action, params, OUTCOMES.FAILED, error)
+            } else {
+              record(action, params, OUTCOMES.SUCCEEDED, null, result)
+            }
+            nextAction(null)
+          }
+        })
+      }, next)
+    }, function () {
+      done(null, records)
+    })
+  })
+}
+
+/**
+ * Counts an application of the rules against the rate limit for a host.
+ * @param {String} host - The host.
+ * @returns {Boolean} `true` if the rules may be applied, `false` if the host
+ *   has reached its rate limit.
+ * @private
+ */
+ThreatEventPlaybook.prototype._acquireRateLimit = function (host) {
+  if (!this._rateLimit) {
+    return true
+  }
+  const now = this._clock.now()
+  const windowStart = now - this._rateLimit.interval
+  // Events with neither a host name nor an agent GUID share a limit
+  const key = (host || '').toLowerCase()
+  const times = (this._hostActivity.get(key) || []).filter(function (time) {
+    return time > windowStart
+  })
+  // Discard the activity of hosts which have not been seen within the
+  // interval, so that the map does not grow without bound
+  this._hostActivity.forEach(function (hostTimes, otherKey) {
+    if (hostTimes[hostTimes.length - 1] <= windowStart) {
+      this._hostActivity.delete(otherKey)
+    }
+  }, this)
+  if (times.length >= this._rateLimit.limit) {
+    this._hostActivity.set(key, times)
+    return false
+  }
+  times.push(now)
+  this._hostActivity.set(key, times)
+  return true
+}
+
+module.exports = ThreatEventPlaybook
@@ -0,0 +1,254 @@
+'use strict'
+
+const fs = require('fs')
+const util = require('./util')
+
+/**
+ * A threat event, as recorded by a {@link ThreatEventRecorder}. Each line of
+ * a recording file is one record, in JSON.
+ * @typedef {Object} ThreatEventRecorder~Record
+ * @property {String} receivedTime - The time at which the event was
+ *   received, in ISO 8601 format.
+ * @property {String} topic - The topic on which the event was received.
+ * @property {String} payload - The payload of the event.
+ * @property {String} payloadEncoding - The encoding of the `payload`:
+ *   `utf8` for text or `base64` for a payload which is not valid UTF-8.
+ * @property {String} messageId - The message identifier of the event.
+ * @property {String} sourceClientId - The identifier of the client which
+ *   sent the event.
+ * @property {String} sourceBrokerId - The identifier of the broker which
+ *   the event was sent through.
+ * @property {Array<String>} brokerIds - The broker identifiers which the
+ *   event was addressed to.
+ * @property {Array<String>} clientIds - The client identifiers which the
+ *   event was addressed to.
+ * @property {Object<String, String>} otherFields - Additional fields of the
+ *   event.
+ * @property {String} sourceTenantGuid - The tenant of the client which sent
+ *   the event.
+ * @property {Array<String>} destinationTenantGuids - The tenants which the
+ *   event was addressed to.
+ */
+
+/**
+ * Builds the record for a DXL event.
+ * @param {external:Event} event - The event.
+ * @param {Date} receivedTime - The time at which the event was received.
+ * @returns {ThreatEventRecorder~Record} The record.
+ * @private
+ */
+function eventToRecord (event, receivedTime) {
+  let payload = event.payload
+  let payloadEncoding = 'utf8'
+  if (Buffer.isBuffer(payload)) {
+    const text = payload.toString('utf8')
+    if (Buffer.from(text, 'utf8').equals(payload)) {
+      payload = text
+    } else {
+      payload = payload.toString('base64')
+      payloadEncoding = 'base64'
+    }
+  } else {
+    payload = String(payload || '')
+  }
+  return {
+    receivedTime: receivedTime.toISOString(),
+    topic: event.destinationTopic,
+    payload,
+    payloadEncoding,
+    messageId: event.messageId,
+    sourceClientId: event.sourceClientId,
+    sourceBrokerId: event.sourceBrokerId,
+    brokerIds: event.brokerIds,
+    clientIds: event.clientIds,
+    otherFields: event.otherFields,
+    sourceTenantGuid: event.sourceTenantGuid,
+    destinationTenantGuids: event.destinationTenantGuids
+  }
+}
+
+/**
+ * @classdesc Records the ePO threat events received by a client to a file,
+ * so that they can be replayed later with a {@link ThreatEventReplayer} -
+ * for example, to reproduce a problem in threat event handling without a
+ * live ePO server.
+ *
+ * Each event is appended to the file as a line of JSON, containing the raw
+ * payload, the topic, the time at which the event was received and the other
+ * fields of the DXL event. See {@link ThreatEventRecorder~Record}. Events
+ * whose payloads cannot be decoded are recorded as well.
+ * @param {EpoClient} epoClient - The client to receive threat events with.
+ * @param {Object} options - Options for the recorder.
+ * @param {String} options.path - The path of the file to append the events
+ *   to.
+ * @param {String} [options.topic=/mcafee/event/epo/threat/response] - The
+ *   topic that ePO threat events are published to.
+ * @param {(Object|Array|Function|ThreatEventFilter)} [options.filter] - A
+ *   filter which selects the events to record. See {@link ThreatEventFilter}.
+ * @param {Function} [options.errorCallback] - Function which is invoked with
+ *   an `Error` if the file cannot be written.
+ * @throws {TypeError} If any of the options are not valid.
+ * @example
+ * const recorder = new ThreatEventRecorder(epoClient, {
+ *   path: 'threat-events.ndjson'
+ * })
+ * recorder.start(function (error) {
+ *   if (!error) {
+ *     console.log('Recording threat events...')
+ *   }
+ * })
+ * @constructor
+ */
+function ThreatEventRecorder (epoClient, options) {
+  options = options || {}
+  if (!options.path || typeof options.path !== 'string') {
+    throw new TypeError('A path must be specified for the recording')
+  }
+
+  /**
+   * The client to receive threat events with.
+   * @type {EpoClient}
+   * @private
+   */
+  this._epoClient = epoClient
+
+  /**
+   * The path of the recording file.
+   * @type {String}
+   * @private
+   */
+  this._path = options.path
+
+  /**
+   * The topic that ePO threat events are published to.
+   * @type {String}
+   * @private
+   */
+  this._topic = options.topic
+
+  /**
+   * The filter which selects the events to record.
+   * @type {(Object|Array|Function|ThreatEventFilter)}
+   * @private
+   */
+  this._filter = options.filter
+
+  /**
+   * The function to invoke if the file cannot be written.
+   * @type {Function}
+   * @private
+   */
+  this._errorCallback = options.errorCallback || null
+
+  /**
+   * The stream which events are written to, `null` if the recorder is not
+   * started.
+   * @type {fs.WriteStream}
+   * @private
+   */
+  this._stream = null
+
+  /**
+   * Function which stops the recorder receiving threat events.
+   * @type {Function}
+   * @private
+   */
+  this._unsubscribe = null
+
+  /**
+   * The number of events which have been recorded.
+   * @type {Number}
+   */
+  this.recordedCount = 0
+}
+
+/**
+ * Opens the recording file and starts recording threat events.
+ * @param {Function} [callback] - Callback function which is invoked once the
+ *   file has been opened. If it cannot be opened, the first parameter
+ *   supplied to the callback contains an `Error` object with failure details.
+ * @returns {Promise|undefined} If no `callback` is supplied, a `Promise`
+ *   which is settled once recording has started.
+ */
+ThreatEventRecorder.prototype.start = function (callback) {
+  const recorder = this
+  return util.callbackOrPromise(callback, function (done) {
+    if (recorder._stream) {
+      done(null)
+      return
+    }
+    const stream = fs.createWriteStream(recorder._path, { flags: 'a' })
+    const onOpenError = function (error) {
+      recorder._stream = null
+      done(error)
+    }
+    stream.once('error', onOpenError)
+    stream.once('open', function () {
+      stream.removeListener('error', onOpenError)
+      // The recorder may have been stopped while the file was opening
+      if (recorder._stream !== stream) {
+        done(null)
+        return
+      }
+      stream.on('error', function (error) {
+        if (recorder._errorCallback) {
+          recorder._errorCallback(error)
+        }
+      })
+      const record = function (payload, event) {
+        recorder._record(event)
+      }
+      recorder._unsubscribe = recorder._epoClient.addThreatEventCallback(
+        record, {
+          topic: recorder._topic,
+          filter: recorder._filter,
+          // Events which cannot be decoded are recorded too, so that they
+          // can be replayed
+          errorCallback: record
+        })
+      done(null)
+    })
+    recorder._stream = stream
+  })
+}
+
+/**
+ * Stops recording threat events and closes the recording file.
+ * @param {Function} [callback] - Callback function which is invoked once the
+ *   recorded events have been written and the file has been closed.
+ * @returns {Promise|undefined} If no `callback` is supplied, a `Promise`
+ *   which is settled once the file has been closed.
+ */
+ThreatEventRecorder.prototype.stop = function (callback) {
+  const recorder = this
+  return util.callbackOrPromise(callback, function (done) {
+    const stream = recorder._stream
+    if (!stream) {
+      done(null)
+      return
+    }
+    recorder._stream = null
+    if (recorder._unsubscribe) {
+      recorder._unsubscribe()
+      recorder._unsubscribe = null
+    }
+    stream.end(function () {
+      done(null)
+    })
+  })
+}
+
+/**
+ * Appends an event to the recording file.
+ * @param {external:Event} event - The event.
+ * @private
+ */
+ThreatEventRecorder.prototype._record = function (event) {
+  if (this._stream) {
+    this._stream.write(JSON.stringify(eventToRecord(event, new Date())) +
+      '\n')
+    this.recordedCount++
+  }
+}
+
+module.exports = ThreatEventRecorder
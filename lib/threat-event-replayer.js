@@ -0,0 +1,265 @@
+'use strict'
+
+const dxl = require('@opendxl/dxl-client')
+const fs = require('fs')
+const util = require('./util')
+
+// The fields of a record which are copied to the DXL event as they are
+const EVENT_FIELDS = ['messageId', 'sourceClientId', 'sourceBrokerId',
+  'brokerIds', 'clientIds', 'otherFields', 'sourceTenantGuid',
+  'destinationTenantGuids']
+
+/**
+ * Rebuilds the DXL event for a record.
+ * @param {ThreatEventRecorder~Record} record - The record.
+ * @returns {external:Event} The event.
+ * @private
+ */
+function recordToEvent (record) {
+  const event = new dxl.Event(record.topic)
+  EVENT_FIELDS.forEach(function (field) {
+    if (typeof record[field] !== 'undefined') {
+      event[field] = record[field]
+    }
+  })
+  // Events received from the fabric carry their payload as a Buffer
+  event.payload = Buffer.from(record.payload || '',
+    record.payloadEncoding === 'base64' ? 'base64' : 'utf8')
+  return event
+}
+
+/**
+ * Checks that a record has a topic to deliver its event on.
+ * @param {ThreatEventRecorder~Record} record - The record.
+ * @param {Number} index - The index of the record in the recording.
+ * @throws {TypeError} If the record has no topic.
+ * @private
+ */
+function checkRecord (record, index) {
+  if (!record || typeof record.topic !== 'string' || !record.topic) {
+    throw new TypeError('Threat event record ' + (index + 1) +
+      ' has no topic')
+  }
+}
+
+/**
+ * Parses the records in the text of a recording file.
+ * @param {String} text - The text.
+ * @returns {Array<ThreatEventRecorder~Record>} The records.
+ * @throws {SyntaxError} If a line of the file is not valid JSON.
+ * @throws {TypeError} If a record has no topic.
+ * @private
+ */
+function parseRecording (text) {
+  return text.split(/\r?\n/).filter(function (line) {
+    return line.trim()
+  }).map(function (line, index) {
+    let record
+    try {
+      record = JSON.parse(line)
+    } catch (err) {
+      throw new SyntaxError('Invalid threat event record ' + (index + 1) +
+        ': ' + err.message)
+    }
+    checkRecord(record, index)
+    return record
+  })
+}
+
+/**
+ * @classdesc Replays threat events recorded by a {@link ThreatEventRecorder}
+ * into the threat event callbacks registered with a client, without a DXL
+ * broker or ePO server.
+ *
+ * Each recorded event is rebuilt as a DXL [Event]{@link external:Event} and
+ * delivered through {@link EpoClient#deliverEvent} exactly as if it had been
+ * received from the fabric - callbacks registered with
+ * {@link EpoClient#addThreatEventCallback}, and the streams, aggregators,
+ * sinks and forwarders built on it, receive the same `(payload,
+ * originalEvent)` arguments, with the same decoding and filtering, as for a
+ * live event. Since the client is not used to communicate with the fabric, it
+ * can be created with a DXL client which is not connected.
+ *
+ * Events are delivered with the same spacing as when they were recorded,
+ * divided by the `speed`. A `speed` of `Infinity` delivers them as quickly as
+ * possible.
+ * @param {(String|Array<ThreatEventRecorder~Record>)} recording - The path of
+ *   a recording file, or the records to replay.
+ * @param {Object} [options] - Additional options for the replayer.
+ * @param {Number} [options.speed=1] - Factor by which to accelerate the
+ *   replay.
+ * @throws {TypeError} If any of the options are not valid.
+ * @example
+ * const epoClient = new EpoClient(new dxl.Client(config), 'epo1')
+ * epoClient.addThreatEventCallback(handleThreatEvent)
+ * new ThreatEventReplayer('threat-events.ndjson', {speed: 10})
+ *   .replay(epoClient, function (error, count) {
+ *     console.log('Replayed ' + count + ' threat events')
+ *   })
+ * @constructor
+ */
+function ThreatEventReplayer (recording, options) {
+  options = options || {}
+  if (typeof recording !== 'string' && !Array.isArray(recording)) {
+    throw new TypeError('Invalid recording: ' + recording)
+  }
+  let speed = 1
+  if (typeof options.speed !== 'undefined') {
+    speed = options.speed
+  }
+  if (typeof speed !== 'number' || isNaN(speed) || speed <= 0) {
+    throw new TypeError('Invalid speed: ' + speed)
+  }
+
+  /**
+   * The path of the recording file, or the records to replay.
+   * @type {(String|Array<ThreatEventRecorder~Record>)}
+   * @private
+   */
+  this._recording = recording
+
+  /**
+   * Factor by which to accelerate the replay.
+   * @type {Number}
+   * @private
+   */
+  this._speed = speed
+
+  /**
+   * Timer for the delivery of the next event.
+   * @private
+   */
+  this._timer = null
+
+  /**
+   * Function which ends the replay in progress, `null` if no replay is in
+   * progress.
+   * @type {Function}
+   * @private
+   */
+  this._finish = null
+}
+
+/**
+ * Replays the recorded events into the threat event callbacks registered
+ * with a client. Only one replay can be in progress at a time.
+ * @param {EpoClient} epoClient - The client to deliver the events through.
+ * @param {Function} [callback] - Callback function which is invoked once the
+ *   replay has completed or been stopped. If the recording cannot be read, or
+ *   a record has no topic, the first parameter supplied to the callback
+ *   contains an `Error` object with failure details. Otherwise, the second
+ *   parameter supplied to the callback is the number of events which were
+ *   delivered.
+ * @returns {Promise<Number>|undefined} If no `callback` is supplied, a
+ *   `Promise` which is settled with the number of events which were
+ *   delivered.
+ */
+ThreatEventReplayer.prototype.replay = function (epoClient, callback) {
+  const replayer = this
+  return util.callbackOrPromise(callback, function (done) {
+    if (replayer._finish) {
+      done(new Error('A replay is already in progress'))
+      return
+    }
+    let count = 0
+    let finished = false
+    replayer._finish = function (error) {
+      if (!finished) {
+        finished = true
+        clearTimeout(replayer._timer)
+        replayer._timer = null
+        replayer._finish = null
+        done(error, error ? undefined : count)
+      }
+    }
+
+    replayer._loadRecords(function (error, records) {
+      if (finished) {
+        return
+      }
+      if (error) {
+        replayer._finish(error)
+        return
+      }
+      const deliver = function (index) {
+        if (finished) {
+          return
+        }
+        if (index >= records.length) {
+          replayer._finish(null)
+          return
+        }
+        epoClient.deliverEvent(recordToEvent(records[index]))
+        count++
+        replayer._timer = setTimeout(function () {
+          deliver(index + 1)
+        }, replayer._delay(records[index], records[index + 1]))
+      }
+      deliver(0)
+    })
+  })
+}
+
+/**
+ * Stops the replay in progress, if any. Events which have not yet been
+ * delivered are not delivered.
+ */
+ThreatEventReplayer.prototype.stop = function () {
+  if (this._finish) {
+    this._finish(null)
+  }
+}
+
+/**
+ * Loads the records to replay.
+ * @param {Function} callback - Callback function to invoke with the records.
+ * @private
+ */
+ThreatEventReplayer.prototype._loadRecords = function (callback) {
+  if (Array.isArray(this._recording)) {
+    const records = this._recording
+    setImmediate(function () {
+      try {
+        records.forEach(checkRecord)
+      } catch (err) {
+        callback(err)
+        return
+      }
+      callback(null, records)
+    })
+    return
+  }
+  fs.readFile(this._recording, 'utf8', function (error, text) {
+    if (error) {
+      callback(error)
+      return
+    }
+    let records
+    try {
+      records = parseRecording(text)
+    } catch (err) {
+      callback(err)
+      return
+    }
+    callback(null, records)
+  })
+}
+
+/**
+ * Determines the delay between delivering two events.
+ * @param {ThreatEventRecorder~Record} record - The event which was
+ *   delivered.
+ * @param {ThreatEventRecorder~Record} [nextRecord] - The next event, if any.
+ * @returns {Number} The delay, in milliseconds.
+ * @private
+ */
+ThreatEventReplayer.prototype._delay = function (record, nextRecord) {
+  if (!nextRecord || this._speed === Infinity) {
+    return 0
+  }
+  const interval = Date.parse(nextRecord.receivedTime) -
+    Date.parse(record.receivedTime)
+  return isNaN(interval) || interval < 0 ? 0 : interval / this._speed
+}
+
+module.exports = ThreatEventReplayer
@@ -0,0 +1,167 @@
+'use strict'
+
+const ThreatEvent = require('./threat-event')
+const ThreatEventFormatter = require('./threat-event-formatter')
+const util = require('./util')
+
+/**
+ * @classdesc Base class for sinks which write ePO threat events to a SIEM or
+ * log destination. Each event is formatted as a single line of text by a
+ * {@link ThreatEventFormatter} and then written by the subclass.
+ *
+ * A sink never throws from {@link ThreatEventSink#handle}: an event which
+ * cannot be formatted or written is reported to the `errorCallback`, if one
+ * was supplied, and otherwise discarded. A failing sink therefore does not
+ * prevent other callbacks from receiving the event.
+ *
+ * Sinks are normally registered with {@link EpoClient#addThreatEventSink}.
+ * The subclasses provided are {@link SyslogThreatEventSink},
+ * {@link FileThreatEventSink} and {@link StreamThreatEventSink}. A subclass
+ * implements `_write(line, threatEvent, callback)`, and `_close(callback)` if
+ * it holds resources which must be released.
+ * @param {Object} [options] - Additional options for the sink.
+ * @param {ThreatEventFormatter} [options.formatter] - The formatter to use.
+ *   If not specified, a formatter is created from the remaining options - see
+ *   {@link ThreatEventFormatter}.
+ * @param {String} [options.format=json] - The format, one of the
+ *   {@link module:SiemFormat} values.
+ * @param {Object<String, (String|Function)>} [options.fields] - The mapping
+ *   of output field names to sources.
+ * @param {Function} [options.errorCallback] - Function which is invoked with
+ *   the `Error` and the {@link ThreatEvent} if an event cannot be formatted
+ *   or written. If the payload of a DXL event cannot be decoded, the DXL
+ *   [Event]{@link external:Event} is supplied instead of the threat event.
+ *   `null` is supplied if the failure is not specific to one event.
+ * @throws {TypeError} If any of the options are not valid.
+ * @constructor
+ */
+function ThreatEventSink (options) {
+  options = options || {}
+
+  /**
+   * The formatter to use.
+   * @type {ThreatEventFormatter}
+   * @private
+   */
+  this._formatter = options.formatter || new ThreatEventFormatter(options)
+
+  /**
+   * The function to invoke when an event cannot be formatted or written.
+   * @type {Function}
+   * @private
+   */
+  this._errorCallback = options.errorCallback || null
+
+  /**
+   * Whether the sink has been closed.
+   * @type {Boolean}
+   * @private
+   */
+  this._closed = false
+
+  /**
+   * The number of events which have been written.
+   * @type {Number}
+   */
+  this.writtenCount = 0
+
+  /**
+   * The number of events which could not be formatted or written.
+   * @type {Number}
+   */
+  this.failedCount = 0
+}
+
+/**
+ * Formats and writes a threat event. Events which are handled after the sink
+ * has been closed are discarded.
+ * @param {(ThreatEvent|Object)} threatEvent - The threat event, or the
+ *   object decoded from its payload.
+ * @param {external:Event} [event] - The DXL event, if a payload object is
+ *   supplied.
+ */
+ThreatEventSink.prototype.handle = function (threatEvent, event) {
+  const sink = this
+  if (this._closed) {
+    return
+  }
+  if (!(threatEvent instanceof ThreatEvent)) {
+    threatEvent = new ThreatEvent(threatEvent, event)
+  }
+  try {
+    const line = this._formatter.format(threatEvent)
+    this._write(line, threatEvent, function (error) {
+      if (error) {
+        sink.reportError(error, threatEvent)
+      } else {
+        sink.writtenCount++
+      }
+    })
+  } catch (err) {
+    this.reportError(err, threatEvent)
+  }
+}
+
+/**
+ * Closes the sink, releasing any resources which it holds. Events which are
+ * handled after the sink has been closed are discarded.
+ * @param {Function} [callback] - Callback function which is invoked after the
+ *   sink has been closed. If closing fails, the first parameter supplied to
+ *   the callback contains an `Error` object with failure details.
+ * @returns {Promise|undefined} If no `callback` is supplied, a `Promise`
+ *   which is settled once the sink has been closed.
+ */
+ThreatEventSink.prototype.close = function (callback) {
+  const sink = this
+  return util.callbackOrPromise(callback, function (done) {
+    if (sink._closed) {
+      done(null)
+      return
+    }
+    sink._closed = true
+    sink._close(done)
+  })
+}
+
+/**
+ * Writes a formatted event to the destination.
+ * @param {String} line - The formatted event, without a trailing line break.
+ * @param {ThreatEvent} threatEvent - The threat event.
+ * @param {Function} callback - Callback function to invoke once the event has
+ *   been written, with an `Error` if it could not be.
+ * @private
+ */
+ThreatEventSink.prototype._write = function (line, threatEvent, callback) {
+  callback(new Error('_write is not implemented by ' + this.constructor.name))
+}
+
+/**
+ * Releases any resources which the sink holds.
+ * @param {Function} callback - Callback function to invoke once the resources
+ *   have been released.
+ * @private
+ */
+ThreatEventSink.prototype._close = function (callback) {
+  callback(null)
+}
+
+/**
+ * Records a failure to handle an event, counting it in the `failedCount` and
+ * delivering it to the `errorCallback`. The sink reports its own failures to
+ * format or write an event. Code which feeds events to the sink can report
+ * other failures, such as an event which cannot be decoded - as
+ * {@link EpoClient#addThreatEventSink} does.
+ * @param {Error} error - The error.
+ * @param {(ThreatEvent|external:Event)} [threatEvent] - The threat event, or
+ *   the DXL event if its payload could not be decoded. `null` if the failure
+ *   is not specific to one event.
+ */
+ThreatEventSink.prototype.reportError = function (error, threatEvent) {
+  threatEvent = threatEvent || null
+  this.failedCount++
+  if (this._errorCallback) {
+    this._errorCallback(error, threatEvent)
+  }
+}
+
+module.exports = ThreatEventSink
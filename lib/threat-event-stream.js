@@ -0,0 +1,231 @@
+'use strict'
+
+const Readable = require('stream').Readable
+const inherits = require('inherits')
+
+// The default maximum number of threat events to buffer
+const DEFAULT_BUFFER_SIZE = 1000
+
+// The policies for handling a threat event which arrives when the buffer is
+// full
+const OVERFLOW_POLICIES = {
+  // Discard the oldest buffered event to make room for the new one
+  DROP_OLDEST: 'dropOldest',
+  // Discard the new event
+  DROP_NEWEST: 'dropNewest',
+  // Fail the stream
+  ERROR: 'error'
+}
+
+/**
+ * @classdesc A readable stream of ePO threat events, in object mode. Each
+ * chunk is a {@link ThreatEvent}, which provides access to the decoded
+ * payload and the DXL event as well as typed accessors. As with any
+ * `Readable`, the events can also be consumed with `for await...of`.
+ *
+ * Events which arrive faster than they are consumed are held in a buffer of
+ * bounded size. When the buffer is full, the `overflow` policy determines
+ * whether the oldest buffered event or the new event is discarded - in which
+ * case the stream emits a `drop` event with the discarded {@link ThreatEvent}
+ * - or whether the stream fails with an error.
+ *
+ * The stream's callback is unregistered from the client when the stream is
+ * stopped or destroyed - including when a `for await...of` loop over the
+ * stream exits early.
+ *
+ * Instances are normally obtained through {@link EpoClient#threatEvents}.
+ * @param {EpoClient} epoClient - The client to receive threat events with.
+ * @param {Object} [options] - Additional options for the stream.
+ * @param {String} [options.topic=/mcafee/event/epo/threat/response] - The
+ *   topic that ePO threat events are published to.
+ * @param {(Object|Array|Function|ThreatEventFilter)} [options.filter] - A
+ *   filter which selects the events to deliver to the stream. See
+ *   {@link ThreatEventFilter}.
+ * @param {Number} [options.bufferSize=1000] - Maximum number of events to
+ *   buffer until they are consumed.
+ * @param {String} [options.overflow=dropOldest] - The policy for an event
+ *   which arrives when the buffer is full: `dropOldest`, `dropNewest` or
+ *   `error`.
+ * @throws {TypeError} If any of the options are not valid.
+ * @constructor
+ */
+function ThreatEventStream (epoClient, options) {
+  const stream = this
+  options = options || {}
+
+  let bufferSize = DEFAULT_BUFFER_SIZE
+  if (typeof options.bufferSize !== 'undefined') {
+    bufferSize = options.bufferSize
+  }
+  if (!Number.isInteger(bufferSize) || bufferSize < 1) {
+    throw new TypeError('Invalid bufferSize: ' + bufferSize)
+  }
+  const overflow = options.overflow || OVERFLOW_POLICIES.DROP_OLDEST
+  const policies = Object.keys(OVERFLOW_POLICIES).map(function (key) {
+    return OVERFLOW_POLICIES[key]
+  })
+  if (policies.indexOf(overflow) < 0) {
+    throw new TypeError('Invalid overflow policy: ' + overflow)
+  }
+
+  Readable.call(this, { objectMode: true, highWaterMark: 1 })
+
+  /**
+   * Maximum number of events to buffer.
+   * @type {Number}
+   * @private
+   */
+  this._bufferSize = bufferSize
+
+  /**
+   * The policy for an event which arrives when the buffer is full.
+   * @type {String}
+   * @private
+   */
+  this._overflow = overflow
+
+  /**
+   * The events which have not yet been pushed to the consumer.
+   * @type {Array<ThreatEvent>}
+   * @private
+   */
+  this._buffer = []
+
+  /**
+   * Whether the consumer is ready for more events.
+   * @type {Boolean}
+   * @private
+   */
+  this._reading = false
+
+  /**
+   * Whether the stream has been stopped, so that it ends once the buffer
+   * has been consumed.
+   * @type {Boolean}
+   * @private
+   */
+  this._stopped = false
+
+  /**
+   * Whether the end of the stream has been pushed.
+   * @type {Boolean}
+   * @private
+   */
+  this._ended = false
+
+  /**
+   * The number of events which have been discarded because the buffer was
+   * full.
+   * @type {Number}
+   */
+  this.droppedCount = 0
+
+  /**
+   * Function which unregisters the stream's callback from the client.
+   * @type {Function}
+   * @private
+   */
+  this._unsubscribe = epoClient.addThreatEventCallback(
+    function (threatEvent) {
+      stream._enqueue(threatEvent)
+    },
+    {
+      topic: options.topic,
+      filter: options.filter,
+      threatEvent: true
+    })
+}
+
+inherits(ThreatEventStream, Readable)
+
+/**
+ * The policies for handling a threat event which arrives when the buffer of
+ * a {@link ThreatEventStream} is full.
+ * @type {Object<String, String>}
+ */
+ThreatEventStream.OverflowPolicy = OVERFLOW_POLICIES
+
+/**
+ * Stops receiving threat events. The stream ends once the events which have
+ * already been buffered are consumed.
+ */
+ThreatEventStream.prototype.stop = function () {
+  if (!this._stopped) {
+    this._stopped = true
+    this._unsubscribe()
+    this._flush()
+  }
+}
+
+/**
+ * Marks the consumer as ready for more events and pushes any which are
+ * buffered.
+ * @private
+ */
+ThreatEventStream.prototype._read = function () {
+  this._reading = true
+  this._flush()
+}
+
+/**
+ * Unregisters the stream's callback and discards any buffered events.
+ * @param {Error} error - The error which the stream was destroyed with, if
+ *   any.
+ * @param {Function} callback - Callback to invoke once the stream has been
+ *   cleaned up.
+ * @private
+ */
+ThreatEventStream.prototype._destroy = function (error, callback) {
+  this._stopped = true
+  this._unsubscribe()
+  this._buffer = []
+  callback(error)
+}
+
+/**
+ * Adds a threat event to the buffer, applying the overflow policy if the
+ * buffer is full.
+ * @param {ThreatEvent} threatEvent - The threat event.
+ * @private
+ */
+ThreatEventStream.prototype._enqueue = function (threatEvent) {
+  if (this._stopped || this.destroyed) {
+    return
+  }
+  if (this._buffer.length >= this._bufferSize) {
+    let dropped = threatEvent
+    switch (this._overflow) {
+      case OVERFLOW_POLICIES.ERROR:
+        this.destroy(new Error('Threat event buffer overflowed (' +
+          this._bufferSize + ' events)'))
+        return
+      case OVERFLOW_POLICIES.DROP_OLDEST:
+        dropped = this._buffer.shift()
+        this._buffer.push(threatEvent)
+        break
+    }
+    this.droppedCount++
+    this.emit('drop', dropped)
+  } else {
+    this._buffer.push(threatEvent)
+  }
+  this._flush()
+}
+
+/**
+ * Pushes buffered events while the consumer is ready for them, ending the
+ * stream if it has been stopped and the buffer is empty.
+ * @private
+ */
+ThreatEventStream.prototype._flush = function () {
+  while (this._reading && this._buffer.length) {
+    this._reading = this.push(this._buffer.shift())
+  }
+  if (this._stopped && !this._buffer.length && !this._ended &&
+    !this.destroyed) {
+    this._ended = true
+    this.push(null)
+  }
+}
+
+module.exports = ThreatEventStream
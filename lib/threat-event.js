@@ -0,0 +1,385 @@
+'use strict'
+
+// Offset which ePO subtracts from IPv4 addresses to store them as signed
+// 32-bit integers
+const EPO_IPV4_OFFSET = 0x80000000
+
+// Timestamps below this value are taken to be in seconds rather than
+// milliseconds since the epoch
+const EPOCH_SECONDS_LIMIT = 100000000000
+
+// The names of the fields which hold each value, in order of preference.
+// Names are matched without regard to case.
+const FIELD_NAMES = {
+  detectedTime: ['detectedUTC', 'detectedTime', 'detectedTimestamp',
+    'eventTime', 'timestamp'],
+  receivedTime: ['receivedUTC', 'receivedTime', 'serverReceivedUTC'],
+  severity: ['threatSeverity', 'severity'],
+  agentGuid: ['agentGuid', 'agentGuidStr', 'nodeGuid'],
+  hostName: ['analyzerHostName', 'targetHostName', 'hostName', 'computerName'],
+  analyzerIpAddress: ['analyzerIPV4', 'analyzerIPV6', 'analyzerIp'],
+  sourceIpAddress: ['sourceIPV4', 'sourceIPV6', 'sourceIp'],
+  targetIpAddress: ['targetIPV4', 'targetIPV6', 'targetIp'],
+  threatCategory: ['threatCategory', 'category'],
+  threatName: ['threatName'],
+  threatType: ['threatType'],
+  threatActionTaken: ['threatActionTaken', 'actionTaken'],
+  analyzerName: ['analyzerName', 'productName', 'analyzer']
+}
+
+/**
+ * Returns the first value which is present in an object for one of the
+ * supplied field names. Names are matched exactly first, then without regard
+ * to case.
+ * @param {Object} obj - The object.
+ * @param {Array<String>} names - The field names, in order of preference.
+ * @returns {*} The value, `null` if none of the fields are present.
+ * @private
+ */
+function findField (obj, names) {
+  if (!obj || typeof obj !== 'object') {
+    return null
+  }
+  const keys = Object.keys(obj)
+  for (let i = 0; i < names.length; i++) {
+    let key = names[i]
+    if (keys.indexOf(key) < 0) {
+      const lowerName = key.toLowerCase()
+      key = keys.find(function (candidate) {
+        return candidate.toLowerCase() === lowerName
+      })
+    }
+    if (key && obj[key] !== null && typeof obj[key] !== 'undefined' &&
+      obj[key] !== '') {
+      return obj[key]
+    }
+  }
+  return null
+}
+
+/**
+ * Parses a timestamp from a threat event.
+ * @param {(String|Number)} value - The timestamp - an ISO 8601 string, a
+ *   string in the form `YYYY-MM-DD hh:mm:ss` (taken to be UTC), or a number of
+ *   seconds or milliseconds since the epoch.
+ * @returns {Date} The timestamp, `null` if it cannot be parsed.
+ * @private
+ */
+function parseTimestamp (value) {
+  if (value === null) {
+    return null
+  }
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) {
+    value = Number(value)
+  }
+  let time
+  if (typeof value === 'number') {
+    time = value < EPOCH_SECONDS_LIMIT ? value * 1000 : value
+  } else {
+    let text = String(value).trim().replace(/^(\d{4}-\d\d-\d\d) /, '$1T')
+    // Timestamps without a time zone are in UTC
+    if (/T[\d:.]+$/.test(text)) {
+      text += 'Z'
+    }
+    time = Date.parse(text)
+  }
+  return isNaN(time) ? null : new Date(time)
+}
+
+/**
+ * Parses a number from a threat event.
+ * @param {(String|Number)} value - The value.
+ * @returns {Number} The number, `null` if the value is not numeric.
+ * @private
+ */
+function parseNumber (value) {
+  if (value === null || (typeof value === 'string' && !value.trim())) {
+    return null
+  }
+  const number = Number(value)
+  return isNaN(number) ? null : number
+}
+
+/**
+ * Normalizes an IP address from a threat event. ePO may report an IPv4
+ * address as a signed 32-bit integer, offset by 2^31, which is converted to
+ * dotted-quad notation.
+ * @param {(String|Number)} value - The address.
+ * @returns {String} The address, `null` if none was supplied.
+ * @private
+ */
+function parseIpAddress (value) {
+  if (value === null) {
+    return null
+  }
+  if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+    value = Number(value)
+  }
+  if (typeof value === 'number') {
+    const address = (value + EPO_IPV4_OFFSET) >>> 0
+    return [address >>> 24, (address >>> 16) & 0xff, (address >>> 8) & 0xff,
+      address & 0xff].join('.')
+  }
+  return String(value).trim()
+}
+
+/**
+ * @classdesc An ePO threat event, wrapping the payload decoded from the DXL
+ * event with accessors which return typed, normalized values.
+ *
+ * The field names and formats in threat event payloads differ between ePO
+ * versions and event sources. Each accessor looks for the value under the
+ * names which are known to be used - without regard to case - first at the
+ * top level of the payload and then in the first entry of its `events`
+ * array. Accessors return `null` if the value is not present.
+ * @param {Object} payload - The payload decoded from the DXL event.
+ * @param {external:Event} [event] - The DXL event.
+ * @example
+ * epoClient.addThreatEventCallback(function (threatEvent) {
+ *   console.log(threatEvent.getDetectedTime().toISOString() + ' ' +
+ *     threatEvent.getHostName() + ': ' + threatEvent.getThreatName() +
+ *     ' (severity ' + threatEvent.getSeverity() + ')')
+ * }, {threatEvent: true})
+ * @constructor
+ */
+function ThreatEvent (payload, event) {
+  /**
+   * The payload decoded from the DXL event.
+   * @type {Object}
+   * @private
+   */
+  this._payload = payload
+
+  /**
+   * The DXL event.
+   * @type {external:Event}
+   * @private
+   */
+  this._event = event || null
+}
+
+/**
+ * Returns the value of a field from the payload.
+ * @param {String} field - The key into {@link FIELD_NAMES}.
+ * @returns {*} The value, `null` if not present.
+ * @private
+ */
+ThreatEvent.prototype._getField = function (field) {
+  const names = FIELD_NAMES[field]
+  let value = findField(this._payload, names)
+  if (value === null) {
+    const events = findField(this._payload, ['events'])
+    if (Array.isArray(events) && events.length) {
+      value = findField(events[0], names)
+    }
+  }
+  return value
+}
+
+/**
+ * Returns the payload decoded from the DXL event, as sent by ePO.
+ * @returns {Object} The payload.
+ */
+ThreatEvent.prototype.getPayload = function () {
+  return this._payload
+}
+
+/**
+ * Returns the DXL event which the threat event was received in.
+ * @returns {external:Event} The event, `null` if the threat event was not
+ *   constructed from a DXL event.
+ */
+ThreatEvent.prototype.getEvent = function () {
+  return this._event
+}
+
+/**
+ * Returns the time at which the threat was detected.
+ * @returns {Date} The time.
+ */
+ThreatEvent.prototype.getDetectedTime = function () {
+  return parseTimestamp(this._getField('detectedTime'))
+}
+
+/**
+ * Returns the time at which ePO received the threat event.
+ * @returns {Date} The time.
+ */
+ThreatEvent.prototype.getReceivedTime = function () {
+  return parseTimestamp(this._getField('receivedTime'))
+}
+
+/**
+ * Returns the severity of the threat. ePO severities range from `0`
+ * (critical) to `6` (informational).
+ * @returns {Number} The severity.
+ */
+ThreatEvent.prototype.getSeverity = function () {
+  return parseNumber(this._getField('severity'))
+}
+
+/**
+ * Returns the GUID of the McAfee Agent on the system which reported the
+ * threat, in upper case and without enclosing braces - the form used in ePO
+ * queries.
+ * @returns {String} The agent GUID.
+ */
+ThreatEvent.prototype.getAgentGuid = function () {
+  const guid = this._getField('agentGuid')
+  if (guid === null) {
+    return null
+  }
+  return String(guid).trim().replace(/^\{|\}$/g, '').toUpperCase()
+}
+
+/**
+ * Returns the host name of the system which reported the threat.
+ * @returns {String} The host name.
+ */
+ThreatEvent.prototype.getHostName = function () {
+  const hostName = this._getField('hostName')
+  return hostName === null ? null : String(hostName)
+}
+
+/**
+ * Returns the IP address of the system which reported the threat.
+ * @returns {String} The IP address.
+ */
+ThreatEvent.prototype.getAnalyzerIpAddress = function () {
+  return parseIpAddress(this._getField('analyzerIpAddress'))
+}
+
+/**
+ * Returns the IP address of the source of the threat.
+ * @returns {String} The IP address.
+ */
+ThreatEvent.prototype.getSourceIpAddress = function () {
+  return parseIpAddress(this._getField('sourceIpAddress'))
+}
+
+/**
+ * Returns the IP address of the target of the threat.
+ * @returns {String} The IP address.
+ */
+ThreatEvent.prototype.getTargetIpAddress = function () {
+  return parseIpAddress(this._getField('targetIpAddress'))
+}
+
+/**
+ * Returns the category of the threat, for example, `av.detect`.
+ * @returns {String} The threat category.
+ */
+ThreatEvent.prototype.getThreatCategory = function () {
+  const category = this._getField('threatCategory')
+  return category === null ? null : String(category)
+}
+
+/**
+ * Returns the name of the threat.
+ * @returns {String} The threat name.
+ */
+ThreatEvent.prototype.getThreatName = function () {
+  const name = this._getField('threatName')
+  return name === null ? null : String(name)
+}
+
+/**
+ * Returns the type of the threat, for example, `virus`.
+ * @returns {String} The threat type.
+ */
+ThreatEvent.prototype.getThreatType = function () {
+  const type = this._getField('threatType')
+  return type === null ? null : String(type)
+}
+
+/**
+ * Returns the action which was taken in response to the threat.
+ * @returns {String} The action.
+ */
+ThreatEvent.prototype.getThreatActionTaken = function () {
+  const action = this._getField('threatActionTaken')
+  return action === null ? null : String(action)
+}
+
+/**
+ * Returns the name of the product which detected the threat.
+ * @returns {String} The product name.
+ */
+ThreatEvent.prototype.getAnalyzerName = function () {
+  const name = this._getField('analyzerName')
+  return name === null ? null : String(name)
+}
+
+/**
+ * Returns a value from the threat event by name. The name is either one of
+ * the values returned by {@link ThreatEvent#toJSON} - for example,
+ * `hostName` - or a dotted path into the payload - for example,
+ * `events.threatHandled`. If the path passes through an array, the first
+ * element of the array is used.
+ * @param {String} name - The name of the value.
+ * @returns {*} The value, `null` if not present.
+ */
+ThreatEvent.prototype.getValue = function (name) {
+  if (Object.prototype.hasOwnProperty.call(FIELD_NAMES, name)) {
+    return this['get' + name.charAt(0).toUpperCase() + name.substring(1)]()
+  }
+  return name.split('.').reduce(function (value, key) {
+    if (Array.isArray(value)) {
+      value = value[0]
+    }
+    if (value === null || typeof value !== 'object' ||
+      typeof value[key] === 'undefined') {
+      return null
+    }
+    return value[key]
+  }, this._payload)
+}
+
+/**
+ * Returns a threat event for each entry in the `events` array of the
+ * payload. The fields of each entry are combined with the top-level fields
+ * of the payload, with the fields of the entry taking precedence.
+ * @returns {Array<ThreatEvent>} The threat events, containing only this
+ *   threat event if the payload has no `events` array.
+ */
+ThreatEvent.prototype.getDetections = function () {
+  const threatEvent = this
+  const events = findField(this._payload, ['events'])
+  if (!Array.isArray(events) || !events.length) {
+    return [this]
+  }
+  const common = Object.assign({}, this._payload)
+  Object.keys(common).forEach(function (key) {
+    if (common[key] === events) {
+      delete common[key]
+    }
+  })
+  return events.map(function (entry) {
+    return new ThreatEvent(Object.assign({}, common, entry), threatEvent._event)
+  })
+}
+
+/**
+ * Returns the normalized values of the threat event.
+ * @returns {Object} The values, keyed by the name of the accessor without
+ *   the `get` prefix - for example, `severity` and `detectedTime`.
+ */
+ThreatEvent.prototype.toJSON = function () {
+  return {
+    detectedTime: this.getDetectedTime(),
+    receivedTime: this.getReceivedTime(),
+    severity: this.getSeverity(),
+    agentGuid: this.getAgentGuid(),
+    hostName: this.getHostName(),
+    analyzerIpAddress: this.getAnalyzerIpAddress(),
+    sourceIpAddress: this.getSourceIpAddress(),
+    targetIpAddress: this.getTargetIpAddress(),
+    threatCategory: this.getThreatCategory(),
+    threatName: this.getThreatName(),
+    threatType: this.getThreatType(),
+    threatActionTaken: this.getThreatActionTaken(),
+    analyzerName: this.getAnalyzerName()
+  }
+}
+
+module.exports = ThreatEvent
@@ -0,0 +1,71 @@
+'use strict'
+
+/**
+ * @module Util
+ * @private
+ */
+
+module.exports = {
+  /**
+   * Initialize the supplied object with the standard information which appears
+   * on an {@link Error} function. This function is used to allow a function
+   * to derive from the {@link Error} function.
+   * @param {Object} obj - The object to initialize error data onto.
+   * @param {String} [message=null] - An error message.
+   */
+  initializeError: function (obj, message) {
+    Error.call(obj, message)
+    if (Object.prototype.hasOwnProperty.call(Error, 'captureStackTrace')) {
+      Error.captureStackTrace(obj, obj.constructor)
+    }
+    obj.name = obj.constructor.name
+    obj.message = message
+  },
+  /**
+   * Runs an asynchronous operation which reports its result through a
+   * Node-style `(error, result)` callback. If a `callback` is supplied, it is
+   * handed to the operation as-is. If no `callback` is supplied, a `Promise`
+   * is returned which is settled with the result of the operation.
+   * @param {Function} [callback] - Callback function supplied by the caller.
+   * @param {Function} operation - Function which performs the operation. The
+   *   first parameter supplied to the function is the callback to invoke with
+   *   the result of the operation.
+   * @returns {Promise|undefined} A `Promise` if no `callback` was supplied,
+   *   else `undefined`.
+   */
+  callbackOrPromise: function (callback, operation) {
+    if (callback) {
+      operation(callback)
+      return undefined
+    }
+    return new Promise(function (resolve, reject) {
+      operation(function (error, result) {
+        if (error) {
+          reject(error)
+        } else {
+          resolve(result)
+        }
+      })
+    })
+  },
+  /**
+   * Invokes an asynchronous function for each item in an array, one at a
+   * time.
+   * @param {Array} items - The items.
+   * @param {Function} iterator - Function which is invoked with each item and
+   *   a callback to invoke once the item has been processed.
+   * @param {Function} callback - Callback function to invoke once every item
+   *   has been processed, or with the first error.
+   */
+  forEachSeries: function (items, iterator, callback) {
+    let index = 0
+    const next = function (error) {
+      if (error || index >= items.length) {
+        callback(error || null)
+      } else {
+        iterator(items[index++], next)
+      }
+    }
+    next(null)
+  }
+}
@@ -0,0 +1,130 @@
+'use strict'
+
+const expect = require('chai').expect
+const CommandCatalog = require('../lib/command-catalog')
+
+const HELP_LINES = [
+  'core.executeQuery queryId | target [select] [where] [database=<>] ' +
+    '[depth=<>] - Executes a query',
+  'core.help [command] [prefix=<>] - Lists all registered commands',
+  'core.listQueries - Displays all queries',
+  'policy.assignToSystem ids|names productId typeId objectId ' +
+    '[resetInheritance=<>] - Assigns a policy to systems',
+  'system.find searchText [searchNameOnly] - Finds systems in the System Tree',
+  'system.wakeupAgent names [fullProps superAgent]',
+  '',
+  'Commands which require authentication:'
+]
+
+describe('CommandCatalog', function () {
+  let catalog
+
+  beforeEach(function () {
+    catalog = new CommandCatalog(HELP_LINES)
+  })
+
+  it('parses the commands from the core.help output', function () {
+    expect(catalog.getCommandNames()).to.deep.equal([
+      'core.executeQuery',
+      'core.help',
+      'core.listQueries',
+      'policy.assignToSystem',
+      'system.find',
+      'system.wakeupAgent'
+    ])
+    expect(catalog.getCommand('system.find')).to.deep.equal({
+      name: 'system.find',
+      plugin: 'system',
+      parameters: [
+        { name: 'searchText', optional: false },
+        { name: 'searchNameOnly', optional: true }
+      ],
+      description: 'Finds systems in the System Tree',
+      usage: 'system.find searchText [searchNameOnly]'
+    })
+  })
+
+  it('strips value placeholders and treats alternatives as optional', function () {
+    expect(catalog.getCommand('core.executeQuery').parameters).to.deep.equal([
+      { name: 'queryId', optional: true },
+      { name: 'target', optional: true },
+      { name: 'select', optional: true },
+      { name: 'where', optional: true },
+      { name: 'database', optional: true },
+      { name: 'depth', optional: true }
+    ])
+    expect(catalog.getCommand('policy.assignToSystem').parameters)
+      .to.deep.equal([
+        { name: 'ids', optional: true },
+        { name: 'names', optional: true },
+        { name: 'productId', optional: false },
+        { name: 'typeId', optional: false },
+        { name: 'objectId', optional: false },
+        { name: 'resetInheritance', optional: true }
+      ])
+  })
+
+  it('splits optional parameters which share a pair of brackets', function () {
+    expect(catalog.getCommand('system.wakeupAgent')).to.deep.equal({
+      name: 'system.wakeupAgent',
+      plugin: 'system',
+      parameters: [
+        { name: 'names', optional: false },
+        { name: 'fullProps', optional: true },
+        { name: 'superAgent', optional: true }
+      ],
+      description: '',
+      usage: 'system.wakeupAgent names [fullProps superAgent]'
+    })
+  })
+
+  it('lists the commands and plugins', function () {
+    expect(catalog.getPlugins()).to.deep.equal(['core', 'policy', 'system'])
+    expect(catalog.getCommandNames('system'))
+      .to.deep.equal(['system.find', 'system.wakeupAgent'])
+    expect(catalog.getCommands('system').map(function (command) {
+      return command.name
+    })).to.deep.equal(['system.find', 'system.wakeupAgent'])
+    expect(catalog.getCommandNames('missing')).to.deep.equal([])
+  })
+
+  it('looks up a command by name', function () {
+    expect(catalog.hasCommand('core.listQueries')).to.equal(true)
+    expect(catalog.hasCommand('system.delete')).to.equal(false)
+    expect(catalog.hasCommand('toString')).to.equal(false)
+    expect(catalog.getCommand('system.delete')).to.equal(null)
+    expect(catalog.getUsage('core.listQueries'))
+      .to.equal('core.listQueries - Displays all queries')
+    expect(catalog.getUsage('system.wakeupAgent'))
+      .to.equal('system.wakeupAgent names [fullProps superAgent]')
+    expect(catalog.getUsage('system.delete')).to.equal(null)
+  })
+
+  it('returns a copy of each command', function () {
+    const command = catalog.getCommand('system.find')
+    command.parameters[0].optional = true
+    command.parameters.push({ name: 'extra', optional: true })
+    expect(catalog.getCommand('system.find').parameters).to.deep.equal([
+      { name: 'searchText', optional: false },
+      { name: 'searchNameOnly', optional: true }
+    ])
+  })
+
+  it('validates the parameters for a command', function () {
+    expect(function () {
+      catalog.validateParams('system.find', { searchText: 'mySystem' })
+      catalog.validateParams('core.executeQuery', { target: 'EPOLeafNode' })
+      catalog.validateParams('core.listQueries')
+    }).to.not.throw()
+    expect(function () {
+      catalog.validateParams('system.find',
+        { searchText: null, other: 1, extra: 2 })
+    }).to.throw(TypeError, 'Invalid parameters for ePO remote command ' +
+      'system.find: unknown parameters (other, extra); missing required ' +
+      'parameters (searchText). Usage: system.find searchText ' +
+      '[searchNameOnly] - Finds systems in the System Tree')
+    expect(function () {
+      catalog.validateParams('system.delete', {})
+    }).to.throw(TypeError, 'Unknown ePO remote command: system.delete')
+  })
+})
@@ -0,0 +1,142 @@
+'use strict'
+
+const expect = require('chai').expect
+const EpoClientGroup = require('../lib/epo-client-group')
+const EpoCommandError = require('../lib/epo-command-error')
+const EpoServiceNotFoundError = require('../lib/epo-service-not-found-error')
+const EpoServiceType = require('../lib/epo-service-type')
+const MockDxlFabric = require('../lib/mock-dxl-fabric')
+
+describe('EpoClientGroup', function () {
+  let fabric
+  let dxlClient
+
+  beforeEach(function () {
+    fabric = new MockDxlFabric()
+    dxlClient = fabric.createClient()
+  })
+
+  function addEpoServices (count, commands) {
+    const epoServices = []
+    for (let index = 1; index <= count; index++) {
+      epoServices.push(fabric.addEpoService('epo' + index, {
+        serviceType: EpoServiceType.COMMANDS,
+        commands
+      }))
+    }
+    return epoServices
+  }
+
+  it('runs the command on every ePO server exposed to the fabric', async function () {
+    const epoServices = addEpoServices(3, {
+      'system.find': function (params) {
+        return [{ searchText: params.searchText }]
+      }
+    })
+    const group = new EpoClientGroup(dxlClient)
+    const groupResult = await group.runCommand('system.find',
+      { params: { searchText: 'mySystem' } })
+    expect(groupResult.epoUniqueIds.slice().sort())
+      .to.deep.equal(['epo1', 'epo2', 'epo3'])
+    expect(groupResult.errors).to.deep.equal({})
+    groupResult.epoUniqueIds.forEach(function (epoUniqueId) {
+      expect(groupResult.results[epoUniqueId][0].searchText)
+        .to.equal('mySystem')
+    })
+    epoServices.forEach(function (epoService) {
+      expect(epoService.getInvocations('system.find')).to.have.lengthOf(1)
+    })
+  })
+
+  it('runs the command only on the ePO servers for the group', async function () {
+    const epoServices = addEpoServices(3, { 'core.help': 'help' })
+    const group = new EpoClientGroup(dxlClient,
+      { epoUniqueIds: ['epo3', 'epo1'] })
+    const groupResult = await group.runCommand('core.help')
+    expect(groupResult).to.deep.equal({
+      epoUniqueIds: ['epo3', 'epo1'],
+      results: { epo1: 'help', epo3: 'help' },
+      errors: {}
+    })
+    expect(epoServices[1].invocations).to.have.lengthOf(0)
+
+    const overridden = await group.runCommand('core.help',
+      { epoUniqueIds: ['epo2'] })
+    expect(overridden.epoUniqueIds).to.deep.equal(['epo2'])
+    expect(epoServices[1].invocations).to.have.lengthOf(1)
+  })
+
+  it('runs the command on at most the concurrency limit of servers at once', async function () {
+    let running = 0
+    let maxRunning = 0
+    addEpoServices(5, {
+      'core.help': function () {
+        running++
+        maxRunning = Math.max(maxRunning, running)
+        return new Promise(function (resolve) {
+          setTimeout(function () {
+            running--
+            resolve('help')
+          }, 10)
+        })
+      }
+    })
+    const group = new EpoClientGroup(dxlClient, { concurrency: 2 })
+    const groupResult = await group.runCommand('core.help')
+    expect(Object.keys(groupResult.results)).to.have.lengthOf(5)
+    expect(maxRunning).to.equal(2)
+  })
+
+  it('reports a failure on each ePO server separately', async function () {
+    const epoServices = addEpoServices(3, { 'core.help': 'help' })
+    epoServices[1].setCommand('core.help', function () {
+      throw new Error('Server is busy')
+    })
+    const group = new EpoClientGroup(dxlClient,
+      { epoUniqueIds: ['epo1', 'epo2', 'epo3', 'epo4'] })
+    const groupResult = await group.runCommand('core.help')
+    expect(groupResult.results).to.deep.equal({ epo1: 'help', epo3: 'help' })
+    expect(Object.keys(groupResult.errors).sort())
+      .to.deep.equal(['epo2', 'epo4'])
+    expect(groupResult.errors.epo2).to.be.an.instanceof(EpoCommandError)
+    expect(groupResult.errors.epo2.epoErrorMessage).to.equal('Server is busy')
+    expect(groupResult.errors.epo4)
+      .to.be.an.instanceof(EpoServiceNotFoundError)
+  })
+
+  it('reports invalid command options as a failure on each ePO server', async function () {
+    addEpoServices(2, { 'core.help': 'help' })
+    const group = new EpoClientGroup(dxlClient)
+    const groupResult = await group.runCommand('core.help',
+      { outputFormat: 'yaml' })
+    expect(groupResult.results).to.deep.equal({})
+    expect(groupResult.errors.epo1).to.be.an.instanceof(TypeError)
+    expect(groupResult.errors.epo2).to.be.an.instanceof(TypeError)
+  })
+
+  it('completes with an empty result when there are no ePO servers', function (done) {
+    const group = new EpoClientGroup(dxlClient)
+    group.runCommand('core.help', {
+      responseCallback: function (error, groupResult) {
+        expect(error).to.equal(null)
+        expect(groupResult)
+          .to.deep.equal({ epoUniqueIds: [], results: {}, errors: {} })
+        done()
+      }
+    })
+  })
+
+  it('reuses the client for each ePO server', function () {
+    const group = new EpoClientGroup(dxlClient)
+    expect(group.getClient('epo1')).to.equal(group.getClient('epo1'))
+    expect(group.getClient('epo1')).to.not.equal(group.getClient('epo2'))
+  })
+
+  it('rejects an invalid concurrency', function () {
+    [0, -1, 1.5, '2', null].forEach(function (concurrency) {
+      expect(function () {
+        return new EpoClientGroup(dxlClient, { concurrency })
+      }).to.throw(TypeError, 'Invalid concurrency: ' + concurrency)
+    })
+  })
+})
@@ -0,0 +1,194 @@
+'use strict'
+
+const expect = require('chai').expect
+const EpoClient = require('../lib/epo-client')
+const EpoCommandError = require('../lib/epo-command-error')
+const EpoServiceNotFoundError = require('../lib/epo-service-not-found-error')
+const EpoServiceType = require('../lib/epo-service-type')
+const MockDxlFabric = require('../lib/mock-dxl-fabric')
+
+const SERVICE_REGISTRY_QUERY_TOPIC = '/mcafee/service/dxl/svcregistry/query'
+const REMOTE_TOPIC = '/mcafee/service/epo/remote/epo1'
+const COMMANDS_TOPIC = '/mcafee/service/epo/command/epo1/remote/core/help'
+const DXL_SERVICE_UNAVAILABLE_ERROR_CODE = 0x80000001
+
+function getError (promise) {
+  return promise.then(function () {
+    throw new Error('Expected the command to fail')
+  }, function (error) {
+    return error
+  })
+}
+
+function serviceUnavailableError () {
+  const error = new Error('unable to locate service for request')
+  error.code = DXL_SERVICE_UNAVAILABLE_ERROR_CODE
+  return error
+}
+
+describe('EpoClient retries', function () {
+  const setTimeoutFunction = global.setTimeout
+  let retryDelays
+  let fabric
+  let dxlClient
+  let epoService
+
+  beforeEach(function () {
+    // Run each retry as soon as possible, recording the delay which the
+    // client asked for
+    retryDelays = []
+    global.setTimeout = function (callback, delay) {
+      retryDelays.push(delay)
+      return setTimeoutFunction(callback, 0)
+    }
+    fabric = new MockDxlFabric()
+    dxlClient = fabric.createClient()
+    epoService = fabric.addEpoService('epo1',
+      { commands: { 'core.help': 'help text' } })
+  })
+
+  afterEach(function () {
+    global.setTimeout = setTimeoutFunction
+  })
+
+  function failRequests (topic, failures) {
+    const respondNormally = fabric.getRequestCallback(topic)
+    fabric.addRequestCallback(topic, function (request, respond) {
+      if (failures.length) {
+        respond(failures.shift())
+      } else {
+        respondNormally(request, respond)
+      }
+    })
+  }
+
+  it('makes no retries by default', async function () {
+    failRequests(REMOTE_TOPIC, [serviceUnavailableError()])
+    const error = await getError(new EpoClient(dxlClient, 'epo1')
+      .runCommand('core.help'))
+    expect(error).to.be.an.instanceof(EpoServiceNotFoundError)
+    expect(fabric.getRequests(REMOTE_TOPIC)).to.have.lengthOf(1)
+    expect(retryDelays).to.have.lengthOf(0)
+  })
+
+  it('makes up to the number of attempts in the policy', async function () {
+    const failures = [1, 2, 3, 4].map(serviceUnavailableError)
+    failRequests(REMOTE_TOPIC, failures)
+    const client = new EpoClient(dxlClient, 'epo1', { retry: { attempts: 3 } })
+    const error = await getError(client.runCommand('core.help'))
+    expect(error).to.be.an.instanceof(EpoServiceNotFoundError)
+    expect(fabric.getRequests(REMOTE_TOPIC)).to.have.lengthOf(3)
+    expect(failures).to.have.lengthOf(1)
+  })
+
+  it('delivers the result of a later attempt', async function () {
+    failRequests(REMOTE_TOPIC, [serviceUnavailableError()])
+    const client = new EpoClient(dxlClient, 'epo1')
+    expect(await client.runCommand('core.help', { retry: { attempts: 2 } }))
+      .to.equal('help text')
+    expect(fabric.getRequests(REMOTE_TOPIC)).to.have.lengthOf(2)
+  })
+
+  it('backs off exponentially up to the maximum delay', async function () {
+    failRequests(REMOTE_TOPIC, [1, 2, 3, 4, 5].map(serviceUnavailableError))
+    const client = new EpoClient(dxlClient, 'epo1', {
+      retry: { attempts: 5, initialDelay: 100, multiplier: 3, maxDelay: 500 }
+    })
+    await getError(client.runCommand('core.help'))
+    expect(retryDelays).to.deep.equal([100, 300, 500, 500])
+  })
+
+  it('uses the default delays of the policy', async function () {
+    failRequests(REMOTE_TOPIC, [1, 2, 3].map(serviceUnavailableError))
+    const client = new EpoClient(dxlClient, 'epo1', { retry: { attempts: 3 } })
+    await getError(client.runCommand('core.help'))
+    expect(retryDelays).to.deep.equal([100, 200])
+  })
+
+  it('does not retry an ePO error', async function () {
+    epoService.setCommand('core.help', function () {
+      throw new Error('Invalid parameter')
+    })
+    const client = new EpoClient(dxlClient, 'epo1', { retry: { attempts: 3 } })
+    const error = await getError(client.runCommand('core.help'))
+    expect(error).to.be.an.instanceof(EpoCommandError)
+    expect(epoService.getInvocations('core.help')).to.have.lengthOf(1)
+    expect(retryDelays).to.have.lengthOf(0)
+  })
+
+  it('does not retry an error rejected by isRetryable', async function () {
+    failRequests(REMOTE_TOPIC, [serviceUnavailableError()])
+    const tested = []
+    const client = new EpoClient(dxlClient, 'epo1', {
+      retry: {
+        attempts: 3,
+        isRetryable: function (error) {
+          tested.push(error)
+          return false
+        }
+      }
+    })
+    const error = await getError(client.runCommand('core.help'))
+    expect(tested).to.deep.equal([error])
+    expect(fabric.getRequests(REMOTE_TOPIC)).to.have.lengthOf(1)
+  })
+
+  it('retries an error accepted by isRetryable', async function () {
+    epoService.setCommand('core.help', function () {
+      if (epoService.getInvocations('core.help').length < 2) {
+        throw new Error('Server busy')
+      }
+      return 'help text'
+    })
+    const client = new EpoClient(dxlClient, 'epo1', {
+      retry: {
+        attempts: 2,
+        isRetryable: function (error) {
+          return error instanceof EpoCommandError
+        }
+      }
+    })
+    expect(await client.runCommand('core.help')).to.equal('help text')
+    expect(retryDelays).to.deep.equal([100])
+  })
+
+  it('determines the ePO service again before retrying a service which has moved', async function () {
+    const client = new EpoClient(dxlClient, null, { retry: { attempts: 2 } })
+    expect(await client.runCommand('core.help')).to.equal('help text')
+    expect(fabric.getRequests(SERVICE_REGISTRY_QUERY_TOPIC))
+      .to.have.lengthOf(2)
+
+    // The ePO server moves from the "remote" to the "commands" service
+    epoService.unregister()
+    fabric.addEpoService('epo1', {
+      serviceType: EpoServiceType.COMMANDS,
+      commands: { 'core.help': 'help from commands' }
+    })
+
+    expect(await client.runCommand('core.help'))
+      .to.equal('help from commands')
+    expect(fabric.getRequests(REMOTE_TOPIC)).to.have.lengthOf(2)
+    expect(fabric.getRequests(COMMANDS_TOPIC)).to.have.lengthOf(1)
+    expect(fabric.getRequests(SERVICE_REGISTRY_QUERY_TOPIC))
+      .to.have.lengthOf(4)
+  })
+
+  it('rejects an invalid retry policy', function () {
+    const invalidPolicies = [
+      [{ attempts: 0 }, 'Invalid retry attempts: 0'],
+      [{ attempts: 1.5 }, 'Invalid retry attempts: 1.5'],
+      [{ initialDelay: -1 }, 'Invalid retry initialDelay: -1'],
+      [{ multiplier: 'x' }, 'Invalid retry multiplier: x'],
+      [{ isRetryable: true }, 'Retry isRetryable must be a function']
+    ]
+    invalidPolicies.forEach(function (invalidPolicy) {
+      expect(function () {
+        return new EpoClient(dxlClient, 'epo1', { retry: invalidPolicy[0] })
+      }).to.throw(TypeError, invalidPolicy[1])
+      expect(function () {
+        new EpoClient(dxlClient, 'epo1')
+          .runCommand('core.help', { retry: invalidPolicy[0] })
+      }).to.throw(TypeError, invalidPolicy[1])
+    })
+  })
+})
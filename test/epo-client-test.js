@@ -0,0 +1,1130 @@
+'use strict'
+
+const expect = require('chai').expect
+const os = require('os')
+const dxl = require('@opendxl/dxl-client')
+const MessageUtils = require('@opendxl/dxl-bootstrap').MessageUtils
+const EpoAbortError = require('../lib/epo-abort-error')
+const EpoAmbiguousServiceError = require('../lib/epo-ambiguous-service-error')
+const EpoClient = require('../lib/epo-client')
+const EpoCommandError = require('../lib/epo-command-error')
+const EpoResponseParseError = require('../lib/epo-response-parse-error')
+const EpoServiceNotFoundError = require('../lib/epo-service-not-found-error')
+const EpoServiceType = require('../lib/epo-service-type')
+const EpoTimeoutError = require('../lib/epo-timeout-error')
+const MockDxlFabric = require('../lib/mock-dxl-fabric')
+const OutputFormat = require('../lib/output-format')
+
+const SERVICE_REGISTRY_QUERY_TOPIC = '/mcafee/service/dxl/svcregistry/query'
+const REMOTE_TOPIC_PREFIX = '/mcafee/service/epo/remote/'
+const COMMANDS_TOPIC_PREFIX = '/mcafee/service/epo/command/'
+
+function getError (promise) {
+  return promise.then(function () {
+    throw new Error('Expected the command to fail')
+  }, function (error) {
+    return error
+  })
+}
+
+function invoke (invokeFunction, client) {
+  const args = Array.prototype.slice.call(arguments, 2)
+  return new Promise(function (resolve) {
+    invokeFunction.apply(client, args.concat(function () {
+      resolve(Array.prototype.slice.call(arguments))
+    }))
+  })
+}
+
+function lastRemoteCommandRequest (fabric) {
+  const requests = fabric.requests.filter(function (request) {
+    return request.destinationTopic !== SERVICE_REGISTRY_QUERY_TOPIC
+  })
+  return requests[requests.length - 1]
+}
+
+function failRegistryQueries (fabric, serviceType, error) {
+  const queryRegistry = fabric.getRequestCallback(SERVICE_REGISTRY_QUERY_TOPIC)
+  fabric.addRequestCallback(SERVICE_REGISTRY_QUERY_TOPIC,
+    function (request, respond) {
+      const query = MessageUtils.jsonPayloadToObject(request)
+      if (query.serviceType === serviceType) {
+        respond(error)
+      } else {
+        queryRegistry(request, respond)
+      }
+    })
+  return function () {
+    fabric.addRequestCallback(SERVICE_REGISTRY_QUERY_TOPIC, queryRegistry)
+  }
+}
+
+describe('EpoClient', function () {
+  let fabric
+  let dxlClient
+
+  beforeEach(function () {
+    fabric = new MockDxlFabric()
+    dxlClient = fabric.createClient()
+  })
+
+  function addEpoService (epoUniqueId, serviceType) {
+    const epoService = fabric.addEpoService(epoUniqueId, { serviceType })
+    epoService.setCommand('core.help', 'help from ' + epoUniqueId)
+    epoService.setCommand('system.find', function (params) {
+      return [{ name: params.searchText, epo: epoUniqueId }]
+    })
+    return epoService
+  }
+
+  describe('discovery without an ePO unique identifier', function () {
+    it('fails if no ePO servers are registered', async function () {
+      const error = await getError(new EpoClient(dxlClient)
+        .runCommand('core.help'))
+      expect(error).to.be.an.instanceof(EpoServiceNotFoundError)
+      expect(error.message).to.equal(
+        'No ePO DXL services are registered with the DXL fabric')
+      expect(error.requestTopic).to.equal(SERVICE_REGISTRY_QUERY_TOPIC)
+      expect(error.commandName).to.equal('core.help')
+    })
+
+    it('uses the "remote" service of a single ePO server', async function () {
+      addEpoService('epo1', EpoServiceType.REMOTE)
+      const client = new EpoClient(dxlClient)
+      expect(await client.runCommand('core.help')).to.equal('help from epo1')
+      expect(lastRemoteCommandRequest(fabric).destinationTopic)
+        .to.equal(REMOTE_TOPIC_PREFIX + 'epo1')
+    })
+
+    it('uses the "commands" service of a single ePO server', async function () {
+      addEpoService('epo1', EpoServiceType.COMMANDS)
+      const client = new EpoClient(dxlClient)
+      expect(await client.runCommand('core.help')).to.equal('help from epo1')
+      expect(lastRemoteCommandRequest(fabric).destinationTopic)
+        .to.equal(COMMANDS_TOPIC_PREFIX + 'epo1/remote/core/help')
+    })
+
+    it('prefers the "remote" service of an ePO server with both', async function () {
+      addEpoService('epo1', EpoServiceType.COMMANDS)
+      addEpoService('epo1', EpoServiceType.REMOTE)
+      const client = new EpoClient(dxlClient)
+      await client.runCommand('core.help')
+      expect(lastRemoteCommandRequest(fabric).destinationTopic)
+        .to.equal(REMOTE_TOPIC_PREFIX + 'epo1')
+    })
+
+    it('fails if many ePO servers are registered', async function () {
+      addEpoService('epo2', EpoServiceType.REMOTE)
+      addEpoService('epo1', EpoServiceType.COMMANDS)
+      const error = await getError(new EpoClient(dxlClient)
+        .runCommand('core.help'))
+      expect(error).to.be.an.instanceof(EpoAmbiguousServiceError)
+      expect(error.epoUniqueIds).to.deep.equal(['epo1', 'epo2'])
+      expect(error.commandName).to.equal('core.help')
+      expect(error.requestTopic).to.equal(SERVICE_REGISTRY_QUERY_TOPIC)
+      expect(lastRemoteCommandRequest(fabric)).to.equal(undefined)
+    })
+
+    it('delivers the details of each command which waited for the service', async function () {
+      addEpoService('epo2', EpoServiceType.REMOTE)
+      addEpoService('epo1', EpoServiceType.REMOTE)
+      const client = new EpoClient(dxlClient)
+      const errors = await Promise.all([
+        getError(client.runCommand('core.help')),
+        getError(client.runCommand('system.find'))
+      ])
+      expect(errors[0]).to.be.an.instanceof(EpoAmbiguousServiceError)
+      expect(errors[1]).to.be.an.instanceof(EpoAmbiguousServiceError)
+      expect(errors[0].commandName).to.equal('core.help')
+      expect(errors[1].commandName).to.equal('system.find')
+      expect(errors[1].message).to.equal(errors[0].message)
+      expect(errors[1].epoUniqueIds).to.deep.equal(['epo1', 'epo2'])
+      expect(errors[1].stack).to.equal(errors[0].stack)
+    })
+
+    it('determines the ePO server once for concurrent commands', async function () {
+      addEpoService('epo1', EpoServiceType.REMOTE)
+      const client = new EpoClient(dxlClient)
+      const results = await Promise.all([
+        client.runCommand('core.help'),
+        client.runCommand('core.help')
+      ])
+      expect(results).to.deep.equal(['help from epo1', 'help from epo1'])
+      await client.runCommand('core.help')
+      // One query for each service type
+      expect(fabric.getRequests(SERVICE_REGISTRY_QUERY_TOPIC))
+        .to.have.lengthOf(2)
+    })
+
+    it('delivers a registry failure and retries on the next command', async function () {
+      addEpoService('epo1', EpoServiceType.REMOTE)
+      const restoreRegistry = failRegistryQueries(fabric,
+        EpoServiceType.COMMANDS, new Error('registry failure'))
+      const client = new EpoClient(dxlClient)
+      const error = await getError(client.runCommand('core.help'))
+      expect(error).to.be.an.instanceof(dxl.MessageError)
+      expect(error.message).to.equal('registry failure')
+
+      restoreRegistry()
+      expect(await client.runCommand('core.help')).to.equal('help from epo1')
+    })
+  })
+
+  describe('Promise and callback forms', function () {
+    let unhandled
+
+    const onUnhandledRejection = function (reason) {
+      unhandled.push(reason)
+    }
+
+    beforeEach(function () {
+      unhandled = []
+      process.on('unhandledRejection', onUnhandledRejection)
+    })
+
+    afterEach(function () {
+      process.removeListener('unhandledRejection', onUnhandledRejection)
+    })
+
+    // Unhandled rejections are reported once the microtask queue is drained
+    function flush () {
+      return new Promise(function (resolve) {
+        setTimeout(resolve, 10)
+      })
+    }
+
+    it('resolves the Promise from runCommand with the result', async function () {
+      addEpoService('epo1', EpoServiceType.REMOTE)
+      const promise = new EpoClient(dxlClient, 'epo1')
+        .runCommand('core.help')
+      expect(promise).to.be.an.instanceof(Promise)
+      expect(await promise).to.equal('help from epo1')
+    })
+
+    it('rejects the Promise from runCommand with the error', async function () {
+      const epoService = addEpoService('epo1', EpoServiceType.REMOTE)
+      epoService.setCommand('core.help', function () {
+        throw new Error('Help is unavailable')
+      })
+      const error = await getError(new EpoClient(dxlClient, 'epo1')
+        .runCommand('core.help'))
+      expect(error).to.be.an.instanceof(EpoCommandError)
+      expect(error.epoErrorMessage).to.equal('Help is unavailable')
+      await flush()
+      expect(unhandled).to.deep.equal([])
+    })
+
+    it('delivers the result of runCommand to a callback instead', async function () {
+      const epoService = addEpoService('epo1', EpoServiceType.REMOTE)
+      const client = new EpoClient(dxlClient, 'epo1')
+      let returned
+      const results = await new Promise(function (resolve) {
+        returned = client.runCommand('core.help', {
+          responseCallback: function (error, response) {
+            resolve([error, response])
+          }
+        })
+      })
+      expect(returned).to.equal(undefined)
+      expect(results).to.deep.equal([null, 'help from epo1'])
+
+      epoService.setCommand('core.help', function () {
+        throw new Error('Help is unavailable')
+      })
+      const failure = await new Promise(function (resolve) {
+        returned = client.runCommand('core.help', { responseCallback: resolve })
+      })
+      expect(returned).to.equal(undefined)
+      expect(failure).to.be.an.instanceof(EpoCommandError)
+      await flush()
+      expect(unhandled).to.deep.equal([])
+    })
+
+    it('resolves the Promise from lookupEpoUniqueIdentifiers with the ids', async function () {
+      addEpoService('epo2', EpoServiceType.REMOTE)
+      addEpoService('epo1', EpoServiceType.COMMANDS)
+      const promise = EpoClient.lookupEpoUniqueIdentifiers(dxlClient)
+      expect(promise).to.be.an.instanceof(Promise)
+      expect((await promise).sort()).to.deep.equal(['epo1', 'epo2'])
+    })
+
+    it('rejects the Promise from lookupEpoUniqueIdentifiers with the error', async function () {
+      fabric.removeRequestCallback(SERVICE_REGISTRY_QUERY_TOPIC)
+      const error = await getError(
+        EpoClient.lookupEpoUniqueIdentifiers(dxlClient))
+      expect(error).to.be.an.instanceof(dxl.MessageError)
+      await flush()
+      expect(unhandled).to.deep.equal([])
+    })
+
+    it('delivers the ids from lookupEpoUniqueIdentifiers to a callback instead', async function () {
+      addEpoService('epo1', EpoServiceType.REMOTE)
+      let returned
+      const results = await new Promise(function (resolve) {
+        returned = EpoClient.lookupEpoUniqueIdentifiers(dxlClient,
+          function (error, epoIds) {
+            resolve([error, epoIds])
+          })
+      })
+      expect(returned).to.equal(undefined)
+      expect(results).to.deep.equal([null, ['epo1']])
+
+      fabric.removeRequestCallback(SERVICE_REGISTRY_QUERY_TOPIC)
+      const failure = await new Promise(function (resolve) {
+        returned = EpoClient.lookupEpoUniqueIdentifiers(dxlClient, resolve)
+      })
+      expect(returned).to.equal(undefined)
+      expect(failure).to.be.an.instanceof(dxl.MessageError)
+      await flush()
+      expect(unhandled).to.deep.equal([])
+    })
+  })
+
+  describe('discovery with an ePO unique identifier', function () {
+    it('uses the "remote" service of the ePO server', async function () {
+      addEpoService('epo1', EpoServiceType.REMOTE)
+      addEpoService('epo2', EpoServiceType.REMOTE)
+      const client = new EpoClient(dxlClient, 'epo2')
+      expect(await client.runCommand('core.help')).to.equal('help from epo2')
+      expect(lastRemoteCommandRequest(fabric).destinationTopic)
+        .to.equal(REMOTE_TOPIC_PREFIX + 'epo2')
+      // The "commands" services need not be queried
+      expect(fabric.getRequests(SERVICE_REGISTRY_QUERY_TOPIC))
+        .to.have.lengthOf(1)
+    })
+
+    it('uses the "commands" service of the ePO server', async function () {
+      addEpoService('epo1', EpoServiceType.REMOTE)
+      addEpoService('epo2', EpoServiceType.COMMANDS)
+      const client = new EpoClient(dxlClient, 'epo2')
+      expect(await client.runCommand('core.help')).to.equal('help from epo2')
+      expect(lastRemoteCommandRequest(fabric).destinationTopic)
+        .to.equal(COMMANDS_TOPIC_PREFIX + 'epo2/remote/core/help')
+    })
+
+    it('prefers the "remote" service of an ePO server with both', async function () {
+      addEpoService('epo1', EpoServiceType.COMMANDS)
+      addEpoService('epo1', EpoServiceType.REMOTE)
+      const client = new EpoClient(dxlClient, 'epo1')
+      await client.runCommand('core.help')
+      expect(lastRemoteCommandRequest(fabric).destinationTopic)
+        .to.equal(REMOTE_TOPIC_PREFIX + 'epo1')
+    })
+
+    it('fails if the ePO server is not registered', async function () {
+      addEpoService('epo1', EpoServiceType.REMOTE)
+      addEpoService('epo2', EpoServiceType.COMMANDS)
+      const error = await getError(new EpoClient(dxlClient, 'epo3')
+        .runCommand('core.help'))
+      expect(error).to.be.an.instanceof(EpoServiceNotFoundError)
+      expect(error.message).to.equal(
+        'No ePO DXL services are registered with the DXL fabric for id: epo3')
+      expect(error.epoUniqueId).to.equal('epo3')
+      expect(error.commandName).to.equal('core.help')
+      expect(error.requestTopic).to.equal(SERVICE_REGISTRY_QUERY_TOPIC)
+    })
+  })
+
+  describe('#_isEpoUniqueIdForCommandsService', function () {
+    let client
+
+    beforeEach(function () {
+      addEpoService('remote1', EpoServiceType.REMOTE)
+      addEpoService('commands1', EpoServiceType.COMMANDS)
+      client = new EpoClient(dxlClient, 'remote1')
+    })
+
+    it('returns false for an ePO server with a "remote" service', async function () {
+      const result = await invoke(client._isEpoUniqueIdForCommandsService,
+        client, 'remote1')
+      expect(result).to.deep.equal([null, false])
+    })
+
+    it('returns true for an ePO server with a "commands" service', async function () {
+      const result = await invoke(client._isEpoUniqueIdForCommandsService,
+        client, 'commands1')
+      expect(result).to.deep.equal([null, true])
+    })
+
+    it('delivers an error for an unknown ePO server', async function () {
+      const result = await invoke(client._isEpoUniqueIdForCommandsService,
+        client, 'unknown')
+      expect(result[0]).to.be.an.instanceof(EpoServiceNotFoundError)
+      expect(result[1]).to.equal(false)
+    })
+
+    it('delivers an error from the "remote" service lookup', async function () {
+      failRegistryQueries(fabric, EpoServiceType.REMOTE,
+        new Error('remote lookup failure'))
+      const result = await invoke(client._isEpoUniqueIdForCommandsService,
+        client, 'commands1')
+      expect(result[0].message).to.equal('remote lookup failure')
+      expect(result[1]).to.equal(false)
+    })
+
+    it('delivers an error from the "commands" service lookup', async function () {
+      failRegistryQueries(fabric, EpoServiceType.COMMANDS,
+        new Error('commands lookup failure'))
+      const result = await invoke(client._isEpoUniqueIdForCommandsService,
+        client, 'commands1')
+      expect(result[0].message).to.equal('commands lookup failure')
+      expect(result[1]).to.equal(false)
+    })
+  })
+
+  describe('#_invokeEpoCommandsService', function () {
+    let client
+
+    beforeEach(function () {
+      fabric.addRequestCallback(COMMANDS_TOPIC_PREFIX + 'epo1/remote/a/b.c',
+        function (request, respond) {
+          respond('"ok"')
+        })
+      addEpoService('epo1', EpoServiceType.COMMANDS)
+      client = new EpoClient(dxlClient, 'epo1')
+    })
+
+    it('sends the command to the topic for its name', async function () {
+      const result = await invoke(client._invokeEpoCommandsService, client,
+        'system.find', OutputFormat.OBJECT, { searchText: 'mySystem' })
+      expect(result).to.deep.equal(
+        [null, [{ name: 'mySystem', epo: 'epo1' }]])
+      const request = lastRemoteCommandRequest(fabric)
+      expect(request.destinationTopic)
+        .to.equal(COMMANDS_TOPIC_PREFIX + 'epo1/remote/system/find')
+      expect(MessageUtils.jsonPayloadToObject(request))
+        .to.deep.equal({ searchText: 'mySystem' })
+    })
+
+    it('replaces only the first dot of the command name', async function () {
+      const result = await invoke(client._invokeEpoCommandsService, client,
+        'a.b.c', OutputFormat.OBJECT, {})
+      expect(result).to.deep.equal([null, 'ok'])
+    })
+
+    it('requests the ePO output type without changing the params', async function () {
+      const params = { searchText: 'mySystem' }
+      await invoke(client._invokeEpoCommandsService, client, 'system.find',
+        OutputFormat.TERSE, params)
+      expect(MessageUtils.jsonPayloadToObject(lastRemoteCommandRequest(fabric)))
+        .to.deep.equal({ searchText: 'mySystem', ':output': 'terse' })
+      expect(params).to.deep.equal({ searchText: 'mySystem' })
+    })
+
+    it('fails if the ePO unique identifier has not been determined', async function () {
+      const undeterminedClient = new EpoClient(dxlClient)
+      const result = await invoke(
+        undeterminedClient._invokeEpoCommandsService, undeterminedClient,
+        'core.help', OutputFormat.OBJECT, {})
+      expect(result[0]).to.be.an.instanceof(EpoServiceNotFoundError)
+      expect(result[0].message)
+        .to.equal('ePO unique identifier not yet determined')
+      expect(lastRemoteCommandRequest(fabric)).to.equal(undefined)
+    })
+  })
+
+  describe('output formats', function () {
+    const systems = [{ name: 'mySystem', ip: '10.0.0.1' }]
+    const systemsJson = JSON.stringify(systems)
+    const nativeOutput = {
+      xml: '<result><name>mySystem</name></result>',
+      terse: 'name: mySystem',
+      verbose: 'System name: mySystem'
+    }
+
+    const serviceNames = {}
+    serviceNames[EpoServiceType.REMOTE] = '"remote" service'
+    serviceNames[EpoServiceType.COMMANDS] = '"commands" service'
+
+    Object.keys(serviceNames).forEach(function (serviceType) {
+      describe(serviceNames[serviceType], function () {
+        let epoService
+        let client
+
+        beforeEach(function () {
+          epoService = fabric.addEpoService('epo1', { serviceType })
+          epoService.setCommand('system.find', function (params, invocation) {
+            if (invocation.output === 'json') {
+              return systems
+            }
+            return nativeOutput[invocation.output]
+          })
+          client = new EpoClient(dxlClient, 'epo1')
+        })
+
+        function run (outputFormat) {
+          return client.runCommand('system.find',
+            { params: { searchText: 'mySystem' }, outputFormat })
+        }
+
+        it('decodes the object output format by default', async function () {
+          expect(await client.runCommand('system.find'))
+            .to.deep.equal(systems)
+          expect(epoService.invocations[0].output).to.equal('json')
+        })
+
+        it('returns the object output format', async function () {
+          expect(await run(OutputFormat.OBJECT)).to.deep.equal(systems)
+        })
+
+        it('returns the string output format', async function () {
+          expect(await run(OutputFormat.STRING)).to.equal(systemsJson)
+          expect(epoService.invocations[0].output).to.equal('json')
+        })
+
+        it('returns the binary output format', async function () {
+          const result = await run(OutputFormat.BINARY)
+          expect(Buffer.isBuffer(result)).to.equal(true)
+          expect(result.toString()).to.equal(systemsJson)
+          expect(epoService.invocations[0].output).to.equal('json')
+        })
+
+        it('returns the csv output format', async function () {
+          expect(await run(OutputFormat.CSV))
+            .to.equal('name,ip\r\nmySystem,10.0.0.1')
+          expect(epoService.invocations[0].output).to.equal('json')
+        })
+
+        Object.keys(nativeOutput).forEach(function (outputFormat) {
+          it('returns the ' + outputFormat + ' output format produced by ePO', async function () {
+            expect(await run(outputFormat))
+              .to.equal(nativeOutput[outputFormat])
+            expect(epoService.invocations[0].output).to.equal(outputFormat)
+            expect(epoService.invocations[0].params)
+              .to.deep.equal({ searchText: 'mySystem' })
+          })
+        })
+
+        it('rejects an unknown output format', function () {
+          expect(function () {
+            run('json')
+          }).to.throw(TypeError, 'Invalid output format: json')
+        })
+      })
+    })
+  })
+
+  describe('timeouts and cancellation', function () {
+    let epoService
+    let client
+
+    beforeEach(function () {
+      epoService = addEpoService('epo1', EpoServiceType.REMOTE)
+      client = new EpoClient(dxlClient, 'epo1')
+    })
+
+    // Runs a command, recording each invocation of its callback
+    function runCommand (options) {
+      const results = []
+      const settled = new Promise(function (resolve) {
+        client.runCommand('core.help', Object.assign({
+          responseCallback: function (error, result) {
+            results.push([error, result])
+            resolve()
+          }
+        }, options))
+      })
+      return { results, settled }
+    }
+
+    function wait (delay) {
+      return new Promise(function (resolve) {
+        setTimeout(resolve, delay)
+      })
+    }
+
+    it('rejects a timeout which a timer does not support', function () {
+      const invalidTimeouts = [-1, NaN, Infinity, 2147483648, 3e9, '100']
+      invalidTimeouts.forEach(function (timeout) {
+        expect(function () {
+          return new EpoClient(dxlClient, 'epo1', { timeout })
+        }).to.throw(TypeError, 'Invalid timeout: ' + timeout)
+        expect(function () {
+          client.runCommand('core.help', { timeout })
+        }).to.throw(TypeError, 'Invalid timeout: ' + timeout)
+      })
+      expect(epoService.invocations).to.have.lengthOf(0)
+    })
+
+    it('accepts the longest timeout which a timer supports', async function () {
+      expect(await client.runCommand('core.help', { timeout: 2147483647 }))
+        .to.equal('help from epo1')
+    })
+
+    it('ignores a response which arrives after the timeout', async function () {
+      epoService.delay = 40
+      const command = runCommand({ timeout: 10 })
+      await command.settled
+      expect(command.results[0][0]).to.be.an.instanceof(EpoTimeoutError)
+      expect(command.results[0][0].commandName).to.equal('core.help')
+      expect(command.results[0][0].epoUniqueId).to.equal('epo1')
+      await wait(60)
+      expect(epoService.invocations).to.have.lengthOf(1)
+      expect(command.results).to.have.lengthOf(1)
+    })
+
+    it('delivers an EpoAbortError when the signal is aborted', async function () {
+      epoService.delay = 40
+      const controller = new AbortController()
+      const command = runCommand({ signal: controller.signal })
+      await wait(10)
+      expect(epoService.invocations).to.have.lengthOf(1)
+      controller.abort('no longer needed')
+      await command.settled
+      const error = command.results[0][0]
+      expect(error).to.be.an.instanceof(EpoAbortError)
+      expect(error.reason).to.equal('no longer needed')
+      expect(error.commandName).to.equal('core.help')
+      expect(error.requestTopic).to.equal(REMOTE_TOPIC_PREFIX + 'epo1')
+
+      // The response is ignored once the command has been aborted
+      await wait(60)
+      expect(command.results).to.have.lengthOf(1)
+    })
+
+    it('does not send a command whose signal is already aborted', async function () {
+      const controller = new AbortController()
+      controller.abort()
+      const error = await getError(client.runCommand('core.help',
+        { signal: controller.signal }))
+      expect(error).to.be.an.instanceof(EpoAbortError)
+      expect(fabric.requests).to.have.lengthOf(0)
+    })
+
+    it('does not retry a command which is aborted while waiting to retry', async function () {
+      fabric.addRequestCallback(REMOTE_TOPIC_PREFIX + 'epo1',
+        function (request, respond) {
+          const failure = new Error('unable to locate service for request')
+          failure.code = 0x80000001
+          respond(failure)
+        })
+      const controller = new AbortController()
+      const command = runCommand({
+        signal: controller.signal,
+        retry: { attempts: 3, initialDelay: 20 }
+      })
+      await wait(10)
+      controller.abort()
+      await command.settled
+      expect(command.results[0][0]).to.be.an.instanceof(EpoAbortError)
+      await wait(40)
+      expect(fabric.getRequests(REMOTE_TOPIC_PREFIX + 'epo1'))
+        .to.have.lengthOf(1)
+      expect(command.results).to.have.lengthOf(1)
+    })
+  })
+
+  describe('normalized results', function () {
+    const systems = [{ name: 'mySystem', ip: '10.0.0.1' }]
+    let client
+
+    beforeEach(function () {
+      client = new EpoClient(dxlClient, 'epo1', { normalize: true })
+    })
+
+    function respondWith (serviceType, text) {
+      const epoService = fabric.addEpoService('epo1', { serviceType })
+      epoService.setCommand('system.find', 'unused')
+      let topic = REMOTE_TOPIC_PREFIX + 'epo1'
+      if (serviceType === EpoServiceType.COMMANDS) {
+        topic = COMMANDS_TOPIC_PREFIX + 'epo1/remote/system/find'
+      }
+      fabric.addRequestCallback(topic, function (request, respond) {
+        respond(text)
+      })
+      return topic
+    }
+
+    it('decodes JSON after an "OK:" status line', async function () {
+      const topic = respondWith(EpoServiceType.REMOTE,
+        'OK:\r\n' + JSON.stringify(systems))
+      const result = await client.runCommand('system.find')
+      expect(result.data).to.deep.equal(systems)
+      expect(result.metadata).to.deep.equal({
+        serviceType: EpoServiceType.REMOTE,
+        requestTopic: topic,
+        epoUniqueId: 'epo1',
+        commandName: 'system.find'
+      })
+    })
+
+    it('decodes JSON which is encoded in a JSON string', async function () {
+      respondWith(EpoServiceType.COMMANDS,
+        JSON.stringify(JSON.stringify(systems)))
+      const result = await client.runCommand('system.find')
+      expect(result.data).to.deep.equal(systems)
+      expect(result.metadata.serviceType).to.equal(EpoServiceType.COMMANDS)
+    })
+
+    it('returns the trimmed text of output which is not JSON', async function () {
+      respondWith(EpoServiceType.REMOTE, 'OK:\n  Wakeup call sent  \n')
+      expect((await client.runCommand('system.find')).data)
+        .to.equal('Wakeup call sent')
+    })
+
+    it('returns a JSON string which does not contain JSON', async function () {
+      respondWith(EpoServiceType.COMMANDS, JSON.stringify('Wakeup call sent'))
+      expect((await client.runCommand('system.find')).data)
+        .to.equal('Wakeup call sent')
+    })
+
+    it('encodes the csv output format from the decoded JSON', async function () {
+      respondWith(EpoServiceType.REMOTE, 'OK:\n' + JSON.stringify(systems))
+      expect((await client.runCommand('system.find',
+        { outputFormat: OutputFormat.CSV })).data)
+        .to.equal('name,ip\r\nmySystem,10.0.0.1')
+    })
+
+    it('removes the status line from the string output format', async function () {
+      respondWith(EpoServiceType.REMOTE, 'OK:\nname: mySystem')
+      expect((await client.runCommand('system.find',
+        { outputFormat: OutputFormat.TERSE })).data)
+        .to.equal('name: mySystem')
+    })
+
+    it('returns the binary output format unchanged', async function () {
+      respondWith(EpoServiceType.REMOTE, 'OK:\n[]')
+      const result = await client.runCommand('system.find',
+        { outputFormat: OutputFormat.BINARY })
+      expect(result.data.toString()).to.equal('OK:\n[]')
+    })
+
+    it('is overridden by the normalize option of a command', async function () {
+      respondWith(EpoServiceType.REMOTE, JSON.stringify(systems))
+      expect(await client.runCommand('system.find', { normalize: false }))
+        .to.deep.equal(systems)
+    })
+  })
+
+  describe('help and command catalog', function () {
+    const helpLines = [
+      'core.help [command] [prefix=<>] - Lists all registered commands',
+      'system.find searchText - Finds systems in the System Tree'
+    ]
+    let epoService
+    let client
+
+    beforeEach(function () {
+      epoService = addEpoService('epo1', EpoServiceType.REMOTE)
+      epoService.setCommand('core.help', helpLines)
+      client = new EpoClient(dxlClient, 'epo1', { normalize: true })
+    })
+
+    it('returns the help text, whatever the normalize default', async function () {
+      expect(await client.help()).to.equal(helpLines.join(os.EOL))
+    })
+
+    it('returns a catalog of the commands, whatever the normalize default', async function () {
+      const catalog = await client.getCommandCatalog()
+      expect(catalog.hasCommand('system.find')).to.equal(true)
+    })
+
+    it('reuses the catalog until it is refreshed', async function () {
+      const catalog = await client.getCommandCatalog()
+      expect(await client.getCommandCatalog()).to.equal(catalog)
+      expect(await invoke(client.getCommandCatalog, client))
+        .to.deep.equal([null, catalog])
+      expect(epoService.getInvocations('core.help')).to.have.lengthOf(1)
+
+      epoService.setCommand('core.help',
+        helpLines.concat('system.delete names - Deletes systems'))
+      const refreshed = await client.getCommandCatalog({ refresh: true })
+      expect(refreshed).to.not.equal(catalog)
+      expect(refreshed.hasCommand('system.delete')).to.equal(true)
+      expect(await client.getCommandCatalog()).to.equal(refreshed)
+      expect(epoService.getInvocations('core.help')).to.have.lengthOf(2)
+    })
+
+    it('caches a catalog for each ePO server', async function () {
+      const otherService = addEpoService('epo2', EpoServiceType.REMOTE)
+      otherService.setCommand('core.help',
+        ['system.delete names - Deletes systems'])
+      const otherClient = new EpoClient(dxlClient, 'epo2')
+      const otherCatalog = await otherClient.getCommandCatalog()
+      expect(otherCatalog.getCommandNames()).to.deep.equal(['system.delete'])
+      expect((await client.getCommandCatalog()).getCommandNames())
+        .to.deep.equal(['core.help', 'system.find'])
+      expect(await otherClient.getCommandCatalog()).to.equal(otherCatalog)
+    })
+
+    it('retrieves the catalog again once a different ePO server is discovered', async function () {
+      const discoveringClient = new EpoClient(dxlClient)
+      const catalog = await discoveringClient.getCommandCatalog()
+      expect(catalog.hasCommand('system.find')).to.equal(true)
+
+      epoService.unregister()
+      const otherService = addEpoService('epo2', EpoServiceType.REMOTE)
+      otherService.setCommand('core.help',
+        ['system.delete names - Deletes systems'])
+      expect(await getError(discoveringClient.runCommand('core.help')))
+        .to.be.an.instanceof(EpoServiceNotFoundError)
+      const otherCatalog = await discoveringClient.getCommandCatalog()
+      expect(otherCatalog.getCommandNames()).to.deep.equal(['system.delete'])
+      expect(otherService.getInvocations('core.help')).to.have.lengthOf(1)
+      expect(epoService.getInvocations('core.help')).to.have.lengthOf(1)
+    })
+
+    it('does not cache a catalog which cannot be retrieved', async function () {
+      epoService.setCommand('core.help', 'help text')
+      await getError(client.getCommandCatalog())
+      epoService.setCommand('core.help', helpLines)
+      expect((await client.getCommandCatalog()).hasCommand('system.find'))
+        .to.equal(true)
+    })
+
+    it('delivers an EpoResponseParseError for help which is not an array', async function () {
+      epoService.setCommand('core.help', 'help text')
+      const helpError = await getError(client.help())
+      expect(helpError).to.be.an.instanceof(EpoResponseParseError)
+      expect(helpError.commandName).to.equal('core.help')
+      expect(helpError.epoUniqueId).to.equal('epo1')
+      const catalogError = await getError(client.getCommandCatalog())
+      expect(catalogError).to.be.an.instanceof(EpoResponseParseError)
+    })
+
+    it('delivers an EpoResponseParseError for help which is not JSON', async function () {
+      fabric.addRequestCallback(REMOTE_TOPIC_PREFIX + 'epo1',
+        function (request, respond) {
+          respond('OK:\nnot json')
+        })
+      expect(await getError(client.help()))
+        .to.be.an.instanceof(EpoResponseParseError)
+      expect(await getError(client.getCommandCatalog()))
+        .to.be.an.instanceof(EpoResponseParseError)
+    })
+  })
+
+  describe('command helpers', function () {
+    let epoService
+    let client
+
+    beforeEach(function () {
+      epoService = addEpoService('epo1', EpoServiceType.REMOTE)
+      client = new EpoClient(dxlClient, 'epo1')
+    })
+
+    function lastInvocation () {
+      return epoService.invocations[epoService.invocations.length - 1]
+    }
+
+    const helpers = [
+      {
+        commandName: 'system.find',
+        invoke: function () {
+          return client.findSystems('mySystem',
+            { searchNameOnly: true, timeout: 1000 })
+        },
+        params: { searchText: 'mySystem', searchNameOnly: true },
+        output: { name: 'mySystem' },
+        result: [{ name: 'mySystem' }]
+      },
+      {
+        commandName: 'system.applyTag',
+        invoke: function () {
+          return client.applyTag([' system1', 'system2 '], 'myTag')
+        },
+        params: { names: 'system1,system2', tagName: 'myTag' },
+        output: '2',
+        result: 2
+      },
+      {
+        commandName: 'system.clearTag',
+        invoke: function () {
+          return client.clearTag('system1', 'myTag', { all: false })
+        },
+        params: { names: 'system1', tagName: 'myTag', all: false },
+        output: 1,
+        result: 1
+      },
+      {
+        commandName: 'system.wakeupAgent',
+        invoke: function () {
+          return client.wakeupAgent('system1',
+            { fullProps: true, randomMinutes: 0 })
+        },
+        params: { names: 'system1', fullProps: true, randomMinutes: 0 },
+        output: 'completed: 1\nfailed: 0\nexpired: 0',
+        result: {
+          completed: 1,
+          failed: 0,
+          expired: 0,
+          message: 'completed: 1\nfailed: 0\nexpired: 0'
+        }
+      },
+      {
+        commandName: 'clienttask.find',
+        invoke: function () {
+          return client.findClientTasks()
+        },
+        params: {},
+        output: '',
+        result: []
+      },
+      {
+        commandName: 'clienttask.run',
+        invoke: function () {
+          return client.runClientTask(['system1'], 'EPOAGENTMETA', 5,
+            { retryAttempts: 3, useAllAgentHandlers: true })
+        },
+        params: {
+          names: 'system1',
+          productId: 'EPOAGENTMETA',
+          taskId: 5,
+          retryAttempts: 3,
+          useAllAgentHandlers: true
+        },
+        output: ' Succeeded ',
+        result: 'Succeeded'
+      },
+      {
+        commandName: 'policy.find',
+        invoke: function () {
+          return client.findPolicies('myPolicy')
+        },
+        params: { searchText: 'myPolicy' },
+        output: [{ objectId: 1 }],
+        result: [{ objectId: 1 }]
+      },
+      {
+        commandName: 'policy.assignToSystem',
+        invoke: function () {
+          return client.assignPolicyToSystem('1, 2', 'ENDP_AM_1000', 3, 4,
+            { resetInheritance: true })
+        },
+        params: {
+          ids: '1,2',
+          productId: 'ENDP_AM_1000',
+          typeId: 3,
+          objectId: 4,
+          resetInheritance: true
+        },
+        output: 'Assigned',
+        result: 'Assigned'
+      },
+      {
+        commandName: 'repository.find',
+        invoke: function () {
+          return client.findRepositories(null)
+        },
+        params: {},
+        output: [],
+        result: []
+      },
+      {
+        commandName: 'core.executeQuery',
+        invoke: function () {
+          return client.executeQuery({
+            target: 'EPOLeafNode',
+            select: '(select EPOLeafNode.NodeName)',
+            where: null,
+            depth: 2
+          })
+        },
+        params: {
+          target: 'EPOLeafNode',
+          select: '(select EPOLeafNode.NodeName)',
+          depth: 2
+        },
+        output: [{ 'EPOLeafNode.NodeName': 'system1' }],
+        result: [{ 'EPOLeafNode.NodeName': 'system1' }]
+      }
+    ]
+
+    helpers.forEach(function (helper) {
+      it('invokes ' + helper.commandName + ' with its parameters', async function () {
+        epoService.setCommand(helper.commandName, helper.output)
+        expect(await helper.invoke()).to.deep.equal(helper.result)
+        const invocation = lastInvocation()
+        expect(invocation.command).to.equal(helper.commandName)
+        expect(invocation.params).to.deep.equal(helper.params)
+      })
+    })
+
+    it('leaves out optional parameters which are not supplied', async function () {
+      epoService.setCommand('system.wakeupAgent', 'completed: 1')
+      await client.wakeupAgent('system1', {
+        fullProps: undefined,
+        superAgent: null,
+        attempts: undefined
+      })
+      expect(lastInvocation().params).to.deep.equal({ names: 'system1' })
+
+      epoService.setCommand('clienttask.run', 'Succeeded')
+      await client.runClientTask('system1', 'EPOAGENTMETA', '5',
+        { stopAfterMinutes: undefined })
+      expect(lastInvocation().params).to.deep.equal(
+        { names: 'system1', productId: 'EPOAGENTMETA', taskId: '5' })
+    })
+
+    it('does not send the options which are not command parameters', async function () {
+      await client.findSystems('mySystem',
+        { timeout: 1000, retry: { attempts: 1 } })
+      expect(lastInvocation().params).to.deep.equal({ searchText: 'mySystem' })
+    })
+
+    it('delivers the result to a callback', async function () {
+      const args = await invoke(client.findSystems, client, 'mySystem')
+      expect(args).to.deep.equal(
+        [null, [{ name: 'mySystem', epo: 'epo1' }]])
+    })
+
+    it('rejects optional parameters of the wrong type', function () {
+      expect(function () {
+        client.findSystems('mySystem', { searchNameOnly: 'yes' })
+      }).to.throw(TypeError, 'Invalid searchNameOnly: yes')
+      expect(function () {
+        client.wakeupAgent('system1', { randomMinutes: NaN })
+      }).to.throw(TypeError, 'Invalid randomMinutes: NaN')
+      expect(function () {
+        client.executeQuery({ target: 'EPOLeafNode', depth: '2' })
+      }).to.throw(TypeError, 'Invalid depth: 2')
+      expect(epoService.invocations).to.have.lengthOf(0)
+    })
+  })
+
+  describe('error handling', function () {
+    let epoService
+    let client
+
+    beforeEach(function () {
+      epoService = addEpoService('epo1', EpoServiceType.REMOTE)
+      client = new EpoClient(dxlClient, 'epo1')
+    })
+
+    it('delivers an ePO error as an EpoCommandError', async function () {
+      epoService.setCommand('system.find', function () {
+        const failure = new Error('Invalid search text')
+        failure.code = 3
+        throw failure
+      })
+      const error = await getError(client.runCommand('system.find'))
+      expect(error).to.be.an.instanceof(EpoCommandError)
+      expect(error.epoErrorCode).to.equal(3)
+      expect(error.epoErrorMessage).to.equal('Invalid search text')
+      expect(error.commandName).to.equal('system.find')
+      expect(error.epoUniqueId).to.equal('epo1')
+      expect(error.requestTopic).to.equal(REMOTE_TOPIC_PREFIX + 'epo1')
+    })
+
+    it('delivers a DXL error response as an EpoCommandError', async function () {
+      fabric.addRequestCallback(REMOTE_TOPIC_PREFIX + 'epo1',
+        function (request, respond) {
+          respond(new Error('Error 7 : Service failure'))
+        })
+      const error = await getError(client.runCommand('core.help'))
+      expect(error).to.be.an.instanceof(EpoCommandError)
+      expect(error.epoErrorCode).to.equal(7)
+      expect(error.cause).to.be.an.instanceof(dxl.MessageError)
+    })
+
+    it('parses a negative error code and a message over many lines', async function () {
+      fabric.addRequestCallback(REMOTE_TOPIC_PREFIX + 'epo1',
+        function (request, respond) {
+          respond('  Error -1:Invalid parameter\nsearchText is required\n')
+        })
+      const error = await getError(client.runCommand('system.find'))
+      expect(error).to.be.an.instanceof(EpoCommandError)
+      expect(error.epoErrorCode).to.equal(-1)
+      expect(error.epoErrorMessage)
+        .to.equal('Invalid parameter\nsearchText is required')
+      expect(error.message)
+        .to.equal('Error -1:Invalid parameter\nsearchText is required')
+      expect(error.commandName).to.equal('system.find')
+    })
+
+    it('does not treat output which mentions an error as an ePO error', async function () {
+      fabric.addRequestCallback(REMOTE_TOPIC_PREFIX + 'epo1',
+        function (request, respond) {
+          respond('Last result: Error 1 : none')
+        })
+      expect(await client.runCommand('core.help',
+        { outputFormat: OutputFormat.STRING }))
+        .to.equal('Last result: Error 1 : none')
+    })
+
+    it('delivers a DXL error response without an ePO error code as an EpoCommandError', async function () {
+      fabric.addRequestCallback(REMOTE_TOPIC_PREFIX + 'epo1',
+        function (request, respond) {
+          respond(new Error('Service failure'))
+        })
+      const error = await getError(client.runCommand('core.help'))
+      expect(error).to.be.an.instanceof(EpoCommandError)
+      expect(error.epoErrorCode).to.equal(null)
+      expect(error.epoErrorMessage).to.equal('Service failure')
+      expect(error.requestTopic).to.equal(REMOTE_TOPIC_PREFIX + 'epo1')
+      expect(error.commandName).to.equal('core.help')
+      expect(error.epoUniqueId).to.equal('epo1')
+    })
+
+    it('delivers a "service unavailable" DXL error as an EpoServiceNotFoundError', async function () {
+      fabric.addRequestCallback(REMOTE_TOPIC_PREFIX + 'epo1',
+        function (request, respond) {
+          const failure = new Error('unable to locate service for request')
+          failure.code = 0x80000001
+          respond(failure)
+        })
+      const error = await getError(client.runCommand('core.help'))
+      expect(error).to.be.an.instanceof(EpoServiceNotFoundError)
+      expect(error.cause).to.be.an.instanceof(dxl.MessageError)
+      expect(error.requestTopic).to.equal(REMOTE_TOPIC_PREFIX + 'epo1')
+      expect(error.commandName).to.equal('core.help')
+      expect(error.epoUniqueId).to.equal('epo1')
+    })
+
+    it('fills in the command details of an EpoResponseParseError', async function () {
+      fabric.addRequestCallback(REMOTE_TOPIC_PREFIX + 'epo1',
+        function (request, respond) {
+          respond('not json')
+        })
+      const error = await getError(client.runCommand('core.help'))
+      expect(error).to.be.an.instanceof(EpoResponseParseError)
+      expect(error.requestTopic).to.equal(REMOTE_TOPIC_PREFIX + 'epo1')
+      expect(error.commandName).to.equal('core.help')
+      expect(error.epoUniqueId).to.equal('epo1')
+    })
+
+    it('delivers an error which is not from the DXL fabric as-is', async function () {
+      await client.runCommand('core.help')
+      const failure = new Error('Client is not connected')
+      dxlClient.asyncRequest = function (request, responseCallback) {
+        setImmediate(function () {
+          responseCallback(failure, null)
+        })
+      }
+      expect(await getError(client.runCommand('core.help'))).to.equal(failure)
+    })
+
+    it('delivers an undecodable response as an EpoResponseParseError', async function () {
+      fabric.addRequestCallback(REMOTE_TOPIC_PREFIX + 'epo1',
+        function (request, respond) {
+          respond('not json')
+        })
+      const error = await getError(client.runCommand('core.help'))
+      expect(error).to.be.an.instanceof(EpoResponseParseError)
+      expect(error.cause).to.be.an.instanceof(SyntaxError)
+      expect(await client.runCommand('core.help',
+        { outputFormat: OutputFormat.STRING })).to.equal('not json')
+    })
+
+    it('delivers an EpoTimeoutError if the service is too slow', async function () {
+      epoService.delay = 200
+      const error = await getError(client.runCommand('core.help',
+        { timeout: 20 }))
+      expect(error).to.be.an.instanceof(EpoTimeoutError)
+      expect(error.timeout).to.equal(20)
+    })
+
+    it('determines the service again once it is unregistered', async function () {
+      expect(await client.runCommand('core.help')).to.equal('help from epo1')
+      epoService.unregister()
+      const error = await getError(client.runCommand('core.help'))
+      expect(error).to.be.an.instanceof(EpoServiceNotFoundError)
+      expect(error.epoUniqueId).to.equal('epo1')
+
+      addEpoService('epo1', EpoServiceType.COMMANDS)
+      expect(await client.runCommand('core.help')).to.equal('help from epo1')
+      expect(lastRemoteCommandRequest(fabric).destinationTopic)
+        .to.equal(COMMANDS_TOPIC_PREFIX + 'epo1/remote/core/help')
+    })
+  })
+})
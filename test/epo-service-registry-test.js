@@ -0,0 +1,296 @@
+'use strict'
+
+const expect = require('chai').expect
+const dxl = require('@opendxl/dxl-client')
+const MessageUtils = require('@opendxl/dxl-bootstrap').MessageUtils
+const epoServiceRegistry = require('../lib/epo-service-registry')
+const EpoServiceType = require('../lib/epo-service-type')
+const MockDxlFabric = require('../lib/mock-dxl-fabric')
+
+const SERVICE_REGISTRY_QUERY_TOPIC =
+  epoServiceRegistry.DXL_SERVICE_REGISTRY_QUERY_TOPIC
+
+function lookup (lookupFunction, dxlClient) {
+  const args = Array.prototype.slice.call(arguments, 1)
+  return new Promise(function (resolve) {
+    lookupFunction.apply(null, args.concat(function () {
+      resolve(Array.prototype.slice.call(arguments))
+    }))
+  })
+}
+
+function registerRemoteService (fabric, requestChannels) {
+  return fabric.registerService({
+    serviceType: EpoServiceType.REMOTE,
+    requestChannels
+  })
+}
+
+function registerCommandsService (fabric, epoGuid) {
+  const metaData = {}
+  if (epoGuid) {
+    metaData.epoGuid = epoGuid
+  }
+  return fabric.registerService({
+    serviceType: EpoServiceType.COMMANDS,
+    requestChannels: [
+      '/mcafee/service/epo/command/' + epoGuid + '/remote/core/help'
+    ],
+    metaData
+  })
+}
+
+function failRegistryQueries (fabric, serviceType, error) {
+  const queryRegistry = fabric.getRequestCallback(SERVICE_REGISTRY_QUERY_TOPIC)
+  fabric.addRequestCallback(SERVICE_REGISTRY_QUERY_TOPIC,
+    function (request, respond) {
+      const query = MessageUtils.jsonPayloadToObject(request)
+      if (query.serviceType === serviceType) {
+        respond(error)
+      } else {
+        queryRegistry(request, respond)
+      }
+    })
+  return function () {
+    fabric.addRequestCallback(SERVICE_REGISTRY_QUERY_TOPIC, queryRegistry)
+  }
+}
+
+describe('epoServiceRegistry', function () {
+  let fabric
+  let dxlClient
+
+  beforeEach(function () {
+    fabric = new MockDxlFabric()
+    dxlClient = fabric.createClient()
+  })
+
+  describe('lookupEpoUniqueIdsForServiceType', function () {
+    const lookupEpoUniqueIdsForServiceType =
+      epoServiceRegistry.lookupEpoUniqueIdsForServiceType
+
+    it('queries the registry for the service type', async function () {
+      await lookup(lookupEpoUniqueIdsForServiceType, dxlClient,
+        EpoServiceType.REMOTE, function () {})
+      const requests = fabric.getRequests(SERVICE_REGISTRY_QUERY_TOPIC)
+      expect(requests).to.have.lengthOf(1)
+      expect(MessageUtils.jsonPayloadToObject(requests[0]))
+        .to.deep.equal({ serviceType: EpoServiceType.REMOTE })
+    })
+
+    it('returns no ids if no services are registered', async function () {
+      const result = await lookup(lookupEpoUniqueIdsForServiceType,
+        dxlClient, EpoServiceType.REMOTE, function () {
+          throw new Error('No services should be processed')
+        })
+      expect(result).to.deep.equal([null, []])
+    })
+
+    it('processes each service of the type', async function () {
+      fabric.registerService({ serviceGuid: 's1', serviceType: '/a' })
+      fabric.registerService({ serviceGuid: 's2', serviceType: '/a' })
+      fabric.registerService({ serviceGuid: 's3', serviceType: '/b' })
+      const processed = []
+      const result = await lookup(lookupEpoUniqueIdsForServiceType,
+        dxlClient, '/a', function (epoIds, service) {
+          processed.push(service.serviceGuid)
+          epoIds.push('epo-' + service.serviceGuid)
+        })
+      expect(processed).to.deep.equal(['s1', 's2'])
+      expect(result).to.deep.equal([null, ['epo-s1', 'epo-s2']])
+    })
+
+    it('appends ids returned by the callback only once', async function () {
+      fabric.registerService({ serviceType: '/a', metaData: { id: 'epo1' } })
+      fabric.registerService({ serviceType: '/a', metaData: { id: 'epo2' } })
+      fabric.registerService({ serviceType: '/a', metaData: { id: 'epo1' } })
+      const result = await lookup(lookupEpoUniqueIdsForServiceType,
+        dxlClient, '/a', function (epoIds, service) {
+          return service.metaData.id
+        })
+      expect(result).to.deep.equal([null, ['epo1', 'epo2']])
+    })
+
+    it('returns no ids for a response without services', async function () {
+      fabric.addRequestCallback(SERVICE_REGISTRY_QUERY_TOPIC,
+        function (request, respond) {
+          respond({})
+        })
+      const result = await lookup(lookupEpoUniqueIdsForServiceType,
+        dxlClient, '/a', function () {})
+      expect(result).to.deep.equal([null, []])
+    })
+
+    it('delivers a DXL error response from the registry', async function () {
+      fabric.addRequestCallback(SERVICE_REGISTRY_QUERY_TOPIC,
+        function (request, respond) {
+          respond(new Error('registry failure'))
+        })
+      const result = await lookup(lookupEpoUniqueIdsForServiceType,
+        dxlClient, '/a', function () {})
+      expect(result[0]).to.be.an.instanceof(dxl.MessageError)
+      expect(result[0].message).to.equal('registry failure')
+      expect(result[1]).to.equal(null)
+    })
+
+    it('delivers an error for a response which is not JSON', async function () {
+      fabric.addRequestCallback(SERVICE_REGISTRY_QUERY_TOPIC,
+        function (request, respond) {
+          respond('not json')
+        })
+      const result = await lookup(lookupEpoUniqueIdsForServiceType,
+        dxlClient, '/a', function () {})
+      expect(result[0]).to.be.an.instanceof(SyntaxError)
+    })
+
+    it('delivers an error thrown by the callback', async function () {
+      fabric.registerService({ serviceType: '/a' })
+      const failure = new Error('callback failure')
+      const result = await lookup(lookupEpoUniqueIdsForServiceType,
+        dxlClient, '/a', function () {
+          throw failure
+        })
+      expect(result[0]).to.equal(failure)
+    })
+  })
+
+  describe('lookupEpoRemoteServiceUniqueIds', function () {
+    const lookupEpoRemoteServiceUniqueIds =
+      epoServiceRegistry.lookupEpoRemoteServiceUniqueIds
+
+    it('returns no ids if no services are registered', async function () {
+      registerCommandsService(fabric, 'epo1')
+      const result = await lookup(lookupEpoRemoteServiceUniqueIds, dxlClient)
+      expect(result).to.deep.equal([null, []])
+    })
+
+    it('returns the id in the request topic of a service', async function () {
+      registerRemoteService(fabric, ['/mcafee/service/epo/remote/epo1'])
+      const result = await lookup(lookupEpoRemoteServiceUniqueIds, dxlClient)
+      expect(result).to.deep.equal([null, ['epo1']])
+    })
+
+    it('returns each id once for many services', async function () {
+      registerRemoteService(fabric, [
+        '/mcafee/service/epo/remote/epo1',
+        '/mcafee/service/epo/remote/epo2',
+        '/mcafee/service/epo/remote/epo1'
+      ])
+      registerRemoteService(fabric, [
+        '/mcafee/service/epo/remote/epo3',
+        '/mcafee/service/epo/remote/epo2'
+      ])
+      const result = await lookup(lookupEpoRemoteServiceUniqueIds, dxlClient)
+      expect(result[0]).to.equal(null)
+      expect(result[1]).to.have.members(['epo1', 'epo2', 'epo3'])
+      expect(result[1]).to.have.lengthOf(3)
+    })
+
+    it('ignores request topics of other services', async function () {
+      registerRemoteService(fabric, [
+        '/mcafee/service/epo/other/epo1',
+        '/mcafee/service/epo/remote/epo2'
+      ])
+      registerRemoteService(fabric)
+      const result = await lookup(lookupEpoRemoteServiceUniqueIds, dxlClient)
+      expect(result).to.deep.equal([null, ['epo2']])
+    })
+  })
+
+  describe('lookupEpoCommandsServiceUniqueIds', function () {
+    const lookupEpoCommandsServiceUniqueIds =
+      epoServiceRegistry.lookupEpoCommandsServiceUniqueIds
+
+    it('returns no ids if no services are registered', async function () {
+      registerRemoteService(fabric, ['/mcafee/service/epo/remote/epo1'])
+      const result = await lookup(lookupEpoCommandsServiceUniqueIds,
+        dxlClient)
+      expect(result).to.deep.equal([null, []])
+    })
+
+    it('returns the epoGuid of each service once', async function () {
+      registerCommandsService(fabric, 'epo1')
+      registerCommandsService(fabric, 'epo2')
+      registerCommandsService(fabric, 'epo1')
+      registerCommandsService(fabric)
+      const result = await lookup(lookupEpoCommandsServiceUniqueIds,
+        dxlClient)
+      expect(result[0]).to.equal(null)
+      expect(result[1]).to.have.members(['epo1', 'epo2'])
+      expect(result[1]).to.have.lengthOf(2)
+    })
+  })
+
+  describe('lookupEpoUniqueIdentifiers', function () {
+    const lookupEpoUniqueIdentifiers =
+      epoServiceRegistry.lookupEpoUniqueIdentifiers
+
+    it('returns no ids if no services are registered', async function () {
+      const result = await lookup(lookupEpoUniqueIdentifiers, dxlClient)
+      expect(result[0]).to.equal(null)
+      expect(result[1]).to.deep.equal([])
+    })
+
+    it('selects the "remote" service for a single remote server', async function () {
+      registerRemoteService(fabric, ['/mcafee/service/epo/remote/epo1'])
+      const result = await lookup(lookupEpoUniqueIdentifiers, dxlClient)
+      expect(result).to.deep.equal([null, ['epo1'], false])
+    })
+
+    it('selects the "commands" service for a single commands server', async function () {
+      registerCommandsService(fabric, 'epo1')
+      const result = await lookup(lookupEpoUniqueIdentifiers, dxlClient)
+      expect(result).to.deep.equal([null, ['epo1'], true])
+    })
+
+    it('selects the "remote" service for a server exposed by both', async function () {
+      registerCommandsService(fabric, 'epo1')
+      registerRemoteService(fabric, ['/mcafee/service/epo/remote/epo1'])
+      const result = await lookup(lookupEpoUniqueIdentifiers, dxlClient)
+      expect(result).to.deep.equal([null, ['epo1'], false])
+    })
+
+    it('returns the sorted ids of many commands servers', async function () {
+      registerCommandsService(fabric, 'epo3')
+      registerCommandsService(fabric, 'epo1')
+      registerCommandsService(fabric, 'epo2')
+      const result = await lookup(lookupEpoUniqueIdentifiers, dxlClient)
+      expect(result).to.deep.equal([null, ['epo1', 'epo2', 'epo3'], true])
+    })
+
+    it('returns the sorted ids of mixed remote and commands servers', async function () {
+      // The service choice applies to all of the ids together: "remote" is
+      // selected if any "remote" service is registered. The client only uses
+      // the choice when a single ePO server is found, for which it is
+      // always correct.
+      registerCommandsService(fabric, 'epo3')
+      registerCommandsService(fabric, 'epo1')
+      registerRemoteService(fabric, [
+        '/mcafee/service/epo/remote/epo2',
+        '/mcafee/service/epo/remote/epo1'
+      ])
+      const result = await lookup(lookupEpoUniqueIdentifiers, dxlClient)
+      expect(result).to.deep.equal([null, ['epo1', 'epo2', 'epo3'], false])
+    })
+
+    it('delivers an error from the "remote" service lookup', async function () {
+      registerCommandsService(fabric, 'epo1')
+      failRegistryQueries(fabric, EpoServiceType.REMOTE,
+        new Error('remote lookup failure'))
+      const result = await lookup(lookupEpoUniqueIdentifiers, dxlClient)
+      expect(result).to.have.lengthOf(1)
+      expect(result[0].message).to.equal('remote lookup failure')
+      expect(fabric.getRequests(SERVICE_REGISTRY_QUERY_TOPIC))
+        .to.have.lengthOf(1)
+    })
+
+    it('delivers an error from the "commands" service lookup', async function () {
+      registerRemoteService(fabric, ['/mcafee/service/epo/remote/epo1'])
+      failRegistryQueries(fabric, EpoServiceType.COMMANDS,
+        new Error('commands lookup failure'))
+      const result = await lookup(lookupEpoUniqueIdentifiers, dxlClient)
+      expect(result).to.have.lengthOf(1)
+      expect(result[0].message).to.equal('commands lookup failure')
+    })
+  })
+})
@@ -0,0 +1,225 @@
+'use strict'
+
+const expect = require('chai').expect
+const EpoServiceType = require('../lib/epo-service-type')
+const EpoServiceWatcher = require('../lib/epo-service-watcher')
+const MockDxlFabric = require('../lib/mock-dxl-fabric')
+
+const SERVICE_REGISTRY_QUERY_TOPIC = '/mcafee/service/dxl/svcregistry/query'
+const SERVICE_REGISTER_EVENT_TOPIC = '/mcafee/event/dxl/svcregistry/register'
+const SERVICE_UNREGISTER_EVENT_TOPIC =
+  '/mcafee/event/dxl/svcregistry/unregister'
+
+function nextEvent (watcher, name) {
+  return new Promise(function (resolve) {
+    watcher.once(name, function () {
+      resolve(Array.prototype.slice.call(arguments))
+    })
+  })
+}
+
+function wait (delay) {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, delay)
+  })
+}
+
+describe('EpoServiceWatcher', function () {
+  let fabric
+  let dxlClient
+  let watcher
+
+  beforeEach(function () {
+    fabric = new MockDxlFabric()
+    dxlClient = fabric.createClient()
+    watcher = null
+  })
+
+  afterEach(function () {
+    if (watcher) {
+      watcher.stop()
+    }
+  })
+
+  function epoUniqueIds (epoServers) {
+    return epoServers.map(function (epoServer) {
+      return epoServer.epoUniqueId
+    })
+  }
+
+  function registryQueryCount () {
+    return fabric.getRequests(SERVICE_REGISTRY_QUERY_TOPIC).length
+  }
+
+  it('reports the ePO servers found by the initial query', async function () {
+    fabric.addEpoService('epo2')
+    fabric.addEpoService('epo1', { serviceType: EpoServiceType.COMMANDS })
+    watcher = new EpoServiceWatcher(dxlClient, { pollInterval: 0 })
+    const added = []
+    watcher.on('added', function (epoServer) {
+      added.push(epoServer.epoUniqueId)
+    })
+    const epoServers = await watcher.start()
+    expect(epoUniqueIds(epoServers)).to.deep.equal(['epo1', 'epo2'])
+    expect(added).to.deep.equal(['epo1', 'epo2'])
+    expect(watcher.getEpoServers()).to.deep.equal(epoServers)
+    expect(epoServers[0].selectedServiceType)
+      .to.equal(EpoServiceType.COMMANDS)
+  })
+
+  it('detects added and removed ePO servers when polling', async function () {
+    const epoService1 = fabric.addEpoService('epo1')
+    watcher = new EpoServiceWatcher(dxlClient,
+      { pollInterval: 10, subscribe: false })
+    await watcher.start()
+    expect(dxlClient.getEventCallbackCount(SERVICE_REGISTER_EVENT_TOPIC))
+      .to.equal(0)
+
+    const added = nextEvent(watcher, 'added')
+    fabric.addEpoService('epo2')
+    expect(await added).to.have.lengthOf(1)
+    expect(epoUniqueIds(watcher.getEpoServers()))
+      .to.deep.equal(['epo1', 'epo2'])
+
+    const removed = nextEvent(watcher, 'removed')
+    epoService1.unregister()
+    const args = await removed
+    expect(args[0].epoUniqueId).to.equal('epo1')
+    expect(epoUniqueIds(watcher.getEpoServers())).to.deep.equal(['epo2'])
+    expect(registryQueryCount()).to.be.at.least(3)
+  })
+
+  it('queries the registry when a service is registered or unregistered', async function () {
+    watcher = new EpoServiceWatcher(dxlClient,
+      { pollInterval: 0, eventRefreshDelay: 0 })
+    expect(await watcher.start()).to.deep.equal([])
+    expect(dxlClient.getEventCallbackCount(SERVICE_REGISTER_EVENT_TOPIC))
+      .to.equal(1)
+    expect(dxlClient.getEventCallbackCount(SERVICE_UNREGISTER_EVENT_TOPIC))
+      .to.equal(1)
+
+    const added = nextEvent(watcher, 'added')
+    const epoService = fabric.addEpoService('epo1')
+    expect((await added)[0].epoUniqueId).to.equal('epo1')
+
+    const changed = nextEvent(watcher, 'changed')
+    fabric.addEpoService('epo1', { serviceType: EpoServiceType.COMMANDS })
+    const args = await changed
+    expect(args[0].serviceTypes).to.deep.equal(
+      [EpoServiceType.COMMANDS, EpoServiceType.REMOTE].sort())
+    expect(args[1].serviceTypes).to.deep.equal([EpoServiceType.REMOTE])
+
+    const queryCount = registryQueryCount()
+    fabric.registerService({ serviceType: '/other/service' })
+    await wait(10)
+    expect(registryQueryCount()).to.equal(queryCount)
+
+    const removed = nextEvent(watcher, 'changed')
+    epoService.unregister()
+    expect((await removed)[0].serviceTypes)
+      .to.deep.equal([EpoServiceType.COMMANDS])
+  })
+
+  it('stops querying the registry when stopped', async function () {
+    watcher = new EpoServiceWatcher(dxlClient, { pollInterval: 10 })
+    await watcher.start()
+    watcher.stop()
+    expect(dxlClient.getEventCallbackCount(SERVICE_REGISTER_EVENT_TOPIC))
+      .to.equal(0)
+    expect(dxlClient.getEventCallbackCount(SERVICE_UNREGISTER_EVENT_TOPIC))
+      .to.equal(0)
+    const queryCount = registryQueryCount()
+    fabric.addEpoService('epo1')
+    await wait(50)
+    expect(registryQueryCount()).to.equal(queryCount)
+    expect(watcher.getEpoServers()).to.deep.equal([])
+  })
+
+  it('keeps watching when an event listener throws', async function () {
+    fabric.addEpoService('epo1')
+    fabric.addEpoService('epo2')
+    watcher = new EpoServiceWatcher(dxlClient,
+      { pollInterval: 10, subscribe: false })
+    const failure = new Error('listener failure')
+    const added = []
+    const errors = []
+    watcher.on('added', function (epoServer) {
+      added.push(epoServer.epoUniqueId)
+      throw failure
+    })
+    watcher.on('error', function (error) {
+      errors.push(error)
+    })
+    const epoServers = await watcher.start()
+    expect(epoUniqueIds(epoServers)).to.deep.equal(['epo1', 'epo2'])
+    expect(added).to.deep.equal(['epo1', 'epo2'])
+    expect(errors).to.deep.equal([failure, failure])
+
+    // The next poll is still scheduled
+    const removed = nextEvent(watcher, 'removed')
+    fabric.getServices(EpoServiceType.REMOTE).forEach(function (service) {
+      fabric.unregisterService(service.serviceGuid)
+    })
+    expect(await removed).to.have.lengthOf(1)
+  })
+
+  it('rethrows an error from a listener once the callbacks are notified', function () {
+    watcher = new EpoServiceWatcher(dxlClient, { pollInterval: 0 })
+    const failure = new Error('listener failure')
+    const added = []
+    watcher.on('added', function (epoServer) {
+      added.push(epoServer.epoUniqueId)
+      throw failure
+    })
+    const results = []
+    watcher._refreshCallbacks = [function (error, epoServers) {
+      results.push([error, epoUniqueIds(epoServers)])
+    }]
+    expect(function () {
+      watcher._completeQuery(null, [
+        { epoUniqueId: 'epo1', services: [] },
+        { epoUniqueId: 'epo2', services: [] }
+      ])
+    }).to.throw(failure)
+    expect(added).to.deep.equal(['epo1', 'epo2'])
+    expect(results).to.deep.equal([[null, ['epo1', 'epo2']]])
+  })
+
+  it('emits an error for a failed query if there is a listener', async function () {
+    fabric.removeRequestCallback(SERVICE_REGISTRY_QUERY_TOPIC)
+    watcher = new EpoServiceWatcher(dxlClient, { pollInterval: 0 })
+    let refreshError = null
+    await watcher.start().catch(function (error) {
+      refreshError = error
+    })
+    expect(refreshError).to.be.an.instanceof(Error)
+
+    const errors = []
+    watcher.on('error', function (error) {
+      errors.push(error)
+    })
+    await watcher.refresh().catch(function () {})
+    expect(errors).to.have.lengthOf(1)
+  })
+
+  it('rejects invalid options', function () {
+    const invalid = [
+      [{ pollInterval: -1 }, 'Invalid pollInterval: -1'],
+      [{ pollInterval: '1000' }, 'Invalid pollInterval: 1000'],
+      [{ pollInterval: NaN }, 'Invalid pollInterval: NaN'],
+      [{ pollInterval: 2147483648 }, 'Invalid pollInterval: 2147483648'],
+      [{ eventRefreshDelay: -5 }, 'Invalid eventRefreshDelay: -5'],
+      [{ eventRefreshDelay: null }, 'Invalid eventRefreshDelay: null'],
+      [{ eventRefreshDelay: Infinity }, 'Invalid eventRefreshDelay: Infinity']
+    ]
+    invalid.forEach(function (entry) {
+      expect(function () {
+        return new EpoServiceWatcher(dxlClient, entry[0])
+      }).to.throw(TypeError, entry[1])
+    })
+    expect(function () {
+      return new EpoServiceWatcher(dxlClient,
+        { pollInterval: 0, eventRefreshDelay: 0 })
+    }).to.not.throw()
+  })
+})
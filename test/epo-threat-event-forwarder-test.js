@@ -0,0 +1,307 @@
+'use strict'
+
+const crypto = require('crypto')
+const expect = require('chai').expect
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const dxl = require('@opendxl/dxl-client')
+const EpoClient = require('../lib/epo-client')
+const EpoThreatEventForwarder = require('../lib/epo-threat-event-forwarder')
+const MockDxlFabric = require('../lib/mock-dxl-fabric')
+
+const THREAT_EVENT_TOPIC = '/mcafee/event/epo/threat/response'
+
+function threatEvent (threatName) {
+  const event = new dxl.Event(THREAT_EVENT_TOPIC)
+  event.payload = JSON.stringify({ threatName })
+  return event
+}
+
+function once (emitter, name) {
+  return new Promise(function (resolve) {
+    emitter.once(name, function () {
+      resolve(Array.prototype.slice.call(arguments))
+    })
+  })
+}
+
+describe('EpoThreatEventForwarder', function () {
+  let epoClient
+  let server
+  let url
+  let requests
+  let respond
+  let queueDirectory
+  let forwarder
+
+  beforeEach(async function () {
+    epoClient = new EpoClient(new MockDxlFabric().createClient(), 'epo1')
+    requests = []
+    respond = function (request, response) {
+      response.end()
+    }
+    server = http.createServer(function (request, response) {
+      let body = ''
+      request.setEncoding('utf8')
+      request.on('data', function (chunk) {
+        body += chunk
+      })
+      request.on('end', function () {
+        requests.push({ url: request.url, headers: request.headers, body })
+        respond(request, response)
+      })
+    })
+    await new Promise(function (resolve) {
+      server.listen(0, '127.0.0.1', resolve)
+    })
+    url = 'http://127.0.0.1:' + server.address().port + '/hook'
+    queueDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'epo-forwarder-'))
+    forwarder = null
+  })
+
+  afterEach(async function () {
+    if (forwarder) {
+      await forwarder.stop()
+    }
+    await new Promise(function (resolve) {
+      server.close(resolve)
+    })
+    fs.rmSync(queueDirectory, { recursive: true, force: true })
+  })
+
+  function createForwarder (options) {
+    forwarder = new EpoThreatEventForwarder(epoClient,
+      Object.assign({ webhooks: [url] }, options))
+    return forwarder
+  }
+
+  function queuedFiles () {
+    return fs.readdirSync(queueDirectory).reduce(function (files, name) {
+      return files.concat(fs.readdirSync(path.join(queueDirectory, name)))
+    }, [])
+  }
+
+  it('sends a full batch at once and the rest after the interval', async function () {
+    createForwarder({ batchSize: 2, batchInterval: 20 })
+    await forwarder.start()
+    const delivered = []
+    forwarder.on('delivered', function (deliveredUrl, count) {
+      delivered.push([deliveredUrl, count])
+    })
+    epoClient.deliverEvent(threatEvent('threat1'))
+    epoClient.deliverEvent(threatEvent('threat2'))
+    epoClient.deliverEvent(threatEvent('threat3'))
+    await once(forwarder, 'delivered')
+    await once(forwarder, 'delivered')
+    expect(delivered).to.deep.equal([[url, 2], [url, 1]])
+    expect(requests.map(function (request) {
+      return JSON.parse(request.body)
+    })).to.deep.equal([
+      { events: [{ threatName: 'threat1' }, { threatName: 'threat2' }] },
+      { events: [{ threatName: 'threat3' }] }
+    ])
+    expect(requests[0].headers['content-type']).to.equal('application/json')
+  })
+
+  it('collects the pending events into a final batch when stopped', async function () {
+    createForwarder({ batchSize: 10, batchInterval: 60000 })
+    await forwarder.start()
+    epoClient.deliverEvent(threatEvent('threat1'))
+    epoClient.deliverEvent(threatEvent('threat2'))
+    await forwarder.stop()
+    expect(forwarder.getQueueLengths()).to.deep.equal({ [url]: 1 })
+    expect(requests).to.have.lengthOf(0)
+
+    const delivered = once(forwarder, 'delivered')
+    await forwarder.start()
+    expect(await delivered).to.deep.equal([url, 2])
+    expect(requests).to.have.lengthOf(1)
+  })
+
+  it('signs each request with the secret', async function () {
+    createForwarder({
+      batchSize: 1,
+      webhooks: [url, { url: url + '/other', secret: 'other-secret' }],
+      secret: 'secret',
+      headers: { 'X-Source': 'epo' }
+    })
+    await forwarder.start()
+    epoClient.deliverEvent(threatEvent('threat1'))
+    await once(forwarder, 'delivered')
+    await once(forwarder, 'delivered')
+    expect(requests).to.have.lengthOf(2)
+    requests.forEach(function (request) {
+      const secret = request.url === '/hook' ? 'secret' : 'other-secret'
+      expect(request.headers['x-signature-256']).to.equal('sha256=' +
+        crypto.createHmac('sha256', secret).update(request.body).digest('hex'))
+      expect(request.headers['x-source']).to.equal('epo')
+    })
+  })
+
+  it('uses the configured signature header', async function () {
+    createForwarder({
+      batchSize: 1,
+      secret: 'secret',
+      signatureHeader: 'X-Hub-Signature'
+    })
+    await forwarder.start()
+    epoClient.deliverEvent(threatEvent('threat1'))
+    await once(forwarder, 'delivered')
+    expect(requests[0].headers['x-hub-signature']).to.equal('sha256=' +
+      crypto.createHmac('sha256', 'secret').update(requests[0].body)
+        .digest('hex'))
+    expect(requests[0].headers['x-signature-256']).to.equal(undefined)
+  })
+
+  it('retries a failed request with a doubling delay', async function () {
+    respond = function (request, response) {
+      response.statusCode = requests.length < 3 ? 503 : 200
+      response.end()
+    }
+    createForwarder({ batchSize: 1, retryDelay: 5, maxRetryDelay: 1000 })
+    const retries = []
+    forwarder.on('retry', function (error, retryUrl, attempt, delay) {
+      retries.push([error.statusCode, retryUrl, attempt, delay])
+    })
+    await forwarder.start()
+    epoClient.deliverEvent(threatEvent('threat1'))
+    expect(await once(forwarder, 'delivered')).to.deep.equal([url, 1])
+    expect(retries).to.deep.equal([[503, url, 1, 5], [503, url, 2, 10]])
+    expect(requests).to.have.lengthOf(3)
+    expect(requests[2].body).to.equal(requests[0].body)
+  })
+
+  it('waits for the delay in a Retry-After header, up to the maximum', async function () {
+    respond = function (request, response) {
+      if (requests.length === 1) {
+        response.statusCode = 429
+        response.setHeader('Retry-After', '1')
+      }
+      response.end()
+    }
+    createForwarder({ batchSize: 1, retryDelay: 5, maxRetryDelay: 50 })
+    await forwarder.start()
+    epoClient.deliverEvent(threatEvent('threat1'))
+    const retry = await once(forwarder, 'retry')
+    expect(retry[0].statusCode).to.equal(429)
+    expect(retry[3]).to.equal(50)
+    await once(forwarder, 'delivered')
+    expect(requests).to.have.lengthOf(2)
+  })
+
+  it('discards a batch after the maximum number of retries', async function () {
+    respond = function (request, response) {
+      response.statusCode = 500
+      response.end()
+    }
+    createForwarder({ batchSize: 1, maxRetries: 2, retryDelay: 1 })
+    await forwarder.start()
+    epoClient.deliverEvent(threatEvent('threat1'))
+    const discarded = await once(forwarder, 'discarded')
+    expect(discarded[0].statusCode).to.equal(500)
+    expect(discarded.slice(1)).to.deep.equal([url, 1])
+    expect(requests).to.have.lengthOf(3)
+  })
+
+  it('does not retry a batch which the webhook rejects', async function () {
+    respond = function (request, response) {
+      response.statusCode = 400
+      response.end()
+    }
+    createForwarder({ batchSize: 1, retryDelay: 1 })
+    const retries = []
+    forwarder.on('retry', function (error) {
+      retries.push(error)
+    })
+    await forwarder.start()
+    epoClient.deliverEvent(threatEvent('threat1'))
+    const discarded = await once(forwarder, 'discarded')
+    expect(discarded[0].statusCode).to.equal(400)
+    expect(retries).to.have.lengthOf(0)
+    expect(requests).to.have.lengthOf(1)
+  })
+
+  it('discards the oldest batch when the queue is full', async function () {
+    let heldResponse
+    const requestReceived = new Promise(function (resolve) {
+      respond = function (request, response) {
+        heldResponse = response
+        resolve()
+      }
+    })
+    createForwarder({ batchSize: 1, maxQueueSize: 1 })
+    await forwarder.start()
+    epoClient.deliverEvent(threatEvent('threat1'))
+    await requestReceived
+    const discardedEvent = once(forwarder, 'discarded')
+    epoClient.deliverEvent(threatEvent('threat2'))
+    const discarded = await discardedEvent
+    expect(discarded[0].message).to.equal('Webhook queue is full')
+    expect(discarded.slice(1)).to.deep.equal([url, 1])
+    expect(forwarder.getQueueLengths()).to.deep.equal({ [url]: 1 })
+
+    // Once the request for the discarded batch completes, the remaining
+    // batch is sent
+    respond = function (request, response) {
+      response.end()
+    }
+    const delivered = once(forwarder, 'delivered')
+    heldResponse.end()
+    expect(await delivered).to.deep.equal([url, 1])
+    expect(requests.map(function (request) {
+      return JSON.parse(request.body).events[0].threatName
+    })).to.deep.equal(['threat1', 'threat2'])
+    expect(forwarder.getQueueLengths()).to.deep.equal({ [url]: 0 })
+  })
+
+  it('sends the batches left in the queue directory after a restart', async function () {
+    respond = function (request, response) {
+      response.statusCode = 503
+      response.end()
+    }
+    createForwarder({ batchSize: 1, queueDirectory, retryDelay: 60000 })
+    await forwarder.start()
+    epoClient.deliverEvent(threatEvent('threat1'))
+    epoClient.deliverEvent(threatEvent('threat2'))
+    await once(forwarder, 'retry')
+    await forwarder.stop()
+    expect(queuedFiles()).to.have.lengthOf(2)
+
+    respond = function (request, response) {
+      response.end()
+    }
+    requests = []
+    createForwarder({ batchSize: 1, queueDirectory })
+    const delivered = []
+    forwarder.on('delivered', function (deliveredUrl, count) {
+      delivered.push(count)
+    })
+    await forwarder.start()
+    expect(forwarder.getQueueLengths()).to.deep.equal({ [url]: 2 })
+    await once(forwarder, 'delivered')
+    await once(forwarder, 'delivered')
+    await forwarder.stop()
+    expect(delivered).to.deep.equal([1, 1])
+    expect(requests.map(function (request) {
+      return JSON.parse(request.body).events[0].threatName
+    })).to.deep.equal(['threat1', 'threat2'])
+    expect(queuedFiles()).to.have.lengthOf(0)
+  })
+
+  it('rejects invalid options', function () {
+    expect(function () {
+      createForwarder({ webhooks: [] })
+    }).to.throw(TypeError, 'At least one webhook must be specified')
+    expect(function () {
+      createForwarder({ batchSize: 0 })
+    }).to.throw(TypeError, 'Invalid batchSize: 0')
+    expect(function () {
+      createForwarder({ maxRetries: -1 })
+    }).to.throw(TypeError, 'Invalid maxRetries: -1')
+    expect(function () {
+      createForwarder({ webhooks: ['ftp://example.com'] })
+    }).to.throw(TypeError, 'Unsupported webhook protocol: ftp:')
+  })
+})
@@ -0,0 +1,107 @@
+'use strict'
+
+const expect = require('chai').expect
+const EventSchema = require('../lib/event-schema')
+
+function validationError (payload, schema) {
+  const compiled = EventSchema.compile(schema)
+  try {
+    EventSchema.validate(payload, compiled)
+  } catch (err) {
+    return err
+  }
+  return null
+}
+
+describe('EventSchema', function () {
+  describe('.compile', function () {
+    it('ignores annotation keywords', function () {
+      const compiled = EventSchema.compile({
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        $id: 'https://example.com/threat-event.json',
+        title: 'Threat event',
+        description: 'An ePO threat event',
+        type: 'object',
+        properties: {
+          agentGuid: { type: 'string', default: '', examples: ['abc'] }
+        }
+      })
+      expect(compiled).to.deep.equal({
+        type: ['object'],
+        properties: { agentGuid: { type: ['string'] } }
+      })
+    })
+
+    it('rejects unsupported validation keywords', function () {
+      expect(function () {
+        EventSchema.compile({ properties: { hashes: { anyOf: [] } } })
+      }).to.throw(TypeError,
+        'Unsupported keyword in schema.properties.hashes: anyOf')
+    })
+
+    it('rejects unknown types', function () {
+      expect(function () {
+        EventSchema.compile({ type: ['string', 'date'] })
+      }).to.throw(TypeError, 'Invalid type in schema: date')
+    })
+
+    it('compiles each pattern to a regular expression', function () {
+      const compiled = EventSchema.compile({ items: { pattern: '^[0-9a-f]+$' } })
+      expect(compiled.items.pattern).to.be.an.instanceof(RegExp)
+      expect(function () {
+        EventSchema.compile({ pattern: '(' })
+      }).to.throw(SyntaxError)
+    })
+  })
+
+  describe('.validate', function () {
+    const schema = {
+      type: 'object',
+      required: ['hashes'],
+      properties: {
+        hashes: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              type: { enum: ['md5', 'sha1'] },
+              value: { type: 'string', pattern: '^[0-9a-f]+$' }
+            },
+            additionalProperties: false
+          }
+        },
+        severity: { type: 'integer', minimum: 0, maximum: 6 }
+      }
+    }
+
+    it('accepts a matching payload', function () {
+      expect(validationError({
+        hashes: [{ type: 'md5', value: '00ff' }],
+        severity: 2,
+        other: true
+      }, schema)).to.equal(null)
+    })
+
+    it('names the first part of the payload which does not match', function () {
+      const cases = [
+        [{}, 'payload must have property hashes'],
+        [{ hashes: [] }, 'payload.hashes must have at least 1 items'],
+        [{ hashes: [{ type: 'sha256' }] },
+          'payload.hashes[0].type must be one of ["md5","sha1"]'],
+        [{ hashes: [{ value: '00FF' }] },
+          'payload.hashes[0].value must match ^[0-9a-f]+$'],
+        [{ hashes: [{ size: 1 }] },
+          'payload.hashes[0] must not have property size'],
+        [{ hashes: [{}], severity: 1.5 },
+          'payload.severity must be of type integer'],
+        [{ hashes: [{}], severity: 7 }, 'payload.severity must be at most 6']
+      ]
+      cases.forEach(function (testCase) {
+        const error = validationError(testCase[0], schema)
+        expect(error).to.be.an.instanceof(TypeError)
+        expect(error.message).to.equal('Invalid event payload: ' + testCase[1])
+      })
+    })
+  })
+})
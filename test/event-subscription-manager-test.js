@@ -0,0 +1,126 @@
+'use strict'
+
+const expect = require('chai').expect
+const EventSubscriptionManager = require('../lib/event-subscription-manager')
+const MockDxlFabric = require('../lib/mock-dxl-fabric')
+
+function flushEvents () {
+  return new Promise(function (resolve) {
+    setImmediate(resolve)
+  })
+}
+
+describe('EventSubscriptionManager', function () {
+  let fabric
+  let dxlClient
+  let manager
+
+  beforeEach(function () {
+    fabric = new MockDxlFabric()
+    dxlClient = fabric.createClient()
+    manager = new EventSubscriptionManager(dxlClient)
+  })
+
+  it('registers a single dispatcher for each topic', function () {
+    const removeFirst = manager.add('/my/event', function () {})
+    const removeSecond = manager.add('/my/event', function () {})
+    expect(dxlClient.getEventCallbackCount('/my/event')).to.equal(1)
+    removeFirst()
+    expect(dxlClient.getEventCallbackCount('/my/event')).to.equal(1)
+    removeSecond()
+    expect(dxlClient.getEventCallbackCount('/my/event')).to.equal(0)
+  })
+
+  it('delivers the decoded payload to each callback', async function () {
+    const received = []
+    manager.add('/my/event', function (payload) {
+      received.push(['first', payload])
+    })
+    manager.add('/my/event', function (payload) {
+      received.push(['second', payload])
+    })
+    fabric.sendEvent('/my/event', { value: 1 })
+    await flushEvents()
+    expect(received).to.deep.equal([
+      ['first', { value: 1 }],
+      ['second', { value: 1 }]
+    ])
+  })
+
+  it('delivers a payload which cannot be decoded to the error callback', async function () {
+    const errors = []
+    let delivered = false
+    manager.add('/my/event', function () {
+      delivered = true
+    }, {
+      errorCallback: function (error, event) {
+        errors.push([error, event.destinationTopic])
+      }
+    })
+    fabric.sendEvent('/my/event', 'not json')
+    await flushEvents()
+    expect(delivered).to.equal(false)
+    expect(errors).to.have.lengthOf(1)
+    expect(errors[0][0]).to.be.an.instanceof(SyntaxError)
+    expect(errors[0][1]).to.equal('/my/event')
+  })
+
+  it('delivers an error thrown by a callback to its error callback', async function () {
+    const failure = new Error('callback failure')
+    const errors = []
+    const received = []
+    manager.add('/my/event', function () {
+      throw failure
+    }, {
+      errorCallback: function (error) {
+        errors.push(error)
+      }
+    })
+    manager.add('/my/event', function () {
+      throw new Error('ignored failure')
+    })
+    manager.add('/my/event', function (payload) {
+      received.push(payload)
+    })
+    fabric.sendEvent('/my/event', { value: 1 })
+    await flushEvents()
+    expect(errors).to.deep.equal([failure])
+    expect(received).to.deep.equal([{ value: 1 }])
+  })
+
+  it('delivers the event to the other callbacks if an error callback throws', async function () {
+    const received = []
+    manager.add('/my/event', function () {
+      throw new Error('callback failure')
+    }, {
+      errorCallback: function () {
+        throw new Error('error callback failure')
+      }
+    })
+    manager.add('/my/event', function (payload) {
+      received.push(['second', payload])
+    })
+    fabric.sendEvent('/my/event', { value: 1 })
+    fabric.sendEvent('/my/event', { value: 2 })
+    await flushEvents()
+    expect(received).to.deep.equal([
+      ['second', { value: 1 }],
+      ['second', { value: 2 }]
+    ])
+  })
+
+  it('removes every registration of a callback', async function () {
+    let count = 0
+    const callback = function () {
+      count++
+    }
+    manager.add('/my/event', callback)
+    manager.add('/my/event', callback)
+    expect(manager.remove('/my/event', callback)).to.equal(2)
+    expect(manager.remove('/my/event', callback)).to.equal(0)
+    fabric.sendEvent('/my/event', { value: 1 })
+    await flushEvents()
+    expect(count).to.equal(0)
+    expect(dxlClient.getEventCallbackCount('/my/event')).to.equal(0)
+  })
+})
@@ -0,0 +1,138 @@
+'use strict'
+
+const expect = require('chai').expect
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const FileThreatEventSink = require('../lib/file-threat-event-sink')
+
+function threatPayload (threatName) {
+  return { events: [{ threatName }] }
+}
+
+describe('FileThreatEventSink', function () {
+  let directory
+  let filePath
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'epo-client-test-'))
+    filePath = path.join(directory, 'threats.ndjson')
+  })
+
+  afterEach(function () {
+    fs.rmSync(directory, { recursive: true, force: true })
+  })
+
+  function readThreatNames (file) {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(function (line) {
+      return line
+    }).map(function (line) {
+      return JSON.parse(line).threatName
+    })
+  }
+
+  function listFiles () {
+    return fs.readdirSync(directory).sort()
+  }
+
+  // Each line is {"threatName":"threatN"} and a line break: 25 bytes
+  const LINE_LENGTH = 25
+
+  it('appends each event as a line of JSON', async function () {
+    fs.writeFileSync(filePath, JSON.stringify({ threatName: 'existing' }) +
+      '\n')
+    const sink = new FileThreatEventSink({ path: filePath })
+    sink.handle(threatPayload('threat1'))
+    sink.handle(threatPayload('threat2'))
+    await sink.close()
+    expect(readThreatNames(filePath))
+      .to.deep.equal(['existing', 'threat1', 'threat2'])
+    expect(sink.writtenCount).to.equal(2)
+  })
+
+  it('rotates the file before it would pass maxSize', async function () {
+    const sink = new FileThreatEventSink({
+      path: filePath,
+      maxSize: LINE_LENGTH * 2,
+      maxFiles: 5
+    })
+    for (let index = 1; index <= 5; index++) {
+      sink.handle(threatPayload('threat' + index))
+    }
+    await sink.close()
+    expect(listFiles()).to.deep.equal(
+      ['threats.ndjson', 'threats.ndjson.1', 'threats.ndjson.2'])
+    expect(readThreatNames(filePath)).to.deep.equal(['threat5'])
+    expect(readThreatNames(filePath + '.1'))
+      .to.deep.equal(['threat3', 'threat4'])
+    expect(readThreatNames(filePath + '.2'))
+      .to.deep.equal(['threat1', 'threat2'])
+    expect(fs.statSync(filePath + '.1').size).to.equal(LINE_LENGTH * 2)
+  })
+
+  it('keeps at most maxFiles rotated files', async function () {
+    const sink = new FileThreatEventSink({
+      path: filePath,
+      maxSize: LINE_LENGTH,
+      maxFiles: 2
+    })
+    for (let index = 1; index <= 5; index++) {
+      sink.handle(threatPayload('threat' + index))
+    }
+    await sink.close()
+    expect(listFiles()).to.deep.equal(
+      ['threats.ndjson', 'threats.ndjson.1', 'threats.ndjson.2'])
+    expect(readThreatNames(filePath)).to.deep.equal(['threat5'])
+    expect(readThreatNames(filePath + '.1')).to.deep.equal(['threat4'])
+    expect(readThreatNames(filePath + '.2')).to.deep.equal(['threat3'])
+  })
+
+  it('counts the size of an existing file towards maxSize', async function () {
+    fs.writeFileSync(filePath, 'x'.repeat(LINE_LENGTH))
+    const sink = new FileThreatEventSink({
+      path: filePath,
+      maxSize: LINE_LENGTH * 2 - 1
+    })
+    sink.handle(threatPayload('threat1'))
+    await sink.close()
+    expect(fs.readFileSync(filePath + '.1', 'utf8'))
+      .to.equal('x'.repeat(LINE_LENGTH))
+    expect(readThreatNames(filePath)).to.deep.equal(['threat1'])
+  })
+
+  it('writes an event which is larger than maxSize to an empty file', async function () {
+    const sink = new FileThreatEventSink({ path: filePath, maxSize: 10 })
+    sink.handle(threatPayload('threat1'))
+    sink.handle(threatPayload('threat2'))
+    await sink.close()
+    expect(readThreatNames(filePath)).to.deep.equal(['threat2'])
+    expect(readThreatNames(filePath + '.1')).to.deep.equal(['threat1'])
+  })
+
+  it('reports an event which cannot be written', async function () {
+    const errors = []
+    const sink = new FileThreatEventSink({
+      path: path.join(directory, 'missing', 'threats.ndjson'),
+      errorCallback: function (error, threatEvent) {
+        errors.push([error.code, threatEvent.getThreatName()])
+      }
+    })
+    sink.handle(threatPayload('threat1'))
+    await sink.close()
+    expect(errors).to.deep.equal([['ENOENT', 'threat1']])
+    expect(sink.failedCount).to.equal(1)
+  })
+
+  it('rejects invalid options', function () {
+    const invalid = [
+      [{}, 'A path must be specified for the file'],
+      [{ path: filePath, maxSize: 0 }, 'Invalid maxSize: 0'],
+      [{ path: filePath, maxFiles: 1.5 }, 'Invalid maxFiles: 1.5']
+    ]
+    invalid.forEach(function (entry) {
+      expect(function () {
+        return new FileThreatEventSink(entry[0])
+      }).to.throw(TypeError, entry[1])
+    })
+  })
+})
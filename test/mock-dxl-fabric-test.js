@@ -0,0 +1,280 @@
+'use strict'
+
+const expect = require('chai').expect
+const dxl = require('@opendxl/dxl-client')
+const MessageUtils = require('@opendxl/dxl-bootstrap').MessageUtils
+const EpoClient = require('../lib/epo-client')
+const EpoCommandError = require('../lib/epo-command-error')
+const EpoServiceNotFoundError = require('../lib/epo-service-not-found-error')
+const EpoServiceType = require('../lib/epo-service-type')
+const MockDxlFabric = require('../lib/mock-dxl-fabric')
+
+const SERVICE_REGISTRY_QUERY_TOPIC = '/mcafee/service/dxl/svcregistry/query'
+const SERVICE_REGISTER_EVENT_TOPIC = '/mcafee/event/dxl/svcregistry/register'
+const DXL_SERVICE_UNAVAILABLE_ERROR_CODE = 0x80000001
+
+function request (dxlClient, topic, payload) {
+  const dxlRequest = new dxl.Request(topic)
+  if (payload) {
+    MessageUtils.objectToJsonPayload(dxlRequest, payload)
+  }
+  return new Promise(function (resolve) {
+    dxlClient.asyncRequest(dxlRequest, function (error, response) {
+      resolve({ error, response })
+    })
+  })
+}
+
+function nextEvent (dxlClient, topic) {
+  return new Promise(function (resolve) {
+    const callback = function (event) {
+      dxlClient.removeEventCallback(topic, callback)
+      resolve(event)
+    }
+    dxlClient.addEventCallback(topic, callback)
+  })
+}
+
+describe('MockDxlFabric', function () {
+  let fabric
+  let dxlClient
+
+  beforeEach(function () {
+    fabric = new MockDxlFabric()
+    dxlClient = fabric.createClient()
+  })
+
+  describe('service registry', function () {
+    it('answers queries with the registered services of the type', async function () {
+      fabric.registerService({
+        serviceGuid: 'remote1',
+        serviceType: EpoServiceType.REMOTE,
+        requestChannels: ['/mcafee/service/epo/remote/epo1']
+      })
+      fabric.registerService({ serviceType: '/other/service' })
+
+      const result = await request(dxlClient, SERVICE_REGISTRY_QUERY_TOPIC,
+        { serviceType: EpoServiceType.REMOTE })
+
+      expect(result.error).to.equal(null)
+      const services = MessageUtils.jsonPayloadToObject(result.response)
+        .services
+      expect(Object.keys(services)).to.deep.equal(['remote1'])
+      expect(services.remote1.requestChannels).to.deep.equal(
+        ['/mcafee/service/epo/remote/epo1'])
+    })
+
+    it('announces registrations and unregistrations', async function () {
+      const registered = nextEvent(dxlClient, SERVICE_REGISTER_EVENT_TOPIC)
+      const service = fabric.registerService({ serviceType: '/my/service' })
+      const event = await registered
+      expect(Buffer.isBuffer(event.payload)).to.equal(true)
+      expect(MessageUtils.jsonPayloadToObject(event).serviceGuid)
+        .to.equal(service.serviceGuid)
+
+      const unregistered = nextEvent(dxlClient,
+        '/mcafee/event/dxl/svcregistry/unregister')
+      expect(fabric.unregisterService(service.serviceGuid)).to.equal(true)
+      expect(MessageUtils.jsonPayloadToObject(await unregistered).serviceGuid)
+        .to.equal(service.serviceGuid)
+      expect(fabric.unregisterService(service.serviceGuid)).to.equal(false)
+      expect(fabric.getServices()).to.have.lengthOf(0)
+    })
+
+    it('can have its responses scripted', async function () {
+      const failure = new Error('registry unavailable')
+      failure.code = 42
+      fabric.addRequestCallback(SERVICE_REGISTRY_QUERY_TOPIC,
+        function (dxlRequest, respond) {
+          respond(failure)
+        })
+
+      const result = await request(dxlClient, SERVICE_REGISTRY_QUERY_TOPIC,
+        { serviceType: EpoServiceType.REMOTE })
+
+      expect(result.error).to.be.an.instanceof(dxl.MessageError)
+      expect(result.error.code).to.equal(42)
+      expect(result.error.message).to.equal('registry unavailable')
+    })
+  })
+
+  describe('requests', function () {
+    it('fails requests for which no service is registered', async function () {
+      const result = await request(dxlClient, '/no/such/service')
+      expect(result.error).to.be.an.instanceof(dxl.MessageError)
+      expect(result.error.code).to.equal(DXL_SERVICE_UNAVAILABLE_ERROR_CODE)
+      expect(result.response).to.equal(null)
+      expect(fabric.getRequests('/no/such/service')).to.have.lengthOf(1)
+    })
+
+    it('delivers responses with a Buffer payload', async function () {
+      fabric.addRequestCallback('/echo', function (dxlRequest, respond) {
+        setImmediate(function () {
+          respond({ echo: MessageUtils.jsonPayloadToObject(dxlRequest) })
+        })
+      })
+      const result = await request(dxlClient, '/echo', { value: 1 })
+      expect(Buffer.isBuffer(result.response.payload)).to.equal(true)
+      expect(MessageUtils.jsonPayloadToObject(result.response))
+        .to.deep.equal({ echo: { value: 1 } })
+    })
+  })
+
+  describe('events', function () {
+    it('delivers events to every client with a callback for the topic', async function () {
+      const otherClient = fabric.createClient()
+      const received = Promise.all([
+        nextEvent(dxlClient, '/my/event'),
+        nextEvent(otherClient, '/my/event')
+      ])
+      const event = new dxl.Event('/my/event')
+      MessageUtils.objectToJsonPayload(event, { value: 1 })
+      otherClient.sendEvent(event)
+
+      const events = await received
+      events.forEach(function (receivedEvent) {
+        expect(MessageUtils.jsonPayloadToObject(receivedEvent))
+          .to.deep.equal({ value: 1 })
+      })
+      expect(dxlClient.getEventCallbackCount('/my/event')).to.equal(0)
+    })
+
+    it('does not deliver events to destroyed clients', async function () {
+      const otherClient = fabric.createClient()
+      let delivered = false
+      otherClient.addEventCallback('/my/event', function () {
+        delivered = true
+      })
+      otherClient.destroy()
+      const received = nextEvent(dxlClient, '/my/event')
+      fabric.sendEvent('/my/event', 'text')
+
+      expect((await received).payload.toString()).to.equal('text')
+      expect(delivered).to.equal(false)
+      expect(otherClient.connected).to.equal(false)
+    })
+  })
+
+  describe('ePO "remote" service', function () {
+    let epoService
+    let epoClient
+
+    beforeEach(function () {
+      epoService = fabric.addEpoService('epo1', {
+        commands: { 'core.help': 'help text' }
+      })
+      epoClient = new EpoClient(dxlClient, 'epo1')
+    })
+
+    it('is registered with the service registry', function () {
+      const services = fabric.getServices(EpoServiceType.REMOTE)
+      expect(services).to.have.lengthOf(1)
+      expect(services[0].requestChannels).to.deep.equal(
+        ['/mcafee/service/epo/remote/epo1'])
+    })
+
+    it('returns the scripted result of a command', async function () {
+      epoService.setCommand('system.find', function (params) {
+        return [{ name: params.searchText }]
+      })
+      const systems = await epoClient.runCommand('system.find',
+        { params: { searchText: 'mySystem' } })
+      expect(systems).to.deep.equal([{ name: 'mySystem' }])
+      expect(await epoClient.runCommand('core.help')).to.equal('help text')
+
+      const invocations = epoService.getInvocations('system.find')
+      expect(invocations).to.have.lengthOf(1)
+      expect(invocations[0].params).to.deep.equal({ searchText: 'mySystem' })
+      expect(invocations[0].output).to.equal('json')
+    })
+
+    it('returns an ePO error for a command which throws', async function () {
+      epoService.setCommand('system.wakeupAgent', function () {
+        const error = new Error('No systems found')
+        error.code = 5
+        throw error
+      })
+      let error = null
+      try {
+        await epoClient.runCommand('system.wakeupAgent')
+      } catch (err) {
+        error = err
+      }
+      expect(error).to.be.an.instanceof(EpoCommandError)
+      expect(error.epoErrorCode).to.equal(5)
+      expect(error.epoErrorMessage).to.equal('No systems found')
+    })
+
+    it('returns an ePO error for an unknown command', async function () {
+      let error = null
+      try {
+        await epoClient.runCommand('no.command')
+      } catch (err) {
+        error = err
+      }
+      expect(error).to.be.an.instanceof(EpoCommandError)
+      expect(error.epoErrorMessage).to.equal('Unknown command: no.command')
+    })
+
+    it('is unavailable once unregistered', async function () {
+      await epoClient.runCommand('core.help')
+      epoService.unregister()
+      let error = null
+      try {
+        await epoClient.runCommand('core.help')
+      } catch (err) {
+        error = err
+      }
+      expect(error).to.be.an.instanceof(EpoServiceNotFoundError)
+      expect(fabric.getServices()).to.have.lengthOf(0)
+    })
+  })
+
+  describe('ePO "commands" service', function () {
+    let epoService
+    let epoClient
+
+    beforeEach(function () {
+      epoService = fabric.addEpoService('epo2',
+        { serviceType: EpoServiceType.COMMANDS })
+      epoService.setCommand('system.find', function (params) {
+        return Promise.resolve([{ name: params.searchText }])
+      })
+      epoClient = new EpoClient(dxlClient, 'epo2')
+    })
+
+    it('registers a request topic for each command', function () {
+      const services = fabric.getServices(EpoServiceType.COMMANDS)
+      expect(services).to.have.lengthOf(1)
+      expect(services[0].metaData.epoGuid).to.equal('epo2')
+      expect(services[0].requestChannels).to.deep.equal(
+        ['/mcafee/service/epo/command/epo2/remote/system/find'])
+    })
+
+    it('returns the scripted result of a command', async function () {
+      const result = await epoClient.runCommand('system.find',
+        { params: { searchText: 'mySystem' }, normalize: true })
+      expect(result.data).to.deep.equal([{ name: 'mySystem' }])
+      expect(result.metadata.serviceType).to.equal(EpoServiceType.COMMANDS)
+    })
+
+    it('passes the requested ePO output type', async function () {
+      const text = await epoClient.runCommand('system.find',
+        { params: { searchText: 'mySystem' }, outputFormat: 'xml' })
+      expect(text).to.equal('[{"name":"mySystem"}]')
+      const invocation = epoService.getInvocations('system.find')[0]
+      expect(invocation.output).to.equal('xml')
+      expect(invocation.params).to.deep.equal({ searchText: 'mySystem' })
+    })
+
+    it('is unavailable for a command which has not been set', async function () {
+      let error = null
+      try {
+        await epoClient.runCommand('core.help')
+      } catch (err) {
+        error = err
+      }
+      expect(error).to.be.an.instanceof(EpoServiceNotFoundError)
+    })
+  })
+})
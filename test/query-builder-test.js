@@ -0,0 +1,187 @@
+'use strict'
+
+const expect = require('chai').expect
+const EpoClient = require('../lib/epo-client')
+const MockDxlFabric = require('../lib/mock-dxl-fabric')
+const QueryBuilder = require('../lib/query-builder')
+
+const Q = QueryBuilder
+
+describe('QueryBuilder', function () {
+  it('builds the parameters for each clause', function () {
+    expect(new QueryBuilder('EPOLeafNode')
+      .select('EPOLeafNode.NodeName', 'EPOComputerProperties.IPAddress')
+      .join('EPOComputerProperties', 'EPOComputerProperties')
+      .where(Q.contains('EPOLeafNode.NodeName', 'web'))
+      .where(Q.newerThan('EPOLeafNode.LastUpdate', 3600000))
+      .orderBy('EPOLeafNode.NodeName')
+      .orderBy('EPOLeafNode.LastUpdate', 'DESC')
+      .toParams()).to.deep.equal({
+      target: 'EPOLeafNode',
+      select: '(select EPOLeafNode.NodeName EPOComputerProperties.IPAddress)',
+      where: '(where (and (contains EPOLeafNode.NodeName "web") ' +
+        '(newerThan EPOLeafNode.LastUpdate 3600000)))',
+      order: '(order (asc EPOLeafNode.NodeName) ' +
+        '(desc EPOLeafNode.LastUpdate))',
+      joinTables: 'EPOComputerProperties'
+    })
+  })
+
+  it('returns only the target for a query without clauses', function () {
+    expect(new QueryBuilder('EPOLeafNode').toParams())
+      .to.deep.equal({ target: 'EPOLeafNode' })
+  })
+
+  describe('values', function () {
+    it('escapes double quotes and backslashes in strings', function () {
+      expect(Q.eq('EPOLeafNode.NodeName', 'my "system"').toString())
+        .to.equal('(eq EPOLeafNode.NodeName "my \\"system\\"")')
+      expect(Q.eq('EPOLeafNode.NodeName', 'C:\\temp\\"').toString())
+        .to.equal('(eq EPOLeafNode.NodeName "C:\\\\temp\\\\\\"")')
+    })
+
+    it('keeps a string which tries to end the expression inside quotes', function () {
+      expect(Q.eq('EPOLeafNode.NodeName', 'x") (or (eq 1 1').toString())
+        .to.equal('(eq EPOLeafNode.NodeName "x\\") (or (eq 1 1")')
+    })
+
+    it('formats numbers, booleans and dates', function () {
+      expect(Q.gt('EPOLeafNode.AgentVersion', 5.5).toString())
+        .to.equal('(gt EPOLeafNode.AgentVersion 5.5)')
+      expect(Q.eq('EPOLeafNode.ManagedState', true).toString())
+        .to.equal('(eq EPOLeafNode.ManagedState true)')
+      expect(Q.ge('EPOLeafNode.LastUpdate', new Date(Date.UTC(2024, 0, 2)))
+        .toString()).to.equal(
+        '(ge EPOLeafNode.LastUpdate "2024-01-02T00:00:00.000Z")')
+    })
+
+    it('converts the value of a string operator to a string', function () {
+      expect(Q.startsWith('EPOLeafNode.NodeName', 10).toString())
+        .to.equal('(startsWith EPOLeafNode.NodeName "10")')
+      expect(Q.endsWith('EPOLeafNode.NodeName', 'a"b').toString())
+        .to.equal('(endsWith EPOLeafNode.NodeName "a\\"b")')
+    })
+
+    it('rejects values which cannot be used in a query', function () {
+      expect(function () {
+        Q.eq('EPOLeafNode.NodeName', null)
+      }).to.throw(TypeError, 'Invalid value in query: null')
+      expect(function () {
+        Q.eq('EPOLeafNode.NodeName', { name: 'x' })
+      }).to.throw(TypeError, 'Invalid value in query')
+      expect(function () {
+        Q.lt('EPOLeafNode.AgentVersion', Infinity)
+      }).to.throw(TypeError, 'Invalid numeric value in query: Infinity')
+      expect(function () {
+        Q.lt('EPOLeafNode.LastUpdate', new Date('not a date'))
+      }).to.throw(TypeError, 'Invalid date value in query')
+      expect(function () {
+        Q.newerThan('EPOLeafNode.LastUpdate', -1)
+      }).to.throw(TypeError, 'Invalid period: -1')
+      expect(function () {
+        Q.olderThan('EPOLeafNode.LastUpdate', 1.5)
+      }).to.throw(TypeError, 'Invalid period: 1.5')
+      expect(function () {
+        Q.hasTag('EPOLeafNode.AppliedTags', '1')
+      }).to.throw(TypeError, 'Invalid tag id: 1')
+    })
+  })
+
+  describe('names', function () {
+    it('accepts table and column names with and without a table prefix', function () {
+      expect(new QueryBuilder('EPOLeafNode').select('NodeName', '_x.y_1')
+        .toParams().select).to.equal('(select NodeName _x.y_1)')
+    })
+
+    it('rejects names which are not identifiers', function () {
+      const invalidNames = ['', '1Node', 'EPOLeafNode.', '.NodeName',
+        'Node Name', 'NodeName)', 'Node"Name', 'EPOLeafNode..NodeName', 7,
+        null]
+      invalidNames.forEach(function (name) {
+        expect(function () {
+          new QueryBuilder('EPOLeafNode').select(name)
+        }).to.throw(TypeError, 'Invalid column name: ' + name)
+        expect(function () {
+          Q.eq(name, 'x')
+        }).to.throw(TypeError, 'Invalid column name: ' + name)
+        expect(function () {
+          return new QueryBuilder(name)
+        }).to.throw(TypeError, 'Invalid table name: ' + name)
+      })
+    })
+
+    it('validates the names in every clause', function () {
+      const query = new QueryBuilder('EPOLeafNode')
+      expect(function () {
+        query.join('EPOComputerProperties,EPOLeafNode')
+      }).to.throw(TypeError,
+        'Invalid table name: EPOComputerProperties,EPOLeafNode')
+      expect(function () {
+        query.orderBy('(desc NodeName)')
+      }).to.throw(TypeError, 'Invalid column name: (desc NodeName)')
+      expect(function () {
+        query.orderBy('NodeName', 'sideways')
+      }).to.throw(TypeError, 'Invalid sort direction: sideways')
+      expect(function () {
+        Q.isBlank('NodeName or 1')
+      }).to.throw(TypeError, 'Invalid column name: NodeName or 1')
+      expect(query.toParams()).to.deep.equal({ target: 'EPOLeafNode' })
+    })
+  })
+
+  describe('conditions', function () {
+    it('combines conditions with and, or and not', function () {
+      expect(Q.or(
+        Q.and(Q.eq('A.b', 1), Q.ne('A.c', 2)),
+        Q.not(Q.isBlank('A.d'))).toString())
+        .to.equal('(or (and (eq A.b 1) (ne A.c 2)) (not (isBlank A.d)))')
+    })
+
+    it('returns a single condition as it is', function () {
+      const condition = Q.le('A.b', 1)
+      expect(Q.and(condition)).to.equal(condition)
+    })
+
+    it('rejects conditions which were not created by the builder', function () {
+      expect(function () {
+        Q.and()
+      }).to.throw(TypeError, 'At least one condition is required for and')
+      expect(function () {
+        Q.or(Q.eq('A.b', 1), '(eq A.c 1)')
+      }).to.throw(TypeError, 'Invalid query condition: (eq A.c 1)')
+      expect(function () {
+        Q.not({ expression: '(eq A.b 1)' })
+      }).to.throw(TypeError, 'Invalid query condition')
+      expect(function () {
+        new QueryBuilder('A').where('(eq A.b 1)')
+      }).to.throw(TypeError, 'Invalid query condition: (eq A.b 1)')
+    })
+  })
+
+  describe('#run', function () {
+    it('runs the query with the client which created the builder', async function () {
+      const fabric = new MockDxlFabric()
+      const epoService = fabric.addEpoService('epo1', {
+        commands: { 'core.executeQuery': [{ 'EPOLeafNode.NodeName': 'web1' }] }
+      })
+      const epoClient = new EpoClient(fabric.createClient(), 'epo1')
+      const rows = await epoClient.query('EPOLeafNode')
+        .select('EPOLeafNode.NodeName')
+        .where(Q.eq('EPOLeafNode.NodeName', 'web1'))
+        .run()
+      expect(rows).to.deep.equal([{ 'EPOLeafNode.NodeName': 'web1' }])
+      expect(epoService.getInvocations('core.executeQuery')[0].params)
+        .to.deep.equal({
+          target: 'EPOLeafNode',
+          select: '(select EPOLeafNode.NodeName)',
+          where: '(where (eq EPOLeafNode.NodeName "web1"))'
+        })
+    })
+
+    it('fails for a builder without a client', function () {
+      expect(function () {
+        new QueryBuilder('EPOLeafNode').run()
+      }).to.throw(Error, 'No EpoClient is associated with the query')
+    })
+  })
+})
@@ -0,0 +1,146 @@
+'use strict'
+
+const expect = require('chai').expect
+const QueryStream = require('../lib/query-stream')
+
+const RANGE_PATTERN = /\(ge EPOLeafNode\.AutoID (\d+)\) \(lt EPOLeafNode\.AutoID (\d+)\)/
+
+function createEpoClient (ids) {
+  const epoClient = {
+    queries: [],
+    rowCounts: [],
+    executeQuery: function (query, options, callback) {
+      epoClient.queries.push(query)
+      const range = RANGE_PATTERN.exec(query.where)
+      const lowId = Number(range[1])
+      const highId = Number(range[2])
+      const rows = ids.filter(function (id) {
+        return id >= lowId && id < highId
+      }).map(function (id) {
+        return { 'EPOLeafNode.AutoID': id }
+      })
+      epoClient.rowCounts.push(rows.length)
+      setImmediate(function () {
+        callback(null, rows)
+      })
+    }
+  }
+  return epoClient
+}
+
+async function readIds (stream) {
+  const ids = []
+  for await (const row of stream) {
+    ids.push(row['EPOLeafNode.AutoID'])
+  }
+  return ids
+}
+
+describe('QueryStream', function () {
+  it('returns the rows of each range in id order', async function () {
+    const epoClient = createEpoClient([1, 2, 3, 5, 8, 13])
+    const stream = new QueryStream(epoClient, {
+      target: 'EPOLeafNode',
+      where: '(where (eq EPOLeafNode.Tags "server"))'
+    }, { pageSize: 4, maxId: 13 })
+    expect(await readIds(stream)).to.deep.equal([1, 2, 3, 5, 8, 13])
+    expect(epoClient.queries[0]).to.deep.equal({
+      target: 'EPOLeafNode',
+      where: '(where (and (eq EPOLeafNode.Tags "server") ' +
+        '(ge EPOLeafNode.AutoID 0) (lt EPOLeafNode.AutoID 4)))',
+      order: '(order (asc EPOLeafNode.AutoID))'
+    })
+    expect(epoClient.queries).to.have.lengthOf(4)
+  })
+
+  it('queries a page of ids at a time', async function () {
+    const ids = []
+    for (let id = 0; id < 50; id++) {
+      ids.push(id)
+    }
+    const epoClient = createEpoClient(ids)
+    const stream = new QueryStream(epoClient, { target: 'EPOLeafNode' },
+      { pageSize: 10, maxId: 49 })
+    expect(await readIds(stream)).to.deep.equal(ids)
+    expect(epoClient.queries).to.have.lengthOf(5)
+  })
+
+  it('doubles the range of the next query after an empty range', async function () {
+    const epoClient = createEpoClient([0, 100, 101])
+    const stream = new QueryStream(epoClient, { target: 'EPOLeafNode' },
+      { pageSize: 10, maxId: 200 })
+    expect(await readIds(stream)).to.deep.equal([0, 100, 101])
+    const ranges = epoClient.queries.map(function (query) {
+      const range = RANGE_PATTERN.exec(query.where)
+      return [Number(range[1]), Number(range[2]), query.select || null]
+    })
+    const ids = '(select EPOLeafNode.AutoID)'
+    expect(ranges).to.deep.equal([
+      [0, 10, null], [10, 20, null], [20, 40, ids], [40, 80, ids],
+      [80, 160, ids], [100, 110, null], [110, 120, null], [120, 140, ids],
+      [140, 180, ids], [180, 201, ids]
+    ])
+  })
+
+  it('returns at most a page of rows from each query after a gap', async function () {
+    const ids = [0]
+    for (let id = 5000; id < 6000; id++) {
+      ids.push(id)
+    }
+    const epoClient = createEpoClient(ids)
+    const stream = new QueryStream(epoClient, {
+      target: 'EPOLeafNode',
+      select: '(select EPOLeafNode.NodeName)'
+    }, { pageSize: 10, maxId: 5999 })
+    expect(await readIds(stream)).to.deep.equal(ids)
+    epoClient.queries.forEach(function (query, index) {
+      if (query.select === '(select EPOLeafNode.NodeName)') {
+        expect(epoClient.rowCounts[index]).to.be.at.most(10)
+      }
+    })
+    // The gap is skipped by querying just the ids of growing ranges, which
+    // finds the first id after the gap
+    const skipped = epoClient.queries.filter(function (query) {
+      return query.select === '(select EPOLeafNode.AutoID)'
+    })
+    expect(skipped).to.have.lengthOf(8)
+    expect(RANGE_PATTERN.exec(epoClient.queries[10].where)[1])
+      .to.equal('5000')
+  })
+
+  it('ends after a bounded number of queries without a maxId', async function () {
+    const epoClient = createEpoClient([])
+    const stream = new QueryStream(epoClient, { target: 'EPOLeafNode' })
+    expect(await readIds(stream)).to.deep.equal([])
+    expect(epoClient.queries).to.have.lengthOf(22)
+    const lastQuery = epoClient.queries[epoClient.queries.length - 1]
+    expect(RANGE_PATTERN.exec(lastQuery.where)[2]).to.equal('2147483648')
+  })
+
+  it('rejects a query with an order', function () {
+    expect(function () {
+      return new QueryStream(createEpoClient([]), {
+        target: 'EPOLeafNode',
+        order: '(order (desc EPOLeafNode.NodeName))'
+      })
+    }).to.throw(TypeError, 'An order cannot be specified to stream a query')
+  })
+
+  it('fails with the error of a query', async function () {
+    const failure = new Error('query failure')
+    const stream = new QueryStream({
+      executeQuery: function (query, options, callback) {
+        setImmediate(function () {
+          callback(failure)
+        })
+      }
+    }, { target: 'EPOLeafNode' })
+    let error = null
+    try {
+      await readIds(stream)
+    } catch (err) {
+      error = err
+    }
+    expect(error).to.equal(failure)
+  })
+})
@@ -0,0 +1,284 @@
+'use strict'
+
+const dgram = require('dgram')
+const expect = require('chai').expect
+const net = require('net')
+const SyslogThreatEventSink = require('../lib/syslog-threat-event-sink')
+
+// An RFC 5424 message: PRI, VERSION, TIMESTAMP, HOSTNAME, APP-NAME, PROCID,
+// MSGID, STRUCTURED-DATA and MSG
+const MESSAGE_PATTERN =
+  /^<(\d+)>1 (\S+) (\S+) (\S+) (\S+) (\S+) - ([\s\S]*)$/
+
+function parseMessage (message) {
+  const match = MESSAGE_PATTERN.exec(message)
+  expect(match, message).to.not.equal(null)
+  return {
+    priority: Number(match[1]),
+    timestamp: match[2],
+    hostname: match[3],
+    appName: match[4],
+    procId: match[5],
+    msgId: match[6],
+    msg: match[7]
+  }
+}
+
+function threatPayload (threatName, severity) {
+  return { events: [{ threatName, threatSeverity: severity }] }
+}
+
+function createUdpReceiver () {
+  return new Promise(function (resolve) {
+    const socket = dgram.createSocket('udp4')
+    const messages = []
+    const waiting = []
+    socket.on('message', function (message) {
+      messages.push(message.toString())
+      while (waiting.length && waiting[0].count <= messages.length) {
+        waiting.shift().resolve(messages.slice())
+      }
+    })
+    socket.bind(0, '127.0.0.1', function () {
+      resolve({
+        port: socket.address().port,
+        receive: function (count) {
+          return new Promise(function (resolve) {
+            if (messages.length >= count) {
+              resolve(messages.slice())
+            } else {
+              waiting.push({ count, resolve })
+            }
+          })
+        },
+        close: function () {
+          socket.close()
+        }
+      })
+    })
+  })
+}
+
+function createTcpReceiver () {
+  return new Promise(function (resolve) {
+    const connections = []
+    let data = ''
+    let listener = null
+    const server = net.createServer(function (connection) {
+      connections.push(connection)
+      connection.on('data', function (chunk) {
+        data += chunk.toString()
+        if (listener) {
+          listener()
+        }
+      })
+    })
+    server.listen(0, '127.0.0.1', function () {
+      resolve({
+        port: server.address().port,
+        connections,
+        // Resolves once the received data satisfies the predicate
+        receive: function (predicate) {
+          return new Promise(function (resolve) {
+            listener = function () {
+              if (predicate(data)) {
+                listener = null
+                resolve(data)
+              }
+            }
+            listener()
+          })
+        },
+        close: function () {
+          connections.forEach(function (connection) {
+            connection.destroy()
+          })
+          return new Promise(function (resolve) {
+            server.close(resolve)
+          })
+        }
+      })
+    })
+  })
+}
+
+describe('SyslogThreatEventSink', function () {
+  let receiver
+  let sink
+  let errors
+
+  beforeEach(function () {
+    receiver = null
+    sink = null
+    errors = []
+  })
+
+  afterEach(async function () {
+    if (sink) {
+      await sink.close()
+    }
+    if (receiver) {
+      await receiver.close()
+    }
+  })
+
+  function createSink (options) {
+    sink = new SyslogThreatEventSink(Object.assign({
+      host: '127.0.0.1',
+      port: receiver.port,
+      hostname: 'web1',
+      format: 'json',
+      errorCallback: function (error) {
+        errors.push(error)
+      }
+    }, options))
+    return sink
+  }
+
+  describe('over UDP', function () {
+    beforeEach(async function () {
+      receiver = await createUdpReceiver()
+    })
+
+    it('sends each event as an RFC 5424 message', async function () {
+      createSink()
+      const before = Date.now()
+      sink.handle(threatPayload('threat1', '2'))
+      const message = parseMessage((await receiver.receive(1))[0])
+      expect(message.priority).to.equal(1 * 8 + 2)
+      expect(Date.parse(message.timestamp)).to.be.at.least(before - 1000)
+      expect(message.hostname).to.equal('web1')
+      expect(message.appName).to.equal('dxl-epo-client')
+      expect(message.procId).to.equal(String(process.pid))
+      expect(message.msgId).to.equal('threat')
+      expect(JSON.parse(message.msg))
+        .to.deep.equal({ severity: 2, threatName: 'threat1' })
+      expect(sink.writtenCount).to.equal(1)
+    })
+
+    it('sets the priority from the facility and the event severity', async function () {
+      createSink({ facility: 4 })
+      sink.handle(threatPayload('threat1', '0'))
+      sink.handle(threatPayload('threat2', null))
+      sink.handle(threatPayload('threat3', '9'))
+      const priorities = (await receiver.receive(3)).map(function (message) {
+        return parseMessage(message).priority
+      }).sort(function (a, b) {
+        return a - b
+      })
+      // Severity 0, the default notice severity of 5 and the maximum of 7
+      expect(priorities).to.deep.equal([32, 37, 39])
+    })
+
+    it('replaces characters which are not allowed in header fields', async function () {
+      createSink({
+        hostname: 'my host',
+        appName: 'a'.repeat(60),
+        msgId: 'threaté'
+      })
+      sink.handle(threatPayload('threat1', '2'))
+      const message = parseMessage((await receiver.receive(1))[0])
+      expect(message.hostname).to.equal('my_host')
+      expect(message.appName).to.equal('a'.repeat(48))
+      expect(message.msgId).to.equal('threat_')
+    })
+  })
+
+  describe('over TCP', function () {
+    beforeEach(async function () {
+      receiver = await createTcpReceiver()
+    })
+
+    it('frames messages by octet counting', async function () {
+      createSink({ protocol: 'tcp', format: 'cef' })
+      sink.handle(threatPayload('café', '2'))
+      sink.handle(threatPayload('threat2', '3'))
+      const data = await receiver.receive(function (received) {
+        return received.indexOf('threat2') >= 0
+      })
+      const frames = []
+      let rest = Buffer.from(data)
+      while (rest.length) {
+        const space = rest.indexOf(' ')
+        const length = Number(rest.slice(0, space).toString())
+        frames.push(rest.slice(space + 1, space + 1 + length).toString())
+        rest = rest.slice(space + 1 + length)
+      }
+      expect(frames).to.have.lengthOf(2)
+      expect(parseMessage(frames[0]).msg).to.match(/^CEF:0\|.*\|café\|7\|/)
+      expect(parseMessage(frames[1]).msg).to.match(/\|threat2\|5\|/)
+      expect(receiver.connections).to.have.lengthOf(1)
+    })
+
+    it('frames messages by newlines', async function () {
+      createSink({ protocol: 'tcp', framing: 'newline' })
+      sink.handle(threatPayload('threat1', '2'))
+      sink.handle(threatPayload('threat2', '3'))
+      const data = await receiver.receive(function (received) {
+        return received.split('\n').length === 3
+      })
+      const lines = data.split('\n')
+      expect(lines[2]).to.equal('')
+      expect(JSON.parse(parseMessage(lines[0]).msg).threatName)
+        .to.equal('threat1')
+      expect(JSON.parse(parseMessage(lines[1]).msg).threatName)
+        .to.equal('threat2')
+    })
+
+    it('opens the connection again after the receiver closes it', async function () {
+      createSink({ protocol: 'tcp', framing: 'newline' })
+      sink.handle(threatPayload('threat1', '2'))
+      await receiver.receive(function (received) {
+        return received.indexOf('threat1') >= 0
+      })
+      const closed = new Promise(function (resolve) {
+        sink._socket.once('close', resolve)
+      })
+      receiver.connections[0].destroy()
+      await closed
+      sink.handle(threatPayload('threat2', '2'))
+      await receiver.receive(function (received) {
+        return received.indexOf('threat2') >= 0
+      })
+      expect(receiver.connections).to.have.lengthOf(2)
+      expect(errors).to.have.lengthOf(0)
+    })
+
+    it('reports an event which cannot be sent', async function () {
+      const port = receiver.port
+      await receiver.close()
+      receiver = null
+      let reportError
+      const reported = new Promise(function (resolve) {
+        reportError = resolve
+      })
+      sink = new SyslogThreatEventSink({
+        host: '127.0.0.1',
+        port,
+        protocol: 'tcp',
+        errorCallback: function (error) {
+          errors.push(error)
+          reportError()
+        }
+      })
+      sink.handle(threatPayload('threat1', '2'))
+      await reported
+      expect(errors[0].code).to.equal('ECONNREFUSED')
+      expect(sink.failedCount).to.equal(1)
+    })
+  })
+
+  it('rejects invalid options', function () {
+    const invalid = [
+      [{ protocol: 'http' }, 'Invalid protocol: http'],
+      [{ framing: 'length' }, 'Invalid framing: length'],
+      [{ facility: 24 }, 'Invalid facility: 24'],
+      [{ port: 70000 }, 'Invalid port: 70000']
+    ]
+    invalid.forEach(function (entry) {
+      expect(function () {
+        return new SyslogThreatEventSink(entry[0])
+      }).to.throw(TypeError, entry[1])
+    })
+  })
+})
@@ -0,0 +1,181 @@
+'use strict'
+
+const expect = require('chai').expect
+const dxl = require('@opendxl/dxl-client')
+const MessageUtils = require('@opendxl/dxl-bootstrap').MessageUtils
+const EpoClient = require('../lib/epo-client')
+const MockDxlFabric = require('../lib/mock-dxl-fabric')
+const ThreatEventAggregator = require('../lib/threat-event-aggregator')
+
+const THREAT_EVENT_TOPIC = '/mcafee/event/epo/threat/response'
+
+function threatEvent (agentGuid, threatName) {
+  const event = new dxl.Event(THREAT_EVENT_TOPIC)
+  MessageUtils.objectToJsonPayload(event,
+    { events: [{ agentGuid, threatName }] })
+  return event
+}
+
+describe('EpoClient#aggregateThreatEvents', function () {
+  let dxlClient
+  let epoClient
+
+  beforeEach(function () {
+    dxlClient = new MockDxlFabric().createClient()
+    epoClient = new EpoClient(dxlClient, 'epo1')
+  })
+
+  it('counts duplicate events until the aggregator is stopped', function () {
+    const summaries = []
+    const aggregator = epoClient.aggregateThreatEvents(function (summary) {
+      summaries.push([summary.key, summary.count])
+    })
+    expect(aggregator).to.be.an.instanceof(ThreatEventAggregator)
+    epoClient.deliverEvent(threatEvent('agent1', 'threat1'))
+    epoClient.deliverEvent(threatEvent('agent1', 'threat1'))
+    epoClient.deliverEvent(threatEvent('agent2', 'threat1'))
+    expect(aggregator.getOpenWindowCount()).to.equal(2)
+
+    aggregator.stop()
+    expect(summaries).to.have.lengthOf(2)
+    expect(summaries[0][1]).to.equal(2)
+    expect(summaries[1][1]).to.equal(1)
+    expect(dxlClient.getEventCallbackCount(THREAT_EVENT_TOPIC)).to.equal(0)
+    epoClient.deliverEvent(threatEvent('agent1', 'threat1'))
+    expect(aggregator.getOpenWindowCount()).to.equal(0)
+  })
+
+  it('does not stay subscribed if the options are not valid', function () {
+    expect(function () {
+      epoClient.aggregateThreatEvents(function () {}, { window: -1 })
+    }).to.throw(TypeError, 'Invalid window: -1')
+    expect(dxlClient.getEventCallbackCount(THREAT_EVENT_TOPIC)).to.equal(0)
+  })
+})
+
+describe('ThreatEventAggregator', function () {
+  let clock
+  let summaries
+
+  beforeEach(function () {
+    clock = {
+      time: Date.UTC(2024, 0, 2, 10),
+      timers: [],
+      now: function () {
+        return this.time
+      },
+      setTimeout: function (callback, delay) {
+        const timer = { callback, due: this.time + delay }
+        this.timers.push(timer)
+        return timer
+      },
+      clearTimeout: function (timer) {
+        this.timers = this.timers.filter(function (other) {
+          return other !== timer
+        })
+      },
+      advance: function (delay) {
+        this.time += delay
+        const due = this.timers.filter(function (timer) {
+          return timer.due <= clock.time
+        })
+        this.timers = this.timers.filter(function (timer) {
+          return timer.due > clock.time
+        })
+        due.forEach(function (timer) {
+          timer.callback()
+        })
+      }
+    }
+    summaries = []
+  })
+
+  function createAggregator (options) {
+    return new ThreatEventAggregator(function (summary) {
+      summaries.push(summary)
+    }, Object.assign({ clock, window: 1000 }, options))
+  }
+
+  function payload (agentGuid, threatName) {
+    return { events: [{ agentGuid, threatName }] }
+  }
+
+  it('delivers the summary of a window when the clock reaches its end', function () {
+    const aggregator = createAggregator()
+    const start = clock.time
+    aggregator.add(payload('agent1', 'threat1'))
+    clock.advance(400)
+    aggregator.add(payload('agent1', 'threat1'))
+    aggregator.add(payload('agent1', 'threat2'))
+    clock.advance(599)
+    expect(summaries).to.have.lengthOf(0)
+
+    clock.advance(1)
+    expect(summaries).to.have.lengthOf(1)
+    expect(summaries[0].key).to.equal('AGENT1|threat1')
+    expect(summaries[0].count).to.equal(2)
+    expect(summaries[0].firstSeen).to.deep.equal(new Date(start))
+    expect(summaries[0].lastSeen).to.deep.equal(new Date(start + 400))
+    expect(summaries[0].firstEvent).to.not.equal(summaries[0].lastEvent)
+    expect(aggregator.getOpenWindowCount()).to.equal(1)
+
+    // The next event for the key opens a new window
+    aggregator.add(payload('agent1', 'threat1'))
+    clock.advance(400)
+    expect(summaries.map(function (summary) {
+      return [summary.key, summary.count]
+    })).to.deep.equal([['AGENT1|threat1', 2], ['AGENT1|threat2', 1]])
+    clock.advance(600)
+    expect(summaries).to.have.lengthOf(3)
+    expect(summaries[2].firstSeen).to.deep.equal(new Date(start + 1000))
+    expect(aggregator.getOpenWindowCount()).to.equal(0)
+  })
+
+  it('cancels the timer of a window which is flushed', function () {
+    const aggregator = createAggregator()
+    aggregator.add(payload('agent1', 'threat1'))
+    expect(clock.timers).to.have.lengthOf(1)
+    aggregator.flush()
+    expect(summaries).to.have.lengthOf(1)
+    expect(clock.timers).to.have.lengthOf(0)
+  })
+
+  it('closes the oldest window early when maxKeys windows are open', function () {
+    const aggregator = createAggregator({ maxKeys: 2 })
+    aggregator.add(payload('agent1', 'threat1'))
+    aggregator.add(payload('agent2', 'threat1'))
+    aggregator.add(payload('agent3', 'threat1'))
+    expect(summaries.map(function (summary) {
+      return summary.key
+    })).to.deep.equal(['AGENT1|threat1'])
+    expect(aggregator.getOpenWindowCount()).to.equal(2)
+    expect(clock.timers).to.have.lengthOf(2)
+  })
+
+  it('counts an event which closes a window early if the callback throws', function () {
+    const aggregator = new ThreatEventAggregator(function (summary) {
+      summaries.push(summary)
+      throw new Error('Callback failed')
+    }, { clock, maxKeys: 1 })
+    aggregator.add(payload('agent1', 'threat1'))
+    expect(function () {
+      aggregator.add(payload('agent2', 'threat1'))
+    }).to.throw(Error, 'Callback failed')
+    expect(aggregator.getOpenWindowCount()).to.equal(1)
+    aggregator.add(payload('agent2', 'threat1'))
+    expect(function () {
+      aggregator.flush()
+    }).to.throw(Error, 'Callback failed')
+    expect(summaries.map(function (summary) {
+      return [summary.key, summary.count]
+    })).to.deep.equal([['AGENT1|threat1', 1], ['AGENT2|threat1', 2]])
+  })
+
+  it('does not keep the process running while a window is open', function () {
+    const aggregator = new ThreatEventAggregator(function () {})
+    aggregator.add(payload('agent1', 'threat1'))
+    const window = aggregator._windows.values().next().value
+    expect(window.timer.hasRef()).to.equal(false)
+    aggregator.flush()
+  })
+})
@@ -0,0 +1,202 @@
+'use strict'
+
+const expect = require('chai').expect
+const dxl = require('@opendxl/dxl-client')
+const EpoClient = require('../lib/epo-client')
+const MockDxlFabric = require('../lib/mock-dxl-fabric')
+const ThreatEventFilter = require('../lib/threat-event-filter')
+
+const THREAT_EVENT_TOPIC = '/mcafee/event/epo/threat/response'
+
+function payload (events) {
+  return { events }
+}
+
+const eicar = payload([{
+  threatName: 'EICAR test file',
+  threatSeverity: '2',
+  threatType: 'test',
+  detectedUTC: '2024-01-02T10:00:00Z',
+  sourceIPV4: '10.0.0.1',
+  tags: ['server', 'web']
+}])
+
+function matches (spec, threatPayload) {
+  return new ThreatEventFilter(spec).matches(threatPayload || eicar)
+}
+
+describe('ThreatEventFilter', function () {
+  describe('operators', function () {
+    it('eq compares strings, numbers, booleans and dates', function () {
+      expect(matches({ 'events.threatType': { eq: 'test' } })).to.equal(true)
+      expect(matches({ 'events.threatType': { eq: 'virus' } })).to.equal(false)
+      expect(matches({ 'events.threatSeverity': { eq: 2 } })).to.equal(true)
+      expect(matches({ 'events.threatSeverity': { eq: '2.0' } }))
+        .to.equal(false)
+      const detected = new Date('2024-01-02T10:00:00Z')
+      expect(matches({ 'events.detectedUTC': { eq: detected } }))
+        .to.equal(true)
+      expect(matches({ quarantined: { eq: true } },
+        { quarantined: true })).to.equal(true)
+      expect(matches({ quarantined: { eq: true } },
+        { quarantined: 'true' })).to.equal(false)
+    })
+
+    it('ne excludes events where any value is equal', function () {
+      expect(matches({ 'events.threatType': { ne: 'virus' } })).to.equal(true)
+      expect(matches({ 'events.threatType': { ne: 'test' } })).to.equal(false)
+      expect(matches({ 'events.tags': { ne: 'web' } })).to.equal(false)
+      expect(matches({ 'events.missing': { ne: 'test' } })).to.equal(true)
+    })
+
+    it('in matches any of the values', function () {
+      expect(matches({ 'events.threatType': { in: ['virus', 'test'] } }))
+        .to.equal(true)
+      expect(matches({ 'events.threatSeverity': { in: [1, 2] } }))
+        .to.equal(true)
+      expect(matches({ 'events.threatType': { in: [] } })).to.equal(false)
+    })
+
+    it('gt, gte, lt and lte compare numeric strings as numbers', function () {
+      expect(matches({ 'events.threatSeverity': { gt: 1 } })).to.equal(true)
+      expect(matches({ 'events.threatSeverity': { gt: 2 } })).to.equal(false)
+      expect(matches({ 'events.threatSeverity': { gte: 2 } })).to.equal(true)
+      expect(matches({ 'events.threatSeverity': { lt: 2 } })).to.equal(false)
+      expect(matches({ 'events.threatSeverity': { lte: 2 } })).to.equal(true)
+      expect(matches({ 'events.threatSeverity': { gte: 10 } })).to.equal(false)
+      expect(matches({ 'events.threatName': { lt: 10 } })).to.equal(false)
+    })
+
+    it('gt, gte, lt and lte compare date strings as dates', function () {
+      const detected = new Date('2024-01-02T10:00:00Z')
+      const before = new Date(detected.getTime() - 1)
+      const after = new Date(detected.getTime() + 1)
+      expect(matches({ 'events.detectedUTC': { gt: before } })).to.equal(true)
+      expect(matches({ 'events.detectedUTC': { gt: detected } }))
+        .to.equal(false)
+      expect(matches({ 'events.detectedUTC': { gte: detected } }))
+        .to.equal(true)
+      expect(matches({ 'events.detectedUTC': { lt: after } })).to.equal(true)
+      expect(matches({ 'events.detectedUTC': { lte: detected } }))
+        .to.equal(true)
+      expect(matches({ 'events.threatName': { lte: detected } }))
+        .to.equal(false)
+    })
+
+    it('combines operators for the same value', function () {
+      expect(matches({ 'events.threatSeverity': { gte: 1, lte: 3 } }))
+        .to.equal(true)
+      expect(matches({ 'events.threatSeverity': { gte: 3, lte: 5 } }))
+        .to.equal(false)
+      // Each value must satisfy every operator by itself
+      expect(matches({ values: { gt: 5, lt: 2 } }, { values: [1, 10] }))
+        .to.equal(false)
+    })
+
+    it('match tests the value as a string', function () {
+      expect(matches({ 'events.threatName': { match: /^EICAR/ } }))
+        .to.equal(true)
+      expect(matches({ 'events.threatSeverity': { match: /^\d$/ } }))
+        .to.equal(true)
+      expect(matches({ 'events.threatName': { match: /^eicar/ } }))
+        .to.equal(false)
+    })
+
+    it('match gives the same result each time for a global expression', function () {
+      const filter = new ThreatEventFilter(
+        { 'events.threatName': { match: /EICAR/g } })
+      expect(filter.matches(eicar)).to.equal(true)
+      expect(filter.matches(eicar)).to.equal(true)
+    })
+
+    it('exists tests whether the field has a value', function () {
+      expect(matches({ 'events.sourceIPV4': { exists: true } })).to.equal(true)
+      expect(matches({ 'events.sourceIPV4': { exists: false } }))
+        .to.equal(false)
+      expect(matches({ 'events.targetIPV4': { exists: false } }))
+        .to.equal(true)
+      expect(matches({ 'events.targetIPV4': { exists: true } }))
+        .to.equal(false)
+      expect(matches({ 'events.targetIPV4': { exists: false } },
+        payload([{ targetIPV4: null }]))).to.equal(true)
+    })
+
+    it('rejects unknown operators and invalid operands', function () {
+      expect(function () {
+        return new ThreatEventFilter({ 'events.threatName': { like: 'x' } })
+      }).to.throw(TypeError, 'Unknown operator for field events.threatName: like')
+      expect(function () {
+        return new ThreatEventFilter({ 'events.threatName': {} })
+      }).to.throw(TypeError, 'No condition specified for field: events.threatName')
+      expect(function () {
+        return new ThreatEventFilter({ 'events.threatType': { in: 'test' } })
+      }).to.throw(TypeError, 'The in operator requires an array')
+      expect(function () {
+        return new ThreatEventFilter({ 'events.threatName': { match: 'EICAR' } })
+      }).to.throw(TypeError, 'The match operator requires a RegExp')
+      expect(function () {
+        return new ThreatEventFilter('events.threatName')
+      }).to.throw(TypeError, 'Invalid threat event filter: events.threatName')
+    })
+  })
+
+  describe('conditions', function () {
+    it('treats a value, a RegExp and an array as eq, match and in', function () {
+      expect(matches({ 'events.threatType': 'test' })).to.equal(true)
+      expect(matches({ 'events.threatName': /test file$/ })).to.equal(true)
+      expect(matches({ 'events.threatType': ['virus', 'trojan'] }))
+        .to.equal(false)
+      expect(matches({ 'events.threatSeverity': null })).to.equal(false)
+    })
+
+    it('invokes a function with the value and the payload', function () {
+      const calls = []
+      expect(matches({
+        'events.sourceIPV4': function (ip, threatPayload) {
+          calls.push([ip, threatPayload])
+          return ip.startsWith('10.')
+        }
+      })).to.equal(true)
+      expect(calls).to.deep.equal([['10.0.0.1', eicar]])
+    })
+
+    it('matches a path through an array if any element matches', function () {
+      const twoEvents = payload([
+        { threatName: 'Trojan', threatSeverity: 1 },
+        { threatName: 'EICAR', threatSeverity: 5 }
+      ])
+      expect(matches({ 'events.threatName': 'EICAR' }, twoEvents))
+        .to.equal(true)
+      expect(matches({ 'events.threatSeverity': { gt: 4 } }, twoEvents))
+        .to.equal(true)
+      expect(matches({ 'events.tags': 'web' })).to.equal(true)
+    })
+
+    it('requires every field and every specification in an array', function () {
+      expect(matches({ 'events.threatType': 'test', 'events.threatName': /x/ }))
+        .to.equal(false)
+      expect(matches([{ 'events.threatType': 'test' },
+        function (threatPayload) { return threatPayload.events.length === 1 }]))
+        .to.equal(true)
+      expect(matches([{ 'events.threatType': 'test' },
+        new ThreatEventFilter({ 'events.threatSeverity': 3 })]))
+        .to.equal(false)
+    })
+  })
+
+  it('selects the events for EpoClient#addThreatEventCallback', function () {
+    const epoClient = new EpoClient(new MockDxlFabric().createClient(), 'epo1')
+    const received = []
+    epoClient.addThreatEventCallback(function (threatPayload) {
+      received.push(threatPayload.events[0].threatName)
+    }, null, { filter: { 'events.threatSeverity': { lte: 2 } } })
+    const severities = [['high', '1'], ['low', '4'], ['medium', '2']]
+    severities.forEach(function (severity) {
+      const event = new dxl.Event(THREAT_EVENT_TOPIC)
+      event.payload = JSON.stringify(payload(
+        [{ threatName: severity[0], threatSeverity: severity[1] }]))
+      epoClient.deliverEvent(event)
+    })
+    expect(received).to.deep.equal(['high', 'medium'])
+  })
+})
@@ -0,0 +1,143 @@
+'use strict'
+
+const expect = require('chai').expect
+const SiemFormat = require('../lib/siem-format')
+const ThreatEvent = require('../lib/threat-event')
+const ThreatEventFormatter = require('../lib/threat-event-formatter')
+
+function threatEvent (fields) {
+  return new ThreatEvent({
+    events: [Object.assign({
+      threatName: 'EICAR test file',
+      threatCategory: 'av.detect',
+      threatSeverity: '1',
+      analyzerHostName: 'web1',
+      detectedUTC: '2024-01-02T10:00:00Z'
+    }, fields)]
+  })
+}
+
+function format (options, fields) {
+  return new ThreatEventFormatter(options).format(threatEvent(fields))
+}
+
+describe('ThreatEventFormatter', function () {
+  describe('CEF', function () {
+    it('writes the header and the default extension fields', function () {
+      expect(format({ format: SiemFormat.CEF }, { threatType: 'test' }))
+        .to.equal('CEF:0|McAfee|ePolicy Orchestrator|1.0|av.detect|' +
+          'EICAR test file|8|rt=1704189600000 dvchost=web1 cat=av.detect ' +
+          'cs1Label=threatType cs1=test')
+    })
+
+    it('escapes pipes and backslashes in the header', function () {
+      expect(format({
+        format: SiemFormat.CEF,
+        vendor: 'Mc|Afee',
+        product: 'ePO\\server',
+        fields: { rt: null, dvchost: null, cat: null, cs1Label: null }
+      }, {
+        threatName: 'Trojan|A\\B\nvariant',
+        threatCategory: 'av|detect'
+      })).to.equal('CEF:0|Mc\\|Afee|ePO\\\\server|1.0|av\\|detect|' +
+        'Trojan\\|A\\\\B variant|8|')
+    })
+
+    it('escapes equals signs, backslashes and line breaks in extension values', function () {
+      expect(format({
+        format: SiemFormat.CEF,
+        fields: { rt: null, dvchost: null, cat: null }
+      }, {
+        threatType: 'a=b\\c|d\r\ne\rf\ng'
+      })).to.equal('CEF:0|McAfee|ePolicy Orchestrator|1.0|av.detect|' +
+        'EICAR test file|8|cs1Label=threatType ' +
+        'cs1=a\\=b\\\\c|d\\ne\\rf\\ng')
+    })
+
+    it('converts the ePO severity to a scale from 0 to 10', function () {
+      const severities = [['0', '10'], ['3', '5'], ['6', '0'], ['9', '0'],
+        ['-1', '10'], [' ', 'Unknown']]
+      severities.forEach(function (severity) {
+        const line = format({ format: SiemFormat.CEF, fields: { rt: null } },
+          { threatSeverity: severity[0] })
+        expect(line.split('|')[6]).to.equal(severity[1])
+      })
+    })
+  })
+
+  describe('LEEF', function () {
+    it('writes the header and tab-separated attributes', function () {
+      expect(format({ format: SiemFormat.LEEF }, { agentGuid: 'abc-123' }))
+        .to.equal('LEEF:1.0|McAfee|ePolicy Orchestrator|1.0|av.detect|' +
+          'devTime=1704189600000\tidentHostName=web1\tcat=av.detect\t' +
+          'agentGuid=ABC-123\tthreatName=EICAR test file\tsev=8')
+    })
+
+    it('replaces tabs and line breaks in attribute values', function () {
+      const line = format({
+        format: SiemFormat.LEEF,
+        fields: { devTime: null, identHostName: null, cat: null }
+      }, {
+        threatName: 'a\tb\r\nc=d|e\\f',
+        threatCategory: 'av|detect\n'
+      })
+      expect(line).to.equal('LEEF:1.0|McAfee|ePolicy Orchestrator|1.0|' +
+        'av\\|detect |threatName=a b c=d|e\\f\tsev=8')
+    })
+
+    it('writes a severity of at least 1 unless a sev field is mapped', function () {
+      expect(format({ format: SiemFormat.LEEF }, { threatSeverity: '6' }))
+        .to.match(/\tsev=1$/)
+      expect(format({
+        format: SiemFormat.LEEF,
+        fields: {
+          sev: function () {
+            return 3
+          }
+        }
+      })).to.match(/\tsev=3$/)
+      expect(format({ format: SiemFormat.LEEF }, { threatSeverity: null }))
+        .to.not.match(/sev=/)
+    })
+  })
+
+  describe('JSON', function () {
+    it('writes the values of the fields which are present', function () {
+      expect(JSON.parse(format())).to.deep.equal({
+        detectedTime: '2024-01-02T10:00:00.000Z',
+        severity: 1,
+        hostName: 'web1',
+        threatCategory: 'av.detect',
+        threatName: 'EICAR test file'
+      })
+    })
+
+    it('merges the fields over the default mapping', function () {
+      expect(JSON.parse(format({
+        fields: {
+          detectedTime: null,
+          severity: null,
+          hostName: null,
+          threatCategory: null,
+          handled: 'events.threatHandled',
+          name: function (event) {
+            return event.getThreatName().toUpperCase()
+          }
+        }
+      }, { threatHandled: false }))).to.deep.equal({
+        threatName: 'EICAR test file',
+        handled: false,
+        name: 'EICAR TEST FILE'
+      })
+    })
+  })
+
+  it('rejects invalid options', function () {
+    expect(function () {
+      return new ThreatEventFormatter({ format: 'xml' })
+    }).to.throw(TypeError, 'Invalid SIEM format: xml')
+    expect(function () {
+      return new ThreatEventFormatter({ fields: { name: 5 } })
+    }).to.throw(TypeError, 'Invalid source for field name: 5')
+  })
+})
@@ -0,0 +1,441 @@
+'use strict'
+
+const expect = require('chai').expect
+const dxl = require('@opendxl/dxl-client')
+const EpoClient = require('../lib/epo-client')
+const EpoCommandError = require('../lib/epo-command-error')
+const MockDxlFabric = require('../lib/mock-dxl-fabric')
+const ThreatEvent = require('../lib/threat-event')
+const ThreatEventPlaybook = require('../lib/threat-event-playbook')
+
+const THREAT_EVENT_TOPIC = '/mcafee/event/epo/threat/response'
+
+const Outcome = ThreatEventPlaybook.Outcome
+
+function threatPayload (hostName, fields) {
+  return {
+    events: [Object.assign({
+      analyzerHostName: hostName,
+      threatName: 'EICAR test file',
+      threatSeverity: '2'
+    }, fields)]
+  }
+}
+
+function summarize (records) {
+  return records.map(function (record) {
+    return [record.rule, record.command, record.outcome]
+  })
+}
+
+describe('ThreatEventPlaybook', function () {
+  let fabric
+  let epoService
+  let epoClient
+  let clock
+
+  beforeEach(function () {
+    fabric = new MockDxlFabric()
+    epoService = fabric.addEpoService('epo1', {
+      commands: {
+        'system.applyTag': 1,
+        'system.wakeupAgent': 'Woke up 1 system'
+      }
+    })
+    epoClient = new EpoClient(fabric.createClient(), 'epo1')
+    clock = {
+      time: Date.UTC(2024, 0, 2, 10),
+      now: function () {
+        return this.time
+      }
+    }
+  })
+
+  function createPlaybook (options) {
+    return new ThreatEventPlaybook(epoClient,
+      Object.assign({ clock }, options))
+  }
+
+  const containRule = {
+    name: 'contain',
+    match: { 'events.threatSeverity': { lte: 2 } },
+    actions: [
+      {
+        command: 'system.applyTag',
+        params: { names: '{{hostName}}', tagName: 'Infected' }
+      },
+      { command: 'system.wakeupAgent', params: { names: '{{hostName}}' } }
+    ]
+  }
+
+  describe('rules', function () {
+    it('applies every rule which matches the event, in order', async function () {
+      const playbook = createPlaybook({
+        rules: [
+          containRule,
+          {
+            match: { 'events.threatSeverity': { gte: 4 } },
+            actions: [{ command: 'system.wakeupAgent' }]
+          },
+          { actions: [{ command: 'system.wakeupAgent' }] }
+        ]
+      })
+      const records = await playbook.handle(threatPayload('web1'))
+      expect(summarize(records)).to.deep.equal([
+        ['contain', 'system.applyTag', Outcome.SUCCEEDED],
+        ['contain', 'system.wakeupAgent', Outcome.SUCCEEDED],
+        ['rule 3', 'system.wakeupAgent', Outcome.SUCCEEDED]
+      ])
+      expect(epoService.invocations.map(function (invocation) {
+        return invocation.command
+      })).to.deep.equal(
+        ['system.applyTag', 'system.wakeupAgent', 'system.wakeupAgent'])
+    })
+
+    it('takes no action for an event which matches no rule', async function () {
+      const playbook = createPlaybook({ rules: [containRule] })
+      const records = await playbook.handle(
+        threatPayload('web1', { threatSeverity: '5' }))
+      expect(records).to.have.lengthOf(0)
+      expect(epoService.invocations).to.have.lengthOf(0)
+    })
+
+    it('rejects invalid rules and options', function () {
+      const invalid = [
+        [{}, 'At least one playbook rule must be specified'],
+        [{ rules: [] }, 'At least one playbook rule must be specified'],
+        [{ rules: ['rule'] }, 'Invalid playbook rule: rule'],
+        [{ rules: [{ actions: [] }] }, 'Playbook rule rule 1 has no actions'],
+        [{ rules: [containRule, { name: 'r', actions: [{ params: {} }] }] },
+          'Playbook rule r has an action with no command'],
+        [{ rules: [{ actions: [{ command: 'a.b', params: 'x' }] }] },
+          'Playbook rule rule 1 has invalid params for command a.b'],
+        [{ rules: [containRule], rateLimit: { limit: 0, interval: 1000 } },
+          'Invalid rateLimit: {"limit":0,"interval":1000}'],
+        [{ rules: [containRule], rateLimit: { limit: 1 } },
+          'Invalid rateLimit: {"limit":1}']
+      ]
+      invalid.forEach(function (entry) {
+        expect(function () {
+          return new ThreatEventPlaybook(epoClient, entry[0])
+        }).to.throw(TypeError, entry[1])
+      })
+      expect(function () {
+        return new ThreatEventPlaybook(epoClient, {
+          rules: [{
+            match: { 'events.threatName': { like: 'x' } },
+            actions: [{ command: 'a.b' }]
+          }]
+        })
+      }).to.throw(TypeError, 'Unknown operator for field events.threatName')
+    })
+  })
+
+  describe('templates', function () {
+    it('fills in the parameters from the threat event', async function () {
+      const playbook = createPlaybook({
+        rules: [{
+          actions: [{
+            command: 'system.applyTag',
+            params: {
+              names: ['{{hostName}}', '{{ events.sourceIPV4 }}'],
+              tagName: 'Threat: {{threatName}} ({{severity}})',
+              severity: '{{severity}}',
+              detected: '{{detectedTime}}',
+              nested: { guid: '{{agentGuid}}' },
+              limit: 5
+            }
+          }]
+        }]
+      })
+      const records = await playbook.handle(threatPayload('web1', {
+        sourceIPV4: '10.0.0.1',
+        detectedUTC: '2024-01-02T09:00:00Z',
+        agentGuid: '{abc-123}'
+      }))
+      const params = {
+        names: ['web1', '10.0.0.1'],
+        tagName: 'Threat: EICAR test file (2)',
+        severity: 2,
+        detected: '2024-01-02T09:00:00.000Z',
+        nested: { guid: 'ABC-123' },
+        limit: 5
+      }
+      expect(records[0].params).to.deep.equal(params)
+      expect(epoService.getInvocations('system.applyTag')[0].params)
+        .to.deep.equal(params)
+    })
+
+    it('fails an action whose placeholder has no value in the event', async function () {
+      const playbook = createPlaybook({
+        rules: [{
+          name: 'block',
+          actions: [
+            {
+              command: 'system.applyTag',
+              params: { names: 'host {{events.targetHostName}}' }
+            },
+            { command: 'system.wakeupAgent' }
+          ]
+        }]
+      })
+      const records = await playbook.handle(threatPayload('web1'))
+      expect(summarize(records)).to.deep.equal([
+        ['block', 'system.applyTag', Outcome.FAILED],
+        ['block', 'system.wakeupAgent', Outcome.SKIPPED]
+      ])
+      expect(records[0].params).to.equal(null)
+      expect(records[0].error.message).to.equal(
+        'The threat event has no value for {{events.targetHostName}}')
+      expect(records[1].error).to.equal(null)
+      expect(epoService.invocations).to.have.lengthOf(0)
+    })
+  })
+
+  describe('failures', function () {
+    it('skips the remaining actions of a rule after a command fails', async function () {
+      epoService.setCommand('system.applyTag', function () {
+        throw new Error('Tag not found')
+      })
+      const playbook = createPlaybook({
+        rules: [
+          containRule,
+          { name: 'notify', actions: [{ command: 'system.wakeupAgent' }] }
+        ]
+      })
+      const records = await playbook.handle(threatPayload('web1'))
+      expect(summarize(records)).to.deep.equal([
+        ['contain', 'system.applyTag', Outcome.FAILED],
+        ['contain', 'system.wakeupAgent', Outcome.SKIPPED],
+        ['notify', 'system.wakeupAgent', Outcome.SUCCEEDED]
+      ])
+      expect(records[0].error).to.be.an.instanceof(EpoCommandError)
+      expect(records[0].error.epoErrorMessage).to.equal('Tag not found')
+      expect(records[0].params)
+        .to.deep.equal({ names: 'web1', tagName: 'Infected' })
+      expect(records[1].params).to.equal(null)
+      expect(epoService.getInvocations('system.wakeupAgent')[0].params)
+        .to.deep.equal({})
+    })
+
+    it('delivers the records to a callback', function (done) {
+      const playbook = createPlaybook({ rules: [containRule] })
+      playbook.handle(threatPayload('web1'), function (error, records) {
+        expect(error).to.equal(null)
+        expect(records).to.have.lengthOf(2)
+        done()
+      })
+    })
+  })
+
+  describe('dry run', function () {
+    it('records the actions without running them', async function () {
+      const playbook = createPlaybook({ rules: [containRule], dryRun: true })
+      const records = await playbook.handle(threatPayload('web1'))
+      expect(summarize(records)).to.deep.equal([
+        ['contain', 'system.applyTag', Outcome.DRY_RUN],
+        ['contain', 'system.wakeupAgent', Outcome.DRY_RUN]
+      ])
+      expect(records[0].params)
+        .to.deep.equal({ names: 'web1', tagName: 'Infected' })
+      expect(records[0].result).to.equal(null)
+      expect(epoService.invocations).to.have.lengthOf(0)
+    })
+
+    it('lets a rule override the dry run setting of the playbook', async function () {
+      const rules = [
+        Object.assign({}, containRule, { dryRun: false }),
+        {
+          name: 'notify',
+          dryRun: true,
+          actions: [{ command: 'system.wakeupAgent' }]
+        }
+      ]
+      const playbook = createPlaybook({ rules, dryRun: true })
+      expect(summarize(await playbook.handle(threatPayload('web1'))))
+        .to.deep.equal([
+          ['contain', 'system.applyTag', Outcome.SUCCEEDED],
+          ['contain', 'system.wakeupAgent', Outcome.SUCCEEDED],
+          ['notify', 'system.wakeupAgent', Outcome.DRY_RUN]
+        ])
+      expect(epoService.invocations).to.have.lengthOf(2)
+    })
+
+    it('still fails an action whose placeholder has no value', async function () {
+      const playbook = createPlaybook({ rules: [containRule], dryRun: true })
+      const records = await playbook.handle(
+        { events: [{ threatSeverity: '1' }] })
+      expect(summarize(records)).to.deep.equal([
+        ['contain', 'system.applyTag', Outcome.FAILED],
+        ['contain', 'system.wakeupAgent', Outcome.SKIPPED]
+      ])
+    })
+  })
+
+  describe('rate limits', function () {
+    function createLimitedPlaybook (options) {
+      return createPlaybook(Object.assign({
+        rules: [{ name: 'wake', actions: [{ command: 'system.wakeupAgent' }] }],
+        rateLimit: { limit: 2, interval: 60000 }
+      }, options))
+    }
+
+    async function outcomes (playbook, payload) {
+      const records = await playbook.handle(payload)
+      return records.map(function (record) {
+        return record.outcome
+      })
+    }
+
+    it('limits the number of times that rules are applied for each host', async function () {
+      const playbook = createLimitedPlaybook()
+      expect(await outcomes(playbook, threatPayload('web1')))
+        .to.deep.equal([Outcome.SUCCEEDED])
+      clock.time += 1000
+      expect(await outcomes(playbook, threatPayload('WEB1')))
+        .to.deep.equal([Outcome.SUCCEEDED])
+      expect(await outcomes(playbook, threatPayload('web1')))
+        .to.deep.equal([Outcome.RATE_LIMITED])
+      expect(await outcomes(playbook, threatPayload('web2')))
+        .to.deep.equal([Outcome.SUCCEEDED])
+      expect(epoService.invocations).to.have.lengthOf(3)
+
+      // The first application leaves the interval
+      clock.time += 59000
+      expect(await outcomes(playbook, threatPayload('web1')))
+        .to.deep.equal([Outcome.SUCCEEDED])
+      expect(await outcomes(playbook, threatPayload('web1')))
+        .to.deep.equal([Outcome.RATE_LIMITED])
+      clock.time += 1000
+      expect(await outcomes(playbook, threatPayload('web1')))
+        .to.deep.equal([Outcome.SUCCEEDED])
+    })
+
+    it('identifies a host without a host name by its agent GUID', async function () {
+      const playbook = createLimitedPlaybook(
+        { rateLimit: { limit: 1, interval: 60000 } })
+      const records = await playbook.handle(
+        { events: [{ agentGuid: '{abc-123}' }] })
+      expect(records[0].host).to.equal('ABC-123')
+      expect(await outcomes(playbook, { events: [{ agentGuid: 'abc-123' }] }))
+        .to.deep.equal([Outcome.RATE_LIMITED])
+      expect(await outcomes(playbook, { events: [{ agentGuid: 'def-456' }] }))
+        .to.deep.equal([Outcome.SUCCEEDED])
+    })
+
+    it('records every action of a limited rule without running it', async function () {
+      const playbook = createPlaybook({
+        rules: [containRule],
+        rateLimit: { limit: 1, interval: 60000 }
+      })
+      await playbook.handle(threatPayload('web1'))
+      const records = await playbook.handle(threatPayload('web1'))
+      expect(summarize(records)).to.deep.equal([
+        ['contain', 'system.applyTag', Outcome.RATE_LIMITED],
+        ['contain', 'system.wakeupAgent', Outcome.RATE_LIMITED]
+      ])
+      expect(records[0].params).to.equal(null)
+      expect(epoService.invocations).to.have.lengthOf(2)
+    })
+
+    it('applies in dry-run mode', async function () {
+      const playbook = createLimitedPlaybook({ dryRun: true })
+      expect(await outcomes(playbook, threatPayload('web1')))
+        .to.deep.equal([Outcome.DRY_RUN])
+      expect(await outcomes(playbook, threatPayload('web1')))
+        .to.deep.equal([Outcome.DRY_RUN])
+      expect(await outcomes(playbook, threatPayload('web1')))
+        .to.deep.equal([Outcome.RATE_LIMITED])
+    })
+  })
+
+  describe('audit records', function () {
+    it('emits a record for each action', async function () {
+      const playbook = createPlaybook({ rules: [containRule] })
+      const emitted = []
+      playbook.on('audit', function (record) {
+        emitted.push(record)
+      })
+      const threatEvent = new ThreatEvent(threatPayload('web1'))
+      const records = await playbook.handle(threatEvent)
+      expect(emitted).to.deep.equal(records)
+      expect(records[0]).to.deep.equal({
+        time: new Date(clock.time),
+        rule: 'contain',
+        command: 'system.applyTag',
+        params: { names: 'web1', tagName: 'Infected' },
+        host: 'web1',
+        outcome: Outcome.SUCCEEDED,
+        error: null,
+        result: 1,
+        threatEvent
+      })
+      expect(records[1].result).to.equal('Woke up 1 system')
+      expect(records[1].threatEvent).to.equal(threatEvent)
+    })
+
+    it('takes the time of each record from the clock', async function () {
+      epoService.setCommand('system.applyTag', function () {
+        clock.time += 5000
+        return 1
+      })
+      const playbook = createPlaybook({ rules: [containRule] })
+      const start = clock.time
+      const records = await playbook.handle(threatPayload('web1'))
+      expect(records.map(function (record) {
+        return record.time.getTime()
+      })).to.deep.equal([start + 5000, start + 5000])
+    })
+  })
+
+  describe('#start', function () {
+    it('applies the rules to the threat events received until stopped', async function () {
+      const playbook = createPlaybook({ rules: [containRule] })
+      const records = []
+      playbook.on('audit', function (record) {
+        records.push(record)
+      })
+      playbook.start()
+      playbook.start()
+      fabric.sendEvent(THREAT_EVENT_TOPIC, threatPayload('web1'))
+      await new Promise(function (resolve) {
+        playbook.on('audit', function () {
+          if (records.length === 2) {
+            resolve()
+          }
+        })
+      })
+      expect(records.map(function (record) {
+        return record.outcome
+      })).to.deep.equal([Outcome.SUCCEEDED, Outcome.SUCCEEDED])
+      expect(records[0].threatEvent.getEvent().destinationTopic)
+        .to.equal(THREAT_EVENT_TOPIC)
+
+      playbook.stop()
+      fabric.sendEvent(THREAT_EVENT_TOPIC, threatPayload('web2'))
+      await new Promise(function (resolve) {
+        setImmediate(resolve)
+      })
+      expect(records).to.have.lengthOf(2)
+      expect(epoService.invocations).to.have.lengthOf(2)
+    })
+
+    it('emits an error for an event which cannot be decoded', function () {
+      const playbook = createPlaybook({ rules: [containRule] })
+      const errors = []
+      const event = new dxl.Event(THREAT_EVENT_TOPIC)
+      event.payload = 'not json'
+      playbook.start()
+      // Without a listener, the error is ignored
+      epoClient.deliverEvent(event)
+      playbook.on('error', function (error) {
+        errors.push(error)
+      })
+      epoClient.deliverEvent(event)
+      playbook.stop()
+      expect(errors).to.have.lengthOf(1)
+      expect(errors[0]).to.be.an.instanceof(SyntaxError)
+      expect(epoService.invocations).to.have.lengthOf(0)
+    })
+  })
+})
@@ -0,0 +1,151 @@
+'use strict'
+
+const dxl = require('@opendxl/dxl-client')
+const expect = require('chai').expect
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const EpoClient = require('../lib/epo-client')
+const MockDxlFabric = require('../lib/mock-dxl-fabric')
+const ThreatEventRecorder = require('../lib/threat-event-recorder')
+const ThreatEventReplayer = require('../lib/threat-event-replayer')
+
+const THREAT_EVENT_TOPIC = '/mcafee/event/epo/threat/response'
+
+// A payload which is not valid UTF-8
+const BINARY_PAYLOAD = Buffer.from([0xff, 0xfe, 0x00, 0x41])
+
+function threatEvent (payload, fields) {
+  const event = new dxl.Event(THREAT_EVENT_TOPIC)
+  if (!Buffer.isBuffer(payload)) {
+    payload = Buffer.from(JSON.stringify({ events: [payload] }))
+  }
+  event.payload = payload
+  return Object.assign(event, fields)
+}
+
+describe('ThreatEventRecorder', function () {
+  let directory
+  let filePath
+  let dxlClient
+  let epoClient
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'epo-client-test-'))
+    filePath = path.join(directory, 'threat-events.ndjson')
+    dxlClient = new MockDxlFabric().createClient()
+    epoClient = new EpoClient(dxlClient, 'epo1')
+  })
+
+  afterEach(function () {
+    fs.rmSync(directory, { recursive: true, force: true })
+  })
+
+  function readRecords () {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n')
+    return lines.filter(function (line) {
+      return line
+    }).map(function (line) {
+      return JSON.parse(line)
+    })
+  }
+
+  it('records events which replay as they were received', async function () {
+    const recorder = new ThreatEventRecorder(epoClient, { path: filePath })
+    await recorder.start()
+    const detection = { threatName: 'café' }
+    const fields = {
+      messageId: 'message1',
+      sourceClientId: 'client1',
+      sourceBrokerId: 'broker1',
+      otherFields: { origin: 'test' }
+    }
+    epoClient.deliverEvent(threatEvent(detection, fields))
+    epoClient.deliverEvent(threatEvent(BINARY_PAYLOAD))
+    await recorder.stop()
+    expect(recorder.recordedCount).to.equal(2)
+
+    const records = readRecords()
+    expect(records.map(function (record) {
+      return [record.topic, record.payloadEncoding]
+    })).to.deep.equal([
+      [THREAT_EVENT_TOPIC, 'utf8'],
+      [THREAT_EVENT_TOPIC, 'base64']
+    ])
+    expect(JSON.parse(records[0].payload))
+      .to.deep.equal({ events: [detection] })
+    expect(isNaN(Date.parse(records[0].receivedTime))).to.equal(false)
+
+    const replayClient = new EpoClient(new MockDxlFabric().createClient(),
+      'epo1')
+    const received = []
+    const errors = []
+    replayClient.addThreatEventCallback(function (replayedPayload, event) {
+      received.push([replayedPayload, event])
+    }, {
+      errorCallback: function (error, event) {
+        errors.push([error, event])
+      }
+    })
+    const count = await new ThreatEventReplayer(filePath, { speed: Infinity })
+      .replay(replayClient)
+    expect(count).to.equal(2)
+    expect(received).to.have.lengthOf(1)
+    expect(received[0][0]).to.deep.equal({ events: [detection] })
+    Object.keys(fields).forEach(function (field) {
+      expect(received[0][1][field]).to.deep.equal(fields[field])
+    })
+    expect(errors).to.have.lengthOf(1)
+    expect(errors[0][0]).to.be.an.instanceof(Error)
+    expect(errors[0][1].payload.equals(BINARY_PAYLOAD)).to.equal(true)
+  })
+
+  it('records only the events which match the filter', async function () {
+    const recorder = new ThreatEventRecorder(epoClient, {
+      path: filePath,
+      filter: { 'events.threatName': { eq: 'threat2' } }
+    })
+    await recorder.start()
+    epoClient.deliverEvent(threatEvent({ threatName: 'threat1' }))
+    epoClient.deliverEvent(threatEvent({ threatName: 'threat2' }))
+    await recorder.stop()
+    expect(readRecords().map(function (record) {
+      return JSON.parse(record.payload).events[0].threatName
+    })).to.deep.equal(['threat2'])
+  })
+
+  it('stops recording when stopped while the file is opening', async function () {
+    const recorder = new ThreatEventRecorder(epoClient, { path: filePath })
+    const started = recorder.start()
+    await recorder.stop()
+    await started
+    expect(dxlClient.getEventCallbackCount(THREAT_EVENT_TOPIC)).to.equal(0)
+    epoClient.deliverEvent(threatEvent({ threatName: 'threat1' }))
+    expect(recorder.recordedCount).to.equal(0)
+    expect(fs.readFileSync(filePath, 'utf8')).to.equal('')
+
+    // The recorder can be started again
+    await recorder.start()
+    epoClient.deliverEvent(threatEvent({ threatName: 'threat2' }))
+    await recorder.stop()
+    expect(readRecords()).to.have.lengthOf(1)
+  })
+
+  it('fails to start if the file cannot be opened', async function () {
+    const recorder = new ThreatEventRecorder(epoClient,
+      { path: path.join(directory, 'missing', 'threat-events.ndjson') })
+    let error = null
+    await recorder.start().catch(function (err) {
+      error = err
+    })
+    expect(error.code).to.equal('ENOENT')
+    expect(dxlClient.getEventCallbackCount(THREAT_EVENT_TOPIC)).to.equal(0)
+    await recorder.stop()
+  })
+
+  it('requires a path', function () {
+    expect(function () {
+      return new ThreatEventRecorder(epoClient, {})
+    }).to.throw(TypeError, 'A path must be specified for the recording')
+  })
+})
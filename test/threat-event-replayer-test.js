@@ -0,0 +1,97 @@
+'use strict'
+
+const expect = require('chai').expect
+const dxl = require('@opendxl/dxl-client')
+const EpoClient = require('../lib/epo-client')
+const MockDxlFabric = require('../lib/mock-dxl-fabric')
+const ThreatEventReplayer = require('../lib/threat-event-replayer')
+
+const THREAT_EVENT_TOPIC = '/mcafee/event/epo/threat/response'
+
+function record (threatName) {
+  return {
+    receivedTime: '2024-01-01T00:00:00.000Z',
+    topic: THREAT_EVENT_TOPIC,
+    payload: JSON.stringify({ events: [{ threatName }] }),
+    payloadEncoding: 'utf8'
+  }
+}
+
+describe('ThreatEventReplayer', function () {
+  let epoClient
+
+  beforeEach(function () {
+    epoClient = new EpoClient(new MockDxlFabric().createClient(), 'epo1')
+  })
+
+  it('delivers each record to the threat event callbacks', async function () {
+    const received = []
+    epoClient.addThreatEventCallback(function (payload, event) {
+      received.push([payload.events[0].threatName, event.destinationTopic,
+        Buffer.isBuffer(event.payload)])
+    })
+    const count = await new ThreatEventReplayer(
+      [record('threat1'), record('threat2')], { speed: Infinity })
+      .replay(epoClient)
+    expect(count).to.equal(2)
+    expect(received).to.deep.equal([
+      ['threat1', THREAT_EVENT_TOPIC, true],
+      ['threat2', THREAT_EVENT_TOPIC, true]
+    ])
+  })
+
+  it('continues the replay after a callback throws', async function () {
+    const received = []
+    epoClient.addThreatEventCallback(function () {
+      throw new Error('callback failure')
+    })
+    epoClient.addThreatEventCallback(function (payload) {
+      received.push(payload.events[0].threatName)
+    })
+    const count = await new ThreatEventReplayer(
+      [record('threat1'), record('threat2')], { speed: Infinity })
+      .replay(epoClient)
+    expect(count).to.equal(2)
+    expect(received).to.deep.equal(['threat1', 'threat2'])
+  })
+
+  it('fails for a record without a topic', async function () {
+    let delivered = false
+    epoClient.addThreatEventCallback(function () {
+      delivered = true
+    })
+    const noTopic = record('threat2')
+    delete noTopic.topic
+    let error = null
+    try {
+      await new ThreatEventReplayer([record('threat1'), noTopic])
+        .replay(epoClient)
+    } catch (err) {
+      error = err
+    }
+    expect(error).to.be.an.instanceof(TypeError)
+    expect(error.message).to.equal('Threat event record 2 has no topic')
+    expect(delivered).to.equal(false)
+  })
+})
+
+describe('EpoClient#deliverEvent', function () {
+  it('delivers an event to the callbacks for its topic', function () {
+    const epoClient = new EpoClient(new MockDxlFabric().createClient(), 'epo1')
+    const received = []
+    epoClient.addEventCallback('/my/event', function (payload) {
+      received.push(payload)
+    })
+    const event = new dxl.Event('/my/event')
+    event.payload = '{"value":1}'
+    epoClient.deliverEvent(event)
+    expect(received).to.deep.equal([{ value: 1 }])
+  })
+
+  it('rejects an event without a topic', function () {
+    const epoClient = new EpoClient(new MockDxlFabric().createClient(), 'epo1')
+    expect(function () {
+      epoClient.deliverEvent(new dxl.Event(undefined))
+    }).to.throw(TypeError, 'the event has no destinationTopic')
+  })
+})
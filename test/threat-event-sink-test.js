@@ -0,0 +1,96 @@
+'use strict'
+
+const expect = require('chai').expect
+const dxl = require('@opendxl/dxl-client')
+const PassThrough = require('stream').PassThrough
+const EpoClient = require('../lib/epo-client')
+const MockDxlFabric = require('../lib/mock-dxl-fabric')
+const StreamThreatEventSink = require('../lib/stream-threat-event-sink')
+
+const THREAT_EVENT_TOPIC = '/mcafee/event/epo/threat/response'
+
+function threatEvent (payload) {
+  const event = new dxl.Event(THREAT_EVENT_TOPIC)
+  event.payload = payload
+  return event
+}
+
+describe('EpoClient#addThreatEventSink', function () {
+  let epoClient
+  let stream
+  let errors
+  let sink
+
+  beforeEach(function () {
+    epoClient = new EpoClient(new MockDxlFabric().createClient(), 'epo1')
+    stream = new PassThrough()
+    errors = []
+    sink = new StreamThreatEventSink({
+      stream,
+      errorCallback: function (error, threatEvent) {
+        errors.push([error, threatEvent])
+      }
+    })
+  })
+
+  it('writes each threat event to the sink', async function () {
+    epoClient.addThreatEventSink(sink)
+    epoClient.deliverEvent(threatEvent(JSON.stringify(
+      { events: [{ threatName: 'threat1' }] })))
+    const line = stream.read().toString()
+    expect(JSON.parse(line).threatName).to.equal('threat1')
+    await new Promise(function (resolve) {
+      setImmediate(resolve)
+    })
+    expect(sink.writtenCount).to.equal(1)
+  })
+
+  it('reports an event which cannot be decoded to the sink', function () {
+    epoClient.addThreatEventSink(sink)
+    const event = threatEvent('not json')
+    epoClient.deliverEvent(event)
+    expect(errors).to.have.lengthOf(1)
+    expect(errors[0][0]).to.be.an.instanceof(SyntaxError)
+    expect(errors[0][1]).to.equal(event)
+    expect(sink.failedCount).to.equal(1)
+    expect(stream.read()).to.equal(null)
+  })
+})
+
+describe('StreamThreatEventSink', function () {
+  it('adds a single error listener to a stream shared by many sinks', async function () {
+    const listenerCount = process.stdout.listenerCount('error')
+    const sinks = []
+    for (let index = 0; index < 20; index++) {
+      sinks.push(new StreamThreatEventSink())
+    }
+    expect(process.stdout.listenerCount('error')).to.equal(listenerCount + 1)
+    await Promise.all(sinks.slice(1).map(function (sink) {
+      return sink.close()
+    }))
+    expect(process.stdout.listenerCount('error')).to.equal(listenerCount + 1)
+    await sinks[0].close()
+    await sinks[0].close()
+    expect(process.stdout.listenerCount('error')).to.equal(listenerCount)
+  })
+
+  it('reports a failed write to the error callback', async function () {
+    const stream = new PassThrough()
+    const errors = []
+    const sink = new StreamThreatEventSink({
+      stream,
+      errorCallback: function (error) {
+        errors.push(error)
+      }
+    })
+    stream.destroy()
+    sink.handle({ events: [{ threatName: 'threat1' }] })
+    await new Promise(function (resolve) {
+      setImmediate(resolve)
+    })
+    expect(errors).to.have.lengthOf(1)
+    expect(sink.failedCount).to.equal(1)
+    await sink.close()
+    expect(stream.listenerCount('error')).to.equal(0)
+  })
+})
@@ -0,0 +1,137 @@
+'use strict'
+
+const expect = require('chai').expect
+const dxl = require('@opendxl/dxl-client')
+const EpoClient = require('../lib/epo-client')
+const MockDxlFabric = require('../lib/mock-dxl-fabric')
+const ThreatEventStream = require('../lib/threat-event-stream')
+
+const THREAT_EVENT_TOPIC = '/mcafee/event/epo/threat/response'
+
+function threatEvent (threatName) {
+  const event = new dxl.Event(THREAT_EVENT_TOPIC)
+  event.payload = JSON.stringify({ events: [{ threatName }] })
+  return event
+}
+
+async function readThreatNames (stream) {
+  const threatNames = []
+  for await (const threatEvent of stream) {
+    threatNames.push(threatEvent.getThreatName())
+  }
+  return threatNames
+}
+
+describe('ThreatEventStream', function () {
+  let dxlClient
+  let epoClient
+
+  beforeEach(function () {
+    dxlClient = new MockDxlFabric().createClient()
+    epoClient = new EpoClient(dxlClient, 'epo1')
+  })
+
+  function createStream (options) {
+    const stream = epoClient.threatEvents(options)
+    const dropped = []
+    stream.on('drop', function (threatEvent) {
+      dropped.push(threatEvent.getThreatName())
+    })
+    return { stream, dropped }
+  }
+
+  function deliver () {
+    Array.prototype.slice.call(arguments).forEach(function (threatName) {
+      epoClient.deliverEvent(threatEvent(threatName))
+    })
+  }
+
+  it('delivers each event to a consumer which keeps up', async function () {
+    const created = createStream({ bufferSize: 1 })
+    const read = readThreatNames(created.stream)
+    for (let index = 1; index <= 5; index++) {
+      deliver('threat' + index)
+      await new Promise(function (resolve) {
+        setImmediate(resolve)
+      })
+    }
+    created.stream.stop()
+    expect(await read).to.deep.equal(
+      ['threat1', 'threat2', 'threat3', 'threat4', 'threat5'])
+    expect(created.stream.droppedCount).to.equal(0)
+  })
+
+  it('drops the oldest event when the buffer is full by default', async function () {
+    const created = createStream({ bufferSize: 2 })
+    deliver('threat1', 'threat2', 'threat3', 'threat4')
+    created.stream.stop()
+    expect(await readThreatNames(created.stream))
+      .to.deep.equal(['threat3', 'threat4'])
+    expect(created.dropped).to.deep.equal(['threat1', 'threat2'])
+    expect(created.stream.droppedCount).to.equal(2)
+  })
+
+  it('drops the newest event when the buffer is full', async function () {
+    const created = createStream({
+      bufferSize: 2,
+      overflow: ThreatEventStream.OverflowPolicy.DROP_NEWEST
+    })
+    deliver('threat1', 'threat2', 'threat3', 'threat4')
+    created.stream.stop()
+    expect(await readThreatNames(created.stream))
+      .to.deep.equal(['threat1', 'threat2'])
+    expect(created.dropped).to.deep.equal(['threat3', 'threat4'])
+    expect(created.stream.droppedCount).to.equal(2)
+  })
+
+  it('fails when the buffer is full with the error policy', async function () {
+    const created = createStream({ bufferSize: 2, overflow: 'error' })
+    deliver('threat1', 'threat2')
+    expect(dxlClient.getEventCallbackCount(THREAT_EVENT_TOPIC)).to.equal(1)
+    deliver('threat3')
+    let error = null
+    try {
+      await readThreatNames(created.stream)
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.equal('Threat event buffer overflowed (2 events)')
+    expect(created.stream.destroyed).to.equal(true)
+    expect(created.dropped).to.have.lengthOf(0)
+    expect(dxlClient.getEventCallbackCount(THREAT_EVENT_TOPIC)).to.equal(0)
+  })
+
+  it('ignores events which arrive after the stream is stopped', async function () {
+    const created = createStream()
+    deliver('threat1')
+    created.stream.stop()
+    deliver('threat2')
+    expect(await readThreatNames(created.stream)).to.deep.equal(['threat1'])
+    expect(dxlClient.getEventCallbackCount(THREAT_EVENT_TOPIC)).to.equal(0)
+  })
+
+  it('unregisters its callback when the consumer exits early', async function () {
+    const created = createStream()
+    deliver('threat1', 'threat2')
+    const threatNames = []
+    for await (const threatEvent of created.stream) {
+      threatNames.push(threatEvent.getThreatName())
+      if (threatNames.length === 1) {
+        break
+      }
+    }
+    expect(threatNames).to.deep.equal(['threat1'])
+    expect(created.stream.destroyed).to.equal(true)
+    expect(dxlClient.getEventCallbackCount(THREAT_EVENT_TOPIC)).to.equal(0)
+  })
+
+  it('rejects invalid options', function () {
+    expect(function () {
+      epoClient.threatEvents({ bufferSize: 0 })
+    }).to.throw(TypeError, 'Invalid bufferSize: 0')
+    expect(function () {
+      epoClient.threatEvents({ overflow: 'block' })
+    }).to.throw(TypeError, 'Invalid overflow policy: block')
+    expect(dxlClient.getEventCallbackCount(THREAT_EVENT_TOPIC)).to.equal(0)
+  })
+})
@@ -0,0 +1,187 @@
+'use strict'
+
+const expect = require('chai').expect
+const ThreatEvent = require('../lib/threat-event')
+
+// The address 10.0.0.1 as ePO stores it: a signed 32-bit integer, offset by
+// 2^31
+const EPO_IPV4 = 167772161 - 2147483648
+
+function detection (fields) {
+  return new ThreatEvent({ events: [fields] })
+}
+
+describe('ThreatEvent', function () {
+  describe('timestamps', function () {
+    function detectedTime (value) {
+      const time = detection({ detectedUTC: value }).getDetectedTime()
+      return time === null ? null : time.toISOString()
+    }
+
+    it('parses ISO 8601 strings', function () {
+      expect(detectedTime('2024-01-02T10:00:00Z'))
+        .to.equal('2024-01-02T10:00:00.000Z')
+      expect(detectedTime('2024-01-02T12:00:00.250+02:00'))
+        .to.equal('2024-01-02T10:00:00.250Z')
+    })
+
+    it('takes a timestamp without a time zone to be in UTC', function () {
+      expect(detectedTime('2024-01-02 10:00:00'))
+        .to.equal('2024-01-02T10:00:00.000Z')
+      expect(detectedTime(' 2024-01-02T10:00:00.5 '))
+        .to.equal('2024-01-02T10:00:00.500Z')
+    })
+
+    it('parses seconds and milliseconds since the epoch', function () {
+      expect(detectedTime(1704189600)).to.equal('2024-01-02T10:00:00.000Z')
+      expect(detectedTime(1704189600123))
+        .to.equal('2024-01-02T10:00:00.123Z')
+      expect(detectedTime('1704189600')).to.equal('2024-01-02T10:00:00.000Z')
+    })
+
+    it('returns null for a missing or malformed timestamp', function () {
+      expect(detectedTime(undefined)).to.equal(null)
+      expect(detectedTime(null)).to.equal(null)
+      expect(detectedTime('')).to.equal(null)
+      expect(detectedTime('yesterday')).to.equal(null)
+      expect(detectedTime('2024-13-45T99:00:00')).to.equal(null)
+      expect(detectedTime({ time: 1 })).to.equal(null)
+    })
+
+    it('reads the received time from its own fields', function () {
+      const threatEvent = detection({
+        detectedUTC: '2024-01-02T10:00:00Z',
+        serverReceivedUTC: '2024-01-02T10:00:05Z'
+      })
+      expect(threatEvent.getReceivedTime().toISOString())
+        .to.equal('2024-01-02T10:00:05.000Z')
+      expect(detection({ detectedUTC: '2024-01-02T10:00:00Z' })
+        .getReceivedTime()).to.equal(null)
+    })
+  })
+
+  describe('IP addresses', function () {
+    it('returns an address string as it is', function () {
+      expect(detection({ sourceIPV4: ' 10.0.0.1 ' }).getSourceIpAddress())
+        .to.equal('10.0.0.1')
+      expect(detection({ targetIPV6: 'fe80::1' }).getTargetIpAddress())
+        .to.equal('fe80::1')
+    })
+
+    it('converts an address stored by ePO as an integer', function () {
+      expect(detection({ analyzerIPV4: EPO_IPV4 }).getAnalyzerIpAddress())
+        .to.equal('10.0.0.1')
+      expect(detection({ sourceIPV4: String(EPO_IPV4) }).getSourceIpAddress())
+        .to.equal('10.0.0.1')
+      expect(detection({ sourceIPV4: -2147483648 }).getSourceIpAddress())
+        .to.equal('0.0.0.0')
+      expect(detection({ sourceIPV4: 2147483647 }).getSourceIpAddress())
+        .to.equal('255.255.255.255')
+    })
+
+    it('returns null for a missing address', function () {
+      const threatEvent = detection({ sourceIPV4: '' })
+      expect(threatEvent.getSourceIpAddress()).to.equal(null)
+      expect(threatEvent.getTargetIpAddress()).to.equal(null)
+      expect(threatEvent.getAnalyzerIpAddress()).to.equal(null)
+    })
+  })
+
+  describe('severity', function () {
+    it('parses numbers and numeric strings', function () {
+      expect(detection({ threatSeverity: '2' }).getSeverity()).to.equal(2)
+      expect(detection({ threatSeverity: 0 }).getSeverity()).to.equal(0)
+      expect(detection({ severity: ' 4 ' }).getSeverity()).to.equal(4)
+    })
+
+    it('returns null for a missing or malformed severity', function () {
+      expect(detection({}).getSeverity()).to.equal(null)
+      expect(detection({ threatSeverity: ' ' }).getSeverity()).to.equal(null)
+      expect(detection({ threatSeverity: 'high' }).getSeverity())
+        .to.equal(null)
+    })
+  })
+
+  describe('host names', function () {
+    it('prefers the analyzer host name to the other host name fields', function () {
+      expect(detection({
+        computerName: 'computer',
+        targetHostName: 'target',
+        analyzerHostName: 'analyzer'
+      }).getHostName()).to.equal('analyzer')
+      expect(detection({ computerName: 'computer', targetHostName: 'target' })
+        .getHostName()).to.equal('target')
+      expect(detection({ computerName: 'computer' }).getHostName())
+        .to.equal('computer')
+    })
+
+    it('matches field names without regard to case', function () {
+      expect(detection({ ANALYZERHOSTNAME: 'web1' }).getHostName())
+        .to.equal('web1')
+      expect(detection({ hostname: 12345 }).getHostName()).to.equal('12345')
+    })
+
+    it('skips fields without a value', function () {
+      expect(detection({ analyzerHostName: '', hostName: 'web1' })
+        .getHostName()).to.equal('web1')
+      expect(detection({ analyzerHostName: null }).getHostName())
+        .to.equal(null)
+    })
+  })
+
+  describe('fields', function () {
+    it('reads a field from the top level before the first event', function () {
+      const threatEvent = new ThreatEvent({
+        threatName: 'top',
+        events: [
+          { threatName: 'first', threatType: 'virus' },
+          { threatName: 'second', analyzerName: 'scanner' }
+        ]
+      })
+      expect(threatEvent.getThreatName()).to.equal('top')
+      expect(threatEvent.getThreatType()).to.equal('virus')
+      expect(threatEvent.getAnalyzerName()).to.equal(null)
+    })
+
+    it('normalizes the agent GUID', function () {
+      expect(detection({ agentGuid: ' {abc-123} ' }).getAgentGuid())
+        .to.equal('ABC-123')
+      expect(detection({ nodeGuid: 'def-456' }).getAgentGuid())
+        .to.equal('DEF-456')
+    })
+
+    it('returns null for every value of a payload which is not an object', function () {
+      const threatEvent = new ThreatEvent('not an object')
+      const values = threatEvent.toJSON()
+      Object.keys(values).forEach(function (name) {
+        expect(values[name]).to.equal(null)
+      })
+      expect(threatEvent.getValue('events.threatName')).to.equal(null)
+      expect(threatEvent.getDetections()).to.deep.equal([threatEvent])
+    })
+
+    it('returns values by name or by path into the payload', function () {
+      const threatEvent = new ThreatEvent({
+        events: [{ threatSeverity: '1', details: { handled: false } }]
+      })
+      expect(threatEvent.getValue('severity')).to.equal(1)
+      expect(threatEvent.getValue('events.details.handled')).to.equal(false)
+      expect(threatEvent.getValue('events.details.missing')).to.equal(null)
+      expect(threatEvent.getValue('events.threatSeverity')).to.equal('1')
+    })
+
+    it('returns a threat event for each detection', function () {
+      const event = { destinationTopic: '/mcafee/event/epo/threat/response' }
+      const detections = new ThreatEvent({
+        analyzerHostName: 'web1',
+        events: [{ threatName: 'first' }, { threatName: 'second' }]
+      }, event).getDetections()
+      expect(detections.map(function (threatEvent) {
+        return [threatEvent.getHostName(), threatEvent.getThreatName()]
+      })).to.deep.equal([['web1', 'first'], ['web1', 'second']])
+      expect(detections[1].getPayload()).to.deep.equal(
+        { analyzerHostName: 'web1', threatName: 'second' })
+      expect(detections[1].getEvent()).to.equal(event)
+    })
+  })
+})